@@ -1,13 +1,33 @@
-const { onRequest } = require("firebase-functions/v2/https");
-const { apiHandler } = require("./src/app");
+const {onRequest} = require("firebase-functions/v2/https");
+const {onSchedule} = require("firebase-functions/v2/scheduler");
+const {apiHandler} = require("./src/app");
+const {
+  runDailyReplenishment,
+} = require("./src/controllers/replenishmentController");
 
 exports.api = onRequest(
-  {
-    region: "asia-south1",
-    memory: "512MiB",
-    timeoutSeconds: 120,
-    cors: true
-    // ❌ NO secrets here
-  },
-  apiHandler
+    {
+      region: "asia-south1",
+      memory: "512MiB",
+      timeoutSeconds: 120,
+      cors: true,
+      // ❌ NO secrets here
+    },
+    apiHandler,
+);
+
+// Drafts purchase orders for companies that switched on
+// replenishment.autoDraftOrders
+exports.dailyReplenishment = onSchedule(
+    {
+      schedule: "every day 06:00",
+      timeZone: "Asia/Kolkata",
+      region: "asia-south1",
+      memory: "512MiB",
+      timeoutSeconds: 540,
+    },
+    async () => {
+      const report = await runDailyReplenishment();
+      console.log("Daily replenishment:", JSON.stringify(report));
+    },
 );
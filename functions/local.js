@@ -0,0 +1,16 @@
+const http = require("http");
+
+// Offline entry point: serves apiHandler from a folder of JSON files
+process.env.STORAGE_BACKEND = process.env.STORAGE_BACKEND || "local";
+// aiService builds its Vertex client at load time and needs a project id
+process.env.GCLOUD_PROJECT =
+  process.env.GCLOUD_PROJECT || "bussiness-control-platform";
+
+const {apiHandler} = require("./src/app");
+
+const PORT = Number(process.env.PORT) || 5001;
+
+http.createServer(apiHandler).listen(PORT, () => {
+  console.log(`Local API listening on http://localhost:${PORT}`);
+  console.log(`Storage backend: ${process.env.STORAGE_BACKEND}`);
+});
@@ -6,11 +6,25 @@ const customerController = require("./controllers/customerController");
 const invoiceController = require("./controllers/invoiceController");
 const adminController = require("./controllers/adminController");
 const userController = require("./controllers/userController");
-const reportController = require("./controllers/reportController"); 
-
-const { requireAdmin } = require("./middleware/requireAdmin");
-const { requireAuth } = require("./middleware/requireAuth");
-const { companyGuard } = require("./middleware/companyGuard");
+const reportController = require("./controllers/reportController");
+const settingsController = require("./controllers/settingsController");
+const indexController = require("./controllers/indexController");
+const trashController = require("./controllers/trashController");
+const auditController = require("./controllers/auditController");
+const apiKeyController = require("./controllers/apiKeyController");
+const twoFactorController = require("./controllers/twoFactorController");
+const locationController = require("./controllers/locationController");
+const supplierController = require("./controllers/supplierController");
+const purchaseOrderController =
+  require("./controllers/purchaseOrderController");
+const replenishmentController =
+  require("./controllers/replenishmentController");
+
+const {requireAdmin} = require("./middleware/requireAdmin");
+const {requireAuth} = require("./middleware/requireAuth");
+const {companyGuard} = require("./middleware/companyGuard");
+const {requirePermission} = require("./middleware/requirePermission");
+const {runWithRequestContext} = require("./services/requestContext");
 const aiController = require("./controllers/aiController");
 
 const errorHandler = require("./errorHandler");
@@ -20,11 +34,11 @@ const allowedOrigins = [
   "https://bussiness-control-platform.firebaseapp.com",
   "http://localhost:5173",
   "http://localhost:5000",
-  "http://localhost:5500"
+  "http://localhost:5500",
 ];
 
 const corsHandler = cors({
-  origin: function (origin, callback) {
+  origin: function(origin, callback) {
     // allow server-to-server & tools
     if (!origin) return callback(null, true);
 
@@ -40,18 +54,29 @@ const corsHandler = cors({
     "x-admin",
     "x-user-email",
     "x-company-id",
-    "Authorization"
-  ]
+    "x-request-id",
+    "x-api-key",
+    "Authorization",
+  ],
 });
 
+// Caller details stored with login sessions
+// X-Forwarded-For is never read directly: its leftmost entries are whatever
+// the client sent. On Cloud Functions req.ip is the address the trusted Google
+// front end saw; locally (plain http server, no proxy) the socket address is
+// the client.
+const clientInfo = (req) => ({
+  ip: req.ip || req.socket?.remoteAddress || null,
+  userAgent: req.headers["user-agent"] || null,
+});
 
 const getRequestBody = async (req) => {
   // If req.body is already present (parsed by Firebase), return it
-  if (req.body && typeof req.body === 'object') return req.body;
+  if (req.body && typeof req.body === "object") return req.body;
 
   return new Promise((resolve, reject) => {
     let data = "";
-    req.on("data", chunk => (data += chunk));
+    req.on("data", (chunk) => (data += chunk));
     req.on("end", () => {
       try {
         // Resolve to empty object if data is blank
@@ -64,16 +89,15 @@ const getRequestBody = async (req) => {
   });
 };
 
-
 const apiHandler = (req, res) => {
   // Lightweight Express-like helpers
   res.setHeader("Vary", "Origin");
-  res.status = function (code) {
+  res.status = function(code) {
     res.statusCode = code;
     return res;
   };
 
-  res.json = function (data) {
+  res.json = function(data) {
     res.setHeader("Content-Type", "application/json");
     res.end(JSON.stringify(data));
   };
@@ -83,17 +107,18 @@ const apiHandler = (req, res) => {
     if (allowedOrigins.includes(origin)) {
       res.setHeader("Access-Control-Allow-Origin", origin);
     } else {
-      res.setHeader("Access-Control-Allow-Origin", "*"); 
+      res.setHeader("Access-Control-Allow-Origin", "*");
     }
 
     res.setHeader(
-      "Access-Control-Allow-Methods",
-      "GET, POST, PUT, PATCH, DELETE, OPTIONS"
+        "Access-Control-Allow-Methods",
+        "GET, POST, PUT, PATCH, DELETE, OPTIONS",
     );
 
     res.setHeader(
-      "Access-Control-Allow-Headers",
-      "Content-Type, Authorization, x-company-id, x-user-email, x-admin"
+        "Access-Control-Allow-Headers",
+        "Content-Type, Authorization, x-company-id, x-user-email, x-admin, " +
+          "x-request-id, x-api-key",
     );
 
     res.setHeader("Access-Control-Allow-Credentials", "true");
@@ -102,341 +127,1328 @@ const apiHandler = (req, res) => {
     return res.status(204).end();
   }
 
+  // Request id, route and actor follow the request down to the audit trail
+  return corsHandler(req, res, () =>
+    runWithRequestContext(req, async ({requestId}) => {
+      res.setHeader("X-Request-Id", requestId);
 
+      try {
+        if (allowedOrigins.includes(origin)) {
+          res.setHeader("Access-Control-Allow-Origin", origin);
+        }
+
+        if (["POST", "PUT", "PATCH"].includes(req.method)) {
+          req.body = await getRequestBody(req);
+        } else {
+          req.body = {};
+        }
+
+        const path = req.url.split("?")[0].replace(/\/+$/, "") || "/";
+        const segments = path.split("/").filter(Boolean);
+        const method = req.method;
+        const query = Object.fromEntries(
+            new URLSearchParams(req.url.split("?")[1] || ""),
+        );
 
-  return corsHandler(req, res, async () => {
-    try {
+        console.log(`[${method}] ${path}`);
 
-      if (allowedOrigins.includes(origin)) {
-        res.setHeader("Access-Control-Allow-Origin", origin);
-      }
+        if (
+          (path === "/health" || path === "/api/health") &&
+          method === "GET"
+        ) {
+          res.writeHead(200, {"Content-Type": "application/json"});
+          res.end(JSON.stringify({status: "ok"}));
+          return;
+        }
 
-   
-      if (["POST", "PUT", "PATCH"].includes(req.method)) {
-        req.body = await getRequestBody(req);
-      } else {
-        req.body = {};
-      }
+        if (path === "/admin/login" && method === "POST") {
+          return res
+              .status(200)
+              .json(
+                  await adminController.adminLogin(req.body, clientInfo(req)),
+              );
+        }
+
+        if (path === "/admin/login/2fa" && method === "POST") {
+          return res.json(
+              await adminController.completeAdminTwoFactor(
+                  req.body,
+                  clientInfo(req),
+              ),
+          );
+        }
+
+        if (segments[0] === "admin" && segments[1] !== "login") {
+          return await requireAdmin(req, res, async () => {
+            /* ---------- COMPANIES ---------- */
+            if (segments[1] === "companies" && segments.length === 2) {
+              if (method === "POST") {
+                return res
+                    .status(201)
+                    .json(await adminController.createCompany(req));
+              }
+              if (method === "GET") {
+                return res.json(await adminController.listCompanies());
+              }
+            }
 
-      const path = (req.url.split('?')[0]).replace(/\/+$/, "") || "/";
-      const segments = path.split("/").filter(Boolean);
-      const method = req.method;
+            if (
+              segments[1] === "companies" &&
+              segments.length === 4 &&
+              method === "POST"
+            ) {
+              const companyId = segments[2];
 
-      console.log(`[${method}] ${path}`);
+              if (segments[3] === "activate") {
+                return res.json(
+                    await adminController.activateCompany(companyId, req.admin),
+                );
+              }
 
- 
-      if ((path === "/health" || path === "/api/health") && method === "GET") {
-          res.writeHead(200, { "Content-Type": "application/json" });
-          res.end(JSON.stringify({ status: "ok" }));
-          return;
-      }
+              if (segments[3] === "suspend") {
+                return res.json(
+                    await adminController.suspendCompany(companyId, req.admin),
+                );
+              }
 
-      if ((path === "/ai/analyze" || path === "/api/ai/analyze") && method === "POST") {
-        return requireAuth(req, res, () =>
-          companyGuard(req, res, () =>
-            aiController.handleAiQuery(req, res)
-          )
-        );
-      }
+              if (segments[3] === "backup") {
+                return res
+                    .status(201)
+                    .json(
+                        await adminController.backupCompany(
+                            companyId,
+                            req.admin,
+                        ),
+                    );
+              }
 
-      if (path === "/admin/login" && method === "POST") {
-        return res.status(200).json(
-          await adminController.adminLogin(req.body)
-        );
-      }
+              if (segments[3] === "restore") {
+                return res
+                    .status(201)
+                    .json(await adminController.restoreCompany(companyId, req));
+              }
+            }
 
-      if (segments[0] === "admin" && segments[1] !== "login") {
-        return requireAdmin(req, res, async () => {
+            /* ---------- BACKUPS ---------- */
+            if (
+              segments[1] === "companies" &&
+              segments[3] === "backups" &&
+              method === "GET"
+            ) {
+              const companyId = segments[2];
+
+              if (segments.length === 4) {
+                return res.json(
+                    await adminController.listCompanyBackups(companyId),
+                );
+              }
 
-          /* ---------- COMPANIES ---------- */
-          if (segments[1] === "companies" && segments.length === 2) {
-            if (method === "POST") {
-              return res.status(201).json(
-                await adminController.createCompany(req)
-              );
+              if (segments.length === 5) {
+                return res.json(
+                    await adminController.downloadCompanyBackup(
+                        companyId,
+                        segments[4],
+                    ),
+                );
+              }
             }
-            if (method === "GET") {
+
+            if (path === "/admin/2fa/setup" && method === "GET") {
               return res.json(
-                await adminController.listCompanies()
+                  adminController.getAdminTwoFactorSetup(req.admin),
               );
             }
-          }
 
-          if (
-            segments[1] === "companies" &&
-            segments.length === 4 &&
-            method === "POST"
-          ) {
-            const companyId = segments[2];
+            /* ---------- LOGIN LOCKS ---------- */
+            if (segments[1] === "login-locks") {
+              if (segments.length === 2 && method === "GET") {
+                return res.json(await adminController.listLoginLocks());
+              }
 
-            if (segments[3] === "activate") {
-              return res.json(
-                await adminController.activateCompany(companyId)
-              );
+              if (
+                segments.length === 3 &&
+                segments[2] === "clear" &&
+                method === "POST"
+              ) {
+                return res.json(await adminController.clearLoginLock(req));
+              }
             }
 
-            if (segments[3] === "suspend") {
-              return res.json(
-                await adminController.suspendCompany(companyId)
-              );
+            /* ---------- MIGRATIONS ---------- */
+            if (segments[1] === "migrations") {
+              if (segments.length === 2 && method === "GET") {
+                return res.json(adminController.listMigrations());
+              }
+
+              if (
+                segments.length === 3 &&
+                segments[2] === "run" &&
+                method === "POST"
+              ) {
+                return res.json(await adminController.runMigrations(req));
+              }
             }
-          }
 
-          /* ---------- USERS ---------- */
-          if (segments[1] === "users" && segments.length === 2) {
-            if (method === "POST") {
-              return res.status(201).json(
-                await adminController.createOwnerUser(req)
-              );
+            /* ---------- USERS ---------- */
+            if (segments[1] === "users" && segments.length === 2) {
+              if (method === "POST") {
+                return res
+                    .status(201)
+                    .json(await adminController.createOwnerUser(req));
+              }
             }
-          }
 
-          if (
-            segments[1] === "users" &&
-            segments.length === 4 &&
-            method === "PATCH" &&
-            segments[3] === "status"
-          ) {
-            const email = segments[2];
-            const { status, companyId } = req.body;
+            if (
+              segments[1] === "users" &&
+              segments.length === 4 &&
+              method === "PATCH" &&
+              segments[3] === "status"
+            ) {
+              const email = segments[2];
+              const {status, companyId} = req.body;
 
-            return res.json(
-              await adminController.updateUserStatus(email, status, companyId)
-            );
-          }
+              return res.json(
+                  await adminController.updateUserStatus(
+                      email,
+                      status,
+                      companyId,
+                      req.admin,
+                  ),
+              );
+            }
 
-          return res.status(404).json({
-            message: "Admin route not found"
+            return res.status(404).json({
+              message: "Admin route not found",
+            });
           });
-        });
-      }
+        }
+
+        if (path === "/login" && method === "POST") {
+          return res
+              .status(200)
+              .json(await userController.userLogin(req.body, clientInfo(req)));
+        }
+
+        if (path === "/login/2fa" && method === "POST") {
+          return res.json(
+              await userController.completeTwoFactorLogin(
+                  req.body,
+                  clientInfo(req),
+              ),
+          );
+        }
+
+        if (path === "/login/2fa/setup" && method === "POST") {
+          return res.json(await userController.startTwoFactorSetup(req.body));
+        }
+
+        if (path === "/login/2fa/activate" && method === "POST") {
+          return res.json(
+              await userController.completeTwoFactorSetup(
+                  req.body,
+                  clientInfo(req),
+              ),
+          );
+        }
+
+        if (path === "/token/refresh" && method === "POST") {
+          return res.json(await userController.refreshSession(req.body));
+        }
+
+        if (path === "/login/change-password" && method === "POST") {
+          return res.json(
+              await userController.changePassword(req.body, clientInfo(req)),
+          );
+        }
+
+        if (path === "/password-reset/request" && method === "POST") {
+          return res
+              .status(202)
+              .json(
+                  await userController.requestPasswordReset(
+                      req.body,
+                      clientInfo(req),
+                  ),
+              );
+        }
+
+        if (path === "/password-reset/confirm" && method === "POST") {
+          return res.json(await userController.confirmPasswordReset(req.body));
+        }
+
+        // Awaited so errors thrown by route handlers reach the catch below
+        return await requireAuth(req, res, () =>
+          companyGuard(req, res, async () => {
+            // Every route names the permission it needs (see permissionService)
+            const can = (action, handler) =>
+              requirePermission(action)(req, res, handler);
+
+            /* ---------- AI ANALYTICS ---------- */
+            if (
+              (path === "/ai/analyze" || path === "/api/ai/analyze") &&
+              method === "POST"
+            ) {
+              return await can("ai:query", () =>
+                aiController.handleAiQuery(req, res),
+              );
+            }
 
-      if (path === "/login" && method === "POST") {
-        return res.status(200).json(
-          await userController.userLogin(req.body)
-        );
-      }
+            /* ---------- SESSIONS ---------- */
+            if (path === "/logout" && method === "POST") {
+              return res.json(
+                  await userController.logout(req.companyId, req.user),
+              );
+            }
 
-      return requireAuth(req, res, () =>
-        companyGuard(req, res, async () => {
-
-          /* ---------- AI ANALYTICS ---------- */
-          if ((path === "/ai/analyze" || path === "/api/ai/analyze") && method === "POST") {
-            return await aiController.handleAiQuery(req, res);
-          }
-
-          /* ---------- COMPANY USERS (OWNER ONLY) ---------- */
-          if (path === "/company-users" && method === "GET") {
-            return res.json(
-              await userController.getCompanyUsers(req.companyId, req.user)
-            );
-          }
-
-          if (path === "/dashboard-summary" && method === "GET") {
-            return res.json(
-              await invoiceController.getDashboardSummary(req.companyId)
-            );
-          }
-
-          if (path === "/products") {
-            if (method === "GET") {
+            if (path === "/sessions/revoke-all" && method === "POST") {
               return res.json(
-                await productController.getAllProducts(req.companyId)
+                  await userController.revokeMySessions(
+                      req.companyId,
+                      req.user,
+                  ),
               );
             }
 
-            if (method === "POST") {
+            /* ---------- TWO-FACTOR (OWN ACCOUNT) ---------- */
+            if (segments[0] === "2fa") {
               try {
-                const result = await productController.createProduct(
-                  req.companyId,
-                  req.body
-                );
-                return res.status(201).json(result);
+                if (segments.length === 1 && method === "GET") {
+                  return res.json(
+                      await twoFactorController.getTwoFactorStatus(
+                          req.companyId,
+                          req.user,
+                      ),
+                  );
+                }
+
+                if (segments.length === 2 && method === "POST") {
+                  const action = segments[1];
+
+                  if (action === "enroll") {
+                    return res.json(
+                        await twoFactorController.enrollTwoFactor(
+                            req.companyId,
+                            req.user,
+                        ),
+                    );
+                  }
+
+                  if (action === "activate") {
+                    return res.json(
+                        await twoFactorController.activateTwoFactor(
+                            req.companyId,
+                            req.body,
+                            req.user,
+                        ),
+                    );
+                  }
+
+                  if (action === "backup-codes") {
+                    return res.json(
+                        await twoFactorController.regenerateBackupCodes(
+                            req.companyId,
+                            req.body,
+                            req.user,
+                        ),
+                    );
+                  }
+
+                  if (action === "disable") {
+                    return res.json(
+                        await twoFactorController.disableTwoFactor(
+                            req.companyId,
+                            req.body,
+                            req.user,
+                        ),
+                    );
+                  }
+                }
               } catch (err) {
                 return errorHandler(err, res);
               }
             }
-          }
 
-          if (segments[0] === "products" && segments.length === 2) {
-            const sku = segments[1];
+            /* ---------- COMPANY USERS ---------- */
+            if (path === "/company-users" && method === "GET") {
+              return await can("users:manage", async () =>
+                res.json(await userController.getCompanyUsers(req.companyId)),
+              );
+            }
+
+            if (path === "/company-users" && method === "POST") {
+              return await can("users:manage", async () => {
+                try {
+                  const result = await userController.createCompanyUser(
+                      req.companyId,
+                      req.body,
+                      req.user,
+                  );
+                  return res.status(201).json(result);
+                } catch (err) {
+                  return errorHandler(err, res);
+                }
+              });
+            }
+
+            if (segments[0] === "company-users" && segments.length === 3) {
+              const email = decodeURIComponent(segments[1]).toLowerCase();
+              const action = segments[2];
+
+              return await can("users:manage", async () => {
+                try {
+                  if (action === "role" && method === "PATCH") {
+                    return res.json(
+                        await userController.changeUserRole(
+                            req.companyId,
+                            email,
+                            req.body,
+                            req.user,
+                        ),
+                    );
+                  }
+
+                  if (action === "status" && method === "PATCH") {
+                    return res.json(
+                        await userController.setCompanyUserStatus(
+                            req.companyId,
+                            email,
+                            req.body,
+                            req.user,
+                        ),
+                    );
+                  }
+
+                  if (action === "revoke-sessions" && method === "POST") {
+                    return res.json(
+                        await userController.revokeUserSessions(
+                            req.companyId,
+                            email,
+                            req.user,
+                        ),
+                    );
+                  }
+
+                  if (action === "reset-2fa" && method === "POST") {
+                    return res.json(
+                        await userController.resetUserTwoFactor(
+                            req.companyId,
+                            email,
+                            req.user,
+                        ),
+                    );
+                  }
+
+                  if (action === "reset-password" && method === "POST") {
+                    return res.json(
+                        await userController.forcePasswordReset(
+                            req.companyId,
+                            email,
+                            req.user,
+                        ),
+                    );
+                  }
+
+                  return res.status(404).json({message: "Route not found"});
+                } catch (err) {
+                  return errorHandler(err, res);
+                }
+              });
+            }
+
+            /* ---------- LOGIN LOCKS ---------- */
+            if (path === "/login-locks" && method === "GET") {
+              return await can("users:manage", async () =>
+                res.json(await userController.getLoginLocks(req.companyId)),
+              );
+            }
+
+            if (
+              segments[0] === "login-locks" &&
+              segments.length === 2 &&
+              method === "DELETE"
+            ) {
+              const email = decodeURIComponent(segments[1]).toLowerCase();
+
+              return await can("users:manage", async () => {
+                try {
+                  return res.json(
+                      await userController.clearLoginLock(
+                          req.companyId,
+                          email,
+                          req.user,
+                      ),
+                  );
+                } catch (err) {
+                  return errorHandler(err, res);
+                }
+              });
+            }
+
+            /* ---------- API KEYS ---------- */
+            if (path === "/api-keys" && method === "GET") {
+              return await can("apikeys:manage", async () =>
+                res.json(await apiKeyController.listApiKeys(req.companyId)),
+              );
+            }
 
-            if (method === "GET") {
+            if (path === "/api-keys" && method === "POST") {
+              return await can("apikeys:manage", async () => {
+                try {
+                  const result = await apiKeyController.createApiKey(
+                      req.companyId,
+                      req.body,
+                      req.user,
+                  );
+                  return res.status(201).json(result);
+                } catch (err) {
+                  return errorHandler(err, res);
+                }
+              });
+            }
+
+            if (
+              segments[0] === "api-keys" &&
+              segments.length === 2 &&
+              method === "DELETE"
+            ) {
+              return await can("apikeys:manage", async () => {
+                try {
+                  return res.json(
+                      await apiKeyController.revokeApiKey(
+                          req.companyId,
+                          segments[1],
+                          req.user,
+                      ),
+                  );
+                } catch (err) {
+                  return errorHandler(err, res);
+                }
+              });
+            }
+
+            /* ---------- AUDIT LOG ---------- */
+            if (path === "/audit" && method === "GET") {
+              return await can("audit:view", async () =>
+                res.json(
+                    await auditController.listAuditLog(req.companyId, query),
+                ),
+              );
+            }
+
+            /* ---------- COMPANY SETTINGS ---------- */
+            if (path === "/settings" && method === "GET") {
+              return await can("settings:view", async () =>
+                res.json(await settingsController.getSettings(req.companyId)),
+              );
+            }
+
+            if (path === "/settings/invoice-numbering" && method === "PUT") {
+              return await can("settings:manage", async () => {
+                try {
+                  const result =
+                    await settingsController.updateInvoiceNumbering(
+                        req.companyId,
+                        req.body,
+                        req.user,
+                    );
+                  return res.json(result);
+                } catch (err) {
+                  return errorHandler(err, res);
+                }
+              });
+            }
+
+            if (path === "/settings/security" && method === "PUT") {
+              return await can("settings:manage", async () => {
+                try {
+                  const result =
+                    await settingsController.updateSecuritySettings(
+                        req.companyId,
+                        req.body,
+                        req.user,
+                    );
+                  return res.json(result);
+                } catch (err) {
+                  return errorHandler(err, res);
+                }
+              });
+            }
+
+            if (path === "/settings/inventory" && method === "PUT") {
+              return await can("settings:manage", async () => {
+                try {
+                  const result =
+                    await settingsController.updateInventorySettings(
+                        req.companyId,
+                        req.body,
+                        req.user,
+                    );
+                  return res.json(result);
+                } catch (err) {
+                  return errorHandler(err, res);
+                }
+              });
+            }
+
+            if (path === "/settings/replenishment" && method === "PUT") {
+              return await can("settings:manage", async () => {
+                try {
+                  const result =
+                    await settingsController.updateReplenishmentSettings(
+                        req.companyId,
+                        req.body,
+                        req.user,
+                    );
+                  return res.json(result);
+                } catch (err) {
+                  return errorHandler(err, res);
+                }
+              });
+            }
+
+            if (path === "/settings/trash" && method === "PUT") {
+              return await can("settings:manage", async () => {
+                try {
+                  const result = await settingsController.updateTrashSettings(
+                      req.companyId,
+                      req.body,
+                      req.user,
+                  );
+                  return res.json(result);
+                } catch (err) {
+                  return errorHandler(err, res);
+                }
+              });
+            }
+
+            // Anyone signed in may read the matrix (and their own permissions)
+            if (path === "/settings/permissions" && method === "GET") {
               return res.json(
-                await productController.getProductBySku(req.companyId, sku)
+                  await settingsController.getPermissions(
+                      req.companyId,
+                      req.user,
+                  ),
               );
             }
 
-            // ✅ NEW: EDIT PRODUCT ROUTE
-            if (method === "PUT") {
-              try {
-                const result = await productController.updateProduct(
-                  req.companyId,
-                  sku,
-                  req.body
+            if (path === "/settings/permissions" && method === "PUT") {
+              return await can("permissions:manage", async () => {
+                try {
+                  const result = await settingsController.updatePermissions(
+                      req.companyId,
+                      req.body,
+                      req.user,
+                  );
+                  return res.json(result);
+                } catch (err) {
+                  return errorHandler(err, res);
+                }
+              });
+            }
+
+            if (path === "/indexes/rebuild" && method === "POST") {
+              return await can("indexes:rebuild", async () => {
+                try {
+                  const result = await indexController.rebuildIndexes(
+                      req.companyId,
+                      req.body,
+                  );
+                  return res.json(result);
+                } catch (err) {
+                  return errorHandler(err, res);
+                }
+              });
+            }
+
+            if (path === "/dashboard-summary" && method === "GET") {
+              return await can("reports:view", async () =>
+                res.json(
+                    await invoiceController.getDashboardSummary(req.companyId),
+                ),
+              );
+            }
+
+            if (path === "/products") {
+              if (method === "GET") {
+                return await can("product:view", async () =>
+                  res.json(
+                      await productController.listProducts(
+                          req.companyId,
+                          query,
+                      ),
+                  ),
                 );
-                return res.json(result);
-              } catch (err) {
-                return errorHandler(err, res);
+              }
+
+              if (method === "POST") {
+                return await can("product:write", async () => {
+                  try {
+                    const result = await productController.createProduct(
+                        req.companyId,
+                        req.body,
+                    );
+                    return res.status(201).json(result);
+                  } catch (err) {
+                    return errorHandler(err, res);
+                  }
+                });
               }
             }
 
-            // ✅ NEW: DELETE PRODUCT ROUTE
-            if (method === "DELETE") {
-              try {
-                const result = await productController.deleteProduct(
-                  req.companyId,
-                  sku
+            if (segments[0] === "products" && segments.length === 2) {
+              const sku = segments[1];
+
+              if (method === "GET") {
+                return await can("product:view", async () =>
+                  res.json(
+                      await productController.getProductBySku(
+                          req.companyId,
+                          sku,
+                      ),
+                  ),
                 );
-                return res.json(result);
-              } catch (err) {
-                return errorHandler(err, res);
+              }
+
+              // ✅ NEW: EDIT PRODUCT ROUTE
+              if (method === "PUT") {
+                return await can("product:write", async () => {
+                  try {
+                    const result = await productController.updateProduct(
+                        req.companyId,
+                        sku,
+                        req.body,
+                    );
+                    return res.json(result);
+                  } catch (err) {
+                    return errorHandler(err, res);
+                  }
+                });
+              }
+
+              // ✅ NEW: DELETE PRODUCT ROUTE
+              if (method === "DELETE") {
+                return await can("product:delete", async () => {
+                  try {
+                    const result = await productController.deleteProduct(
+                        req.companyId,
+                        sku,
+                        req.user,
+                    );
+                    return res.json(result);
+                  } catch (err) {
+                    return errorHandler(err, res);
+                  }
+                });
               }
             }
-          }
 
-          /* ---------- CUSTOMERS (CRUD UPDATED) ---------- */
-          if (path === "/customers") {
-            if (method === "GET") {
-              return res.json(
-                await customerController.getAllCustomers(req.companyId)
+            /* ---------- CUSTOMERS (CRUD UPDATED) ---------- */
+            if (path === "/customers") {
+              if (method === "GET") {
+                return await can("customer:view", async () =>
+                  res.json(
+                      await customerController.listCustomers(
+                          req.companyId,
+                          query,
+                      ),
+                  ),
+                );
+              }
+
+              if (method === "POST") {
+                return await can("customer:write", async () => {
+                  try {
+                    const result = await customerController.createCustomer(
+                        req.companyId,
+                        req.body,
+                    );
+                    return res.status(201).json(result);
+                  } catch (err) {
+                    return errorHandler(err, res);
+                  }
+                });
+              }
+            }
+
+            if (segments[0] === "customers" && segments.length === 2) {
+              const customerId = segments[1];
+
+              if (method === "PUT") {
+                return await can("customer:write", async () => {
+                  try {
+                    const result = await customerController.updateCustomer(
+                        req.companyId,
+                        customerId,
+                        req.body,
+                    );
+                    return res.json(result);
+                  } catch (err) {
+                    return errorHandler(err, res);
+                  }
+                });
+              }
+
+              if (method === "DELETE") {
+                return await can("customer:delete", async () => {
+                  try {
+                    const result = await customerController.deleteCustomer(
+                        req.companyId,
+                        customerId,
+                        req.user,
+                    );
+                    return res.json(result);
+                  } catch (err) {
+                    return errorHandler(err, res);
+                  }
+                });
+              }
+            }
+
+            /* ---------- TRASH (SOFT-DELETED PRODUCTS & CUSTOMERS) ------- */
+            if (path === "/trash/purge" && method === "POST") {
+              return await can("trash:purge", async () => {
+                try {
+                  const result = await trashController.purgeExpiredTrash(
+                      req.companyId,
+                  );
+                  return res.json(result);
+                } catch (err) {
+                  return errorHandler(err, res);
+                }
+              });
+            }
+
+            if (
+              segments[0] === "trash" &&
+              segments.length === 2 &&
+              method === "GET"
+            ) {
+              return await can("trash:view", async () =>
+                res.json(
+                    await trashController.listTrash(req.companyId, segments[1]),
+                ),
               );
             }
 
-            if (method === "POST") {
-              try {
-                const result = await customerController.createCustomer(
-                  req.companyId,
-                  req.body
-                );
-                return res.status(201).json(result);
-              } catch (err) {
-                return errorHandler(err, res);
+            if (segments[0] === "trash" && segments.length >= 3) {
+              const [, type, id, action] = segments;
+
+              if (
+                action === "restore" &&
+                segments.length === 4 &&
+                method === "POST"
+              ) {
+                return await can("trash:restore", async () => {
+                  try {
+                    return res.json(
+                        await trashController.restoreFromTrash(
+                            req.companyId,
+                            type,
+                            id,
+                            req.user,
+                        ),
+                    );
+                  } catch (err) {
+                    return errorHandler(err, res);
+                  }
+                });
+              }
+
+              if (segments.length === 3 && method === "DELETE") {
+                return await can("trash:purge", async () => {
+                  try {
+                    return res.json(
+                        await trashController.purgeFromTrash(
+                            req.companyId,
+                            type,
+                            id,
+                        ),
+                    );
+                  } catch (err) {
+                    return errorHandler(err, res);
+                  }
+                });
               }
             }
-          }
 
-          if (segments[0] === "customers" && segments.length === 2) {
-            const customerId = segments[1];
+            const invIdx = segments.indexOf("invoices");
+            if (invIdx !== -1 && segments.length >= invIdx + 3) {
+              // Invoice numbers contain "/" and arrive URL-encoded
+              // (INV%2F2026-27%2F00042)
+              const invoiceNumber = decodeURIComponent(segments[invIdx + 1]);
+              const action = segments[invIdx + 2];
+
+              if (action === "cancel" && method === "POST") {
+                return await can("invoice:cancel", async () => {
+                  try {
+                    const result = await invoiceController.cancelInvoice(
+                        req.companyId,
+                        invoiceNumber,
+                    );
+                    return res.status(200).json(result);
+                  } catch (err) {
+                    return errorHandler(err, res);
+                  }
+                });
+              }
 
-            if (method === "PUT") {
-              try {
-                const result = await customerController.updateCustomer(
-                  req.companyId,
-                  customerId,
-                  req.body
-                );
-                return res.json(result);
-              } catch (err) {
-                return errorHandler(err, res);
+              if (action === "payments" && method === "POST") {
+                return await can("invoice:payment", async () => {
+                  try {
+                    const result = await invoiceController.recordPayment(
+                        req.companyId,
+                        invoiceNumber,
+                        req.body,
+                    );
+                    return res.status(201).json(result);
+                  } catch (err) {
+                    return errorHandler(err, res);
+                  }
+                });
               }
             }
 
-            if (method === "DELETE") {
-              try {
-                const result = await customerController.deleteCustomer(
-                  req.companyId,
-                  customerId
+            if (path === "/invoices") {
+              if (method === "GET") {
+                return await can("invoice:view", async () =>
+                  res.json(
+                      await invoiceController.listInvoices(
+                          req.companyId,
+                          query,
+                      ),
+                  ),
                 );
-                return res.json(result);
-              } catch (err) {
-                return errorHandler(err, res);
+              }
+
+              if (method === "POST") {
+                return await can("invoice:create", async () => {
+                  try {
+                    const result = await invoiceController.createInvoice(
+                        req.companyId,
+                        req.body,
+                    );
+                    return res.status(201).json(result);
+                  } catch (err) {
+                    return errorHandler(err, res);
+                  }
+                });
               }
             }
-          }
 
-          const invIdx = segments.indexOf("invoices");
-          if (invIdx !== -1 && segments.length >= invIdx + 3) {
-            const invoiceNumber = segments[invIdx + 1];
-            const action = segments[invIdx + 2];
+            /* ---------- SUPPLIERS & PURCHASE ORDERS ---------- */
+            if (path === "/suppliers") {
+              if (method === "GET") {
+                return await can("supplier:view", async () =>
+                  res.json(
+                      await supplierController.listSuppliers(
+                          req.companyId,
+                          query,
+                      ),
+                  ),
+                );
+              }
 
-            if (action === "cancel" && method === "POST") {
-              try {
-                const result = await invoiceController.cancelInvoice(req.companyId, invoiceNumber);
-                return res.status(200).json(result);
-              } catch (err) {
-                return errorHandler(err, res);
+              if (method === "POST") {
+                return await can("supplier:write", async () => {
+                  try {
+                    const result = await supplierController.createSupplier(
+                        req.companyId,
+                        req.body,
+                        req.user,
+                    );
+                    return res.status(201).json(result);
+                  } catch (err) {
+                    return errorHandler(err, res);
+                  }
+                });
               }
             }
 
-            if (action === "payments" && method === "POST") {
-              try {
-                const result = await invoiceController.recordPayment(
-                  req.companyId,
-                  invoiceNumber,
-                  req.body
+            if (segments[0] === "suppliers" && segments.length === 2) {
+              if (method === "GET") {
+                return await can("supplier:view", async () =>
+                  res.json(
+                      await supplierController.getSupplier(
+                          req.companyId,
+                          segments[1],
+                      ),
+                  ),
                 );
-                return res.status(201).json(result);
-              } catch (err) {
-                return errorHandler(err, res);
+              }
+
+              if (method === "PUT") {
+                return await can("supplier:write", async () => {
+                  try {
+                    return res.json(
+                        await supplierController.updateSupplier(
+                            req.companyId,
+                            segments[1],
+                            req.body,
+                        ),
+                    );
+                  } catch (err) {
+                    return errorHandler(err, res);
+                  }
+                });
               }
             }
-          }
 
-          if (path === "/invoices") {
-            if (method === "GET") {
-              return res.json(
-                await invoiceController.getAllInvoices(req.companyId)
+            if (path === "/replenishment/suggestions" && method === "GET") {
+              return await can("purchase:view", async () =>
+                res.json(
+                    await replenishmentController.getSuggestions(
+                        req.companyId,
+                        query,
+                    ),
+                ),
               );
             }
 
-            if (method === "POST") {
-              try {
-                const result = await invoiceController.createInvoice(
-                  req.companyId,
-                  req.body
+            if (path === "/replenishment/draft-orders" && method === "POST") {
+              return await can("purchase:create", async () => {
+                try {
+                  const result =
+                    await replenishmentController.createDraftOrders(
+                        req.companyId,
+                        req.body,
+                        req.user,
+                    );
+                  return res.status(201).json(result);
+                } catch (err) {
+                  return errorHandler(err, res);
+                }
+              });
+            }
+
+            if (path === "/payables" && method === "GET") {
+              return await can("supplier:view", async () =>
+                res.json(
+                    await purchaseOrderController.getPayables(
+                        req.companyId,
+                        query,
+                    ),
+                ),
+              );
+            }
+
+            if (path === "/purchase-orders") {
+              if (method === "GET") {
+                return await can("purchase:view", async () =>
+                  res.json(
+                      await purchaseOrderController.listPurchaseOrders(
+                          req.companyId,
+                          query,
+                      ),
+                  ),
                 );
-                return res.status(201).json(result);
-              } catch (err) {
-                return errorHandler(err, res);
+              }
+
+              if (method === "POST") {
+                return await can("purchase:create", async () => {
+                  try {
+                    const result =
+                      await purchaseOrderController.createPurchaseOrder(
+                          req.companyId,
+                          req.body,
+                          req.user,
+                      );
+                    return res.status(201).json(result);
+                  } catch (err) {
+                    return errorHandler(err, res);
+                  }
+                });
               }
             }
-          }
 
-          if (path === "/reports/export" && method === "GET") {
-            return res.json(
-              await reportController.getExportData(req.companyId)
-            );
-          }
+            if (segments[0] === "purchase-orders" && segments.length >= 2) {
+              // PO numbers contain "/" and arrive URL-encoded
+              // (PO%2F2026-27%2F00007)
+              const poNumber = decodeURIComponent(segments[1]);
+              const action = segments[2];
+
+              if (segments.length === 2 && method === "GET") {
+                return await can("purchase:view", async () =>
+                  res.json(
+                      await purchaseOrderController.getPurchaseOrder(
+                          req.companyId,
+                          poNumber,
+                      ),
+                  ),
+                );
+              }
 
-          if (path === "/movements" && method === "GET") {
-            return res.json(
-              await inventoryController.getAllMovements(req.companyId)
-            );
-          }
+              if (segments.length === 2 && method === "PUT") {
+                return await can("purchase:create", async () => {
+                  try {
+                    return res.json(
+                        await purchaseOrderController.updatePurchaseOrder(
+                            req.companyId,
+                            poNumber,
+                            req.body,
+                        ),
+                    );
+                  } catch (err) {
+                    return errorHandler(err, res);
+                  }
+                });
+              }
 
-          if (method === "POST" && segments.length === 2) {
-            const [operation, sku] = segments;
+              if (
+                action === "send" &&
+                segments.length === 3 &&
+                method === "POST"
+              ) {
+                return await can("purchase:create", async () => {
+                  try {
+                    return res.json(
+                        await purchaseOrderController.sendPurchaseOrder(
+                            req.companyId,
+                            poNumber,
+                        ),
+                    );
+                  } catch (err) {
+                    return errorHandler(err, res);
+                  }
+                });
+              }
 
-            if (operation === "stock-in") {
-              return res.json(
-                await inventoryController.stockIn(req.companyId, sku, req.body)
+              if (
+                action === "close" &&
+                segments.length === 3 &&
+                method === "POST"
+              ) {
+                return await can("purchase:create", async () => {
+                  try {
+                    return res.json(
+                        await purchaseOrderController.closePurchaseOrder(
+                            req.companyId,
+                            poNumber,
+                            req.body,
+                        ),
+                    );
+                  } catch (err) {
+                    return errorHandler(err, res);
+                  }
+                });
+              }
+
+              if (
+                action === "receive" &&
+                segments.length === 3 &&
+                method === "POST"
+              ) {
+                return await can("purchase:receive", async () => {
+                  try {
+                    const result = await purchaseOrderController.receiveGoods(
+                        req.companyId,
+                        poNumber,
+                        req.body,
+                        req.user,
+                    );
+                    return res.status(201).json(result);
+                  } catch (err) {
+                    return errorHandler(err, res);
+                  }
+                });
+              }
+
+              if (
+                action === "payments" &&
+                segments.length === 3 &&
+                method === "POST"
+              ) {
+                return await can("purchase:payment", async () => {
+                  try {
+                    const result =
+                      await purchaseOrderController.recordSupplierPayment(
+                          req.companyId,
+                          poNumber,
+                          req.body,
+                          req.user,
+                      );
+                    return res.status(201).json(result);
+                  } catch (err) {
+                    return errorHandler(err, res);
+                  }
+                });
+              }
+            }
+
+            if (path === "/reports/export" && method === "GET") {
+              return await can("reports:view", async () =>
+                res.json(await reportController.getExportData(req.companyId)),
               );
             }
 
-            if (operation === "stock-out") {
-              return res.json(
-                await inventoryController.stockOut(req.companyId, sku, req.body)
+            if (path === "/reports/valuation" && method === "GET") {
+              return await can("reports:view", async () =>
+                res.json(
+                    await reportController.getValuationReport(
+                        req.companyId,
+                        query,
+                    ),
+                ),
               );
             }
 
-            if (operation === "stock-adjustment") {
-              return res.json(
-                await inventoryController.stockAdjustment(req.companyId, sku, req.body)
+            if (path === "/reports/expiring" && method === "GET") {
+              return await can("reports:view", async () =>
+                res.json(
+                    await reportController.getExpiringBatches(
+                        req.companyId,
+                        query,
+                    ),
+                ),
               );
             }
-          }
 
-          return res.status(404).json({ message: "Route not found" });
-        })
-      );
+            if (path === "/movements" && method === "GET") {
+              return await can("stock:view", async () =>
+                res.json(
+                    await inventoryController.listMovements(
+                        req.companyId,
+                        query,
+                    ),
+                ),
+              );
+            }
 
-    } catch (err) {
-      console.error("API ERROR 🛑");
-      console.error(err.stack);
-      return errorHandler(err, res);
-    }
-  });
+            /* ---------- LOCATIONS ---------- */
+            if (path === "/locations" && method === "GET") {
+              return await can("stock:view", async () =>
+                res.json(await locationController.listLocations(req.companyId)),
+              );
+            }
+
+            if (path === "/locations" && method === "POST") {
+              return await can("locations:manage", async () => {
+                try {
+                  const location = await locationController.createLocation(
+                      req.companyId,
+                      req.body,
+                      req.user,
+                  );
+                  return res.status(201).json(location);
+                } catch (err) {
+                  return errorHandler(err, res);
+                }
+              });
+            }
+
+            if (
+              segments[0] === "locations" &&
+              segments.length === 2 &&
+              method === "PUT"
+            ) {
+              return await can("locations:manage", async () => {
+                try {
+                  return res.json(
+                      await locationController.updateLocation(
+                          req.companyId,
+                          segments[1],
+                          req.body,
+                          req.user,
+                      ),
+                  );
+                } catch (err) {
+                  return errorHandler(err, res);
+                }
+              });
+            }
+
+            if (
+              segments[0] === "locations" &&
+              segments[2] === "stock" &&
+              segments.length === 3 &&
+              method === "GET"
+            ) {
+              return await can("stock:view", async () =>
+                res.json(
+                    await locationController.getLocationStock(
+                        req.companyId,
+                        segments[1],
+                    ),
+                ),
+              );
+            }
+
+            if (
+              segments[0] === "movements" &&
+              segments.length === 2 &&
+              method === "GET"
+            ) {
+              return await can("stock:view", async () =>
+                res.json(
+                    await inventoryController.getSkuMovements(
+                        req.companyId,
+                        segments[1],
+                    ),
+                ),
+              );
+            }
+
+            if (method === "POST" && segments.length === 2) {
+              const [operation, sku] = segments;
+
+              if (operation === "stock-in") {
+                return await can("stock:in", async () =>
+                  res.json(
+                      await inventoryController.stockIn(
+                          req.companyId,
+                          sku,
+                          req.body,
+                      ),
+                  ),
+                );
+              }
+
+              if (operation === "stock-out") {
+                return await can("stock:out", async () =>
+                  res.json(
+                      await inventoryController.stockOut(
+                          req.companyId,
+                          sku,
+                          req.body,
+                      ),
+                  ),
+                );
+              }
+
+              if (operation === "stock-adjustment") {
+                return await can("stock:adjust", async () =>
+                  res.json(
+                      await inventoryController.stockAdjustment(
+                          req.companyId,
+                          sku,
+                          req.body,
+                      ),
+                  ),
+                );
+              }
+
+              if (operation === "stock-transfer") {
+                return await can("stock:transfer", async () =>
+                  res.json(
+                      await inventoryController.transferStock(
+                          req.companyId,
+                          sku,
+                          req.body,
+                      ),
+                  ),
+                );
+              }
+            }
+
+            return res.status(404).json({message: "Route not found"});
+          }),
+        );
+      } catch (err) {
+        console.error("API ERROR 🛑");
+        console.error(err.stack);
+        return errorHandler(err, res);
+      }
+    }),
+  );
 };
 
-module.exports = { apiHandler };
\ No newline at end of file
+module.exports = {apiHandler};
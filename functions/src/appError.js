@@ -0,0 +1,18 @@
+/**
+ * An error that carries the HTTP status to answer with
+ */
+class AppError extends Error {
+  /**
+   * @param {number} statusCode
+   * @param {string} message
+   */
+  constructor(statusCode, message) {
+    super(message);
+    this.statusCode = statusCode;
+    if (Error.captureStackTrace) {
+      Error.captureStackTrace(this, this.constructor);
+    }
+  }
+}
+
+module.exports = {AppError};
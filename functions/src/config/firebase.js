@@ -1,18 +1,42 @@
-const admin = require("firebase-admin");
+const path = require("path");
+const {createCloudBucket} = require("../storage/cloudBucket");
+const {createLocalBucket} = require("../storage/localBucket");
 
-if (!admin.apps.length) {
-  admin.initializeApp({
-    // Ensure this matches your Firebase project settings exactly
-    storageBucket: "bussiness-control-platform.firebasestorage.app" 
-  });
-}
+/**
+ * Storage backend selection:
+ *  - STORAGE_BACKEND=gcs (default): Firebase Cloud Storage bucket
+ *  - STORAGE_BACKEND=local: JSON files under LOCAL_STORAGE_DIR (offline dev
+ *    & testing)
+ */
+const STORAGE_BACKEND = (process.env.STORAGE_BACKEND || "gcs").toLowerCase();
+
+let bucket = null;
 
 /**
  * Returns the storage bucket instance.
- * Using a function ensures the admin app is initialized before access.
+ * Both backends expose the same file()/getFiles() surface, so callers never
+ * need to know which one is active.
+ * @return {Object}
  */
 const getBucket = () => {
-  return admin.storage().bucket();
+  if (bucket) return bucket;
+
+  if (STORAGE_BACKEND === "local") {
+    const rootDir =
+      process.env.LOCAL_STORAGE_DIR ||
+      path.join(process.cwd(), ".local-storage");
+    bucket = createLocalBucket(rootDir);
+  } else if (STORAGE_BACKEND === "gcs") {
+    bucket = createCloudBucket();
+  } else {
+    throw new Error(
+        `Unknown STORAGE_BACKEND "${STORAGE_BACKEND}". Use gcs or local.`,
+    );
+  }
+
+  return bucket;
 };
 
-module.exports = { getBucket };
\ No newline at end of file
+const isLocalBackend = () => STORAGE_BACKEND === "local";
+
+module.exports = {getBucket, isLocalBackend};
@@ -1,31 +1,141 @@
 const companyService = require("../services/companyService");
 const adminAuth = require("../services/adminAuthService");
-const { getBucket } = require("../config/firebase");
+const {
+  signAdminToken,
+  signAdminChallenge,
+  verifyAdminChallenge,
+  ADMIN_TOKEN_TTL,
+} = require("../services/adminTokenService");
+const {hashPassword} = require("../services/passwordService");
+const backupService = require("../services/backupService");
+const migrationRunner = require("../services/migrationRunner");
+const loginThrottle = require("../services/loginThrottleService");
+const {recordAuditEvent} = require("../services/auditService");
+const userService = require("../services/userService");
+const {describeMigrations} = require("../services/schemaMigrations");
+const {getBucket} = require("../config/firebase");
+const {AppError} = require("../appError");
 
 // Initialize bucket instance
 const bucket = getBucket();
 
-async function adminLogin(data) {
-  const { email, password } = data || {};
-  if (!email || !password) throw new Error("Email and password required");
+/**
+ * Wrong password and inactive admin fail the same way and count towards the
+ * lockout
+ * @param {Object} data
+ * @param {Object=} context
+ */
+async function adminLogin(data, context = {}) {
+  const {email, password} = data || {};
+  if (!email || !password) {
+    throw new AppError(400, "Email and password required");
+  }
+
+  const subjects = [
+    loginThrottle.adminSubject(email),
+    loginThrottle.ipSubject(context.ip),
+  ];
+  await loginThrottle.assertLoginAllowed(subjects);
 
-  const admin = await adminAuth.verifyAdmin(email, password);
-  if (!admin) throw new Error("Invalid admin credentials");
+  let admin = null;
+  try {
+    admin = await adminAuth.verifyAdmin(email, password);
+  } catch (err) {
+    if (err.message === "Admin system not configured") throw err;
+  }
 
-  if (!["ACTIVE", "ENABLED"].includes(admin.status)) {
-    throw new Error("Admin inactive");
+  if (!admin || !["ACTIVE", "ENABLED"].includes(admin.status)) {
+    await loginThrottle.recordLoginFailure(subjects);
+    throw new AppError(401, "Invalid admin credentials");
   }
 
+  await loginThrottle.recordLoginSuccess(subjects[0]);
+
+  if (adminAuth.isAdminTwoFactorEnabled()) {
+    return {
+      message: "Enter the code from your authenticator app",
+      twoFactorRequired: true,
+      challengeToken: signAdminChallenge(admin),
+    };
+  }
+
+  return issueAdminToken(admin);
+}
+
+/**
+ * Login response carrying a fresh admin token
+ * @param {Object} admin
+ * @return {Object}
+ */
+function issueAdminToken(admin) {
   return {
     message: "Admin login successful",
+    token: signAdminToken(admin),
     role: "ADMIN",
-    email: admin.email
+    email: admin.email,
+    expiresIn: ADMIN_TOKEN_TTL,
   };
 }
 
+/**
+ * Second admin login step: { challengeToken, code }
+ * @param {Object} data
+ * @param {Object=} context
+ */
+async function completeAdminTwoFactor(data, context = {}) {
+  const {challengeToken, code} = data || {};
+  if (!challengeToken || !code) {
+    throw new AppError(400, "challengeToken and code are required");
+  }
+
+  let email;
+  try {
+    ({email} = verifyAdminChallenge(challengeToken));
+  } catch (err) {
+    throw new AppError(
+        401,
+        "Two-factor challenge expired or invalid. Please log in again.",
+    );
+  }
+
+  const subjects = [
+    loginThrottle.adminSubject(email),
+    loginThrottle.ipSubject(context.ip),
+  ];
+  await loginThrottle.assertLoginAllowed(subjects);
+
+  try {
+    await adminAuth.verifyAdminCode(email, code);
+  } catch (err) {
+    if (err.statusCode === 401) {
+      await loginThrottle.recordLoginFailure(subjects);
+    }
+    throw err;
+  }
 
+  await loginThrottle.recordLoginSuccess(subjects[0]);
+  return issueAdminToken({email});
+}
+
+/**
+ * A new TOTP secret for the admin, to be set as ADMIN_TOTP_SECRET
+ * @param {Object} admin
+ * @return {Object}
+ */
+function getAdminTwoFactorSetup(admin) {
+  return {
+    message:
+      "Set ADMIN_TOTP_SECRET to this secret to require codes at admin login",
+    ...adminAuth.newAdminTwoFactorSecret(admin.email),
+  };
+}
+
+/**
+ * Creates a company with its default settings
+ * @param {Object} req
+ */
 async function createCompany(req) {
-  const { companyId, name } = req.body || {};
+  const {companyId, name} = req.body || {};
 
   if (!companyId || !name) {
     throw new Error("Company ID and name required");
@@ -34,40 +144,86 @@ async function createCompany(req) {
   await companyService.createCompany({
     companyId,
     name,
-    status: "ACTIVE",
-    createdAt: new Date().toISOString()
+    createdBy: req.admin?.email || null,
   });
 
   const infoFile = bucket.file(`companies/${companyId}/info.json`);
-  await infoFile.save(JSON.stringify({ companyId, name, created: true }), {
-    contentType: "application/json"
+  await infoFile.save(JSON.stringify({companyId, name, created: true}), {
+    contentType: "application/json",
+  });
+
+  await recordAuditEvent(companyId, {
+    action: "company.create",
+    entity: "company",
+    entityId: companyId,
+    after: await companyService.getCompanyById(companyId),
   });
 
   return {
     message: "Company created successfully",
     companyId,
     companyName: name,
-    status: "ACTIVE"
+    status: "ACTIVE",
   };
 }
 
+/**
+ * All companies on the platform
+ */
 async function listCompanies() {
   return companyService.getAllCompanies();
 }
 
-async function suspendCompany(companyId) {
+/**
+ * Sets a company's status and records who changed it
+ * @param {string} companyId
+ * @param {string} status
+ * @param {Object} admin
+ */
+async function changeCompanyStatus(companyId, status, admin) {
   if (!companyId) throw new Error("Company ID required");
-  return companyService.updateCompanyStatus(companyId, "SUSPENDED");
+
+  const before = await companyService.getCompanyById(companyId);
+  const result = await companyService.updateCompanyStatus(
+      companyId,
+      status,
+      admin?.email,
+  );
+
+  await recordAuditEvent(companyId, {
+    action: "company.status",
+    entity: "company",
+    entityId: companyId,
+    before,
+    after: result.company,
+  });
+  return result;
 }
 
-async function activateCompany(companyId) {
-  if (!companyId) throw new Error("Company ID required");
-  return companyService.updateCompanyStatus(companyId, "ACTIVE");
+/**
+ * Suspends a company, which also ends its open sessions
+ * @param {string} companyId
+ * @param {Object} admin
+ */
+async function suspendCompany(companyId, admin) {
+  return changeCompanyStatus(companyId, "SUSPENDED", admin);
 }
 
+/**
+ * Reactivates a suspended company
+ * @param {string} companyId
+ * @param {Object} admin
+ */
+async function activateCompany(companyId, admin) {
+  return changeCompanyStatus(companyId, "ACTIVE", admin);
+}
 
+/**
+ * Creates the first owner of a company
+ * @param {Object} req
+ */
 async function createOwnerUser(req) {
-  const { email, password, companyId } = req.body || {};
+  const {email, password, companyId} = req.body || {};
 
   if (!email || !password || !companyId) {
     throw new Error("Email, password and companyId required");
@@ -79,72 +235,222 @@ async function createOwnerUser(req) {
   }
 
   const safeEmail = email.toLowerCase();
-  const filePath = `companies/${companyId}/users/${safeEmail}.json`;
-  const file = bucket.file(filePath);
-
-  const [exists] = await file.exists();
-  if (exists) {
-    throw new Error("User already exists in this company");
-  }
 
-  const userData = {
+  // Create-only write: 409 if the user already exists
+  const userData = await userService.createUser(companyId, {
     email: safeEmail,
-    password,
+    password: await hashPassword(password),
     role: "OWNER",
-    companyId,
     status: "ENABLED",
-    createdAt: new Date().toISOString()
-  };
+    createdAt: new Date().toISOString(),
+    createdBy: req.admin?.email || null,
+  });
 
-  await file.save(JSON.stringify(userData, null, 2), {
-    contentType: "application/json"
+  await recordAuditEvent(companyId, {
+    action: "user.create",
+    entity: "user",
+    entityId: safeEmail,
+    after: userData,
   });
 
   return {
     message: "Owner user created successfully",
     email: safeEmail,
     companyId,
-    storagePath: filePath
+    storagePath: `companies/${companyId}/users/${safeEmail}.json`,
   };
 }
 
-async function updateUserStatus(email, status, companyId) {
+/**
+ * Enables or disables a user and ends their sessions when disabled
+ * @param {string} email
+ * @param {string} status
+ * @param {string} companyId
+ * @param {Object} admin
+ */
+async function updateUserStatus(email, status, companyId, admin) {
   if (!email || !companyId || !["ENABLED", "DISABLED"].includes(status)) {
     throw new Error("Email, Company ID, and valid status required");
   }
 
   const safeEmail = email.toLowerCase();
-  const filePath = `companies/${companyId}/users/${safeEmail}.json`;
-  const file = bucket.file(filePath);
 
-  const [exists] = await file.exists();
-  if (!exists) {
-    throw new Error("User not found in this company");
-  }
+  // Generation-checked, so a concurrent password or 2FA change is not
+  // overwritten
+  const {before, after: user} = await userService.modifyUser(
+      companyId,
+      safeEmail,
+      () => {
+        const now = new Date().toISOString();
+        return {
+          status,
+          statusChangedBy: admin?.email || null,
+          ...(status === "DISABLED" && {sessionsRevokedAt: now}),
+        };
+      },
+  );
 
-  const [buf] = await file.download();
-  const user = JSON.parse(buf.toString());
-
-  user.status = status;
-  user.updatedAt = new Date().toISOString();
-
-  await file.save(JSON.stringify(user, null, 2), {
-    contentType: "application/json"
+  await recordAuditEvent(companyId, {
+    action: "user.status",
+    entity: "user",
+    entityId: safeEmail,
+    before,
+    after: user,
   });
 
+  const verb = status === "ENABLED" ? "activated" : "suspended";
   return {
-    message: `User ${status === "ENABLED" ? "activated" : "suspended"} successfully`,
+    message: `User ${verb} successfully`,
     email: safeEmail,
-    status: user.status
+    status: user.status,
   };
 }
 
+/**
+ * Takes a backup of every file of the company
+ * @param {string} companyId
+ * @param {Object} admin
+ */
+async function backupCompany(companyId, admin) {
+  if (!companyId) throw new Error("Company ID required");
+  const backup = await backupService.createBackup(companyId, {
+    createdBy: admin?.email || null,
+  });
+
+  await recordAuditEvent(companyId, {
+    action: "company.backup",
+    entity: "backup",
+    entityId: backup.backupId,
+  });
+  return backup;
+}
+
+/**
+ * Backups taken for the company, newest first
+ * @param {string} companyId
+ */
+async function listCompanyBackups(companyId) {
+  if (!companyId) throw new Error("Company ID required");
+  return backupService.listBackups(companyId);
+}
+
+/**
+ * A stored backup archive
+ * @param {string} companyId
+ * @param {string} backupId
+ */
+async function downloadCompanyBackup(companyId, backupId) {
+  return backupService.getBackup(companyId, backupId);
+}
+
+/**
+ * Body: { archive } or { sourceCompanyId, backupId }, optional name for a new
+ * company
+ * @param {string} targetCompanyId
+ * @param {Object} req
+ */
+async function restoreCompany(targetCompanyId, req) {
+  const result = await backupService.restoreBackup(
+      targetCompanyId,
+      req.body || {},
+      {
+        restoredBy: req.admin?.email || null,
+      },
+  );
+
+  await recordAuditEvent(targetCompanyId, {
+    action: "company.restore",
+    entity: "backup",
+    entityId: result.backupId,
+  });
+  return result;
+}
+
+/**
+ * Current account, admin and IP lockouts
+ */
+async function listLoginLocks() {
+  return loginThrottle.listPlatformLocks();
+}
+
+/**
+ * Body: { scope: "account" | "admin" | "ip", companyId?, email?, ip? }
+ * @param {Object} req
+ */
+async function clearLoginLock(req) {
+  const {scope, companyId, email, ip} = req.body || {};
+
+  let subject;
+  if (scope === "account" && companyId && email) {
+    subject = loginThrottle.accountSubject(companyId, email);
+  } else if (scope === "admin" && email) {
+    subject = loginThrottle.adminSubject(email);
+  } else if (scope === "ip" && ip) {
+    subject = loginThrottle.ipSubject(ip);
+  } else {
+    throw new AppError(
+        400,
+        "scope must be account (companyId, email), admin (email) or ip (ip)",
+    );
+  }
+
+  const cleared = await loginThrottle.clearAttempts(subject);
+  if (!cleared) {
+    throw new AppError(404, "No failed logins recorded for this subject");
+  }
+
+  // Admin and IP locks belong to no company, so only account unlocks have an
+  // audit trail to go in
+  if (subject.kind === "account") {
+    await recordAuditEvent(companyId, {
+      action: "user.login-unlock",
+      entity: "user",
+      entityId: subject.email,
+    });
+  }
+  return {message: "Login lock cleared", subject};
+}
+
+/**
+ * Every schema migration with its target version
+ * @return {Object}
+ */
+function listMigrations() {
+  return describeMigrations();
+}
+
+/**
+ * Body: { companyId?, dryRun? } - without companyId every company is migrated
+ * @param {Object} req
+ */
+async function runMigrations(req) {
+  const {companyId, dryRun = false} = req.body || {};
+
+  if (companyId) {
+    const company = await companyService.getCompanyById(companyId);
+    if (!company) throw new Error("Company not found");
+    return migrationRunner.migrateCompany(companyId, {dryRun: Boolean(dryRun)});
+  }
+
+  return migrationRunner.migrateAllCompanies({dryRun: Boolean(dryRun)});
+}
+
 module.exports = {
   adminLogin,
+  completeAdminTwoFactor,
+  getAdminTwoFactorSetup,
   createCompany,
   listCompanies,
   suspendCompany,
   activateCompany,
   createOwnerUser,
-  updateUserStatus
-};
\ No newline at end of file
+  updateUserStatus,
+  backupCompany,
+  listCompanyBackups,
+  downloadCompanyBackup,
+  restoreCompany,
+  listLoginLocks,
+  clearLoginLock,
+  listMigrations,
+  runMigrations,
+};
@@ -0,0 +1,114 @@
+const {AppError} = require("./productController");
+const apiKeyService = require("../services/apiKeyService");
+const {recordAuditEvent} = require("../services/auditService");
+
+const MAX_EXPIRY_DAYS = 3650;
+
+/**
+ * Body: { name, permissions: ["product:view", "stock:out"],
+ *   expiresAt? | expiresInDays? }
+ * @param {string} companyId
+ * @param {Object} data
+ * @param {Object} requester
+ */
+async function createApiKey(companyId, data, requester) {
+  const {name, permissions, expiresAt, expiresInDays} = data || {};
+
+  if (!name || !String(name).trim()) {
+    throw new AppError(400, "A key name is required");
+  }
+
+  const problems = apiKeyService.validateKeyPermissions(permissions);
+  if (problems.length > 0) throw new AppError(400, problems.join("; "));
+
+  const beyond = await apiKeyService.permissionsBeyondRole(
+      companyId,
+      requester?.role,
+      permissions,
+  );
+  if (beyond.length > 0) {
+    throw new AppError(
+        403,
+        `You cannot grant permissions you do not hold: ${beyond.join(", ")}`,
+    );
+  }
+
+  let expiry = null;
+  if (expiresInDays != null) {
+    const days = Number(expiresInDays);
+    if (!Number.isInteger(days) || days < 1 || days > MAX_EXPIRY_DAYS) {
+      throw new AppError(
+          400,
+          "expiresInDays must be a whole number between 1 and " +
+            MAX_EXPIRY_DAYS,
+      );
+    }
+    expiry = new Date(Date.now() + days * 24 * 60 * 60 * 1000);
+  } else if (expiresAt != null) {
+    expiry = new Date(expiresAt);
+    if (Number.isNaN(expiry.getTime()) || expiry <= new Date()) {
+      throw new AppError(400, "expiresAt must be a future date");
+    }
+  }
+
+  const {key, apiKey} = await apiKeyService.createApiKey(
+      companyId,
+      {
+        name: String(name).trim(),
+        permissions,
+        expiresAt: expiry ? expiry.toISOString() : null,
+      },
+      requester?.email,
+  );
+
+  await recordAuditEvent(companyId, {
+    action: "apikey.create",
+    entity: "apikey",
+    entityId: apiKey.id,
+    after: apiKey,
+  });
+
+  return {
+    message: "API key created. Store it now: it cannot be shown again.",
+    key,
+    apiKey,
+  };
+}
+
+/**
+ * Lists the company's API keys without their secrets
+ * @param {string} companyId
+ */
+async function listApiKeys(companyId) {
+  return apiKeyService.listApiKeys(companyId);
+}
+
+/**
+ * Revokes a key; requests using it fail from then on
+ * @param {string} companyId
+ * @param {string} keyId
+ * @param {Object} requester
+ */
+async function revokeApiKey(companyId, keyId, requester) {
+  const {before, after} = await apiKeyService.revokeApiKey(
+      companyId,
+      keyId,
+      requester?.email,
+  );
+
+  await recordAuditEvent(companyId, {
+    action: "apikey.revoke",
+    entity: "apikey",
+    entityId: keyId,
+    before,
+    after,
+  });
+
+  return {message: "API key revoked", apiKey: after};
+}
+
+module.exports = {
+  createApiKey,
+  listApiKeys,
+  revokeApiKey,
+};
@@ -0,0 +1,15 @@
+const {AppError} = require("./productController");
+const {listAuditEvents} = require("../services/auditService");
+
+/**
+ * Query: actor, role, action, entity, entityId, requestId, route, from, to
+ * + list paging
+ * @param {string} companyId
+ * @param {Object=} query
+ */
+async function listAuditLog(companyId, query = {}) {
+  if (!companyId) throw new AppError(400, "Company ID is required");
+  return listAuditEvents(companyId, query);
+}
+
+module.exports = {listAuditLog};
@@ -1,213 +1,447 @@
-const { getBucket } = require("../config/firebase");
-const { AppError } = require("./productController"); 
+const {getBucket} = require("../config/firebase");
+const {AppError} = require("./productController");
 const companyService = require("../services/companyService");
+const {
+  applyListQuery,
+  includesText,
+  equalsText,
+} = require("../services/listQuery");
+const {
+  readIndex,
+  upsertIndexEntry,
+  removeIndexEntry,
+} = require("../services/indexService");
+const {
+  readJsonVersioned,
+  updateJsonWithRetry,
+} = require("../storage/versionedJson");
+const {
+  stampSchemaVersion,
+  upgraderFor,
+} = require("../services/schemaMigrations");
+const {recordAuditEvent} = require("../services/auditService");
 const bucket = getBucket();
 
+/**
+ * Fails unless the company exists and is active
+ * @param {string} companyId
+ */
 async function validateCompanyAccess(companyId) {
-    if (!companyId) throw new AppError(400, "Company ID is required.");
+  if (!companyId) throw new AppError(400, "Company ID is required.");
 
-    const company = await companyService.getCompanyById(companyId);
+  const company = await companyService.getCompanyById(companyId);
 
-    if (!company) {
-        throw new AppError(404, "Access Denied: Company record not found.");
-    }
+  if (!company) {
+    throw new AppError(404, "Access Denied: Company record not found.");
+  }
 
-    // Ensure only active companies can add data
-    if (company.status === "SUSPENDED") {
-        throw new AppError(403, "Access Denied: Account suspended.");
-    }
-    
-    return company; 
+  // Ensure only active companies can add data
+  if (company.status === "SUSPENDED") {
+    throw new AppError(403, "Access Denied: Account suspended.");
+  }
+
+  return company;
 }
 
 const getCustomerFile = (companyId, customerId) =>
-    bucket.file(`companies/${companyId}/customers/${customerId}.json`);
+  bucket.file(`companies/${companyId}/customers/${customerId}.json`);
 
+/**
+ * Checks the GSTIN format (15 characters with the Z check position)
+ * @param {string} gst
+ * @return {boolean}
+ */
 function isValidGST(gst) {
-    const pattern = /^[0-9]{2}[A-Z]{5}[0-9]{4}[A-Z]{1}[1-9A-Z]{1}Z[0-9A-Z]{1}$/;
-    return pattern.test(gst.toUpperCase());
+  const pattern = /^[0-9]{2}[A-Z]{5}[0-9]{4}[A-Z]{1}[1-9A-Z]{1}Z[0-9A-Z]{1}$/;
+  return pattern.test(gst.toUpperCase());
 }
 
+/**
+ * Checks for a 10-digit Indian mobile number
+ * @param {string} phone
+ * @return {boolean}
+ */
 function isValidPhone(phone) {
-    const pattern = /^[6-9]\d{9}$/;
-    return pattern.test(phone);
+  const pattern = /^[6-9]\d{9}$/;
+  return pattern.test(phone);
 }
 
+/**
+ * Checks for a plausible email address
+ * @param {string} email
+ * @return {boolean}
+ */
 function isValidEmail(email) {
-    const pattern = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
-    return pattern.test(email);
+  const pattern = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+  return pattern.test(email);
 }
 
-// Helper to validate 6-digit Indian Pincode
+/**
+ * Helper to validate 6-digit Indian Pincode
+ * @param {string} pincode
+ * @return {boolean}
+ */
 function isValidPincode(pincode) {
-    const pattern = /^[1-9][0-9]{5}$/;
-    return pattern.test(pincode);
+  const pattern = /^[1-9][0-9]{5}$/;
+  return pattern.test(pincode);
 }
 
+/**
+ * Creates a customer; phone and GST must be unique among active customers
+ * @param {string} companyId
+ * @param {Object} data
+ */
 async function createCustomer(companyId, data) {
-    // 1. Verify company exists and is active
-    await validateCompanyAccess(companyId);
-
-    const { 
-        name, 
-        phone, 
-        email = "", 
-        address = "", 
-        district = "", 
-        pincode = "", 
-        gst = "" 
-    } = data || {};
-
-    // 2. Data Validation
-    if (!name || !phone) {
-        throw new AppError(400, "Missing required fields: Name and Phone.");
-    }
-
-    // 2b. Optional GST Format Check
-    if (gst && !isValidGST(gst)) {
-        throw new AppError(400, "Invalid GST Number format. Must be 15 characters.");
-    }
-
-    // 2c. Phone Format Check
-    if (!isValidPhone(phone)) {
-        throw new AppError(400, "Invalid Phone Number. Please provide a 10-digit mobile number.");
-    }
-
-    // 2d. Pincode Format Check (Optional but validated if provided)
-    if (pincode && !isValidPincode(pincode)) {
-        throw new AppError(400, "Invalid Pincode. Please provide a valid 6-digit number.");
+  // 1. Verify company exists and is active
+  await validateCompanyAccess(companyId);
+
+  const {
+    name,
+    phone,
+    email = "",
+    address = "",
+    district = "",
+    pincode = "",
+    gst = "",
+  } = data || {};
+
+  // 2. Data Validation
+  if (!name || !phone) {
+    throw new AppError(400, "Missing required fields: Name and Phone.");
+  }
+
+  // 2b. Optional GST Format Check
+  if (gst && !isValidGST(gst)) {
+    throw new AppError(
+        400,
+        "Invalid GST Number format. Must be 15 characters.",
+    );
+  }
+
+  // 2c. Phone Format Check
+  if (!isValidPhone(phone)) {
+    throw new AppError(
+        400,
+        "Invalid Phone Number. Please provide a 10-digit mobile number.",
+    );
+  }
+
+  // 2d. Pincode Format Check (Optional but validated if provided)
+  if (pincode && !isValidPincode(pincode)) {
+    throw new AppError(
+        400,
+        "Invalid Pincode. Please provide a valid 6-digit number.",
+    );
+  }
+
+  // 2e. Email Format Check
+  if (email && !isValidEmail(email)) {
+    throw new AppError(400, "Invalid Email Address format.");
+  }
+
+  const normalizedGST = gst ? gst.toUpperCase() : "";
+
+  // 3. Duplicate Check (Only if GST is provided)
+  if (normalizedGST) {
+    const existingCustomers = await getAllCustomers(companyId);
+    if (existingCustomers.some((c) => c.gst === normalizedGST)) {
+      throw new AppError(409, "A customer with this GST already exists.");
     }
+  }
+
+  const customerId = `CUST-${Date.now()}`;
+
+  const customer = stampSchemaVersion("customers", {
+    companyId,
+    id: customerId,
+    name,
+    phone,
+    email,
+    address,
+    district,
+    pincode,
+    gst: normalizedGST,
+    status: "ENABLED",
+    createdAt: new Date().toISOString(),
+  });
+
+  try {
+    await getCustomerFile(companyId, customerId).save(
+        JSON.stringify(customer, null, 2),
+        {contentType: "application/json", resumable: false},
+    );
+  } catch (error) {
+    throw new AppError(500, "Failed to save customer data.");
+  }
+
+  await upsertIndexEntry(companyId, "customers", customer);
+  await recordAuditEvent(companyId, {
+    action: "customer.create",
+    entity: "customer",
+    entityId: customerId,
+    after: customer,
+  });
+  return {success: true, message: "Customer created successfully.", customer};
+}
 
-    // 2e. Email Format Check
-    if (email && !isValidEmail(email)) {
-        throw new AppError(400, "Invalid Email Address format.");
-    }
+/**
+ * Updates a customer's contact and billing details
+ * @param {string} companyId
+ * @param {string} customerId
+ * @param {Object} data
+ */
+async function updateCustomer(companyId, customerId, data) {
+  await validateCompanyAccess(companyId);
+
+  const {name, phone, email, address, district, pincode, gst, status} = data;
+
+  // Validate updates if provided
+  if (gst && !isValidGST(gst)) throw new AppError(400, "Invalid GST format.");
+  if (phone && !isValidPhone(phone)) {
+    throw new AppError(400, "Invalid Phone number.");
+  }
+  if (pincode && !isValidPincode(pincode)) {
+    throw new AppError(400, "Invalid Pincode.");
+  }
+
+  // Generation-checked, so an update racing a delete cannot undo it
+  let existingData = null;
+  const updatedCustomer = await updateJsonWithRetry(
+      getCustomerFile(companyId, customerId),
+      (customer) => {
+        existingData = customer;
+        if (!customer) throw new AppError(404, "Customer not found.");
+        if (customer.deletedAt) {
+          throw new AppError(
+              404,
+              "Customer is in the trash. Restore it first.",
+          );
+        }
 
-    const normalizedGST = gst ? gst.toUpperCase() : "";
+        return {
+          ...customer,
+          name: name || customer.name,
+          phone: phone || customer.phone,
+          email: email !== undefined ? email : customer.email,
+          address: address !== undefined ? address : customer.address,
+          district: district !== undefined ? district : customer.district,
+          pincode: pincode !== undefined ? pincode : customer.pincode,
+          gst: gst ? gst.toUpperCase() : customer.gst,
+          status: status || customer.status,
+          updatedAt: new Date().toISOString(),
+        };
+      },
+      {upgrade: upgraderFor("customers")},
+  );
+
+  await upsertIndexEntry(companyId, "customers", updatedCustomer);
+  await recordAuditEvent(companyId, {
+    action: "customer.update",
+    entity: "customer",
+    entityId: customerId,
+    before: existingData,
+    after: updatedCustomer,
+  });
+  return {
+    success: true,
+    message: "Customer updated successfully.",
+    customer: updatedCustomer,
+  };
+}
 
-    // 3. Duplicate Check (Only if GST is provided)
-    if (normalizedGST) {
-        const existingCustomers = await getAllCustomers(companyId);
-        if (existingCustomers.some(c => c.gst === normalizedGST)) {
-            throw new AppError(409, "A customer with this GST already exists.");
+/**
+ * Deleting archives the customer so it can be restored from the trash
+ * @param {string} companyId
+ * @param {string} customerId
+ * @param {Object} requester
+ */
+async function deleteCustomer(companyId, customerId, requester) {
+  await validateCompanyAccess(companyId);
+
+  let before = null;
+  const archived = await updateJsonWithRetry(
+      getCustomerFile(companyId, customerId),
+      (customer) => {
+        before = customer;
+        if (!customer || customer.deletedAt) {
+          throw new AppError(404, "Customer not found.");
         }
-    }
 
-    const customerId = `CUST-${Date.now()}`;
-
-    const customer = {
-        companyId, 
-        id: customerId,
-        name,
-        phone,
-        email,
-        address,
-        district, 
-        pincode,  
-        gst: normalizedGST,
-        status: "ENABLED",
-        createdAt: new Date().toISOString(),
-    };
-
-    try {
-        await getCustomerFile(companyId, customerId).save(
-            JSON.stringify(customer, null, 2),
-            { contentType: "application/json", resumable: false }
-        );
-
-        return { success: true, message: "Customer created successfully.", customer };
-    } catch (error) {
-        throw new AppError(500, "Failed to save customer data.");
-    }
+        return {
+          ...customer,
+          deletedAt: new Date().toISOString(),
+          deletedBy: requester?.email || null,
+          updatedAt: new Date().toISOString(),
+        };
+      },
+      {upgrade: upgraderFor("customers")},
+  );
+
+  await upsertIndexEntry(companyId, "customers", archived);
+  await recordAuditEvent(companyId, {
+    action: "customer.delete",
+    entity: "customer",
+    entityId: customerId,
+    before,
+    after: archived,
+  });
+  return {
+    success: true,
+    message: "Customer moved to trash.",
+    deletedAt: archived.deletedAt,
+  };
 }
 
-async function updateCustomer(companyId, customerId, data) {
-    await validateCompanyAccess(companyId);
-
-    const file = getCustomerFile(companyId, customerId);
-    const [exists] = await file.exists();
-    if (!exists) throw new AppError(404, "Customer not found.");
-
-    const [content] = await file.download();
-    const existingData = JSON.parse(content.toString());
-
-    const { name, phone, email, address, district, pincode, gst, status } = data;
-
-    // Validate updates if provided
-    if (gst && !isValidGST(gst)) throw new AppError(400, "Invalid GST format.");
-    if (phone && !isValidPhone(phone)) throw new AppError(400, "Invalid Phone number.");
-    if (pincode && !isValidPincode(pincode)) throw new AppError(400, "Invalid Pincode.");
-
-    const updatedCustomer = {
-        ...existingData,
-        name: name || existingData.name,
-        phone: phone || existingData.phone,
-        email: email !== undefined ? email : existingData.email,
-        address: address !== undefined ? address : existingData.address,
-        district: district !== undefined ? district : existingData.district, // Updated
-        pincode: pincode !== undefined ? pincode : existingData.pincode,    // Updated
-        gst: gst ? gst.toUpperCase() : existingData.gst,
-        status: status || existingData.status,
-        updatedAt: new Date().toISOString()
-    };
-
-    try {
-        await file.save(JSON.stringify(updatedCustomer, null, 2), {
-            contentType: "application/json",
-            resumable: false
-        });
-        return { success: true, message: "Customer updated successfully.", customer: updatedCustomer };
-    } catch (error) {
-        throw new AppError(500, "Failed to update customer data.");
-    }
+/**
+ * Customers currently in the trash
+ * @param {string} companyId
+ */
+async function getDeletedCustomers(companyId) {
+  const customers = await getAllCustomers(companyId, {includeDeleted: true});
+  return customers.filter((c) => c.deletedAt);
 }
 
-async function deleteCustomer(companyId, customerId) {
-    await validateCompanyAccess(companyId);
-
-    const file = getCustomerFile(companyId, customerId);
-    const [exists] = await file.exists();
+/**
+ * Restores a trashed customer unless its GST has been reused since
+ * @param {string} companyId
+ * @param {string} customerId
+ * @param {Object} requester
+ */
+async function restoreCustomer(companyId, customerId, requester) {
+  await validateCompanyAccess(companyId);
+
+  const activeCustomers = await getAllCustomers(companyId);
+
+  let before = null;
+  const restored = await updateJsonWithRetry(
+      getCustomerFile(companyId, customerId),
+      (customer) => {
+        before = customer;
+        if (!customer) throw new AppError(404, "Customer not found.");
+        if (!customer.deletedAt) {
+          throw new AppError(400, "Customer is not in the trash.");
+        }
 
-    if (!exists) throw new AppError(404, "Customer not found.");
+        // A new customer may have taken this GST while the old record was
+        // archived
+        if (
+          customer.gst &&
+          activeCustomers.some((c) => c.gst === customer.gst)
+        ) {
+          throw new AppError(
+              409,
+              "An active customer with this GST already exists.",
+          );
+        }
 
-    try {
-        await file.delete();
-        return { success: true, message: "Customer deleted successfully." };
-    } catch (error) {
-        throw new AppError(500, "Failed to delete customer.");
-    }
+        const rest = {...customer};
+        delete rest.deletedAt;
+        delete rest.deletedBy;
+        return {
+          ...rest,
+          restoredAt: new Date().toISOString(),
+          restoredBy: requester?.email || null,
+          updatedAt: new Date().toISOString(),
+        };
+      },
+      {upgrade: upgraderFor("customers")},
+  );
+
+  await upsertIndexEntry(companyId, "customers", restored);
+  await recordAuditEvent(companyId, {
+    action: "customer.restore",
+    entity: "customer",
+    entityId: customerId,
+    before,
+    after: restored,
+  });
+  return {success: true, message: "Customer restored.", customer: restored};
 }
 
-async function getAllCustomers(companyId) {
-    await validateCompanyAccess(companyId);
-
-    const [files] = await bucket.getFiles({
-        prefix: `companies/${companyId}/customers/`,
-    });
+/**
+ * Permanent removal; callers enforce the trash retention period
+ * @param {string} companyId
+ * @param {string} customerId
+ */
+async function purgeCustomer(companyId, customerId) {
+  await validateCompanyAccess(companyId);
+
+  const file = getCustomerFile(companyId, customerId);
+  const [exists] = await file.exists();
+  if (!exists) throw new AppError(404, "Customer not found.");
+
+  const {data: before} = await readJsonVersioned(file).catch(() => ({
+    data: null,
+  }));
+
+  try {
+    await file.delete();
+  } catch (error) {
+    throw new AppError(500, "Failed to purge customer.");
+  }
+
+  await removeIndexEntry(companyId, "customers", customerId);
+  await recordAuditEvent(companyId, {
+    action: "customer.purge",
+    entity: "customer",
+    entityId: customerId,
+    before,
+  });
+  return {success: true, message: "Customer purged permanently."};
+}
 
-    if (files.length === 0) return [];
+/**
+ * Customers from the index, without trashed ones unless includeDeleted
+ * @param {string} companyId
+ * @param {Object} options
+ */
+async function getAllCustomers(companyId, {includeDeleted = false} = {}) {
+  await validateCompanyAccess(companyId);
 
-    const customerPromises = files
-        .filter(file => file.name.endsWith(".json"))
-        .map(async (file) => {
-            try {
-                const [content] = await file.download();
-                return JSON.parse(content.toString());
-            } catch (err) {
-                return null; 
-            }
-        });
+  const customers = await readIndex(companyId, "customers");
 
-    const customers = await Promise.all(customerPromises);
+  return customers
+      .filter((c) => c !== null && c.companyId === companyId)
+      .filter((c) => includeDeleted || !c.deletedAt)
+      .sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt));
+}
 
-    return customers
-        .filter(c => c !== null && c.companyId === companyId)
-        .sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt));
+/**
+ * One page of customers, filtered and sorted by the query
+ * @param {string} companyId
+ * @param {Object=} query
+ */
+async function listCustomers(companyId, query = {}) {
+  const customers = await getAllCustomers(companyId);
+
+  return applyListQuery(customers, query, {
+    keyOf: (c) => c.id,
+    dateField: "createdAt",
+    sortable: ["createdAt", "name", "district", "status"],
+    defaultSort: "createdAt",
+    filters: {
+      status: equalsText("status"),
+      district: equalsText("district"),
+      gst: equalsText("gst"),
+      q: (c, value) =>
+        ["name", "phone", "email"].some((field) =>
+          includesText(field)(c, value),
+        ),
+    },
+  });
 }
 
 module.exports = {
-    createCustomer,
-    updateCustomer,
-    deleteCustomer,
-    getAllCustomers,
-};
\ No newline at end of file
+  createCustomer,
+  updateCustomer,
+  deleteCustomer,
+  getAllCustomers,
+  listCustomers,
+  getDeletedCustomers,
+  restoreCustomer,
+  purgeCustomer,
+  isValidGST,
+  isValidPhone,
+  isValidEmail,
+  isValidPincode,
+};
@@ -0,0 +1,38 @@
+const {AppError} = require("./productController");
+const {
+  INDEXES,
+  rebuildIndex,
+  rebuildAllIndexes,
+} = require("../services/indexService");
+const {recordAuditEvent} = require("../services/auditService");
+
+/**
+ * Rebuilds one list index, or all of them when no entity is given
+ * @param {string} companyId
+ * @param {Object} data
+ */
+async function rebuildIndexes(companyId, data) {
+  const {entity} = data || {};
+
+  if (entity && !INDEXES[entity]) {
+    throw new AppError(
+        400,
+        `Unknown index "${entity}". ` +
+          `Use one of: ${Object.keys(INDEXES).join(", ")}`,
+    );
+  }
+
+  const results = entity ?
+    [await rebuildIndex(companyId, entity)] :
+    await rebuildAllIndexes(companyId);
+
+  await recordAuditEvent(companyId, {
+    action: "indexes.rebuild",
+    entity: "index",
+    entityId: entity || "all",
+  });
+
+  return {message: "Indexes rebuilt", indexes: results};
+}
+
+module.exports = {rebuildIndexes};
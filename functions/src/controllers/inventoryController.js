@@ -1,40 +1,163 @@
-const { getBucket } = require("../config/firebase");
-const { getProductBySku, updateProduct, AppError } = require("./productController");
-
-// Initialize bucket instance
-const bucket = getBucket();
-
-const getMovementFile = (companyId, sku) =>
-  bucket.file(`companies/${companyId}/movements/${sku}.json`);
+const crypto = require("crypto");
+const {modifyProduct, AppError} = require("./productController");
+const {equalsText} = require("../services/listQuery");
+const {readRecords} = require("../services/indexService");
+const {
+  appendMovement,
+  readSkuMovements,
+  readMovementPage,
+} = require("../services/movementJournal");
+const {assertActiveLocation} = require("../services/locationService");
+const {
+  normalizeLocationCode,
+  quantityAt,
+  applyLocationDeltas,
+} = require("../services/stockLocations");
+const {
+  today,
+  normalizeBatchDate,
+  normalizeBatchNumber,
+  allocateBatches,
+  removeBatches,
+  addBatch,
+  findBatch,
+} = require("../services/stockBatches");
+const {addCostLayer, costIssue, unitValueOf} = require("../services/costing");
+const {getCompanySettings} = require("../services/settingsService");
+
+const getCostingMethod = async (companyId) =>
+  (await getCompanySettings(companyId)).inventory.costingMethod;
+
+/*
+ * Stock functions take request data as their third argument and internal
+ * options as a fourth one that routes never pass:
+ *   reversal  the stock is going back where it came from (an invoice
+ *             rollback or cancellation), so it may land in a location closed
+ *             since and keeps the cost it left with, and an expired batch may
+ *             be taken back
+ */
+
+const resolveLocation = (companyId, location, reversal = false) =>
+  reversal ?
+    normalizeLocationCode(location) :
+    assertActiveLocation(companyId, location);
+
+const locationError = (message) =>
+  new AppError(400, `Stock out failed: ${message}`);
+
+/**
+ * Validates the date given for a movement; null when none was given
+ * @param {*} date
+ * @return {?string}
+ */
+function readMovementDate(date) {
+  if (!date) return null;
+
+  const parsed = new Date(date);
+  if (Number.isNaN(parsed.getTime())) {
+    throw new AppError(400, "Date must be a valid date");
+  }
+  return parsed.toISOString();
+}
 
-async function recordMovement(
-  companyId,
-  product,
-  { type, quantity, costPerUnit = null, note = "", date = null }
+/**
+ * Validates the batch fields of a receipt; returns null for untracked stock
+ * @param {Object} options
+ * @param {boolean=} reversal
+ * @return {Object}
+ */
+function readBatchInput(
+    {batchNumber, manufactureDate, expiryDate},
+    reversal = false,
 ) {
-  if (!companyId) throw new AppError(400, "Company ID is required");
+  const number = normalizeBatchNumber(batchNumber);
+  const mfg = normalizeBatchDate(manufactureDate);
+  const expiry = normalizeBatchDate(expiryDate);
 
-  const file = getMovementFile(companyId, product.sku);
-  let history = [];
-
-  try {
-    const [exists] = await file.exists();
-    if (exists) {
-      const [contents] = await file.download();
-      try {
-        history = JSON.parse(contents.toString());
-      } catch (err) {
-        console.error(
-          `Corrupted movement file for ${product.sku}, starting fresh.`
-        );
-      }
+  if (!number) {
+    if (mfg || expiry) {
+      throw new AppError(
+          400,
+          "A batch number is required with manufacture or expiry dates",
+      );
     }
-  } catch (err) {
-    console.error(
-      `Error reading movement file for ${product.sku}:`,
-      err.message
+    return null;
+  }
+  if (mfg === undefined || expiry === undefined) {
+    throw new AppError(400, "Batch dates must be valid dates (YYYY-MM-DD)");
+  }
+  if (mfg && expiry && expiry < mfg) {
+    throw new AppError(
+        400,
+        "Expiry date cannot be before the manufacture date",
     );
   }
+  if (expiry && expiry < today() && !reversal) {
+    throw new AppError(
+        400,
+        `Batch ${number} expired on ${expiry} and cannot be received`,
+    );
+  }
+
+  return {batchNumber: number, manufactureDate: mfg, expiryDate: expiry};
+}
+
+/**
+ * Adds a received batch, keeping the dates a known batch number already has
+ * @param {Object} product
+ * @param {string} location
+ * @param {Object} batch
+ * @param {number} quantity
+ * @return {Object}
+ */
+function receiveBatch(product, location, batch, quantity) {
+  const known = findBatch(product, batch.batchNumber);
+
+  if (
+    known &&
+    batch.expiryDate &&
+    known.expiryDate &&
+    batch.expiryDate !== known.expiryDate
+  ) {
+    throw new AppError(
+        400,
+        `Batch ${batch.batchNumber} is already recorded with expiry ` +
+          known.expiryDate,
+    );
+  }
+
+  return addBatch(product, location, {
+    batchNumber: batch.batchNumber,
+    quantity,
+    manufactureDate: batch.manufactureDate || known?.manufactureDate || null,
+    expiryDate: batch.expiryDate || known?.expiryDate || null,
+  });
+}
+
+/**
+ * Appends a stock movement to the journal
+ * @param {string} companyId
+ * @param {Object} product
+ * @param {Object} options
+ */
+async function recordMovement(
+    companyId,
+    product,
+    {
+      type,
+      quantity,
+      location,
+      costPerUnit = null,
+      costOfGoods = null,
+      note = "",
+      date = null,
+      transferId = null,
+      reference = null,
+      batches = [],
+      reversal = false,
+    },
+) {
+  if (!companyId) throw new AppError(400, "Company ID is required");
 
   // Auto-generate note if empty
   if (!note) {
@@ -43,209 +166,532 @@ async function recordMovement(
     else if (type === "Stock In") note = `Stock added`;
   }
 
+  const locationCode = normalizeLocationCode(location);
+
   const auditNote =
-    type === "Stock In"
-      ? `Stock In of ${quantity} unit(s)` +
+    type === "Stock In" ?
+      `Stock In of ${quantity} unit(s)` +
         (costPerUnit !== null ? ` at cost ${costPerUnit}` : "") +
-        (note ? `: ${note}` : "")
-      : type === "Stock Out"
-      ? `Stock Out of ${quantity} unit(s)` + (note ? `: ${note}` : "")
-      : `Stock Adjustment of ${quantity} unit(s)` +
-        (note ? `: ${note}` : "");
+        (note ? `: ${note}` : "") :
+      type === "Stock Out" ?
+        `Stock Out of ${quantity} unit(s)` + (note ? `: ${note}` : "") :
+        type === "Transfer Out" || type === "Transfer In" ?
+          `${type} of ${quantity} unit(s)` + (note ? `: ${note}` : "") :
+          `Stock Adjustment of ${quantity} unit(s)` +
+            (note ? `: ${note}` : "");
 
   // Rule: Ownership stamp must be included in every entry.
-  history.push({
+  const entry = {
     companyId,
     sku: product.sku,
     productName: product.name,
     type,
     quantity,
+    location: locationCode,
+    ...(transferId && {transferId}),
+    ...(reference && {reference}),
+    ...(batches.length > 0 && {batches}),
+    // Stock-ins say whether they put back stock that left (see stockIn)
+    ...(type === "Stock In" && {reversal}),
     costPerUnit:
       costPerUnit !== null ? Number(costPerUnit) : product.averageCost,
+    ...(costOfGoods !== null && {costOfGoods}),
     note: auditNote,
-    date: date ? new Date(date).toISOString() : new Date().toISOString(),
+    date: readMovementDate(date) || new Date().toISOString(),
     stockOnHandAfter: product.stockOnHand,
+    locationStockAfter: quantityAt(product, locationCode),
     inventoryValueAfter: product.inventoryValue,
     averageCostAfter: product.averageCost,
-  });
+    costingMethod: product.costingMethod,
+  };
 
-  await file.save(JSON.stringify(history, null, 2));
+  // Each movement is a new immutable journal object with its own id
+  return appendMovement(companyId, entry);
 }
 
+/**
+ * Receives stock into a location, optionally into a batch
+ * @param {string} companyId
+ * @param {string} sku
+ * @param {Object} data
+ * @param {Object=} options
+ */
 async function stockIn(
-  companyId,
-  sku,
-  { quantity, costPerUnit, note = "", date = null }
+    companyId,
+    sku,
+    {
+      quantity,
+      costPerUnit,
+      location,
+      batchNumber,
+      manufactureDate,
+      expiryDate,
+      reference = null,
+      note = "",
+      date = null,
+    },
+    {reversal = false} = {},
 ) {
   if (!companyId) throw new AppError(400, "Company ID is required");
 
+  const costGiven = costPerUnit != null && costPerUnit !== "";
   quantity = Number(quantity);
   costPerUnit = Number(costPerUnit);
+  date = readMovementDate(date);
 
-  if (!quantity || quantity <= 0)
+  if (!Number.isFinite(quantity) || quantity <= 0) {
     throw new AppError(400, "Quantity must be greater than zero");
-  if (costPerUnit == null || costPerUnit < 0) {
-    if (!note.toLowerCase().includes("rollback")) {
-      throw new AppError(
-        400,
-        "Cost per unit is required and cannot be negative"
-      );
-    }
   }
-
-  const product = await getProductBySku(companyId, sku);
-
-  const currentQty = product.stockOnHand || 0;
-  const currentAvgCost = product.averageCost || 0;
-
-  const newTotalQty = currentQty + quantity;
-
-  let newAverageCost;
-
-  // Rollback logic: DO NOT change average cost
   if (
-    note.toLowerCase().includes("rollback") ||
-    note.toLowerCase().includes("cancel")
+    !reversal &&
+    (!costGiven || !Number.isFinite(costPerUnit) || costPerUnit < 0)
   ) {
-    newAverageCost = currentAvgCost;
-  } else {
-    newAverageCost = parseFloat(
-      (
-        (currentQty * currentAvgCost + quantity * costPerUnit) /
-        newTotalQty
-      ).toFixed(2)
+    throw new AppError(
+        400,
+        "Cost per unit is required and cannot be negative",
     );
   }
 
-  // ✅ Inventory value is ALWAYS stock × averageCost
-  const newInventoryValue = parseFloat(
-    (newTotalQty * newAverageCost).toFixed(2)
+  const batch = readBatchInput(
+      {batchNumber, manufactureDate, expiryDate},
+      reversal,
+  );
+  const locationCode = await resolveLocation(companyId, location, reversal);
+  const costingMethod = await getCostingMethod(companyId);
+  let currentAvgCost = 0;
+  let receivedBatches = [];
+
+  const updatedProduct = await modifyProduct(
+      companyId,
+      sku,
+      (product) => {
+        const currentQty = product.stockOnHand || 0;
+        currentAvgCost = product.averageCost || 0;
+
+        const newTotalQty = currentQty + quantity;
+
+        let newAverageCost;
+
+        // Rollback logic: DO NOT change average cost
+        if (reversal) {
+          newAverageCost = currentAvgCost;
+        } else {
+          newAverageCost = parseFloat(
+              (
+                (currentQty * currentAvgCost + quantity * costPerUnit) /
+            newTotalQty
+              ).toFixed(2),
+          );
+        }
+
+        // Every receipt is also a FIFO layer; a reversal comes back at the cost
+        // it left with.
+        // modifyProduct values the stock by the company's costing method.
+        const updates = {
+          ...applyLocationDeltas(product, {[locationCode]: quantity}),
+          averageCost: newAverageCost,
+          costLayers: addCostLayer(product, {
+            quantity,
+            unitCost: Number.isFinite(costPerUnit) ?
+              costPerUnit :
+              currentAvgCost,
+            reference: reference || note || null,
+          }),
+          costingMethod,
+        };
+
+        if (batch) {
+          updates.batches =
+            receiveBatch(product, locationCode, batch, quantity);
+          const stored = findBatch(updates, batch.batchNumber);
+          receivedBatches = [
+            {
+              batchNumber: batch.batchNumber,
+              quantity,
+              expiryDate: stored.expiryDate,
+            },
+          ];
+        }
+        return updates;
+      },
+      "stock.in",
   );
 
-  const updatedProduct = await updateProduct(companyId, sku, {
-    stockOnHand: newTotalQty,
-    averageCost: newAverageCost,
-    inventoryValue: newInventoryValue,
+  await recordMovement(companyId, updatedProduct, {
+    type: "Stock In",
+    quantity,
+    location: locationCode,
+    costPerUnit: costPerUnit || currentAvgCost,
+    note,
+    date,
+    reference,
+    batches: receivedBatches,
+    reversal,
   });
 
-  await recordMovement(
-    companyId,
-    updatedProduct,
-    {
-      type: "Stock In",
-      quantity,
-      costPerUnit: costPerUnit || currentAvgCost,
-      note,
-      date,
-    }
-  );
-
   return updatedProduct;
 }
-async function stockOut(companyId, sku, { quantity, note = "", date = null }) {
+/**
+ * Issues stock from a location, by batch or first-expiring-first-out
+ * @param {string} companyId
+ * @param {string} sku
+ * @param {Object} options
+ */
+async function stockOut(
+    companyId,
+    sku,
+    {quantity, location, batchNumber = null, note = "", date = null},
+) {
   if (!companyId) throw new AppError(400, "Company ID is required");
 
   quantity = Number(quantity);
-  if (!quantity || quantity <= 0)
+  date = readMovementDate(date);
+  if (!Number.isFinite(quantity) || quantity <= 0) {
     throw new AppError(400, "Quantity must be greater than zero");
+  }
 
-  const product = await getProductBySku(companyId, sku);
-  if (product.stockOnHand < quantity)
-    throw new AppError(
-      400,
-      `Stock out failed: Only ${product.stockOnHand} units available`
-    );
-
-  const newQty = product.stockOnHand - quantity;
-
-  const newInventoryValue = parseFloat(
-    (newQty * (product.averageCost || 0)).toFixed(2)
+  const locationCode = await assertActiveLocation(companyId, location);
+  const costingMethod = await getCostingMethod(companyId);
+  let allocation = null;
+  let issue = null;
+
+  // The availability check runs inside the locked update, so two concurrent
+  // sales can never both consume the last units
+  const updatedProduct = await modifyProduct(
+      companyId,
+      sku,
+      (product) => {
+      // Sales go first-expiring-first-out and never touch expired batches
+        allocation = allocateBatches(
+            product,
+            locationCode,
+            quantity,
+            {batchNumber},
+            locationError,
+        );
+        const stock = applyLocationDeltas(
+            product,
+            {[locationCode]: -quantity},
+            locationError,
+        );
+        issue = costIssue(product, quantity, costingMethod);
+
+        return {
+          ...stock,
+          batches: removeBatches(product, locationCode, allocation),
+          costLayers: issue.costLayers,
+          costingMethod,
+        };
+      },
+      "stock.out",
   );
 
-  const updatedProduct = await updateProduct(companyId, sku, {
-    stockOnHand: newQty,
-    inventoryValue: newInventoryValue,
+  await recordMovement(companyId, updatedProduct, {
+    type: "Stock Out",
+    quantity,
+    location: locationCode,
+    costPerUnit: issue.unitCost,
+    costOfGoods: issue.costOfGoods,
+    note,
+    date,
+    batches: allocation.batches,
   });
 
-  await recordMovement(
-    companyId,
-    updatedProduct,
-    { type: "Stock Out", quantity, note, date }
-  );
-
-  return updatedProduct;
+  return {
+    ...updatedProduct,
+    allocatedBatches: allocation.batches,
+    costOfGoods: issue.costOfGoods,
+    unitCost: issue.unitCost,
+  };
 }
 
+/**
+ * Corrects stock by a signed quantity after a count
+ * @param {string} companyId
+ * @param {string} sku
+ * @param {Object} options
+ */
 async function stockAdjustment(
-  companyId,
-  sku,
-  { quantity, note = "", date = null }
+    companyId,
+    sku,
+    {
+      quantity,
+      location,
+      batchNumber,
+      manufactureDate,
+      expiryDate,
+      note = "",
+      date = null,
+    },
 ) {
   if (!companyId) throw new AppError(400, "Company ID is required");
 
   quantity = Number(quantity);
-  if (quantity == null || quantity === 0)
+  date = readMovementDate(date);
+  if (!Number.isFinite(quantity) || quantity === 0) {
     throw new AppError(400, "Adjustment quantity must be non-zero");
+  }
 
-  const product = await getProductBySku(companyId, sku);
-  const newQty = product.stockOnHand + quantity;
-
-  if (newQty < 0)
-    throw new AppError(400, "Adjustment would make stock negative");
+  const batch =
+    quantity > 0 ?
+      readBatchInput({batchNumber, manufactureDate, expiryDate}) :
+      null;
+  const locationCode = await assertActiveLocation(companyId, location);
+  const costingMethod = await getCostingMethod(companyId);
+  let adjustedBatches = [];
+  let adjustmentCost = null;
+
+  const updatedProduct = await modifyProduct(
+      companyId,
+      sku,
+      (product) => {
+        const stock = applyLocationDeltas(
+            product,
+            {[locationCode]: quantity},
+            () =>
+              new AppError(
+                  400,
+                  `Adjustment would make stock at ${locationCode} negative`,
+              ),
+        );
 
-  const newInventoryValue = parseFloat(
-    (newQty * (product.averageCost || 0)).toFixed(2)
+        const updates = {...stock, costingMethod};
+
+        // Found stock is valued at the current unit value; lost stock leaves at
+        // its issue cost
+        if (quantity > 0) {
+          const unitCost =
+            Number(unitValueOf(product, costingMethod).toFixed(2));
+          updates.costLayers = addCostLayer(product, {
+            quantity,
+            unitCost,
+            reference: note || null,
+          });
+          adjustmentCost = {
+            unitCost,
+            costOfGoods: Number((quantity * unitCost).toFixed(2)),
+          };
+        } else {
+          const issue = costIssue(product, -quantity, costingMethod);
+          updates.costLayers = issue.costLayers;
+          adjustmentCost = {
+            unitCost: issue.unitCost,
+            costOfGoods: -issue.costOfGoods,
+          };
+        }
+
+        if (batch) {
+          updates.batches =
+            receiveBatch(product, locationCode, batch, quantity);
+          adjustedBatches = [
+            {
+              batchNumber: batch.batchNumber,
+              quantity,
+              expiryDate: findBatch(updates, batch.batchNumber).expiryDate,
+            },
+          ];
+        } else if (quantity < 0) {
+        // Write-offs may remove expired batches, and take them first
+          const allocation = allocateBatches(
+              product,
+              locationCode,
+              -quantity,
+              {batchNumber, includeExpired: true},
+              (message) => new AppError(400, `Adjustment failed: ${message}`),
+          );
+          updates.batches = removeBatches(product, locationCode, allocation);
+          adjustedBatches = allocation.batches.map((b) => ({
+            ...b,
+            quantity: -b.quantity,
+          }));
+        }
+        return updates;
+      },
+      "stock.adjust",
   );
 
-  const updatedProduct = await updateProduct(companyId, sku, {
-    stockOnHand: newQty,
-    inventoryValue: newInventoryValue,
+  await recordMovement(companyId, updatedProduct, {
+    type: "Stock Adjustment",
+    quantity,
+    location: locationCode,
+    costPerUnit: adjustmentCost.unitCost,
+    costOfGoods: adjustmentCost.costOfGoods,
+    note,
+    date,
+    batches: adjustedBatches,
   });
 
-  await recordMovement(
-    companyId,
-    updatedProduct,
-    { type: "Stock Adjustment", quantity, note, date }
-  );
-
   return updatedProduct;
 }
 
-async function getAllMovements(companyId) {
+/**
+ * Moves stock between two locations of the same company. Both sides change in
+ * one product write, so the total never moves; the journal gets a paired
+ * Transfer Out / Transfer In sharing a transferId.
+ * @param {string} companyId
+ * @param {string} sku
+ */
+async function transferStock(
+    companyId,
+    sku,
+    {from, to, quantity, batchNumber = null, note = "", date = null},
+) {
   if (!companyId) throw new AppError(400, "Company ID is required");
 
-  try {
-    const [files] = await bucket.getFiles({
-      prefix: `companies/${companyId}/movements/`,
-    });
-
-    let allMovements = [];
-
-    for (const file of files) {
-      try {
-        const [contents] = await file.download();
-        const movements = JSON.parse(contents.toString());
-        allMovements = allMovements.concat(movements);
-      } catch (err) {
-        console.error(
-          `Failed to read movement file ${file.name}:`,
-          err.message
+  quantity = Number(quantity);
+  date = readMovementDate(date);
+  if (!Number.isFinite(quantity) || quantity <= 0) {
+    throw new AppError(400, "Quantity must be greater than zero");
+  }
+  if (!from || !to) {
+    throw new AppError(400, "Both from and to locations are required");
+  }
+
+  const costingMethod = await getCostingMethod(companyId);
+  const fromCode = await assertActiveLocation(companyId, from);
+  const toCode = await assertActiveLocation(companyId, to);
+  if (fromCode === toCode) {
+    throw new AppError(400, "Cannot transfer stock to the same location");
+  }
+
+  const transferError = (message) =>
+    new AppError(400, `Transfer failed: ${message}`);
+  let allocation = null;
+
+  // Batches travel with their stock; a named batch may be moved even if expired
+  // (e.g. to quarantine)
+  const updatedProduct = await modifyProduct(
+      companyId,
+      sku,
+      (product) => {
+        allocation = allocateBatches(
+            product,
+            fromCode,
+            quantity,
+            {batchNumber, includeExpired: Boolean(batchNumber)},
+            transferError,
         );
-      }
-    }
 
-    return allMovements.sort(
-      (a, b) => new Date(b.date) - new Date(a.date)
+        let batches = removeBatches(product, fromCode, allocation);
+        for (const moved of allocation.batches) {
+          const source = findBatch(product, moved.batchNumber);
+          batches = addBatch({batches}, toCode, {
+            batchNumber: moved.batchNumber,
+            quantity: moved.quantity,
+            manufactureDate: source.manufactureDate,
+            expiryDate: source.expiryDate,
+          });
+        }
+
+        return {
+          ...applyLocationDeltas(
+              product,
+              {[fromCode]: -quantity, [toCode]: quantity},
+              transferError,
+          ),
+          batches,
+          costingMethod,
+        };
+      },
+      "stock.transfer",
+  );
+
+  const suffix = crypto.randomBytes(3).toString("hex");
+  const transferId = `TRF-${Date.now().toString(36)}-${suffix}`;
+  const movementNote = note || `${fromCode} → ${toCode}`;
+
+  const outMovement = await recordMovement(companyId, updatedProduct, {
+    type: "Transfer Out",
+    quantity,
+    location: fromCode,
+    note: movementNote,
+    date,
+    transferId,
+    batches: allocation.batches,
+  });
+  const inMovement = await recordMovement(companyId, updatedProduct, {
+    type: "Transfer In",
+    quantity,
+    location: toCode,
+    note: movementNote,
+    date,
+    transferId,
+    batches: allocation.batches,
+  });
+
+  return {
+    transferId,
+    product: updatedProduct,
+    movements: [outMovement, inMovement],
+  };
+}
+
+/**
+ * Re-stamps every active product with the company's costing method so stored
+ * inventory values follow a change of method. Returns the number revalued.
+ * @param {string} companyId
+ * @param {string} costingMethod
+ */
+async function revalueProducts(companyId, costingMethod) {
+  const products = (await readRecords(companyId, "products")).filter(
+      (p) => !p.deletedAt,
+  );
+  let revalued = 0;
+
+  for (const product of products) {
+    if (product.costingMethod === costingMethod) continue;
+    await modifyProduct(
+        companyId,
+        product.sku,
+        () => ({costingMethod}),
+        "product.revalue",
     );
-  } catch (err) {
-    console.error("Error fetching all movements:", err.message);
-    return [];
+    revalued += 1;
   }
+  return revalued;
+}
+
+/**
+ * Movements of one SKU, newest first
+ * @param {string} companyId
+ * @param {string} sku
+ */
+async function getSkuMovements(companyId, sku) {
+  if (!companyId) throw new AppError(400, "Company ID is required");
+
+  const movements = await readSkuMovements(companyId, sku);
+  return movements.sort((a, b) => new Date(b.date) - new Date(a.date));
+}
+
+/**
+ * One page of the company's movements, newest first by default. Sorted by date
+ * only; filters: sku, type, location, transferId, reference, batch, from/to.
+ * @param {string} companyId
+ * @param {Object=} query
+ */
+async function listMovements(companyId, query = {}) {
+  if (!companyId) throw new AppError(400, "Company ID is required");
+
+  return readMovementPage(companyId, query, {
+    sku: equalsText("sku"),
+    type: equalsText("type"),
+    location: (m, value) =>
+      normalizeLocationCode(m.location) === normalizeLocationCode(value),
+    transferId: equalsText("transferId"),
+    reference: equalsText("reference"),
+    batch: (m, value) =>
+      (m.batches || []).some(
+          (b) => b.batchNumber === normalizeBatchNumber(value),
+      ),
+  });
 }
 
 module.exports = {
   stockIn,
   stockOut,
   stockAdjustment,
-  getAllMovements,
-};
\ No newline at end of file
+  transferStock,
+  revalueProducts,
+  getSkuMovements,
+  listMovements,
+};
@@ -1,12 +1,38 @@
-const { getBucket } = require("../config/firebase");
-const { getProductBySku } = require("./productController");
-const { stockOut, stockIn } = require("./inventoryController");
-const { AppError } = require("./productController");
+const {getBucket} = require("../config/firebase");
+const {getProductBySku} = require("./productController");
+const {stockOut, stockIn} = require("./inventoryController");
+const {AppError} = require("./productController");
 const companyService = require("../services/companyService");
+const {
+  saveJsonIfGeneration,
+  updateJsonWithRetry,
+} = require("../storage/versionedJson");
+const {nextInvoiceNumber} = require("../services/invoiceNumberService");
+const {
+  applyListQuery,
+  includesText,
+  equalsText,
+} = require("../services/listQuery");
+const {readIndex, upsertIndexEntry} = require("../services/indexService");
+const {
+  stampSchemaVersion,
+  upgraderFor,
+} = require("../services/schemaMigrations");
+const {recordAuditEvent} = require("../services/auditService");
+const {assertActiveLocation} = require("../services/locationService");
+const {quantityAt} = require("../services/stockLocations");
+const {
+  sellableQuantityAt,
+  normalizeBatchNumber,
+} = require("../services/stockBatches");
 
 // Initialize bucket instance
 const bucket = getBucket();
 
+/**
+ * Fails unless the company exists and is active
+ * @param {string} companyId
+ */
 async function validateCompanyAccess(companyId) {
   if (!companyId) throw new AppError(400, "Company ID is required");
 
@@ -16,38 +42,181 @@ async function validateCompanyAccess(companyId) {
   }
 
   if (company.status !== "ACTIVE") {
-    throw new AppError(403, "Access Denied: Your company account is currently suspended.");
+    throw new AppError(
+        403,
+        "Access Denied: Your company account is currently suspended.",
+    );
   }
 }
 
+// Invoice numbers contain "/" (INV/2026-27/00042), so they are encoded into a
+// flat object name
 const getInvoiceFile = (companyId, id) =>
-  bucket.file(`companies/${companyId}/invoices/${id}.json`);
+  bucket.file(`companies/${companyId}/invoices/${encodeURIComponent(id)}.json`);
+
+/**
+ * Generation-checked read-modify-write of an invoice. `change(invoice)` runs
+ * against the latest stored copy and is re-run on conflicts; throw to abort.
+ * Returns the stored invoice and the copy it replaced.
+ * @param {string} companyId
+ * @param {string} invoiceNumber
+ * @param {Function} change
+ */
+async function modifyInvoice(companyId, invoiceNumber, change) {
+  let before = null;
+  const invoice = await updateJsonWithRetry(
+      getInvoiceFile(companyId, invoiceNumber),
+      async (current) => {
+        before = current;
+        if (!current) throw new AppError(404, "Invoice not found");
+        return change({
+          ...current,
+          items: current.items.map((item) => ({...item})),
+        });
+      },
+      {upgrade: upgraderFor("invoices")},
+  );
+  return {before, invoice};
+}
+
+/**
+ * Puts a line's units back where they came from: each batch it took, then any
+ * untracked units
+ * @param {string} companyId
+ * @param {Object} item
+ * @param {string} note
+ */
+async function returnLineStock(companyId, item, note) {
+  const batches = item.batches || [];
+  const untracked =
+    item.quantity - batches.reduce((sum, b) => sum + b.quantity, 0);
+  const receipt = {
+    // Unrounded, so the stock comes back at exactly the cost it left with
+    costPerUnit:
+      item.costOfGoods != null ?
+        item.costOfGoods / item.quantity :
+        item.costPrice,
+    location: item.location,
+    note,
+  };
+
+  for (const batch of batches) {
+    await stockIn(
+        companyId,
+        item.sku,
+        {
+          ...receipt,
+          quantity: batch.quantity,
+          batchNumber: batch.batchNumber,
+          expiryDate: batch.expiryDate,
+        },
+        {reversal: true},
+    );
+  }
+  if (untracked > 0) {
+    await stockIn(
+        companyId,
+        item.sku,
+        {...receipt, quantity: untracked},
+        {reversal: true},
+    );
+  }
+}
+
+/**
+ * Compensates stock-outs already taken for an invoice that could not be
+ * completed.
+ * Each reversal is a "Rollback" stock-in, so the attempt stays visible in the
+ * movement log.
+ * @param {string} companyId
+ * @param {string} invId
+ * @param {Array} reservedItems
+ * @param {string} reason
+ */
+async function releaseReservedStock(companyId, invId, reservedItems, reason) {
+  const failedSkus = [];
+
+  for (const item of reservedItems) {
+    try {
+      await returnLineStock(
+          companyId,
+          item,
+          `Rollback: Invoice ${invId} failed (${reason})`,
+      );
+    } catch (err) {
+      failedSkus.push(item.sku);
+      console.error(
+          `Rollback of ${item.quantity} x ${item.sku} for ${invId} failed:`,
+          err.message,
+      );
+    }
+  }
 
+  return failedSkus;
+}
 
+/**
+ * Creates an invoice, taking its stock all-or-nothing
+ * @param {string} companyId
+ * @param {Object} data
+ */
 async function createInvoice(companyId, data) {
   await validateCompanyAccess(companyId);
 
-  const { customer, items, dueDate, status } = data;
-  const invId = `INV-${Date.now()}`;
+  const {customer, items, dueDate, status} = data || {};
+
+  if (!customer || !customer.name) {
+    throw new AppError(400, "Customer name is required");
+  }
+  if (!Array.isArray(items) || items.length === 0) {
+    throw new AppError(400, "Invoice must contain at least one item");
+  }
 
   let invoiceSubtotal = 0; // Total before tax
   let totalTaxAmount = 0;
   let totalCostOfGoods = 0;
   const finalItems = [];
 
+  // Every line is checked before a number is taken, so a bad request never
+  // voids one
   for (const item of items) {
+    if (!item || !item.sku) throw new AppError(400, "Every item needs a sku");
+    if (
+      !Number.isInteger(Number(item.quantity)) ||
+      Number(item.quantity) <= 0
+    ) {
+      throw new AppError(
+          400,
+          `Quantity for ${item.sku} must be a whole number greater than zero`,
+      );
+    }
+  }
+
+  for (const rawItem of items) {
+    const item = {...rawItem, quantity: Number(rawItem.quantity)};
     const product = await getProductBySku(companyId, item.sku);
     if (!product) throw new AppError(404, `Product ${item.sku} not found`);
 
-    if (product.stockOnHand < item.quantity) {
+    // Each line is fulfilled from one location: its own, the invoice's, or the
+    // default
+    const location = await assertActiveLocation(
+        companyId,
+        item.location || data.location,
+    );
+    const available = sellableQuantityAt(product, location);
+
+    if (available < item.quantity) {
       throw new AppError(
-        400,
-        `Insufficient stock for ${product.name}. Available: ${product.stockOnHand}`
+          400,
+          `Insufficient stock for ${product.name} at ${location}. ` +
+          `Available: ${available}` +
+          (available < quantityAt(product, location) ?
+            " (the rest is expired)" :
+            ""),
       );
     }
 
     const sellingPrice = Number(product.sellingPrice);
-    const costPrice = Number(product.costPrice);
     const taxPercent = Number(product.taxPercent || 0);
 
     // Calculate Tax for this item
@@ -57,14 +226,14 @@ async function createInvoice(companyId, data) {
 
     invoiceSubtotal += lineSubtotal;
     totalTaxAmount += lineTax;
-    totalCostOfGoods += item.quantity * costPrice;
 
     finalItems.push({
       sku: item.sku,
       name: product.name,
       quantity: item.quantity,
+      location,
+      batchNumber: normalizeBatchNumber(item.batchNumber) || null,
       sellingPrice,
-      costPrice, 
       taxPercent,
       taxAmount: Number(lineTax.toFixed(2)),
       lineSubtotal: Number(lineSubtotal.toFixed(2)),
@@ -72,20 +241,106 @@ async function createInvoice(companyId, data) {
     });
   }
 
-  // Profit is calculated on Subtotal (Revenue minus Cost), excluding Tax
-  const grossProfit = invoiceSubtotal - totalCostOfGoods;
   const grandTotal = invoiceSubtotal + totalTaxAmount;
 
-  for (const item of finalItems) {
-    await stockOut(companyId, item.sku, {
-      quantity: item.quantity,
-      note: `Invoice ${invId}`,
+  // Numbers are allocated only once every line has passed validation
+  const invId = await nextInvoiceNumber(companyId);
+
+  // All-or-nothing: reserve every line, and undo the ones already taken if any
+  // step fails
+  const reservedItems = [];
+
+  const abort = async (err, stage) => {
+    const reason = err.message || "unknown error";
+    const failedSkus = await releaseReservedStock(
+        companyId,
+        invId,
+        reservedItems,
+        reason,
+    );
+
+    // The number is already taken from the series; keep it as a void record so
+    // the series stays gap-free
+    const voidInvoice = stampSchemaVersion("invoices", {
+      companyId,
+      invoiceNumber: invId,
+      customerName: customer.name,
+      gst: customer.gst,
+      date: new Date().toISOString(),
+      items: [],
+      subtotal: 0,
+      totalTax: 0,
+      totalAmount: 0,
+      outstandingAmount: 0,
+      grossProfit: 0,
+      status: "Void",
+      voidReason: `${stage} failed: ${reason}`,
     });
+
+    try {
+      await saveJsonIfGeneration(
+          getInvoiceFile(companyId, invId),
+          voidInvoice,
+          0,
+      );
+      await upsertIndexEntry(companyId, "invoices", voidInvoice);
+      await recordAuditEvent(companyId, {
+        action: "invoice.void",
+        entity: "invoice",
+        entityId: invId,
+        after: voidInvoice,
+      });
+    } catch (voidErr) {
+      console.error(`Failed to record void invoice ${invId}:`, voidErr.message);
+    }
+
+    if (failedSkus.length > 0) {
+      throw new AppError(
+          500,
+          `Invoice ${invId} failed (${reason}) and stock for ` +
+            `${failedSkus.join(", ")} could not be restored. ` +
+            "Please review these products.",
+      );
+    }
+
+    throw new AppError(
+        err.statusCode || 500,
+        `Invoice was not created: ${stage} failed (${reason}). ` +
+          "All stock changes were reversed.",
+    );
+  };
+
+  for (const item of finalItems) {
+    try {
+      const {allocatedBatches, unitCost, costOfGoods} = await stockOut(
+          companyId,
+          item.sku,
+          {
+            quantity: item.quantity,
+            location: item.location,
+            batchNumber: item.batchNumber,
+            note: `Invoice ${invId}`,
+          },
+      );
+      // The line is costed at what the stock actually cost under the company's
+      // method
+      Object.assign(item, {
+        batches: allocatedBatches,
+        costPrice: unitCost,
+        costOfGoods,
+      });
+      totalCostOfGoods += costOfGoods;
+      reservedItems.push(item);
+    } catch (err) {
+      await abort(err, `stock-out of ${item.sku}`);
+    }
   }
 
+  // Profit is calculated on Subtotal (Revenue minus Cost), excluding Tax
+  const grossProfit = invoiceSubtotal - totalCostOfGoods;
   const now = new Date().toISOString();
 
-  const invoice = {
+  const invoice = stampSchemaVersion("invoices", {
     companyId,
     invoiceNumber: invId,
     customerName: customer.name,
@@ -100,48 +355,128 @@ async function createInvoice(companyId, data) {
     outstandingAmount: status === "Paid" ? 0 : Number(grandTotal.toFixed(2)),
     grossProfit: Number(grossProfit.toFixed(2)),
     status: status === "Paid" ? "Paid" : "Unpaid",
-  };
+  });
+
+  try {
+    await saveJsonIfGeneration(getInvoiceFile(companyId, invId), invoice, 0);
+  } catch (err) {
+    await abort(err, "saving the invoice");
+  }
 
-  await getInvoiceFile(companyId, invId).save(JSON.stringify(invoice, null, 2));
+  await upsertIndexEntry(companyId, "invoices", invoice);
+  await recordAuditEvent(companyId, {
+    action: "invoice.create",
+    entity: "invoice",
+    entityId: invId,
+    after: invoice,
+  });
   return invoice;
 }
 
-
+/**
+ * Cancels an invoice and returns its stock. The cancellation is claimed in one
+ * generation-checked write first, so concurrent cancels cannot both restock.
+ * Lines are then returned one at a time, each claimed on the invoice before its
+ * stock-in; a line that fails is released again and the invoice stays marked
+ * stockReturnPending, so cancelling it again retries only what is left.
+ * @param {string} companyId
+ * @param {string} invoiceNumber
+ */
 async function cancelInvoice(companyId, invoiceNumber) {
   await validateCompanyAccess(companyId);
 
-  const file = getInvoiceFile(companyId, invoiceNumber);
-  const [exists] = await file.exists();
-  if (!exists) throw new AppError(404, "Invoice not found");
+  const {before, invoice: claimed} = await modifyInvoice(
+      companyId,
+      invoiceNumber,
+      (invoice) => {
+        if (invoice.status === "Void") {
+          throw new AppError(400, "Void invoices have no stock to roll back.");
+        }
+        if (invoice.status === "Cancelled") {
+          if (!invoice.stockReturnPending) {
+            throw new AppError(400, "Invoice is already cancelled.");
+          }
+          return invoice;
+        }
+
+        return {
+          ...invoice,
+          status: "Cancelled",
+          subtotal: 0,
+          totalTax: 0,
+          totalAmount: 0,
+          outstandingAmount: 0,
+          grossProfit: 0,
+          cancelledAt: new Date().toISOString(),
+          stockReturnPending: true,
+        };
+      },
+  );
+
+  // Resolves false when another request already claimed the line
+  const markReturned = async (index, returned) => {
+    let changed = false;
+    await modifyInvoice(companyId, invoiceNumber, (invoice) => {
+      changed = Boolean(invoice.items[index].stockReturned) !== returned;
+      invoice.items[index].stockReturned = returned;
+      return invoice;
+    });
+    return changed;
+  };
+
+  const failedSkus = [];
 
-  const [content] = await file.download();
-  const invoice = JSON.parse(content.toString());
+  for (const [index, item] of claimed.items.entries()) {
+    if (item.stockReturned || !(await markReturned(index, true))) continue;
 
-  if (invoice.status === "Cancelled") {
-    throw new AppError(400, "Invoice is already cancelled.");
+    try {
+      await returnLineStock(
+          companyId,
+          item,
+          `Rollback: Cancelled ${invoiceNumber}`,
+      );
+    } catch (err) {
+      console.error(
+          `Returning ${item.quantity} x ${item.sku} for ${invoiceNumber} ` +
+            "failed:",
+          err.message,
+      );
+      failedSkus.push(item.sku);
+      await markReturned(index, false);
+    }
   }
 
-  await Promise.all(invoice.items.map(item => 
-    stockIn(companyId, item.sku, {
-      quantity: item.quantity,
-      costPerUnit: item.costPrice,
-      note: `Rollback: Cancelled ${invoiceNumber}`,
-    })
-  ));
-
-  invoice.status = "Cancelled";
-  invoice.subtotal = 0;
-  invoice.totalTax = 0;
-  invoice.totalAmount = 0; 
-  invoice.outstandingAmount = 0; 
-  invoice.grossProfit = 0; 
-  invoice.cancelledAt = new Date().toISOString();
-
-  await file.save(JSON.stringify(invoice, null, 2));
-  return { success: true, message: "Invoice cancelled", invoice };
-}
+  const {invoice} = await modifyInvoice(companyId, invoiceNumber, (current) => {
+    if (current.items.every((item) => item.stockReturned)) {
+      delete current.stockReturnPending;
+    } else current.stockReturnPending = true;
+    return current;
+  });
 
+  await upsertIndexEntry(companyId, "invoices", invoice);
+  await recordAuditEvent(companyId, {
+    action: "invoice.cancel",
+    entity: "invoice",
+    entityId: invoiceNumber,
+    before,
+    after: invoice,
+  });
 
+  if (failedSkus.length > 0) {
+    throw new AppError(
+        500,
+        `Invoice ${invoiceNumber} is cancelled, but stock for ` +
+          `${failedSkus.join(", ")} could not be returned. ` +
+          "Cancel it again to retry.",
+    );
+  }
+  return {success: true, message: "Invoice cancelled", invoice};
+}
+
+/**
+ * Sales, receivable and overdue totals for the dashboard
+ * @param {string} companyId
+ */
 async function getDashboardSummary(companyId) {
   await validateCompanyAccess(companyId);
 
@@ -156,7 +491,7 @@ async function getDashboardSummary(companyId) {
   };
 
   invoices.forEach((inv) => {
-    if (inv.status === "Cancelled") return;
+    if (inv.status === "Cancelled" || inv.status === "Void") return;
 
     const invDate = new Date(inv.date);
     summary.totalOutstanding += inv.outstandingAmount || 0;
@@ -183,70 +518,107 @@ async function getDashboardSummary(companyId) {
   return summary;
 }
 
-
+/**
+ * Invoices from the index, newest first
+ * @param {string} companyId
+ */
 async function getAllInvoices(companyId) {
   await validateCompanyAccess(companyId);
 
-  const [files] = await bucket.getFiles({
-    prefix: `companies/${companyId}/invoices/`,
-  });
+  const invoices = await readIndex(companyId, "invoices");
 
-  const invoices = [];
+  return invoices.sort((a, b) => new Date(b.date) - new Date(a.date));
+}
 
-  for (const file of files) {
-    try {
-      const [content] = await file.download();
-      invoices.push(JSON.parse(content.toString()));
-    } catch (err) {
-      console.error(`Failed to read invoice file ${file.name}:`, err.message);
-    }
-  }
+/**
+ * One page of invoices, filtered and sorted by the query
+ * @param {string} companyId
+ * @param {Object=} query
+ */
+async function listInvoices(companyId, query = {}) {
+  const invoices = await getAllInvoices(companyId);
 
-  return invoices.sort(
-    (a, b) => new Date(b.date) - new Date(a.date)
-  );
+  return applyListQuery(invoices, query, {
+    keyOf: (inv) => inv.invoiceNumber,
+    dateField: "date",
+    sortable: [
+      "date",
+      "dueDate",
+      "invoiceNumber",
+      "customerName",
+      "totalAmount",
+      "outstandingAmount",
+      "status",
+    ],
+    defaultSort: "date",
+    filters: {
+      status: equalsText("status"),
+      customer: includesText("customerName"),
+      sku: (inv, value) =>
+        (inv.items || []).some(
+            (item) => String(item.sku).toLowerCase() === value.toLowerCase(),
+        ),
+    },
+  });
 }
 
+/**
+ * Records a payment of at most the outstanding amount
+ * @param {string} companyId
+ * @param {string} invoiceNumber
+ * @param {Object} paymentData
+ */
 async function recordPayment(companyId, invoiceNumber, paymentData) {
   await validateCompanyAccess(companyId);
 
-  const file = getInvoiceFile(companyId, invoiceNumber);
-  const [exists] = await file.exists();
-
-  if (!exists) throw new AppError(404, "Invoice not found");
-
-  const [content] = await file.download();
-  const invoice = JSON.parse(content.toString());
-
-
-  if (invoice.status === "Cancelled") {
-    throw new AppError(400, "Cannot record payment for a cancelled invoice.");
-  }
-
   const amountReceived = Number(paymentData.amountReceived);
-  if (amountReceived <= 0)
-    throw new AppError(400, "Invalid payment amount");
-
-  if (amountReceived > invoice.outstandingAmount)
-    throw new AppError(400, "Overpayment not allowed");
-
-  invoice.outstandingAmount = Number(
-    (invoice.outstandingAmount - amountReceived).toFixed(2)
+  if (!(amountReceived > 0)) throw new AppError(400, "Invalid payment amount");
+
+  // Checked and applied against the latest copy, so concurrent payments cannot
+  // overpay
+  const {before, invoice} = await modifyInvoice(
+      companyId,
+      invoiceNumber,
+      (current) => {
+        if (current.status === "Cancelled" || current.status === "Void") {
+          throw new AppError(
+              400,
+              "Cannot record payment for a " +
+                `${current.status.toLowerCase()} invoice.`,
+          );
+        }
+        if (amountReceived > current.outstandingAmount) {
+          throw new AppError(400, "Overpayment not allowed");
+        }
+
+        current.outstandingAmount = Number(
+            (current.outstandingAmount - amountReceived).toFixed(2),
+        );
+
+        if (current.outstandingAmount === 0) {
+          current.status = "Paid";
+          current.paidOn = new Date().toISOString();
+        }
+        return current;
+      },
   );
 
-  if (invoice.outstandingAmount === 0) {
-    invoice.status = "Paid";
-    invoice.paidOn = new Date().toISOString();
-  }
-
-  await file.save(JSON.stringify(invoice, null, 2));
+  await upsertIndexEntry(companyId, "invoices", invoice);
+  await recordAuditEvent(companyId, {
+    action: "invoice.payment",
+    entity: "invoice",
+    entityId: invoiceNumber,
+    before,
+    after: invoice,
+  });
   return invoice;
 }
 
 module.exports = {
   createInvoice,
-  cancelInvoice, 
+  cancelInvoice,
   getAllInvoices,
+  listInvoices,
   getDashboardSummary,
   recordPayment,
-};
\ No newline at end of file
+};
@@ -0,0 +1,147 @@
+const {AppError} = require("./productController");
+const locationService = require("../services/locationService");
+const {readRecords} = require("../services/indexService");
+const {
+  getStockByLocation,
+  normalizeLocationCode,
+} = require("../services/stockLocations");
+const {recordAuditEvent} = require("../services/auditService");
+const {unitValueOf} = require("../services/costing");
+
+const activeProducts = async (companyId) =>
+  (await readRecords(companyId, "products")).filter((p) => !p.deletedAt);
+
+/**
+ * Locations with the units and stock value each one currently holds
+ * @param {string} companyId
+ */
+async function listLocations(companyId) {
+  const [locations, products] = await Promise.all([
+    locationService.listLocations(companyId),
+    activeProducts(companyId),
+  ]);
+
+  const totals = {};
+  for (const product of products) {
+    for (const [code, quantity] of Object.entries(
+        getStockByLocation(product),
+    )) {
+      const total =
+        totals[code] || (totals[code] = {skuCount: 0, units: 0, stockValue: 0});
+      total.skuCount += 1;
+      total.units += quantity;
+      total.stockValue += quantity * unitValueOf(product);
+    }
+  }
+
+  return locations.map((location) => {
+    const total = totals[location.code] || {
+      skuCount: 0,
+      units: 0,
+      stockValue: 0,
+    };
+    return {
+      ...location,
+      ...total,
+      stockValue: Number(total.stockValue.toFixed(2)),
+    };
+  });
+}
+
+/**
+ * Per-SKU quantities held at one location
+ * @param {string} companyId
+ * @param {string} code
+ */
+async function getLocationStock(companyId, code) {
+  const location = await locationService.getLocation(companyId, code);
+  if (!location) throw new AppError(404, "Location not found");
+
+  const items = (await activeProducts(companyId))
+      .map((product) => ({
+        sku: product.sku,
+        name: product.name,
+        quantity: getStockByLocation(product)[location.code] || 0,
+        stockOnHand: product.stockOnHand,
+        unitValue: Number(unitValueOf(product).toFixed(2)),
+      }))
+      .filter((item) => item.quantity > 0)
+      .map((item) => ({
+        ...item,
+        stockValue: Number((item.quantity * item.unitValue).toFixed(2)),
+      }));
+
+  return {location, items};
+}
+
+/**
+ * Creates a location and records it in the audit trail
+ * @param {string} companyId
+ * @param {Object} data
+ * @param {Object} requester
+ */
+async function createLocation(companyId, data, requester) {
+  const location = await locationService.createLocation(
+      companyId,
+      data || {},
+      requester?.email,
+  );
+
+  await recordAuditEvent(companyId, {
+    action: "location.create",
+    entity: "location",
+    entityId: location.code,
+    after: location,
+  });
+
+  return location;
+}
+
+/**
+ * Updates a location; it can only be deactivated once it holds no stock
+ * @param {string} companyId
+ * @param {string} code
+ * @param {Object} data
+ * @param {Object} requester
+ */
+async function updateLocation(companyId, code, data, requester) {
+  const {status} = data || {};
+
+  if (status === "INACTIVE") {
+    const finalCode = normalizeLocationCode(code);
+    const holding = (await activeProducts(companyId)).filter(
+        (product) => (getStockByLocation(product)[finalCode] || 0) > 0,
+    );
+    if (holding.length > 0) {
+      throw new AppError(
+          400,
+          `Location ${finalCode} still holds stock for ${holding.length} ` +
+            "product(s). Transfer it out first.",
+      );
+    }
+  }
+
+  const {before, after} = await locationService.updateLocation(
+      companyId,
+      code,
+      data || {},
+      requester?.email,
+  );
+
+  await recordAuditEvent(companyId, {
+    action: "location.update",
+    entity: "location",
+    entityId: after.code,
+    before,
+    after,
+  });
+
+  return after;
+}
+
+module.exports = {
+  listLocations,
+  getLocationStock,
+  createLocation,
+  updateLocation,
+};
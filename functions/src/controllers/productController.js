@@ -1,21 +1,41 @@
-const { getBucket } = require("../config/firebase");
-const { getCompanyById } = require("../services/companyService");
+const {getBucket} = require("../config/firebase");
+const {getCompanyById} = require("../services/companyService");
+const {AppError} = require("../appError");
+const {
+  readJsonVersioned,
+  saveJsonIfGeneration,
+  updateJsonWithRetry,
+  isPreconditionFailure,
+} = require("../storage/versionedJson");
+const {
+  applyListQuery,
+  includesText,
+  equalsText,
+} = require("../services/listQuery");
+const {
+  readIndex,
+  readRecords,
+  upsertIndexEntry,
+  removeIndexEntry,
+} = require("../services/indexService");
+const {
+  stampSchemaVersion,
+  upgradeRecord,
+  upgraderFor,
+} = require("../services/schemaMigrations");
+const {recordAuditEvent} = require("../services/auditService");
+const {getCompanySettings} = require("../services/settingsService");
+const {inventoryValueOf} = require("../services/costing");
 
 // Initialize bucket instance
 const bucket = getBucket();
 
-class AppError extends Error {
-  constructor(statusCode, message) {
-    super(message);
-    this.statusCode = statusCode;
-    if (Error.captureStackTrace) {
-      Error.captureStackTrace(this, this.constructor);
-    }
-  }
-}
-
 const getTimestamp = () => new Date().toISOString();
 
+/**
+ * Fails unless the company exists and is active
+ * @param {string} companyId
+ */
 async function validateCompanyAccess(companyId) {
   if (!companyId) throw new AppError(400, "Company ID is required");
 
@@ -26,63 +46,78 @@ async function validateCompanyAccess(companyId) {
 
   if (company.status !== "ACTIVE") {
     throw new AppError(
-      403,
-      "Access Denied: Your company account is currently suspended."
+        403,
+        "Access Denied: Your company account is currently suspended.",
     );
   }
 }
 
+/**
+ * Whether the product is at or below its reorder level, with a message
+ * @param {Object} product
+ * @return {Object}
+ */
 function getLowStockInfo(product) {
   const isLowStock =
-    product.reorderLevel > 0 &&
-    product.stockOnHand <= product.reorderLevel;
+    product.reorderLevel > 0 && product.stockOnHand <= product.reorderLevel;
 
   return {
     isLowStock,
-    lowStockMessage: isLowStock
-      ? `Low stock: only ${product.stockOnHand} left (reorder level ${product.reorderLevel})`
-      : null,
+    lowStockMessage: isLowStock ?
+      `Low stock: only ${product.stockOnHand} left ` +
+        `(reorder level ${product.reorderLevel})` :
+      null,
   };
 }
 
 const getProductFile = (companyId, sku) =>
   bucket.file(`companies/${companyId}/products/${sku}.json`);
 
-
+/**
+ * Creates a product; the SKU must not exist yet
+ * @param {string} companyId
+ * @param {Object} options
+ */
 async function createProduct(
-  companyId,
-  { sku, name, category = "", costPrice, sellingPrice = 0, reorderLevel = 0, taxPercent = 0 }
+    companyId,
+    {
+      sku,
+      name,
+      category = "",
+      costPrice,
+      sellingPrice = 0,
+      reorderLevel = 0,
+      taxPercent = 0,
+    },
 ) {
   await validateCompanyAccess(companyId);
 
-  if (!name || costPrice == null)
+  if (!name || costPrice == null) {
     throw new AppError(400, "Name and cost price are required");
+  }
 
   const finalCostPrice = Number(parseFloat(costPrice).toFixed(2));
   const finalSellingPrice = Number(parseFloat(sellingPrice).toFixed(2));
   const finalReorderLevel = Number(parseInt(reorderLevel) || 0);
   const finalTaxPercent = Number(parseFloat(taxPercent) || 0);
 
-  if (finalCostPrice < 0)
+  if (finalCostPrice < 0) {
     throw new AppError(400, "Cost price cannot be negative");
-  if (finalSellingPrice < 0)
+  }
+  if (finalSellingPrice < 0) {
     throw new AppError(400, "Selling price cannot be negative");
-  if (finalReorderLevel < 0)
+  }
+  if (finalReorderLevel < 0) {
     throw new AppError(400, "Reorder level cannot be negative");
-  if (finalTaxPercent < 0)
+  }
+  if (finalTaxPercent < 0) {
     throw new AppError(400, "Tax percentage cannot be negative");
+  }
 
   const finalSku = sku ? String(sku) : `SKU${Date.now()}`;
   const file = getProductFile(companyId, finalSku);
 
-  const [exists] = await file.exists();
-  if (exists)
-    throw new AppError(
-      409,
-      "Product SKU already exists in your company catalog"
-    );
-
-  const product = {
+  const product = stampSchemaVersion("products", {
     companyId,
     sku: finalSku,
     name,
@@ -92,48 +127,102 @@ async function createProduct(
     reorderLevel: finalReorderLevel,
     taxPercent: finalTaxPercent, // New tax field
     stockOnHand: 0,
+    stockByLocation: {},
+    batches: [],
+    costLayers: [],
+    costingMethod: (await getCompanySettings(companyId)).inventory
+        .costingMethod,
     averageCost: finalCostPrice,
     inventoryValue: 0,
     createdAt: getTimestamp(),
     updatedAt: getTimestamp(),
-  };
+  });
 
-  await file.save(JSON.stringify(product, null, 2));
+  // Generation 0 = create only if absent, so two concurrent creates cannot both
+  // win
+  try {
+    await saveJsonIfGeneration(file, product, 0);
+  } catch (err) {
+    if (!isPreconditionFailure(err)) throw err;
+    throw new AppError(
+        409,
+        "Product SKU already exists in your company catalog",
+    );
+  }
+
+  await upsertIndexEntry(companyId, "products", product);
+  await recordAuditEvent(companyId, {
+    action: "product.create",
+    entity: "product",
+    entityId: finalSku,
+    after: product,
+  });
   return product;
 }
 
-
-async function getAllProducts(companyId) {
+/**
+ * Products from the index, without trashed ones unless includeDeleted. Index
+ * entries hold the list fields only; fullRecords reads the product files for
+ * stock by location, batches and cost layers.
+ * @param {string} companyId
+ * @param {Object} options
+ */
+async function getAllProducts(
+    companyId,
+    {includeDeleted = false, fullRecords = false} = {},
+) {
   await validateCompanyAccess(companyId);
 
-  const [files] = await bucket.getFiles({
-    prefix: `companies/${companyId}/products/`,
-  });
-
-  const productPromises = files
-    .filter((file) => file.name.endsWith(".json"))
-    .map(async (file) => {
-      try {
-        const [contents] = await file.download();
-        const product = JSON.parse(contents.toString());
-        return {
-          ...product,
-          ...getLowStockInfo(product),
-        };
-      } catch (err) {
-        console.error(`Failed to parse ${file.name}:`, err.message);
-        return null;
-      }
-    });
-
-  const products = await Promise.all(productPromises);
+  const products = fullRecords ?
+    await readRecords(companyId, "products") :
+    await readIndex(companyId, "products");
 
   return products
-    .filter((p) => p !== null)
-    .sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt));
+      .filter((p) => includeDeleted || !p.deletedAt)
+      .map((product) => ({
+        ...product,
+        ...getLowStockInfo(product),
+      }))
+      .sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt));
 }
 
+/**
+ * One page of products, filtered and sorted by the query
+ * @param {string} companyId
+ * @param {Object=} query
+ */
+async function listProducts(companyId, query = {}) {
+  const products = await getAllProducts(companyId);
+
+  return applyListQuery(products, query, {
+    keyOf: (p) => p.sku,
+    dateField: "createdAt",
+    sortable: [
+      "createdAt",
+      "updatedAt",
+      "name",
+      "sku",
+      "category",
+      "stockOnHand",
+      "sellingPrice",
+      "inventoryValue",
+    ],
+    defaultSort: "createdAt",
+    filters: {
+      category: equalsText("category"),
+      sku: (p, value) => p.sku.toLowerCase().startsWith(value.toLowerCase()),
+      q: (p, value) =>
+        includesText("name")(p, value) || includesText("sku")(p, value),
+      lowStock: (p, value) => String(p.isLowStock) === value,
+    },
+  });
+}
 
+/**
+ * A single product with its stock figures, or 404
+ * @param {string} companyId
+ * @param {string} sku
+ */
 async function getProductBySku(companyId, sku) {
   await validateCompanyAccess(companyId);
 
@@ -142,89 +231,337 @@ async function getProductBySku(companyId, sku) {
 
   if (!exists) throw new AppError(404, "Product not found");
 
+  let product;
   try {
     const [contents] = await file.download();
-    const product = JSON.parse(contents.toString());
-    return {
-      ...product,
-      ...getLowStockInfo(product),
-    };
+    product = upgradeRecord("products", JSON.parse(contents.toString()));
   } catch {
     throw new AppError(500, `Failed to read product data for SKU ${sku}`);
   }
+
+  if (product.deletedAt) {
+    throw new AppError(404, `Product ${sku} is in the trash`);
+  }
+
+  return {
+    ...product,
+    ...getLowStockInfo(product),
+  };
 }
 
+/**
+ * The active product with this name (case-insensitive), or 404
+ * @param {string} companyId
+ * @param {string} name
+ */
 async function getProductByName(companyId, name) {
   await validateCompanyAccess(companyId);
 
   const allProducts = await getAllProducts(companyId);
   const product = allProducts.find(
-    (p) => p.name.toLowerCase() === name.toLowerCase()
+      (p) => p.name.toLowerCase() === name.toLowerCase(),
   );
 
   if (!product) throw new AppError(404, "Product not found");
-  return product;
+  return getProductBySku(companyId, product.sku);
 }
 
+/**
+ * Rounds prices and trims text fields of a product update
+ * @param {Object} input
+ * @return {Object}
+ */
+function normalizeProductUpdates(input) {
+  const updates = {...input};
 
-async function updateProduct(companyId, sku, updates) {
-  await validateCompanyAccess(companyId);
-
-  const product = await getProductBySku(companyId, sku);
-
-  if (updates.costPrice != null)
+  if (updates.costPrice != null) {
     updates.costPrice = Number(parseFloat(updates.costPrice).toFixed(2));
-  if (updates.sellingPrice != null)
-    updates.sellingPrice = Number(
-      parseFloat(updates.sellingPrice).toFixed(2)
-    );
-  if (updates.averageCost != null)
-    updates.averageCost = Number(
-      parseFloat(updates.averageCost).toFixed(2)
-    );
-  if (updates.stockOnHand != null)
+  }
+  if (updates.sellingPrice != null) {
+    updates.sellingPrice = Number(parseFloat(updates.sellingPrice).toFixed(2));
+  }
+  if (updates.averageCost != null) {
+    updates.averageCost = Number(parseFloat(updates.averageCost).toFixed(2));
+  }
+  if (updates.stockOnHand != null) {
     updates.stockOnHand = Number(parseInt(updates.stockOnHand));
-  if (updates.taxPercent != null)
+  }
+  if (updates.taxPercent != null) {
     updates.taxPercent = Number(parseFloat(updates.taxPercent));
+  }
 
-  if (updates.costPrice < 0 || updates.sellingPrice < 0 || (updates.taxPercent != null && updates.taxPercent < 0))
+  if (
+    updates.costPrice < 0 ||
+    updates.sellingPrice < 0 ||
+    (updates.taxPercent != null && updates.taxPercent < 0)
+  ) {
     throw new AppError(400, "Numeric fields cannot be negative");
+  }
 
-  const updatedProduct = {
-    ...product,
-    ...updates,
-    updatedAt: getTimestamp(),
+  // Replenishment inputs; null falls back to the company's replenishment
+  // settings
+  for (const field of ["leadTimeDays", "safetyStockDays"]) {
+    if (updates[field] == null) continue;
+    updates[field] = Number(updates[field]);
+    if (!Number.isInteger(updates[field]) || updates[field] < 0) {
+      throw new AppError(
+          400,
+          `${field} must be a whole number of zero or more`,
+      );
+    }
+  }
+
+  return updates;
+}
+
+/**
+ * Generation-checked read-modify-write of a product.
+ * `computeUpdates(product)` runs against the latest stored copy and is re-run
+ * on every write conflict, so checks like available stock are never stale.
+ * `auditAction` names the change in the audit trail (stock operations pass
+ * their own).
+ * @param {string} companyId
+ * @param {string} sku
+ * @param {Function} computeUpdates
+ * @param {string=} auditAction
+ */
+async function modifyProduct(
+    companyId,
+    sku,
+    computeUpdates,
+    auditAction = "product.update",
+) {
+  await validateCompanyAccess(companyId);
+
+  let before = null;
+  const updatedProduct = await updateJsonWithRetry(
+      getProductFile(companyId, sku),
+      async (product) => {
+        before = product;
+        if (!product) throw new AppError(404, "Product not found");
+        if (product.deletedAt) {
+          throw new AppError(
+              404,
+              `Product ${sku} is in the trash. Restore it first.`,
+          );
+        }
+
+        const updates = normalizeProductUpdates(await computeUpdates(product));
+        const next = {
+          ...product,
+          ...updates,
+          updatedAt: getTimestamp(),
+        };
+
+        next.inventoryValue = inventoryValueOf(next);
+        return next;
+      },
+      {upgrade: upgraderFor("products")},
+  );
+
+  await upsertIndexEntry(companyId, "products", updatedProduct);
+  await recordAuditEvent(companyId, {
+    action: auditAction,
+    entity: "product",
+    entityId: sku,
+    before,
+    after: updatedProduct,
+  });
+
+  return {
+    ...updatedProduct,
+    ...getLowStockInfo(updatedProduct),
   };
+}
 
-  updatedProduct.inventoryValue = Number(
-    (updatedProduct.stockOnHand * updatedProduct.averageCost).toFixed(2)
+// Everything else (sku, stock, costing, timestamps, schemaVersion...) is owned
+// by the server
+const EDITABLE_PRODUCT_FIELDS = [
+  "name",
+  "category",
+  "costPrice",
+  "sellingPrice",
+  "reorderLevel",
+  "taxPercent",
+  "leadTimeDays",
+  "safetyStockDays",
+  "preferredSupplierId",
+];
+
+/**
+ * Updates the editable fields; stock only changes through stock operations
+ * @param {string} companyId
+ * @param {string} sku
+ * @param {Object=} updates
+ */
+async function updateProduct(companyId, sku, updates = {}) {
+  // Quantities are per location and must stay in step with the movement journal
+  if (
+    updates?.stockOnHand !== undefined ||
+    updates?.stockByLocation !== undefined ||
+    updates?.batches !== undefined ||
+    updates?.costLayers !== undefined
+  ) {
+    throw new AppError(
+        400,
+        "Stock levels cannot be edited directly. Use stock-in, stock-out, " +
+          "stock-adjustment or stock-transfer.",
+    );
+  }
+
+  const fields = Object.keys(updates || {});
+  const rejected = fields.filter(
+      (field) => !EDITABLE_PRODUCT_FIELDS.includes(field),
   );
+  if (rejected.length > 0) {
+    throw new AppError(
+        400,
+        `These fields cannot be edited: ${rejected.join(", ")}`,
+    );
+  }
+  if (fields.includes("name") && !String(updates.name ?? "").trim()) {
+    throw new AppError(400, "Name cannot be empty");
+  }
+
+  const changes = {};
+  for (const field of fields) changes[field] = updates[field];
+  return modifyProduct(companyId, sku, () => changes);
+}
 
-  await getProductFile(companyId, sku).save(
-    JSON.stringify(updatedProduct, null, 2)
+/**
+ * Deleting archives the product: it leaves default lists but keeps its record
+ * for invoices and reports
+ * @param {string} companyId
+ * @param {string} sku
+ * @param {Object} requester
+ */
+async function deleteProduct(companyId, sku, requester) {
+  await validateCompanyAccess(companyId);
+
+  let before = null;
+  const archived = await updateJsonWithRetry(
+      getProductFile(companyId, sku),
+      (product) => {
+        before = product;
+        if (!product || product.deletedAt) {
+          throw new AppError(404, "Product not found");
+        }
+
+        return {
+          ...product,
+          deletedAt: getTimestamp(),
+          deletedBy: requester?.email || null,
+          updatedAt: getTimestamp(),
+        };
+      },
+      {upgrade: upgraderFor("products")},
   );
-  return updatedProduct;
+
+  await upsertIndexEntry(companyId, "products", archived);
+  await recordAuditEvent(companyId, {
+    action: "product.delete",
+    entity: "product",
+    entityId: sku,
+    before,
+    after: archived,
+  });
+  return {
+    message: "Product moved to trash",
+    sku,
+    deletedAt: archived.deletedAt,
+  };
 }
 
+/**
+ * Products currently in the trash
+ * @param {string} companyId
+ */
+async function getDeletedProducts(companyId) {
+  const products = await getAllProducts(companyId, {includeDeleted: true});
+  return products.filter((p) => p.deletedAt);
+}
 
-async function deleteProduct(companyId, sku) {
+/**
+ * Restores a trashed product
+ * @param {string} companyId
+ * @param {string} sku
+ * @param {Object} requester
+ */
+async function restoreProduct(companyId, sku, requester) {
+  await validateCompanyAccess(companyId);
+
+  let before = null;
+  const restored = await updateJsonWithRetry(
+      getProductFile(companyId, sku),
+      (product) => {
+        before = product;
+        if (!product) throw new AppError(404, "Product not found");
+        if (!product.deletedAt) {
+          throw new AppError(400, `Product ${sku} is not in the trash`);
+        }
+
+        const rest = {...product};
+        delete rest.deletedAt;
+        delete rest.deletedBy;
+        return {
+          ...rest,
+          restoredAt: getTimestamp(),
+          restoredBy: requester?.email || null,
+          updatedAt: getTimestamp(),
+        };
+      },
+      {upgrade: upgraderFor("products")},
+  );
+
+  await upsertIndexEntry(companyId, "products", restored);
+  await recordAuditEvent(companyId, {
+    action: "product.restore",
+    entity: "product",
+    entityId: sku,
+    before,
+    after: restored,
+  });
+  return {message: "Product restored", product: restored};
+}
+
+/**
+ * Permanent removal; callers enforce the trash retention period
+ * @param {string} companyId
+ * @param {string} sku
+ */
+async function purgeProduct(companyId, sku) {
   await validateCompanyAccess(companyId);
 
   const file = getProductFile(companyId, sku);
   const [exists] = await file.exists();
-
   if (!exists) throw new AppError(404, "Product not found");
 
+  const {data: before} = await readJsonVersioned(file).catch(() => ({
+    data: null,
+  }));
+
   await file.delete();
-  return { message: "Product deleted successfully", sku };
+  await removeIndexEntry(companyId, "products", sku);
+  await recordAuditEvent(companyId, {
+    action: "product.purge",
+    entity: "product",
+    entityId: sku,
+    before,
+  });
+  return {message: "Product purged permanently", sku};
 }
 
 module.exports = {
   createProduct,
   getAllProducts,
+  listProducts,
   getProductBySku,
   getProductByName,
   updateProduct,
+  modifyProduct,
   deleteProduct,
+  getDeletedProducts,
+  restoreProduct,
+  purgeProduct,
   AppError,
-};
\ No newline at end of file
+};
@@ -0,0 +1,810 @@
+const crypto = require("crypto");
+const {getBucket} = require("../config/firebase");
+const {AppError, getProductBySku} = require("./productController");
+const {stockIn} = require("./inventoryController");
+const {getSupplier, getAllSuppliers} = require("./supplierController");
+const {
+  readJsonVersioned,
+  saveJsonIfGeneration,
+  updateJsonWithRetry,
+} = require("../storage/versionedJson");
+const {nextPurchaseOrderNumber} = require("../services/invoiceNumberService");
+const {
+  applyListQuery,
+  includesText,
+  equalsText,
+} = require("../services/listQuery");
+const {readIndex, upsertIndexEntry} = require("../services/indexService");
+const {stampSchemaVersion} = require("../services/schemaMigrations");
+const {recordAuditEvent} = require("../services/auditService");
+const {normalizeLocationCode} = require("../services/stockLocations");
+const {assertActiveLocation} = require("../services/locationService");
+
+/**
+ * Purchase orders: Draft -> Sent -> Partially Received -> Received, and Closed
+ * to finish an order early or file a fully received one. Goods receipts post
+ * each line through stockIn with the PO number as the movement reference, and
+ * what has been received (with tax) becomes payable to the supplier.
+ */
+
+const STATUSES = ["Draft", "Sent", "Partially Received", "Received", "Closed"];
+
+// PO numbers contain "/" (PO/2026-27/00007), so they are encoded into a flat
+// object name
+const getPurchaseOrderFile = (companyId, poNumber) =>
+  getBucket().file(
+      `companies/${companyId}/purchase-orders/` +
+        `${encodeURIComponent(poNumber)}.json`,
+  );
+
+const round2 = (value) => Number(value.toFixed(2));
+
+/**
+ * A copy of the receipt without its unposted flag
+ * @param {Object} receipt
+ * @return {Object}
+ */
+function withoutUnposted(receipt) {
+  const copy = {...receipt};
+  delete copy.unposted;
+  return copy;
+}
+
+const lineValue = (quantity, unitCost, taxPercent) =>
+  round2(quantity * unitCost * (1 + taxPercent / 100));
+
+/**
+ * ISO date for an optional date field, or 400 when it cannot be parsed
+ * @param {*} value
+ * @param {string} field
+ * @return {?string}
+ */
+function normalizeDate(value, field) {
+  if (value === undefined || value === null || value === "") return null;
+  const date = new Date(value);
+  if (Number.isNaN(date.getTime())) {
+    throw new AppError(400, `${field} must be a valid date`);
+  }
+  return date.toISOString();
+}
+
+/**
+ * Validates order lines against the catalog and prices them
+ * @param {string} companyId
+ * @param {Array} lines
+ */
+async function buildLines(companyId, lines) {
+  if (!Array.isArray(lines) || lines.length === 0) {
+    throw new AppError(400, "A purchase order needs at least one line");
+  }
+
+  const seen = new Set();
+  const built = [];
+
+  for (const line of lines) {
+    const sku = String(line?.sku || "");
+    const quantity = Number(line?.quantity);
+    const unitCost = Number(line?.unitCost);
+
+    if (!sku) throw new AppError(400, "Every line needs a sku");
+    if (seen.has(sku)) {
+      throw new AppError(400, `SKU ${sku} appears on more than one line`);
+    }
+    if (!Number.isInteger(quantity) || quantity <= 0) {
+      throw new AppError(
+          400,
+          `Quantity for ${sku} must be a whole number greater than zero`,
+      );
+    }
+    if (!Number.isFinite(unitCost) || unitCost < 0) {
+      throw new AppError(
+          400,
+          `Unit cost for ${sku} is required and cannot be negative`,
+      );
+    }
+
+    const product = await getProductBySku(companyId, sku);
+    if (!product) throw new AppError(404, `Product ${sku} not found`);
+    if (product.deletedAt) {
+      throw new AppError(400, `Product ${sku} is in the trash`);
+    }
+
+    const taxPercent = Number(line.taxPercent ?? product.taxPercent ?? 0);
+    if (!Number.isFinite(taxPercent) || taxPercent < 0) {
+      throw new AppError(400, `Tax percentage for ${sku} cannot be negative`);
+    }
+
+    seen.add(sku);
+    built.push({
+      sku,
+      name: product.name,
+      quantity,
+      unitCost: round2(unitCost),
+      taxPercent,
+      lineTotal: lineValue(quantity, unitCost, taxPercent),
+      receivedQuantity: 0,
+    });
+  }
+
+  return built;
+}
+
+/**
+ * Subtotal, tax and total of the order lines
+ * @param {Array} lines
+ * @return {Object}
+ */
+function orderTotals(lines) {
+  const subtotal = lines.reduce((sum, l) => sum + l.quantity * l.unitCost, 0);
+  const totalAmount = lines.reduce((sum, l) => sum + l.lineTotal, 0);
+  return {
+    subtotal: round2(subtotal),
+    totalTax: round2(totalAmount - subtotal),
+    totalAmount: round2(totalAmount),
+  };
+}
+
+/**
+ * Status and payables follow from the lines, receipts and payments
+ * @param {string} order
+ * @return {Object}
+ */
+function settle(order) {
+  const received = order.lines.every((l) => l.receivedQuantity >= l.quantity);
+  const anyReceived = order.lines.some((l) => l.receivedQuantity > 0);
+
+  let status = order.status;
+  if (status !== "Closed" && status !== "Draft") {
+    status = received ?
+      "Received" :
+      anyReceived ?
+        "Partially Received" :
+        "Sent";
+  }
+
+  // Receipts still flagged unposted have not (all) reached stock and are not
+  // owed yet
+  const payableAmount = round2(
+      order.receipts
+          .filter((r) => !r.unposted)
+          .reduce((sum, r) => sum + r.value, 0),
+  );
+  const amountPaid = round2(
+      order.payments.reduce((sum, p) => sum + p.amount, 0),
+  );
+  const outstandingAmount = round2(payableAmount - amountPaid);
+
+  return {
+    ...order,
+    status,
+    payableAmount,
+    amountPaid,
+    outstandingAmount,
+    paymentStatus:
+      payableAmount === 0 ?
+        "Nothing Due" :
+        outstandingAmount === 0 ?
+          "Paid" :
+          amountPaid > 0 ?
+            "Partially Paid" :
+            "Unpaid",
+    updatedAt: new Date().toISOString(),
+  };
+}
+
+/**
+ * The stored order, or 404
+ * @param {string} companyId
+ * @param {string} poNumber
+ */
+async function readOrder(companyId, poNumber) {
+  const {data} = await readJsonVersioned(
+      getPurchaseOrderFile(companyId, poNumber),
+  );
+  if (!data) throw new AppError(404, "Purchase order not found");
+  return data;
+}
+
+/**
+ * Generation-checked change of an order; `change(order)` may throw to refuse
+ * @param {string} companyId
+ * @param {string} poNumber
+ * @param {Function} change
+ * @param {string} auditAction
+ */
+async function modifyOrder(companyId, poNumber, change, auditAction) {
+  let before = null;
+  const order = await updateJsonWithRetry(
+      getPurchaseOrderFile(companyId, poNumber),
+      async (current) => {
+        before = current;
+        if (!current) throw new AppError(404, "Purchase order not found");
+        return settle(await change(current));
+      },
+  );
+
+  await upsertIndexEntry(companyId, "purchaseOrders", order);
+  await recordAuditEvent(companyId, {
+    action: auditAction,
+    entity: "purchase-order",
+    entityId: poNumber,
+    before,
+    after: order,
+  });
+  return order;
+}
+
+/**
+ * Body: { supplierId, lines: [{ sku, quantity, unitCost, taxPercent? }],
+ *         expectedDate?, location?, notes? }
+ * @param {string} companyId
+ * @param {Object} data
+ * @param {Object} requester
+ */
+async function createPurchaseOrder(companyId, data, requester) {
+  const {supplierId, lines, expectedDate, location, notes = ""} = data || {};
+
+  if (!supplierId) throw new AppError(400, "supplierId is required");
+  const supplier = await getSupplier(companyId, supplierId);
+  if (supplier.status !== "ENABLED") {
+    throw new AppError(400, `Supplier ${supplier.name} is disabled`);
+  }
+
+  const builtLines = await buildLines(companyId, lines);
+  const poNumber = await nextPurchaseOrderNumber(companyId);
+  const now = new Date().toISOString();
+
+  const order = stampSchemaVersion(
+      "purchaseOrders",
+      settle({
+        companyId,
+        poNumber,
+        supplierId,
+        supplierName: supplier.name,
+        supplierGst: supplier.gst,
+        paymentTermsDays: supplier.paymentTermsDays,
+        status: "Draft",
+        orderDate: now,
+        expectedDate: normalizeDate(expectedDate, "expectedDate"),
+        location: normalizeLocationCode(location),
+        notes,
+        lines: builtLines,
+        ...orderTotals(builtLines),
+        receipts: [],
+        payments: [],
+        dueDate: null,
+        createdAt: now,
+        createdBy: requester?.email || null,
+      }),
+  );
+
+  await saveJsonIfGeneration(
+      getPurchaseOrderFile(companyId, poNumber),
+      order,
+      0,
+  );
+  await upsertIndexEntry(companyId, "purchaseOrders", order);
+  await recordAuditEvent(companyId, {
+    action: "purchase-order.create",
+    entity: "purchase-order",
+    entityId: poNumber,
+    after: order,
+  });
+
+  return order;
+}
+
+/**
+ * Drafts can be edited freely; once sent, the order is what the supplier has
+ * @param {string} companyId
+ * @param {string} poNumber
+ * @param {Object} data
+ */
+async function updatePurchaseOrder(companyId, poNumber, data) {
+  const {lines, expectedDate, location, notes} = data || {};
+  const builtLines =
+    lines !== undefined ? await buildLines(companyId, lines) : null;
+
+  return modifyOrder(
+      companyId,
+      poNumber,
+      (order) => {
+        if (order.status !== "Draft") {
+          throw new AppError(
+              400,
+              `Only draft orders can be edited; ${poNumber} is ${order.status}`,
+          );
+        }
+        return {
+          ...order,
+          ...(builtLines && {lines: builtLines, ...orderTotals(builtLines)}),
+          ...(expectedDate !== undefined && {
+            expectedDate: normalizeDate(expectedDate, "expectedDate"),
+          }),
+          ...(location !== undefined && {
+            location: normalizeLocationCode(location),
+          }),
+          ...(notes !== undefined && {notes}),
+        };
+      },
+      "purchase-order.update",
+  );
+}
+
+/**
+ * Sends a draft order to the supplier
+ * @param {string} companyId
+ * @param {string} poNumber
+ */
+async function sendPurchaseOrder(companyId, poNumber) {
+  return modifyOrder(
+      companyId,
+      poNumber,
+      (order) => {
+        if (order.status !== "Draft") {
+          throw new AppError(
+              400,
+              `Only draft orders can be sent; ${poNumber} is ${order.status}`,
+          );
+        }
+        return {...order, status: "Sent", sentAt: new Date().toISOString()};
+      },
+      "purchase-order.send",
+  );
+}
+
+/**
+ * Closes an order; goods still pending are no longer expected
+ * @param {string} companyId
+ * @param {string} poNumber
+ * @param {Object} data
+ */
+async function closePurchaseOrder(companyId, poNumber, data) {
+  return modifyOrder(
+      companyId,
+      poNumber,
+      (order) => {
+        if (order.status === "Closed") {
+          throw new AppError(400, `${poNumber} is already closed`);
+        }
+        return {
+          ...order,
+          status: "Closed",
+          closedAt: new Date().toISOString(),
+          closeReason: data?.reason || null,
+        };
+      },
+      "purchase-order.close",
+  );
+}
+
+/**
+ * Goods receipt. Body: { lines: [{ sku, quantity, unitCost?, location?,
+ * batchNumber?, manufactureDate?, expiryDate? }], location?, note? }
+ *
+ * The quantities are booked on the order first (so two receipts can never
+ * take in more than was ordered), with the receipt flagged unposted, then each
+ * line goes through stockIn and the flag is cleared. If a stock-in fails, the
+ * lines not taken in are released from the order again; if even that fails the
+ * receipt keeps its flag, stays out of the payable, and the caller gets a 500.
+ * @param {string} companyId
+ * @param {string} poNumber
+ * @param {Object} data
+ * @param {Object} requester
+ */
+async function receiveGoods(companyId, poNumber, data, requester) {
+  const {lines, location, note = ""} = data || {};
+  if (!Array.isArray(lines) || lines.length === 0) {
+    throw new AppError(400, "A goods receipt needs at least one line");
+  }
+
+  // Catch unusable locations before anything is booked
+  const {location: orderLocation} = await readOrder(companyId, poNumber);
+  for (const line of lines) {
+    await assertActiveLocation(
+        companyId,
+        line?.location || location || orderLocation,
+    );
+  }
+
+  const suffix = crypto.randomBytes(3).toString("hex");
+  const receiptId = `GRN-${Date.now().toString(36)}-${suffix}`;
+  let receipt = null;
+
+  await modifyOrder(
+      companyId,
+      poNumber,
+      (order) => {
+        if (order.status !== "Sent" && order.status !== "Partially Received") {
+          throw new AppError(
+              400,
+              "Goods can only be received on sent orders; " +
+                `${poNumber} is ${order.status}`,
+          );
+        }
+
+        const orderLines = order.lines.map((l) => ({...l}));
+        const seen = new Set();
+        const receiptLines = lines.map((line) => {
+          const orderLine = orderLines.find((l) => l.sku === String(line?.sku));
+          const quantity = Number(line?.quantity);
+
+          if (!orderLine) {
+            throw new AppError(400, `SKU ${line?.sku} is not on ${poNumber}`);
+          }
+          if (seen.has(orderLine.sku)) {
+            throw new AppError(
+                400,
+                `SKU ${orderLine.sku} appears on more than one receipt line`,
+            );
+          }
+          seen.add(orderLine.sku);
+          if (!Number.isInteger(quantity) || quantity <= 0) {
+            throw new AppError(
+                400,
+                `Quantity for ${orderLine.sku} must be a whole number ` +
+                  "greater than zero",
+            );
+          }
+
+          const pending = orderLine.quantity - orderLine.receivedQuantity;
+          if (quantity > pending) {
+            throw new AppError(
+                400,
+                `Only ${pending} of ${orderLine.sku} are still to be ` +
+                  `received on ${poNumber}`,
+            );
+          }
+
+          const unitCost =
+            line.unitCost !== undefined ?
+              Number(line.unitCost) :
+              orderLine.unitCost;
+          if (!Number.isFinite(unitCost) || unitCost < 0) {
+            throw new AppError(
+                400,
+                `Unit cost for ${orderLine.sku} cannot be negative`,
+            );
+          }
+
+          orderLine.receivedQuantity += quantity;
+          return {
+            sku: orderLine.sku,
+            quantity,
+            unitCost: round2(unitCost),
+            taxPercent: orderLine.taxPercent,
+            value: lineValue(quantity, unitCost, orderLine.taxPercent),
+            location: normalizeLocationCode(
+                line.location || location || order.location,
+            ),
+            batchNumber: line.batchNumber || null,
+            manufactureDate: line.manufactureDate || null,
+            expiryDate: line.expiryDate || null,
+          };
+        });
+
+        const receivedAt = new Date();
+        receipt = {
+          id: receiptId,
+          receivedAt: receivedAt.toISOString(),
+          receivedBy: requester?.email || null,
+          note,
+          lines: receiptLines,
+          value: round2(receiptLines.reduce((sum, l) => sum + l.value, 0)),
+          unposted: true,
+        };
+
+        // Payment terms run from the first delivery
+        const dueDate =
+          order.dueDate ||
+          new Date(
+              receivedAt.getTime() +
+              (order.paymentTermsDays || 0) * 24 * 60 * 60 * 1000,
+          ).toISOString();
+
+        return {
+          ...order,
+          lines: orderLines,
+          receipts: [...order.receipts, receipt],
+          dueDate,
+        };
+      },
+      "purchase-order.receive",
+  );
+
+  const posted = [];
+  for (const line of receipt.lines) {
+    try {
+      await stockIn(companyId, line.sku, {
+        quantity: line.quantity,
+        costPerUnit: line.unitCost,
+        location: line.location,
+        batchNumber: line.batchNumber,
+        manufactureDate: line.manufactureDate,
+        expiryDate: line.expiryDate,
+        reference: poNumber,
+        note:
+          `Goods receipt ${receiptId} for ${poNumber}` +
+          (note ? `: ${note}` : ""),
+      });
+      posted.push(line);
+    } catch (err) {
+      const failure = `Receiving ${line.sku} failed (${err.message}).`;
+      const postedSkus = posted.map((l) => l.sku).join(", ");
+
+      try {
+        await releaseReceiptLines(
+            companyId,
+            poNumber,
+            receiptId,
+            posted.length,
+        );
+      } catch (releaseErr) {
+        console.error(
+            `Failed to release receipt ${receiptId} on ${poNumber}:`,
+            releaseErr.message,
+        );
+        const reached = postedSkus ?
+          `${postedSkus} reached stock, the rest did not` :
+          "Nothing reached stock";
+        throw new AppError(
+            500,
+            `${failure} ${reached}, and ${poNumber} could not be corrected ` +
+            `(${releaseErr.message}). Receipt ${receiptId} stays on the ` +
+            "order flagged unposted and out of the payable; " +
+            "review it before receiving again.",
+        );
+      }
+
+      const postedNote = posted.length ?
+        ` ${postedSkus} were received; ` +
+          "the rest is still pending on the order." :
+        " Nothing was received.";
+      throw new AppError(err.statusCode || 500, `${failure}${postedNote}`);
+    }
+  }
+
+  let purchaseOrder;
+  try {
+    purchaseOrder = await modifyOrder(
+        companyId,
+        poNumber,
+        (order) => ({
+          ...order,
+          receipts: order.receipts.map((r) =>
+            r.id === receiptId ? withoutUnposted(r) : r,
+          ),
+        }),
+        "purchase-order.receive-post",
+    );
+  } catch (err) {
+    throw new AppError(
+        500,
+        `All goods on receipt ${receiptId} reached stock, but ${poNumber} ` +
+        `could not be updated (${err.message}). ` +
+        "The receipt stays flagged unposted and out of the payable; review it.",
+    );
+  }
+
+  return {
+    message: "Goods received",
+    receipt: withoutUnposted(receipt),
+    purchaseOrder,
+  };
+}
+
+/**
+ * Shrinks a receipt to its first `postedCount` lines, the ones that reached
+ * stock
+ * @param {string} companyId
+ * @param {string} poNumber
+ * @param {string} receiptId
+ * @param {number} postedCount
+ */
+async function releaseReceiptLines(
+    companyId,
+    poNumber,
+    receiptId,
+    postedCount,
+) {
+  await modifyOrder(
+      companyId,
+      poNumber,
+      (order) => {
+        const receipt = order.receipts.find((r) => r.id === receiptId);
+        const keptLines = receipt.lines.slice(0, postedCount);
+        const unposted = receipt.lines.slice(postedCount);
+
+        const lines = order.lines.map((l) => {
+          const release = unposted.find((u) => u.sku === l.sku);
+          return release ?
+            {...l, receivedQuantity: l.receivedQuantity - release.quantity} :
+            l;
+        });
+        const receipts = order.receipts
+            .map((r) =>
+              r.id === receiptId ?
+                {
+                  ...withoutUnposted(r),
+                  lines: keptLines,
+                  value: round2(keptLines.reduce((sum, l) => sum + l.value, 0)),
+                } :
+                r,
+            )
+            .filter((r) => r.lines.length > 0);
+
+        return {
+          ...order,
+          lines,
+          receipts,
+          dueDate: receipts.length ? order.dueDate : null,
+        };
+      },
+      "purchase-order.receive-release",
+  );
+}
+
+/**
+ * Body: { amount, method?, reference?, date? }
+ * @param {string} companyId
+ * @param {string} poNumber
+ * @param {Object} data
+ * @param {Object} requester
+ */
+async function recordSupplierPayment(companyId, poNumber, data, requester) {
+  const amount = Number(data?.amount);
+  if (!Number.isFinite(amount) || amount <= 0) {
+    throw new AppError(400, "Invalid payment amount");
+  }
+
+  return modifyOrder(
+      companyId,
+      poNumber,
+      (order) => {
+        if (amount > order.outstandingAmount) {
+          throw new AppError(
+              400,
+              `Overpayment not allowed: ${order.outstandingAmount} is ` +
+                `outstanding on goods received for ${poNumber}`,
+          );
+        }
+        return {
+          ...order,
+          payments: [
+            ...order.payments,
+            {
+              amount: round2(amount),
+              method: data.method || null,
+              reference: data.reference || null,
+              paidOn:
+                normalizeDate(data.date, "date") || new Date().toISOString(),
+              recordedBy: requester?.email || null,
+            },
+          ],
+        };
+      },
+      "purchase-order.payment",
+  );
+}
+
+/**
+ * A single purchase order, or 404
+ * @param {string} companyId
+ * @param {string} poNumber
+ */
+async function getPurchaseOrder(companyId, poNumber) {
+  return readOrder(companyId, poNumber);
+}
+
+/**
+ * Purchase orders from the index, newest first
+ * @param {string} companyId
+ */
+async function getAllPurchaseOrders(companyId) {
+  const orders = await readIndex(companyId, "purchaseOrders");
+  return orders.sort((a, b) => new Date(b.orderDate) - new Date(a.orderDate));
+}
+
+/**
+ * One page of purchase orders, filtered and sorted by the query
+ * @param {string} companyId
+ * @param {Object=} query
+ */
+async function listPurchaseOrders(companyId, query = {}) {
+  const orders = await getAllPurchaseOrders(companyId);
+
+  return applyListQuery(orders, query, {
+    keyOf: (po) => po.poNumber,
+    dateField: "orderDate",
+    sortable: [
+      "orderDate",
+      "expectedDate",
+      "dueDate",
+      "poNumber",
+      "supplierName",
+      "totalAmount",
+      "outstandingAmount",
+      "status",
+    ],
+    defaultSort: "orderDate",
+    filters: {
+      status: equalsText("status"),
+      paymentStatus: equalsText("paymentStatus"),
+      supplierId: equalsText("supplierId"),
+      supplier: includesText("supplierName"),
+      sku: (po, value) =>
+        (po.lines || []).some(
+            (line) => String(line.sku).toLowerCase() === value.toLowerCase(),
+        ),
+    },
+  });
+}
+
+/**
+ * Outstanding payables per supplier; `supplierId` narrows it to one.
+ * Overdue amounts are those on orders whose due date has passed.
+ * @param {string} companyId
+ * @param {Object=} query
+ */
+async function getPayables(companyId, query = {}) {
+  const [suppliers, orders] = await Promise.all([
+    getAllSuppliers(companyId),
+    getAllPurchaseOrders(companyId),
+  ]);
+  const now = new Date();
+
+  const rows = suppliers
+      .filter((s) => !query.supplierId || s.id === query.supplierId)
+      .map((supplier) => {
+        const own = orders.filter((o) => o.supplierId === supplier.id);
+        const open = own.filter((o) => o.outstandingAmount > 0);
+        const sum = (list, field) =>
+          round2(list.reduce((total, o) => total + (o[field] || 0), 0));
+
+        return {
+          supplierId: supplier.id,
+          supplierName: supplier.name,
+          gst: supplier.gst,
+          openOrders: own.filter(
+              (o) => !["Received", "Closed"].includes(o.status),
+          ).length,
+          payableAmount: sum(own, "payableAmount"),
+          amountPaid: sum(own, "amountPaid"),
+          outstandingAmount: sum(open, "outstandingAmount"),
+          overdueAmount: sum(
+              open.filter((o) => o.dueDate && new Date(o.dueDate) < now),
+              "outstandingAmount",
+          ),
+          orders: open.map((order) => ({
+            poNumber: order.poNumber,
+            dueDate: order.dueDate,
+            outstandingAmount: order.outstandingAmount,
+            status: order.status,
+          })),
+        };
+      })
+      .filter((row) => query.supplierId || row.payableAmount > 0)
+      .sort((a, b) => b.outstandingAmount - a.outstandingAmount);
+
+  return {
+    totalOutstanding: round2(
+        rows.reduce((sum, r) => sum + r.outstandingAmount, 0),
+    ),
+    totalOverdue: round2(rows.reduce((sum, r) => sum + r.overdueAmount, 0)),
+    suppliers: rows,
+  };
+}
+
+module.exports = {
+  STATUSES,
+  createPurchaseOrder,
+  updatePurchaseOrder,
+  sendPurchaseOrder,
+  closePurchaseOrder,
+  receiveGoods,
+  recordSupplierPayment,
+  getPurchaseOrder,
+  getAllPurchaseOrders,
+  listPurchaseOrders,
+  getPayables,
+};
@@ -0,0 +1,245 @@
+const {AppError, getAllProducts} = require("./productController");
+const {getAllSuppliers} = require("./supplierController");
+const {
+  getAllPurchaseOrders,
+  createPurchaseOrder,
+} = require("./purchaseOrderController");
+const {readMovementsSince} = require("../services/movementJournal");
+const {getCompanySettings} = require("../services/settingsService");
+const {getAllCompanies} = require("../services/companyService");
+const {runAsJob} = require("../services/requestContext");
+const {
+  DAY_MS,
+  suggestReorder,
+  observedLeadTimeDays,
+} = require("../services/replenishment");
+
+const OPEN_STATUSES = ["Draft", "Sent", "Partially Received"];
+
+/**
+ * Units sold per SKU since `since`; rolled-back sales (cancelled or failed
+ * invoices) don't count
+ * @param {string} companyId
+ * @param {Date|string} since
+ */
+async function soldUnitsBySku(companyId, since) {
+  const movements = await readMovementsSince(companyId, since);
+  const sold = {};
+
+  for (const m of movements) {
+    if (m.type === "Stock Out") sold[m.sku] = (sold[m.sku] || 0) + m.quantity;
+    // Stock-ins logged before the reversal flag existed are known by their note
+    const reversal = m.reversal ?? /Rollback:/.test(m.note || "");
+    if (m.type === "Stock In" && reversal) {
+      sold[m.sku] = (sold[m.sku] || 0) - m.quantity;
+    }
+  }
+  return sold;
+}
+
+/**
+ * Reorder suggestions for every active product, grouped by supplier.
+ * A product's supplier is its preferredSupplierId, else whoever it was last
+ * ordered from; products with neither are listed under `unassigned`.
+ * @param {string} companyId
+ * @param {Object=} query
+ */
+async function getSuggestions(companyId, query = {}) {
+  if (!companyId) throw new AppError(400, "Company ID is required");
+
+  const {replenishment: settings} = await getCompanySettings(companyId);
+  const since = new Date(Date.now() - settings.lookbackDays * DAY_MS);
+
+  const [products, suppliers, orders, sold] = await Promise.all([
+    getAllProducts(companyId, {fullRecords: true}),
+    getAllSuppliers(companyId),
+    getAllPurchaseOrders(companyId),
+    soldUnitsBySku(companyId, since),
+  ]);
+
+  const supplierById = Object.fromEntries(suppliers.map((s) => [s.id, s]));
+  const byOrderDate = [...orders].sort(
+      (a, b) => new Date(b.orderDate) - new Date(a.orderDate),
+  );
+  const groups = {};
+  const unassigned = [];
+
+  for (const product of products) {
+    const ordersWithSku = byOrderDate.filter((o) =>
+      o.lines.some((l) => l.sku === product.sku),
+    );
+    const lastOrder = ordersWithSku[0] || null;
+    const supplierId =
+      product.preferredSupplierId || lastOrder?.supplierId || null;
+
+    const incoming = ordersWithSku
+        .filter((o) => OPEN_STATUSES.includes(o.status))
+        .flatMap((o) => o.lines.filter((l) => l.sku === product.sku))
+        .reduce((sum, l) => sum + (l.quantity - l.receivedQuantity), 0);
+
+    const leadTimeDays =
+      product.leadTimeDays ??
+      observedLeadTimeDays(
+          ordersWithSku.filter((o) => o.supplierId === supplierId),
+      ) ??
+      settings.defaultLeadTimeDays;
+
+    const suggestion = suggestReorder({
+      stockOnHand: product.stockOnHand,
+      reorderLevel: product.reorderLevel,
+      incoming,
+      soldUnits: sold[product.sku] || 0,
+      lookbackDays: settings.lookbackDays,
+      leadTimeDays,
+      safetyStockDays: product.safetyStockDays ?? settings.safetyStockDays,
+      coverDays: settings.coverDays,
+    });
+    if (suggestion.suggestedQuantity === 0) continue;
+
+    const lastLine = supplierId ?
+      byOrderDate
+          .filter((o) => o.supplierId === supplierId)
+          .flatMap((o) => o.lines)
+          .find((l) => l.sku === product.sku) :
+      null;
+    const unitCost =
+      lastLine?.unitCost ?? product.averageCost ?? product.costPrice ?? 0;
+
+    const line = {
+      sku: product.sku,
+      name: product.name,
+      stockOnHand: product.stockOnHand,
+      reorderLevel: product.reorderLevel,
+      incoming,
+      soldUnits: sold[product.sku] || 0,
+      ...suggestion,
+      unitCost,
+      estimatedCost: Number(
+          (suggestion.suggestedQuantity * unitCost).toFixed(2),
+      ),
+    };
+
+    if (!supplierId || !supplierById[supplierId]) {
+      unassigned.push(line);
+      continue;
+    }
+
+    const group =
+      groups[supplierId] ||
+      (groups[supplierId] = {
+        supplierId,
+        supplierName: supplierById[supplierId].name,
+        supplierStatus: supplierById[supplierId].status,
+        lines: [],
+        estimatedCost: 0,
+      });
+    group.lines.push(line);
+    group.estimatedCost = Number(
+        (group.estimatedCost + line.estimatedCost).toFixed(2),
+    );
+  }
+
+  const wanted = query.supplierId ? [query.supplierId] : null;
+  return {
+    generatedAt: new Date().toISOString(),
+    settings,
+    suppliers: Object.values(groups)
+        .filter((g) => !wanted || wanted.includes(g.supplierId))
+        .sort((a, b) => b.estimatedCost - a.estimatedCost),
+    unassigned,
+  };
+}
+
+/**
+ * Turns the current suggestions into one draft purchase order per supplier.
+ * Body: { supplierIds?: [...] } to limit which suppliers get an order. Drafts
+ * count as incoming stock, so running this twice does not order twice.
+ * @param {string} companyId
+ * @param {Object=} data
+ * @param {Object=} requester
+ */
+async function createDraftOrders(companyId, data = {}, requester = null) {
+  const {supplierIds} = data || {};
+  if (supplierIds !== undefined && !Array.isArray(supplierIds)) {
+    throw new AppError(400, "supplierIds must be a list");
+  }
+
+  const {suppliers, unassigned} = await getSuggestions(companyId);
+  const created = [];
+  const skipped = [];
+
+  for (const group of suppliers) {
+    if (supplierIds && !supplierIds.includes(group.supplierId)) continue;
+
+    if (group.supplierStatus !== "ENABLED") {
+      skipped.push({
+        supplierId: group.supplierId,
+        reason: "Supplier is disabled",
+      });
+      continue;
+    }
+
+    const order = await createPurchaseOrder(
+        companyId,
+        {
+          supplierId: group.supplierId,
+          lines: group.lines.map((l) => ({
+            sku: l.sku,
+            quantity: l.suggestedQuantity,
+            unitCost: l.unitCost,
+          })),
+          notes: "Drafted from reorder suggestions",
+        },
+        requester,
+    );
+    created.push(order);
+  }
+
+  return {
+    message: `${created.length} draft purchase order(s) created`,
+    orders: created,
+    skipped,
+    unassigned,
+  };
+}
+
+/**
+ * The daily job: drafts orders for every active company that has
+ * replenishment.autoDraftOrders switched on. One company failing does not
+ * stop the others.
+ */
+async function runDailyReplenishment() {
+  return runAsJob("replenishment", async () => {
+    const companies = (await getAllCompanies()).filter(
+        (c) => c.status === "ACTIVE",
+    );
+    const report = {companies: companies.length, drafted: [], failed: []};
+
+    for (const company of companies) {
+      try {
+        const {replenishment} = await getCompanySettings(company.companyId);
+        if (!replenishment.autoDraftOrders) continue;
+
+        const {orders} = await createDraftOrders(company.companyId);
+        report.drafted.push({
+          companyId: company.companyId,
+          orders: orders.map((o) => o.poNumber),
+        });
+      } catch (err) {
+        console.error(
+            `Replenishment failed for ${company.companyId}:`,
+            err.message,
+        );
+        report.failed.push({companyId: company.companyId, error: err.message});
+      }
+    }
+
+    return report;
+  });
+}
+
+module.exports = {
+  getSuggestions,
+  createDraftOrders,
+  runDailyReplenishment,
+};
@@ -1,37 +1,174 @@
-const { getAllInvoices } = require("./invoiceController");
-const { getAllProducts } = require("./productController");
-const { AppError } = require("./productController");
-
+const {getAllInvoices} = require("./invoiceController");
+const {getAllProducts} = require("./productController");
+const {AppError} = require("./productController");
+const {isExpired, daysUntil, today} = require("../services/stockBatches");
+const {normalizeLocationCode} = require("../services/stockLocations");
+const {getCompanySettings} = require("../services/settingsService");
+const {
+  COSTING_METHODS,
+  getCostLayers,
+  inventoryValueOf,
+  unitValueOf,
+} = require("../services/costing");
 
+/**
+ * Invoice rows and product stock values for the export
+ * @param {string} companyId
+ */
 async function getExportData(companyId) {
   if (!companyId) throw new AppError(400, "Company ID is required");
 
   const invoices = await getAllInvoices(companyId);
-  const products = await getAllProducts(companyId);
-
+  // Archived products still hold stock value, so they stay in the report
+  const products = await getAllProducts(companyId, {
+    includeDeleted: true,
+    fullRecords: true,
+  });
+  const {costingMethod} = (await getCompanySettings(companyId)).inventory;
 
   const salesReport = invoices
-    .filter(inv => inv.status !== "Cancelled")
-    .map(inv => ({
-      "Date": new Date(inv.date).toLocaleDateString('en-IN'),
-      "Invoice #": inv.invoiceNumber,
-      "Customer": inv.customerName,
-      "GSTIN": inv.gst,
-      "Total Amount": Number(inv.totalAmount.toFixed(2)), // Numeric precision fix
-      "Status": inv.status.toUpperCase(),
-      "Outstanding": Number((inv.outstandingAmount || 0).toFixed(2))
-    }));
-
-  const inventoryReport = products.map(p => ({
+      .filter((inv) => inv.status !== "Cancelled" && inv.status !== "Void")
+      .map((inv) => ({
+        "Date": new Date(inv.date).toLocaleDateString("en-IN"),
+        "Invoice #": inv.invoiceNumber,
+        "Customer": inv.customerName,
+        "GSTIN": inv.gst,
+        // Numeric precision fix
+        "Total Amount": Number(inv.totalAmount.toFixed(2)),
+        "Status": inv.status.toUpperCase(),
+        "Outstanding": Number((inv.outstandingAmount || 0).toFixed(2)),
+      }));
+
+  const inventoryReport = products.map((p) => ({
     "SKU": p.sku,
     "Product Name": p.name,
     "Stock Hand": p.stockOnHand,
     "Avg Cost": Number(p.averageCost.toFixed(2)),
-    "Inventory Value": Number((p.stockOnHand * p.averageCost).toFixed(2)),
-    "Status": p.stockOnHand <= p.reorderLevel ? "LOW STOCK" : "OK"
+    "Inventory Value": inventoryValueOf(p, costingMethod),
+    "Status": p.deletedAt ?
+      "ARCHIVED" :
+      p.stockOnHand <= p.reorderLevel ?
+        "LOW STOCK" :
+        "OK",
   }));
 
-  return { salesReport, inventoryReport };
+  return {salesReport, inventoryReport};
+}
+
+/**
+ * Batches that expire within `days` days (default 30), expired ones included,
+ * soonest first. Optional `location` narrows it to one location.
+ * @param {string} companyId
+ * @param {Object=} query
+ */
+async function getExpiringBatches(companyId, query = {}) {
+  if (!companyId) throw new AppError(400, "Company ID is required");
+
+  const days = query.days === undefined ? 30 : Number(query.days);
+  if (!Number.isInteger(days) || days < 0) {
+    throw new AppError(400, "days must be a whole number of zero or more");
+  }
+
+  const asOf = today();
+  const location = query.location ?
+    normalizeLocationCode(query.location) :
+    null;
+  const products = await getAllProducts(companyId, {fullRecords: true});
+
+  const batches = products
+      .flatMap((p) => (p.batches || []).map((batch) => ({product: p, batch})))
+      .filter(
+          ({batch}) =>
+            batch.expiryDate &&
+        (!location || batch.location === location) &&
+        daysUntil(batch.expiryDate, asOf) <= days,
+      )
+      .map(({product, batch}) => ({
+        sku: product.sku,
+        name: product.name,
+        batchNumber: batch.batchNumber,
+        location: batch.location,
+        quantity: batch.quantity,
+        manufactureDate: batch.manufactureDate,
+        expiryDate: batch.expiryDate,
+        daysToExpiry: daysUntil(batch.expiryDate, asOf),
+        expired: isExpired(batch, asOf),
+        stockValue: Number((batch.quantity * unitValueOf(product)).toFixed(2)),
+      }))
+      .sort((a, b) => a.expiryDate.localeCompare(b.expiryDate));
+
+  return {
+    asOf,
+    days,
+    location,
+    expiredValue: Number(
+        batches
+            .filter((b) => b.expired)
+            .reduce((sum, b) => sum + b.stockValue, 0)
+            .toFixed(2),
+    ),
+    expiringValue: Number(
+        batches
+            .filter((b) => !b.expired)
+            .reduce((sum, b) => sum + b.stockValue, 0)
+            .toFixed(2),
+    ),
+    batches,
+  };
+}
+
+/**
+ * Stock valuation under the company's costing method, or `method` to compare
+ * (WEIGHTED_AVERAGE | FIFO). FIFO rows list the cost layers still on hand.
+ * @param {string} companyId
+ * @param {Object=} query
+ */
+async function getValuationReport(companyId, query = {}) {
+  if (!companyId) throw new AppError(400, "Company ID is required");
+
+  const {costingMethod} = (await getCompanySettings(companyId)).inventory;
+  const method = query.method ?
+    String(query.method).toUpperCase() :
+    costingMethod;
+  if (!COSTING_METHODS.includes(method)) {
+    throw new AppError(
+        400,
+        `method must be one of: ${COSTING_METHODS.join(", ")}`,
+    );
+  }
+
+  const products = (
+    await getAllProducts(companyId, {includeDeleted: true, fullRecords: true})
+  )
+      .filter((p) => p.stockOnHand > 0)
+      .map((p) => ({
+        sku: p.sku,
+        name: p.name,
+        archived: Boolean(p.deletedAt),
+        stockOnHand: p.stockOnHand,
+        unitCost: Number(unitValueOf(p, method).toFixed(2)),
+        inventoryValue: inventoryValueOf(p, method),
+        ...(method === "FIFO" && {
+          costLayers: getCostLayers(p).map(
+              ({quantity, unitCost, receivedAt}) => ({
+                quantity,
+                unitCost,
+                receivedAt,
+              }),
+          ),
+        }),
+      }))
+      .sort((a, b) => b.inventoryValue - a.inventoryValue);
+
+  return {
+    costingMethod,
+    method,
+    totalUnits: products.reduce((sum, p) => sum + p.stockOnHand, 0),
+    totalValue: Number(
+        products.reduce((sum, p) => sum + p.inventoryValue, 0).toFixed(2),
+    ),
+    products,
+  };
 }
 
-module.exports = { getExportData };
\ No newline at end of file
+module.exports = {getExportData, getExpiringBatches, getValuationReport};
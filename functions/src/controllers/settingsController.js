@@ -0,0 +1,264 @@
+const {AppError} = require("./productController");
+const {
+  getCompanySettings,
+  updateCompanySettings,
+} = require("../services/settingsService");
+const permissionService = require("../services/permissionService");
+const {COSTING_METHODS} = require("../services/costing");
+const {revalueProducts} = require("./inventoryController");
+const {DEFAULT_SETTINGS} = require("../services/settingsService");
+
+/**
+ * The company's settings with defaults filled in
+ * @param {string} companyId
+ */
+async function getSettings(companyId) {
+  if (!companyId) throw new AppError(400, "Company ID is required");
+  return getCompanySettings(companyId);
+}
+
+/**
+ * Changes the invoice prefix and number padding
+ * @param {string} companyId
+ * @param {Object} data
+ * @param {Object} requester
+ */
+async function updateInvoiceNumbering(companyId, data, requester) {
+  const {prefix, padding} = data || {};
+  const updates = {};
+
+  if (prefix !== undefined) {
+    if (!/^[A-Za-z0-9-]{1,10}$/.test(String(prefix))) {
+      throw new AppError(400, "Prefix must be 1-10 letters, digits or hyphens");
+    }
+    updates.prefix = String(prefix).toUpperCase();
+  }
+
+  if (padding !== undefined) {
+    const finalPadding = Number(padding);
+    if (
+      !Number.isInteger(finalPadding) ||
+      finalPadding < 1 ||
+      finalPadding > 10
+    ) {
+      throw new AppError(
+          400,
+          "Padding must be a whole number between 1 and 10",
+      );
+    }
+    updates.padding = finalPadding;
+  }
+
+  if (Object.keys(updates).length === 0) {
+    throw new AppError(400, "Provide a prefix and/or padding to update");
+  }
+
+  const invoiceNumbering = await updateCompanySettings(
+      companyId,
+      "invoiceNumbering",
+      updates,
+      requester.email,
+  );
+
+  return {message: "Invoice numbering updated", invoiceNumbering};
+}
+
+/**
+ * Sets how many days trashed records are kept before they can be purged
+ * @param {string} companyId
+ * @param {Object} data
+ * @param {Object} requester
+ */
+async function updateTrashSettings(companyId, data, requester) {
+  const retentionDays = Number((data || {}).retentionDays);
+  if (
+    !Number.isInteger(retentionDays) ||
+    retentionDays < 0 ||
+    retentionDays > 3650
+  ) {
+    throw new AppError(
+        400,
+        "retentionDays must be a whole number between 0 and 3650",
+    );
+  }
+
+  const trash = await updateCompanySettings(
+      companyId,
+      "trash",
+      {retentionDays},
+      requester.email,
+  );
+
+  return {message: "Trash retention updated", trash};
+}
+
+/**
+ * Body: { twoFactorRequiredRoles: ["OWNER", "MANAGER"] }
+ * @param {string} companyId
+ * @param {Object} data
+ * @param {Object} requester
+ */
+async function updateSecuritySettings(companyId, data, requester) {
+  const {twoFactorRequiredRoles} = data || {};
+
+  if (!Array.isArray(twoFactorRequiredRoles)) {
+    throw new AppError(400, "twoFactorRequiredRoles must be a list of roles");
+  }
+
+  const unknown = twoFactorRequiredRoles.filter(
+      (role) => !permissionService.isValidRole(role),
+  );
+  if (unknown.length > 0) {
+    throw new AppError(400, `Unknown role(s): ${unknown.join(", ")}`);
+  }
+
+  const security = await updateCompanySettings(
+      companyId,
+      "security",
+      {twoFactorRequiredRoles: [...new Set(twoFactorRequiredRoles)]},
+      requester.email,
+  );
+
+  return {message: "Security settings updated", security};
+}
+
+/**
+ * Switching the costing method revalues the stock on hand straight away
+ * @param {string} companyId
+ * @param {Object} data
+ * @param {Object} requester
+ */
+async function updateInventorySettings(companyId, data, requester) {
+  const {costingMethod} = data || {};
+
+  if (!COSTING_METHODS.includes(costingMethod)) {
+    throw new AppError(
+        400,
+        `costingMethod must be one of: ${COSTING_METHODS.join(", ")}`,
+    );
+  }
+
+  const inventory = await updateCompanySettings(
+      companyId,
+      "inventory",
+      {costingMethod},
+      requester.email,
+  );
+  const revaluedProducts = await revalueProducts(companyId, costingMethod);
+
+  return {message: "Inventory settings updated", inventory, revaluedProducts};
+}
+
+/**
+ * Body: any of { lookbackDays, defaultLeadTimeDays, safetyStockDays, coverDays,
+ * autoDraftOrders }
+ * @param {string} companyId
+ * @param {Object} data
+ * @param {Object} requester
+ */
+async function updateReplenishmentSettings(companyId, data, requester) {
+  const updates = {};
+
+  for (const field of [
+    "lookbackDays",
+    "defaultLeadTimeDays",
+    "safetyStockDays",
+    "coverDays",
+  ]) {
+    if (data?.[field] === undefined) continue;
+    const value = Number(data[field]);
+    const min = field === "lookbackDays" ? 1 : 0;
+    if (!Number.isInteger(value) || value < min || value > 365) {
+      throw new AppError(
+          400,
+          `${field} must be a whole number between ${min} and 365`,
+      );
+    }
+    updates[field] = value;
+  }
+
+  if (data?.autoDraftOrders !== undefined) {
+    if (typeof data.autoDraftOrders !== "boolean") {
+      throw new AppError(400, "autoDraftOrders must be true or false");
+    }
+    updates.autoDraftOrders = data.autoDraftOrders;
+  }
+
+  if (Object.keys(updates).length === 0) {
+    throw new AppError(
+        400,
+        "Provide at least one of: " +
+          Object.keys(DEFAULT_SETTINGS.replenishment).join(", "),
+    );
+  }
+
+  const replenishment = await updateCompanySettings(
+      companyId,
+      "replenishment",
+      updates,
+      requester.email,
+  );
+
+  return {message: "Replenishment settings updated", replenishment};
+}
+
+/**
+ * The permission matrix: all actions, the defaults and the company's roles
+ * @param {string} companyId
+ * @param {Object} requester
+ */
+async function getPermissions(companyId, requester) {
+  const roles = await permissionService.getRolePermissions(companyId);
+
+  return {
+    actions: permissionService.ACTIONS,
+    defaults: permissionService.DEFAULT_ROLE_PERMISSIONS,
+    roles,
+    yourRole: requester?.role || null,
+    yourPermissions: requester?.apiKeyId ?
+      requester.permissions :
+      roles[requester?.role] || [],
+  };
+}
+
+/**
+ * Body: { roles: { MANAGER: ["product:view", ...], CASHIER: null } } - null
+ * restores the default
+ * @param {string} companyId
+ * @param {Object} data
+ * @param {Object} requester
+ */
+async function updatePermissions(companyId, data, requester) {
+  const {roles} = data || {};
+
+  if (!roles || typeof roles !== "object" || Object.keys(roles).length === 0) {
+    throw new AppError(
+        400,
+        "Provide roles to update, e.g. { roles: { MANAGER: [...] } }",
+    );
+  }
+
+  const problems = permissionService.validateOverrides(roles);
+  if (problems.length > 0) {
+    throw new AppError(400, problems.join("; "));
+  }
+
+  const matrix = await permissionService.updateRolePermissions(
+      companyId,
+      roles,
+      requester.email,
+  );
+
+  return {message: "Role permissions updated", roles: matrix};
+}
+
+module.exports = {
+  getSettings,
+  updateInvoiceNumbering,
+  updateTrashSettings,
+  updateSecuritySettings,
+  updateInventorySettings,
+  updateReplenishmentSettings,
+  getPermissions,
+  updatePermissions,
+};
@@ -0,0 +1,293 @@
+const crypto = require("crypto");
+const {getBucket} = require("../config/firebase");
+const {AppError} = require("./productController");
+const companyService = require("../services/companyService");
+const {
+  applyListQuery,
+  includesText,
+  equalsText,
+} = require("../services/listQuery");
+const {readIndex, upsertIndexEntry} = require("../services/indexService");
+const {
+  readJsonVersioned,
+  saveJsonIfGeneration,
+  updateJsonWithRetry,
+} = require("../storage/versionedJson");
+const {stampSchemaVersion} = require("../services/schemaMigrations");
+const {recordAuditEvent} = require("../services/auditService");
+const {
+  isValidGST,
+  isValidPhone,
+  isValidEmail,
+  isValidPincode,
+} = require("./customerController");
+
+const DEFAULT_PAYMENT_TERMS_DAYS = 30;
+
+/**
+ * Fails unless the company exists and is active
+ * @param {string} companyId
+ */
+async function validateCompanyAccess(companyId) {
+  if (!companyId) throw new AppError(400, "Company ID is required");
+
+  const company = await companyService.getCompanyById(companyId);
+  if (!company) throw new AppError(404, "Company not found");
+  if (company.status !== "ACTIVE") {
+    throw new AppError(
+        403,
+        "Access Denied: Your company account is currently suspended.",
+    );
+  }
+}
+
+const getSupplierFile = (companyId, supplierId) =>
+  getBucket().file(`companies/${companyId}/suppliers/${supplierId}.json`);
+
+/**
+ * Checks the contact fields that were supplied; name is checked by the callers
+ * @param {Object} options
+ */
+function validateSupplierFields({
+  phone,
+  email,
+  pincode,
+  gst,
+  paymentTermsDays,
+}) {
+  if (gst && !isValidGST(gst)) {
+    throw new AppError(400, "Invalid GSTIN format. Must be 15 characters.");
+  }
+  if (phone && !isValidPhone(phone)) {
+    throw new AppError(
+        400,
+        "Invalid Phone Number. Please provide a 10-digit mobile number.",
+    );
+  }
+  if (email && !isValidEmail(email)) {
+    throw new AppError(400, "Invalid Email Address format.");
+  }
+  if (pincode && !isValidPincode(pincode)) {
+    throw new AppError(
+        400,
+        "Invalid Pincode. Please provide a valid 6-digit number.",
+    );
+  }
+  if (
+    paymentTermsDays !== undefined &&
+    (!Number.isInteger(Number(paymentTermsDays)) ||
+      Number(paymentTermsDays) < 0)
+  ) {
+    throw new AppError(
+        400,
+        "paymentTermsDays must be a whole number of zero or more",
+    );
+  }
+}
+
+/**
+ * Fails with 409 when another supplier already uses this GSTIN
+ * @param {string} companyId
+ * @param {string} gst
+ * @param {string=} exceptId
+ */
+async function assertGstFree(companyId, gst, exceptId = null) {
+  if (!gst) return;
+  const suppliers = await getAllSuppliers(companyId);
+  if (suppliers.some((s) => s.gst === gst && s.id !== exceptId)) {
+    throw new AppError(409, "A supplier with this GSTIN already exists.");
+  }
+}
+
+/**
+ * Creates a supplier with a unique GSTIN
+ * @param {string} companyId
+ * @param {Object} data
+ * @param {Object} requester
+ */
+async function createSupplier(companyId, data, requester) {
+  await validateCompanyAccess(companyId);
+
+  const {
+    name,
+    contactPerson = "",
+    phone = "",
+    email = "",
+    address = "",
+    district = "",
+    pincode = "",
+    gst = "",
+    paymentTermsDays = DEFAULT_PAYMENT_TERMS_DAYS,
+  } = data || {};
+
+  if (!name || !String(name).trim()) {
+    throw new AppError(400, "Supplier name is required");
+  }
+  validateSupplierFields({phone, email, pincode, gst, paymentTermsDays});
+
+  const normalizedGST = gst ? gst.toUpperCase() : "";
+  await assertGstFree(companyId, normalizedGST);
+
+  // Random suffix: two suppliers created in the same millisecond stay apart
+  const supplierId =
+    `SUP-${Date.now()}-${crypto.randomBytes(4).toString("hex")}`;
+  const supplier = stampSchemaVersion("suppliers", {
+    companyId,
+    id: supplierId,
+    name: String(name).trim(),
+    contactPerson,
+    phone,
+    email,
+    address,
+    district,
+    pincode,
+    gst: normalizedGST,
+    paymentTermsDays: Number(paymentTermsDays),
+    status: "ENABLED",
+    createdAt: new Date().toISOString(),
+    createdBy: requester?.email || null,
+  });
+
+  await saveJsonIfGeneration(
+      getSupplierFile(companyId, supplierId),
+      supplier,
+      0,
+  );
+  await upsertIndexEntry(companyId, "suppliers", supplier);
+  await recordAuditEvent(companyId, {
+    action: "supplier.create",
+    entity: "supplier",
+    entityId: supplierId,
+    after: supplier,
+  });
+
+  return {success: true, message: "Supplier created successfully.", supplier};
+}
+
+/**
+ * Updates a supplier's contact and payment details
+ * @param {string} companyId
+ * @param {string} supplierId
+ * @param {Object} data
+ */
+async function updateSupplier(companyId, supplierId, data) {
+  await validateCompanyAccess(companyId);
+
+  const updates = {...(data || {})};
+  validateSupplierFields(updates);
+
+  if (updates.name !== undefined && !String(updates.name).trim()) {
+    throw new AppError(400, "Supplier name cannot be empty");
+  }
+  if (
+    updates.status !== undefined &&
+    !["ENABLED", "DISABLED"].includes(updates.status)
+  ) {
+    throw new AppError(400, "status must be ENABLED or DISABLED");
+  }
+  if (updates.gst) {
+    updates.gst = updates.gst.toUpperCase();
+    await assertGstFree(companyId, updates.gst, supplierId);
+  }
+
+  const editable = [
+    "name",
+    "contactPerson",
+    "phone",
+    "email",
+    "address",
+    "district",
+    "pincode",
+    "gst",
+    "paymentTermsDays",
+    "status",
+  ];
+
+  let before = null;
+  const supplier = await updateJsonWithRetry(
+      getSupplierFile(companyId, supplierId),
+      (current) => {
+        before = current;
+        if (!current) throw new AppError(404, "Supplier not found.");
+
+        const next = {...current, updatedAt: new Date().toISOString()};
+        for (const field of editable) {
+          if (updates[field] !== undefined) next[field] = updates[field];
+        }
+        next.paymentTermsDays = Number(next.paymentTermsDays);
+        return next;
+      },
+  );
+
+  await upsertIndexEntry(companyId, "suppliers", supplier);
+  await recordAuditEvent(companyId, {
+    action: "supplier.update",
+    entity: "supplier",
+    entityId: supplierId,
+    before,
+    after: supplier,
+  });
+
+  return {success: true, message: "Supplier updated successfully.", supplier};
+}
+
+/**
+ * A single supplier, or 404
+ * @param {string} companyId
+ * @param {string} supplierId
+ */
+async function getSupplier(companyId, supplierId) {
+  await validateCompanyAccess(companyId);
+
+  const {data} = await readJsonVersioned(
+      getSupplierFile(companyId, supplierId),
+  );
+  if (!data) throw new AppError(404, "Supplier not found.");
+  return data;
+}
+
+/**
+ * Suppliers from the index, newest first
+ * @param {string} companyId
+ */
+async function getAllSuppliers(companyId) {
+  await validateCompanyAccess(companyId);
+
+  const suppliers = await readIndex(companyId, "suppliers");
+  return suppliers.sort(
+      (a, b) => new Date(b.createdAt) - new Date(a.createdAt),
+  );
+}
+
+/**
+ * One page of suppliers, filtered and sorted by the query
+ * @param {string} companyId
+ * @param {Object=} query
+ */
+async function listSuppliers(companyId, query = {}) {
+  const suppliers = await getAllSuppliers(companyId);
+
+  return applyListQuery(suppliers, query, {
+    keyOf: (s) => s.id,
+    dateField: "createdAt",
+    sortable: ["createdAt", "name", "district", "status"],
+    defaultSort: "createdAt",
+    filters: {
+      status: equalsText("status"),
+      district: equalsText("district"),
+      gst: equalsText("gst"),
+      q: (s, value) =>
+        ["name", "contactPerson", "phone", "email"].some((field) =>
+          includesText(field)(s, value),
+        ),
+    },
+  });
+}
+
+module.exports = {
+  createSupplier,
+  updateSupplier,
+  getSupplier,
+  getAllSuppliers,
+  listSuppliers,
+};
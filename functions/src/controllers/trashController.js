@@ -0,0 +1,133 @@
+const productController = require("./productController");
+const customerController = require("./customerController");
+const {AppError} = require("./productController");
+const {getCompanySettings} = require("../services/settingsService");
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const TRASH_TYPES = {
+  products: {
+    keyOf: (p) => p.sku,
+    list: productController.getDeletedProducts,
+    restore: productController.restoreProduct,
+    purge: productController.purgeProduct,
+  },
+  customers: {
+    keyOf: (c) => c.id,
+    list: customerController.getDeletedCustomers,
+    restore: customerController.restoreCustomer,
+    purge: customerController.purgeCustomer,
+  },
+};
+
+/**
+ * The trash handler for a type, or 400 for an unknown type
+ * @param {string} type
+ * @return {Object}
+ */
+function getTrashType(type) {
+  const handler = TRASH_TYPES[type];
+  if (!handler) {
+    throw new AppError(
+        400,
+        `Unknown trash type "${type}". ` +
+          `Use one of: ${Object.keys(TRASH_TYPES).join(", ")}`,
+    );
+  }
+  return handler;
+}
+
+const purgeableAt = (record, retentionDays) =>
+  new Date(new Date(record.deletedAt).getTime() + retentionDays * DAY_MS);
+
+/**
+ * Trashed records of one type, with the date each may be purged
+ * @param {string} companyId
+ * @param {string} type
+ */
+async function listTrash(companyId, type) {
+  const handler = getTrashType(type);
+  const {trash} = await getCompanySettings(companyId);
+
+  const records = await handler.list(companyId);
+
+  return records
+      .map((record) => ({
+        ...record,
+        purgeableAt: purgeableAt(record, trash.retentionDays).toISOString(),
+      }))
+      .sort((a, b) => new Date(b.deletedAt) - new Date(a.deletedAt));
+}
+
+/**
+ * Restores a trashed record through its own controller
+ * @param {string} companyId
+ * @param {string} type
+ * @param {string} id
+ * @param {Object} requester
+ */
+async function restoreFromTrash(companyId, type, id, requester) {
+  return getTrashType(type).restore(companyId, id, requester);
+}
+
+/**
+ * Deletes a trashed record for good once its retention period is over
+ * @param {string} companyId
+ * @param {string} type
+ * @param {string} id
+ */
+async function purgeFromTrash(companyId, type, id) {
+  const handler = getTrashType(type);
+  const {trash} = await getCompanySettings(companyId);
+
+  const record = (await handler.list(companyId)).find(
+      (r) => handler.keyOf(r) === id,
+  );
+  if (!record) {
+    throw new AppError(404, `No ${type} record "${id}" in the trash`);
+  }
+
+  const eligibleAt = purgeableAt(record, trash.retentionDays);
+  if (eligibleAt > new Date()) {
+    throw new AppError(
+        400,
+        `This record is kept for ${trash.retentionDays} days after ` +
+          `deletion and can be purged from ${eligibleAt.toISOString()}`,
+    );
+  }
+
+  return handler.purge(companyId, id);
+}
+
+/**
+ * Purges every archived record whose retention period has ended
+ * @param {string} companyId
+ */
+async function purgeExpiredTrash(companyId) {
+  const {trash} = await getCompanySettings(companyId);
+  const now = new Date();
+  const purged = {};
+
+  for (const [type, handler] of Object.entries(TRASH_TYPES)) {
+    purged[type] = [];
+    for (const record of await handler.list(companyId)) {
+      if (purgeableAt(record, trash.retentionDays) > now) continue;
+
+      await handler.purge(companyId, handler.keyOf(record));
+      purged[type].push(handler.keyOf(record));
+    }
+  }
+
+  return {
+    message: "Expired trash purged",
+    retentionDays: trash.retentionDays,
+    purged,
+  };
+}
+
+module.exports = {
+  listTrash,
+  restoreFromTrash,
+  purgeFromTrash,
+  purgeExpiredTrash,
+};
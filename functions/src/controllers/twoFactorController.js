@@ -0,0 +1,160 @@
+const {AppError} = require("./productController");
+const twoFactor = require("../services/twoFactorService");
+const {getUserByEmail} = require("../services/userService");
+const {recordAuditEvent} = require("../services/auditService");
+
+/**
+ * 2FA belongs to people; API keys have nothing to enrol
+ * @param {string} companyId
+ * @param {Object} requester
+ */
+async function loadSelf(companyId, requester) {
+  if (requester.apiKeyId) {
+    throw new AppError(
+        400,
+        "Two-factor authentication applies to signed-in users only",
+    );
+  }
+  const user = await getUserByEmail(requester.email, companyId);
+  if (!user) throw new AppError(404, "User not found");
+  return user;
+}
+
+/**
+ * The caller's 2FA state and whether their role requires it
+ * @param {string} companyId
+ * @param {Object} requester
+ */
+async function getTwoFactorStatus(companyId, requester) {
+  const user = await loadSelf(companyId, requester);
+
+  return {
+    ...twoFactor.describeTwoFactor(user),
+    requiredForYourRole: await twoFactor.isRequiredFor(companyId, user.role),
+  };
+}
+
+/**
+ * Starts enrolment and returns the secret to add to an authenticator
+ * @param {string} companyId
+ * @param {Object} requester
+ */
+async function enrollTwoFactor(companyId, requester) {
+  await loadSelf(companyId, requester);
+  return {
+    message:
+      "Add this secret to your authenticator app, then confirm with a code",
+    ...(await twoFactor.startEnrollment(companyId, requester.email)),
+  };
+}
+
+/**
+ * Switches 2FA on with a first code and returns the backup codes
+ * @param {string} companyId
+ * @param {Object} data
+ * @param {Object} requester
+ */
+async function activateTwoFactor(companyId, data, requester) {
+  await loadSelf(companyId, requester);
+  const backupCodes = await twoFactor.activate(
+      companyId,
+      requester.email,
+      (data || {}).code,
+  );
+
+  await recordAuditEvent(companyId, {
+    actor: requester,
+    action: "user.2fa-enable",
+    entity: "user",
+    entityId: requester.email,
+  });
+
+  return {
+    message:
+      "Two-factor authentication enabled. " +
+      "Keep these backup codes somewhere safe.",
+    backupCodes,
+  };
+}
+
+/**
+ * Sensitive 2FA changes need a current code, not just a (possibly stolen)
+ * session
+ * @param {string} companyId
+ * @param {Object} requester
+ * @param {string} code
+ */
+async function confirmWithCode(companyId, requester, code) {
+  if (!code) {
+    throw new AppError(
+        400,
+        "A current authentication or backup code is required",
+    );
+  }
+  await twoFactor.consumeCode(companyId, requester.email, code);
+}
+
+/**
+ * Replaces the backup codes after a current code is confirmed
+ * @param {string} companyId
+ * @param {Object} data
+ * @param {Object} requester
+ */
+async function regenerateBackupCodes(companyId, data, requester) {
+  await loadSelf(companyId, requester);
+  await confirmWithCode(companyId, requester, (data || {}).code);
+
+  const backupCodes = await twoFactor.regenerateBackupCodes(
+      companyId,
+      requester.email,
+  );
+
+  await recordAuditEvent(companyId, {
+    actor: requester,
+    action: "user.2fa-backup-codes",
+    entity: "user",
+    entityId: requester.email,
+  });
+
+  return {
+    message: "New backup codes generated; the old ones no longer work.",
+    backupCodes,
+  };
+}
+
+/**
+ * Turns 2FA off unless the caller's role requires it
+ * @param {string} companyId
+ * @param {Object} data
+ * @param {Object} requester
+ */
+async function disableTwoFactor(companyId, data, requester) {
+  const user = await loadSelf(companyId, requester);
+
+  if (await twoFactor.isRequiredFor(companyId, user.role)) {
+    throw new AppError(
+        403,
+        `Two-factor authentication is required for the ${user.role} role`,
+    );
+  }
+
+  await confirmWithCode(companyId, requester, (data || {}).code);
+  await twoFactor.disable(companyId, requester.email);
+
+  await recordAuditEvent(companyId, {
+    actor: requester,
+    action: "user.2fa-disable",
+    entity: "user",
+    entityId: requester.email,
+  });
+
+  return {message: "Two-factor authentication disabled"};
+}
+
+module.exports = {
+  getTwoFactorStatus,
+  enrollTwoFactor,
+  activateTwoFactor,
+  regenerateBackupCodes,
+  disableTwoFactor,
+};
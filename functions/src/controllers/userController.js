@@ -1,15 +1,35 @@
-const jwt = require("jsonwebtoken");
 const companyService = require("../services/companyService");
 // ✅ FIX: Import the function instead of the variable
-const { getBucket } = require("../config/firebase");
+const {getBucket} = require("../config/firebase");
+const {upgradeRecord} = require("../services/schemaMigrations");
+const {
+  hashPassword,
+  verifyPassword,
+  verifyDummyPassword,
+} = require("../services/passwordService");
+const {updateJsonWithRetry} = require("../storage/versionedJson");
+const crypto = require("crypto");
+const {AppError} = require("../appError");
+const userService = require("../services/userService");
+const {isValidRole} = require("../services/permissionService");
+const {recordAuditEvent} = require("../services/auditService");
+const sessionService = require("../services/sessionService");
+const loginThrottle = require("../services/loginThrottleService");
+const passwordResetService = require("../services/passwordResetService");
+const {
+  sendNotification,
+  assertNotificationsConfigured,
+} = require("../services/notificationService");
+const twoFactor = require("../services/twoFactorService");
 
-async function userLogin(data) {
-  const { email, password, companyId } = data || {};
-
-  if (!email || !password || !companyId) {
-    throw new Error("Email, password and companyId required");
-  }
+const MIN_PASSWORD_LENGTH = 8;
+const LOGIN_FAILED = "Invalid credentials";
 
+/**
+ * Checks email/password for a company; resolves to the stored user, or null
+ * @param {Object} options
+ */
+async function verifyCredentials({email, password, companyId}) {
   const bucket = getBucket();
   const safeEmail = email.toLowerCase();
   const filePath = `companies/${companyId}/users/${safeEmail}.json`;
@@ -17,57 +37,312 @@ async function userLogin(data) {
 
   const [exists] = await file.exists();
   if (!exists) {
-    throw new Error("Invalid credentials");
+    await verifyDummyPassword(password);
+    return null;
   }
 
   const [buf] = await file.download();
-  const user = JSON.parse(buf.toString());
+  const user = upgradeRecord("users", JSON.parse(buf.toString()));
 
-  if (user.password !== password || user.companyId !== companyId) {
-    throw new Error("Invalid credentials");
+  const {valid, needsRehash} = await verifyPassword(password, user.password);
+
+  if (!valid || user.companyId !== companyId) {
+    return null;
   }
 
-  if (user.status !== "ENABLED") {
-    throw new Error("Account disabled");
+  // Records from before hashing still hold the password itself; replace it now
+  if (needsRehash) {
+    try {
+      const passwordHash = await hashPassword(password);
+      await updateJsonWithRetry(
+          file,
+          (latest) => ({
+            ...latest,
+            password: passwordHash,
+            passwordUpdatedAt: new Date().toISOString(),
+          }),
+          {upgrade: (latest) => upgradeRecord("users", latest)},
+      );
+    } catch (err) {
+      console.error(
+          `Failed to re-hash password for ${safeEmail}:`,
+          err.message,
+      );
+    }
   }
 
-  const company = await companyService.getCompanyById(companyId);
-  if (!company) {
-    throw new Error("Company not found");
+  return user;
+}
+
+/**
+ * Throttled credential check shared by login and password change.
+ * Unknown accounts, wrong passwords, disabled users and suspended companies all
+ * fail with the same message and count against the account and the caller's IP.
+ * @param {Object=} context
+ */
+async function authenticate({email, password, companyId}, context = {}) {
+  const subjects = [
+    loginThrottle.accountSubject(companyId, email),
+    loginThrottle.ipSubject(context.ip),
+  ];
+
+  await loginThrottle.assertLoginAllowed(subjects);
+
+  const user = await verifyCredentials({email, password, companyId});
+  const company = user ? await companyService.getCompanyById(companyId) : null;
+
+  if (
+    !user ||
+    user.status !== "ENABLED" ||
+    !company ||
+    company.status !== "ACTIVE"
+  ) {
+    await loginThrottle.recordLoginFailure(subjects);
+    throw new AppError(401, LOGIN_FAILED);
   }
 
-  if (company.status !== "ACTIVE") {
-    throw new Error("Company suspended");
+  await loginThrottle.recordLoginSuccess(subjects[0]);
+  return user;
+}
+
+/**
+ * First login step: checks the password, then opens a session or asks for a
+ * 2FA code
+ * @param {Object} data
+ * @param {Object=} context
+ */
+async function userLogin(data, context = {}) {
+  const {email, password, companyId} = data || {};
+
+  if (!email || !password || !companyId) {
+    throw new AppError(400, "Email, password and companyId required");
   }
 
-  const token = jwt.sign(
-    {
-      email: safeEmail,
-      companyId,
-      role: user.role
-    },
-    process.env.JWT_SECRET,
-    { expiresIn: "8h" }
-  );
+  const user = await authenticate({email, password, companyId}, context);
+
+  // New staff and force-reset accounts must choose their own password first
+  if (user.passwordResetRequired) {
+    throw new AppError(
+        403,
+        "Password change required. " +
+          "Set a new password via /login/change-password.",
+    );
+  }
+
+  // The password was right; the session waits for the second factor
+  if (twoFactor.isEnabled(user)) {
+    return {
+      message: "Enter the code from your authenticator app or a backup code",
+      twoFactorRequired: true,
+      challengeToken: twoFactor.signChallenge(user, "verify"),
+    };
+  }
+
+  if (await twoFactor.isRequiredFor(companyId, user.role)) {
+    return {
+      message:
+        "Your role requires two-factor authentication. Set it up to continue.",
+      twoFactorSetupRequired: true,
+      challengeToken: twoFactor.signChallenge(user, "setup"),
+    };
+  }
+
+  return openSession(user, context);
+}
+
+/**
+ * Opens a session and returns its tokens
+ * @param {Object} user
+ * @param {Object} context
+ */
+async function openSession(user, context) {
+  const tokens = await sessionService.createSession(user, context);
 
   return {
     message: "Login successful",
-    token,
+    ...tokens,
     role: user.role,
-    companyId,
-    expiresIn: "8h"
+    companyId: user.companyId,
+  };
+}
+
+/**
+ * The user may have been disabled (or the company suspended) since the password
+ * step
+ * @param {string} companyId
+ * @param {string} email
+ */
+async function loadChallengedUser(companyId, email) {
+  const user = await userService.getUserByEmail(email, companyId);
+  const company = user ? await companyService.getCompanyById(companyId) : null;
+
+  if (
+    !user ||
+    user.status !== "ENABLED" ||
+    !company ||
+    company.status !== "ACTIVE"
+  ) {
+    throw new AppError(401, LOGIN_FAILED);
+  }
+  return user;
+}
+
+/**
+ * Second login step: { challengeToken, code } where code is a TOTP or backup
+ * code
+ * @param {Object} data
+ * @param {Object=} context
+ */
+async function completeTwoFactorLogin(data, context = {}) {
+  const {challengeToken, code} = data || {};
+  if (!challengeToken || !code) {
+    throw new AppError(400, "challengeToken and code are required");
+  }
+
+  const {companyId, email} = twoFactor.verifyChallenge(
+      challengeToken,
+      "verify",
+  );
+  const subjects = [
+    loginThrottle.accountSubject(companyId, email),
+    loginThrottle.ipSubject(context.ip),
+  ];
+  await loginThrottle.assertLoginAllowed(subjects);
+
+  let method;
+  try {
+    method = await twoFactor.consumeCode(companyId, email, code);
+  } catch (err) {
+    if (err.statusCode === 401) {
+      await loginThrottle.recordLoginFailure(subjects);
+    }
+    throw err;
+  }
+  await loginThrottle.recordLoginSuccess(subjects[0]);
+
+  const user = await loadChallengedUser(companyId, email);
+
+  if (method === "backup-code") {
+    await recordAuditEvent(companyId, {
+      actor: {email: user.email, role: user.role},
+      action: "user.2fa-backup-code-used",
+      entity: "user",
+      entityId: user.email,
+      after: {
+        backupCodesRemaining:
+          twoFactor.describeTwoFactor(user).backupCodesRemaining,
+      },
+    });
+  }
+
+  return openSession(user, context);
+}
+
+/**
+ * Enrolment during login, for roles that must use 2FA: { challengeToken }
+ * @param {Object} data
+ */
+async function startTwoFactorSetup(data) {
+  const {challengeToken} = data || {};
+  const {companyId, email} = twoFactor.verifyChallenge(challengeToken, "setup");
+
+  await loadChallengedUser(companyId, email);
+  return twoFactor.startEnrollment(companyId, email);
+}
+
+/**
+ * { challengeToken, code }: switches 2FA on and logs the user in
+ * @param {Object} data
+ * @param {Object=} context
+ */
+async function completeTwoFactorSetup(data, context = {}) {
+  const {challengeToken, code} = data || {};
+  const {companyId, email} = twoFactor.verifyChallenge(challengeToken, "setup");
+
+  await loadChallengedUser(companyId, email);
+  const backupCodes = await twoFactor.activate(companyId, email, code);
+  const user = await loadChallengedUser(companyId, email);
+
+  await recordAuditEvent(companyId, {
+    actor: {email: user.email, role: user.role},
+    action: "user.2fa-enable",
+    entity: "user",
+    entityId: user.email,
+  });
+
+  return {...(await openSession(user, context)), backupCodes};
+}
+
+/**
+ * Swaps a refresh token for a new token pair
+ * @param {Object} data
+ */
+async function refreshSession(data) {
+  const {refreshToken} = data || {};
+  if (!refreshToken) throw new AppError(400, "refreshToken is required");
+
+  return {
+    message: "Session refreshed",
+    ...(await sessionService.rotateRefreshToken(refreshToken)),
   };
 }
 
-async function getCompanyUsers(companyId, requester) {
-  if (!requester || requester.role !== "OWNER") {
-    throw new Error("Access denied");
+/**
+ * API keys have no session; they are revoked through /api-keys instead
+ * @param {Object} requester
+ */
+function assertSessionUser(requester) {
+  if (!requester.sessionId) {
+    throw new AppError(400, "Only signed-in users have sessions to sign out");
   }
+}
+
+/**
+ * Ends the caller's current session
+ * @param {string} companyId
+ * @param {Object} requester
+ */
+async function logout(companyId, requester) {
+  assertSessionUser(requester);
+  await sessionService.revokeSession(
+      companyId,
+      requester.sessionId,
+      "Logged out",
+  );
+  return {message: "Logged out"};
+}
+
+/**
+ * Ends every session of the caller
+ * @param {string} companyId
+ * @param {Object} requester
+ */
+async function revokeMySessions(companyId, requester) {
+  assertSessionUser(requester);
+  const revokedAt = await sessionService.revokeAllSessions(
+      companyId,
+      requester.email,
+  );
 
+  await recordAuditEvent(companyId, {
+    actor: requester,
+    action: "user.sessions-revoke",
+    entity: "user",
+    entityId: requester.email,
+  });
+
+  return {message: "All your sessions have been signed out", revokedAt};
+}
+
+/**
+ * Users of the company without their password hashes
+ * @param {string} companyId
+ */
+async function getCompanyUsers(companyId) {
   // ✅ FIX: Initialize bucket here too
   const bucket = getBucket();
   const prefix = `companies/${companyId}/users/`;
-  const [files] = await bucket.getFiles({ prefix });
+  const [files] = await bucket.getFiles({prefix});
 
   const users = [];
 
@@ -76,14 +351,9 @@ async function getCompanyUsers(companyId, requester) {
 
     try {
       const [buf] = await file.download();
-      const user = JSON.parse(buf.toString());
-
-      users.push({
-        email: user.email,
-        role: user.role,
-        status: user.status,
-        password: user.password 
-      });
+      const user = upgradeRecord("users", JSON.parse(buf.toString()));
+
+      users.push(userService.toPublicUser(user));
     } catch (e) {
       console.warn(`Skipping user file ${file.name}: ${e.message}`);
     }
@@ -92,7 +362,462 @@ async function getCompanyUsers(companyId, requester) {
   return users;
 }
 
+/**
+ * Fails unless the password meets the minimum length
+ * @param {string} password
+ */
+function validateNewPassword(password) {
+  if (!password || String(password).length < MIN_PASSWORD_LENGTH) {
+    throw new AppError(
+        400,
+        `Password must be at least ${MIN_PASSWORD_LENGTH} characters`,
+    );
+  }
+}
+
+// Shown once to the owner, who hands it to the user; it only unlocks a password
+// change
+const generateTemporaryPassword = () =>
+  crypto.randomBytes(9).toString("base64url");
+
+/**
+ * Owners manage staff; their own account and other owners are left to the
+ * platform admin
+ * @param {Object} user
+ * @param {Object} requester
+ */
+function assertManageable(user, requester) {
+  if (user.email === requester.email.toLowerCase()) {
+    throw new AppError(400, "You cannot change your own account here");
+  }
+  if (user.role === "OWNER") {
+    throw new AppError(403, "Owner accounts are managed by the platform admin");
+  }
+}
+
+/**
+ * Fails unless the role is one staff can be given
+ * @param {string} role
+ */
+function validateStaffRole(role) {
+  if (!isValidRole(role) || role === "OWNER") {
+    throw new AppError(
+        400,
+        "Role must be one of MANAGER, ACCOUNTANT, CASHIER or VIEWER",
+    );
+  }
+}
+
+/**
+ * Creates a staff user who must set their own password at first login
+ * @param {string} companyId
+ * @param {Object} data
+ * @param {Object} requester
+ */
+async function createCompanyUser(companyId, data, requester) {
+  const {email, role, password} = data || {};
+
+  if (!email || !/^[^\s@/]+@[^\s@/]+\.[^\s@/]+$/.test(email)) {
+    throw new AppError(400, "A valid email is required");
+  }
+  validateStaffRole(role);
+  if (password) validateNewPassword(password);
+
+  const temporaryPassword = password ? null : generateTemporaryPassword();
+
+  const user = await userService.createUser(companyId, {
+    email,
+    password: await hashPassword(password || temporaryPassword),
+    role,
+    status: "ENABLED",
+    passwordResetRequired: true,
+    createdAt: new Date().toISOString(),
+    createdBy: requester.email,
+  });
+
+  await recordAuditEvent(companyId, {
+    actor: requester,
+    action: "user.create",
+    entity: "user",
+    entityId: user.email,
+    after: user,
+  });
+
+  return {
+    message: "User created. They must set a new password at first login.",
+    user: userService.toPublicUser(user),
+    ...(temporaryPassword && {temporaryPassword}),
+  };
+}
+
+/**
+ * Changes a staff user's role
+ * @param {string} companyId
+ * @param {string} email
+ * @param {Object} data
+ * @param {Object} requester
+ */
+async function changeUserRole(companyId, email, data, requester) {
+  const {role} = data || {};
+  validateStaffRole(role);
+
+  const {before, after} = await userService.modifyUser(
+      companyId,
+      email,
+      (user) => {
+        assertManageable(user, requester);
+        return {role, roleChangedBy: requester.email};
+      },
+  );
+
+  await recordAuditEvent(companyId, {
+    actor: requester,
+    action: "user.role",
+    entity: "user",
+    entityId: after.email,
+    before,
+    after,
+  });
+
+  return {
+    message: `Role changed to ${role}`,
+    user: userService.toPublicUser(after),
+  };
+}
+
+/**
+ * Enables or disables a staff user
+ * @param {string} companyId
+ * @param {string} email
+ * @param {Object} data
+ * @param {Object} requester
+ */
+async function setCompanyUserStatus(companyId, email, data, requester) {
+  const {status} = data || {};
+  if (!["ENABLED", "DISABLED"].includes(status)) {
+    throw new AppError(400, "Status must be ENABLED or DISABLED");
+  }
+
+  const {before, after} = await userService.modifyUser(
+      companyId,
+      email,
+      (user) => {
+        assertManageable(user, requester);
+        return {
+          status,
+          statusChangedBy: requester.email,
+          // Re-enabling must not bring old sessions back to life
+          ...(status === "DISABLED" && {
+            sessionsRevokedAt: new Date().toISOString(),
+          }),
+        };
+      },
+  );
+
+  await recordAuditEvent(companyId, {
+    actor: requester,
+    action: status === "ENABLED" ? "user.enable" : "user.disable",
+    entity: "user",
+    entityId: after.email,
+    before,
+    after,
+  });
+
+  return {
+    message: `User ${status === "ENABLED" ? "enabled" : "disabled"}`,
+    user: userService.toPublicUser(after),
+  };
+}
+
+/**
+ * Replaces the password with a one-off temporary one and requires a change at
+ * next login
+ * @param {string} companyId
+ * @param {string} email
+ * @param {Object} requester
+ */
+async function forcePasswordReset(companyId, email, requester) {
+  const temporaryPassword = generateTemporaryPassword();
+  const passwordHash = await hashPassword(temporaryPassword);
+
+  const {before, after} = await userService.modifyUser(
+      companyId,
+      email,
+      (user) => {
+        assertManageable(user, requester);
+        return {
+          password: passwordHash,
+          passwordResetRequired: true,
+          passwordResetBy: requester.email,
+          passwordUpdatedAt: new Date().toISOString(),
+          sessionsRevokedAt: new Date().toISOString(),
+        };
+      },
+  );
+
+  await recordAuditEvent(companyId, {
+    actor: requester,
+    action: "user.password-reset",
+    entity: "user",
+    entityId: after.email,
+    before,
+    after,
+  });
+
+  return {
+    message: "Password reset. The user must set a new password at next login.",
+    email: after.email,
+    temporaryPassword,
+  };
+}
+
+/**
+ * For a user who lost their authenticator: they enrol again at next login if
+ * required
+ * @param {string} companyId
+ * @param {string} email
+ * @param {Object} requester
+ */
+async function resetUserTwoFactor(companyId, email, requester) {
+  const {after} = await userService.modifyUser(companyId, email, (user) => {
+    assertManageable(user, requester);
+    if (!twoFactor.isEnabled(user)) {
+      throw new AppError(
+          400,
+          "Two-factor authentication is not enabled for this user",
+      );
+    }
+    return {
+      twoFactor: {enabled: false},
+      sessionsRevokedAt: new Date().toISOString(),
+    };
+  });
+
+  await recordAuditEvent(companyId, {
+    actor: requester,
+    action: "user.2fa-reset",
+    entity: "user",
+    entityId: after.email,
+  });
+
+  return {message: "Two-factor authentication reset", email: after.email};
+}
+
+/**
+ * Ends every session of a staff user
+ * @param {string} companyId
+ * @param {string} email
+ * @param {Object} requester
+ */
+async function revokeUserSessions(companyId, email, requester) {
+  const {after} = await userService.modifyUser(companyId, email, (user) => {
+    assertManageable(user, requester);
+    return {sessionsRevokedAt: new Date().toISOString()};
+  });
+
+  await recordAuditEvent(companyId, {
+    actor: requester,
+    action: "user.sessions-revoke",
+    entity: "user",
+    entityId: after.email,
+  });
+
+  return {
+    message: `All sessions of ${after.email} have been signed out`,
+    revokedAt: after.sessionsRevokedAt,
+  };
+}
+
+/**
+ * Public: exchanges the current (or temporary) password for a new one
+ * @param {Object} data
+ * @param {Object=} context
+ */
+async function changePassword(data, context = {}) {
+  const {email, companyId, currentPassword, newPassword} = data || {};
+
+  if (!email || !companyId || !currentPassword) {
+    throw new AppError(
+        400,
+        "Email, companyId and currentPassword are required",
+    );
+  }
+  validateNewPassword(newPassword);
+  if (newPassword === currentPassword) {
+    throw new AppError(
+        400,
+        "The new password must differ from the current one",
+    );
+  }
+
+  await authenticate({email, password: currentPassword, companyId}, context);
+
+  const passwordHash = await hashPassword(newPassword);
+  const {after} = await userService.modifyUser(companyId, email, () => ({
+    password: passwordHash,
+    passwordResetRequired: false,
+    passwordUpdatedAt: new Date().toISOString(),
+    sessionsRevokedAt: new Date().toISOString(),
+  }));
+
+  await recordAuditEvent(companyId, {
+    actor: {email: after.email, role: after.role},
+    action: "user.password-change",
+    entity: "user",
+    entityId: after.email,
+  });
+
+  return {message: "Password changed. You can now log in."};
+}
+
+const RESET_REQUESTED =
+  "If that account exists, " +
+  "a password reset link has been sent to its email address.";
+
+/**
+ * Same answer whether or not the account exists, so this cannot be used to find
+ * users
+ * @param {Object} data
+ * @param {Object=} context
+ */
+async function requestPasswordReset(data, context = {}) {
+  const {email, companyId} = data || {};
+  if (!email || !companyId) {
+    throw new AppError(400, "Email and companyId are required");
+  }
+  assertNotificationsConfigured();
+
+  // Every request counts against the client IP, whether or not the account
+  // exists
+  const throttle = [loginThrottle.resetSubject(context.ip)];
+  await loginThrottle.assertLoginAllowed(throttle);
+  await loginThrottle.recordLoginFailure(throttle);
+
+  const user = await userService.getUserByEmail(email, companyId);
+  if (!user || user.status !== "ENABLED") return {message: RESET_REQUESTED};
+
+  const issued = await passwordResetService.issueResetToken(
+      companyId,
+      user.email,
+      context,
+  );
+  if (!issued) return {message: RESET_REQUESTED};
+
+  const resetUrl = process.env.PASSWORD_RESET_URL;
+  const link = resetUrl ?
+    `${resetUrl}?token=${encodeURIComponent(issued.token)}` :
+    null;
+
+  await sendNotification({
+    to: user.email,
+    subject: "Reset your password",
+    text:
+      `A password reset was requested for your ${companyId} account.\n` +
+      (link ? `Open ${link}` : `Use this reset token: ${issued.token}`) +
+      ` within ${passwordResetService.RESET_TTL_MINUTES} minutes ` +
+      "to choose a new password.\n" +
+      "If you did not ask for this, you can ignore this message.",
+    template: "password-reset",
+    data: {companyId, token: issued.token, link, expiresAt: issued.expiresAt},
+  });
+
+  await recordAuditEvent(companyId, {
+    actor: {email: user.email, role: user.role},
+    action: "user.password-reset-request",
+    entity: "user",
+    entityId: user.email,
+  });
+
+  return {message: RESET_REQUESTED};
+}
+
+/**
+ * Sets a new password with a reset token and ends the user's sessions
+ * @param {Object} data
+ */
+async function confirmPasswordReset(data) {
+  const {token, newPassword} = data || {};
+  if (!token) throw new AppError(400, "Reset token is required");
+  validateNewPassword(newPassword);
+
+  const {companyId, email} = await passwordResetService.redeemResetToken(token);
+
+  const passwordHash = await hashPassword(newPassword);
+  const {after} = await userService.modifyUser(companyId, email, () => ({
+    password: passwordHash,
+    passwordResetRequired: false,
+    passwordUpdatedAt: new Date().toISOString(),
+    sessionsRevokedAt: new Date().toISOString(),
+  }));
+
+  // The owner of the mailbox proved who they are; earlier failed guesses no
+  // longer count
+  await loginThrottle.clearAttempts(
+      loginThrottle.accountSubject(companyId, email),
+  );
+
+  await recordAuditEvent(companyId, {
+    actor: {email: after.email, role: after.role},
+    action: "user.password-reset",
+    entity: "user",
+    entityId: after.email,
+  });
+
+  return {
+    message: "Password has been reset. Please log in with your new password.",
+  };
+}
+
+/**
+ * Accounts of the company that are delayed or locked after failed logins
+ * @param {string} companyId
+ */
+async function getLoginLocks(companyId) {
+  return loginThrottle.listCompanyLocks(companyId);
+}
+
+/**
+ * Clears a user's failed logins
+ * @param {string} companyId
+ * @param {string} email
+ * @param {Object} requester
+ */
+async function clearLoginLock(companyId, email, requester) {
+  const cleared = await loginThrottle.clearAttempts(
+      loginThrottle.accountSubject(companyId, email),
+  );
+  if (!cleared) {
+    throw new AppError(404, `No failed logins recorded for ${email}`);
+  }
+
+  await recordAuditEvent(companyId, {
+    actor: requester,
+    action: "user.login-unlock",
+    entity: "user",
+    entityId: email,
+  });
+
+  return {message: `Login lock cleared for ${email}`};
+}
+
 module.exports = {
   userLogin,
-  getCompanyUsers
-};
\ No newline at end of file
+  completeTwoFactorLogin,
+  startTwoFactorSetup,
+  completeTwoFactorSetup,
+  resetUserTwoFactor,
+  getLoginLocks,
+  clearLoginLock,
+  refreshSession,
+  logout,
+  revokeMySessions,
+  revokeUserSessions,
+  getCompanyUsers,
+  createCompanyUser,
+  changeUserRole,
+  setCompanyUserStatus,
+  forcePasswordReset,
+  changePassword,
+  requestPasswordReset,
+  confirmPasswordReset,
+};
@@ -1,28 +1,43 @@
+const {getRequestContext} = require("./services/requestContext");
+
+/**
+ * Sends the JSON error payload the UI expects for any thrown error
+ * @param {Object} err
+ * @param {Object} res
+ */
 function handleError(err, res) {
   const timestamp = new Date().toISOString();
   const allowedOrigins = [
     "https://bussiness-control-platform.web.app",
     "https://bussiness-control-platform.firebaseapp.com",
     "http://localhost:5000",
-    "http://localhost:5500"
+    "http://localhost:5500",
   ];
 
   const origin = res.req?.headers?.origin;
   if (allowedOrigins.includes(origin)) {
     res.setHeader("Access-Control-Allow-Origin", origin);
   } else {
-    res.setHeader("Access-Control-Allow-Origin", "*"); 
+    res.setHeader("Access-Control-Allow-Origin", "*");
   }
 
-  res.setHeader("Access-Control-Allow-Methods", "GET, POST, PUT, PATCH, DELETE, OPTIONS");
-  res.setHeader("Access-Control-Allow-Headers", "Content-Type, Authorization, x-company-id, x-user-email, x-admin");
+  res.setHeader(
+      "Access-Control-Allow-Methods",
+      "GET, POST, PUT, PATCH, DELETE, OPTIONS",
+  );
+  res.setHeader(
+      "Access-Control-Allow-Headers",
+      "Content-Type, Authorization, x-company-id, x-user-email, x-admin, " +
+        "x-request-id, x-api-key",
+  );
   res.setHeader("Access-Control-Allow-Credentials", "true");
 
+  if (err.retryAfter) res.setHeader("Retry-After", String(err.retryAfter));
+
   const req = res.req || {};
   const method = req.method || "N/A";
   const path = req.url || "N/A";
 
-
   console.error(`
 ========== ❌ INVENTORY SYSTEM ERROR ==========
 Timestamp: ${timestamp}
@@ -35,7 +50,11 @@ Code:      ${err.code || "N/A"}
 
   if (res.headersSent) {
     console.warn("⚠️ Headers already sent. Cannot send JSON error payload.");
-    try { res.end(); } catch (e) {}
+    try {
+      res.end();
+    } catch (e) {
+      /* connection already gone */
+    }
     return;
   }
 
@@ -47,51 +66,49 @@ Code:      ${err.code || "N/A"}
     "storage/object-not-found": {
       status: 404,
       title: "Not Found",
-      reason: "The requested resource does not exist."
+      reason: "The requested resource does not exist.",
     },
     "already-exists": {
       status: 409,
       title: "Duplicate Entry",
-      reason: "A record with this information already exists."
+      reason: "A record with this information already exists.",
     },
     "permission-denied": {
       status: 403,
       title: "Access Denied",
-      reason: "You do not have permission to perform this action."
+      reason: "You do not have permission to perform this action.",
     },
     "invalid-argument": {
       status: 400,
       title: "Validation Error",
-      reason: "The data provided is incorrectly formatted."
-    }
+      reason: "The data provided is incorrectly formatted.",
+    },
   };
 
-
   if (err.statusCode) {
     status = err.statusCode;
     uiTitle = status === 400 ? "Validation Failed" : "Request Error";
     businessReason = err.message;
-  } 
-  // B. Check for System/Firebase error codes
-  else if (err.code && errorMapping[err.code]) {
+  } else if (err.code && errorMapping[err.code]) {
+    // B. Check for System/Firebase error codes
     status = errorMapping[err.code].status;
     uiTitle = errorMapping[err.code].title;
     businessReason = errorMapping[err.code].reason;
-  }
-  // C. Fallback for generic JavaScript errors
-  else if (err.message) {
+  } else if (err.message) {
+    // C. Fallback for generic JavaScript errors
     businessReason = err.message;
   }
 
   const payload = JSON.stringify({
     success: false,
-    message: businessReason, 
+    message: businessReason,
     error: {
       title: uiTitle,
       technical_details: err.message || "N/A",
       path: path,
-      timestamp: timestamp
-    }
+      requestId: getRequestContext()?.requestId || null,
+      timestamp: timestamp,
+    },
   });
 
   // 3. Send Response with correct JSON headers
@@ -102,11 +119,14 @@ Code:      ${err.code || "N/A"}
   try {
     res.setHeader("Content-Length", Buffer.byteLength(payload));
   } catch (lengthError) {
-    console.warn("⚠️ Failed to set Content-Length safely:", lengthError.message);
+    console.warn(
+        "⚠️ Failed to set Content-Length safely:",
+        lengthError.message,
+    );
   }
-  
+
   // Final exit
   res.end(payload);
 }
 
-module.exports = handleError;
\ No newline at end of file
+module.exports = handleError;
@@ -1,60 +1,45 @@
 const companyService = require("../services/companyService");
-const { AppError } = require("../controllers/productController");
 
+/**
+ * `next` here is the route handler itself, so failures must answer directly
+ * @param {Object} req
+ * @param {Object} res
+ * @param {Function} next
+ */
 async function companyGuard(req, res, next) {
-
-  const companyId =
-    req.user?.companyId ||
-    req.headers["x-company-id"] ||
-    req.companyId;
+  // The company always comes from the verified token; a header can only
+  // repeat it
+  const companyId = req.companyId;
+  const headerCompanyId = req.headers["x-company-id"];
 
   if (!companyId) {
+    return res.status(400).json({message: "Missing company identification"});
+  }
 
-    // 🔴 FIX: handle error directly if next(err) is not supported
-    if (typeof next !== "function") {
-      return res.status(400).json({ message: "Missing company identification" });
-    }
-
-    return next(new AppError(400, "Missing company identification"));
+  if (headerCompanyId && headerCompanyId !== companyId) {
+    return res
+        .status(403)
+        .json({message: "Company does not match your session"});
   }
 
+  let company;
   try {
-    const company = await companyService.getCompanyById(companyId);
-
-    if (!company) {
-      // 🔴 FIX
-      if (typeof next !== "function") {
-        return res.status(404).json({ message: "Company not found" });
-      }
-
-      return next(new AppError(404, "Company not found"));
-    }
-
-    if (company.status !== "ACTIVE") {
-      // 🔴 FIX
-      if (typeof next !== "function") {
-        return res.status(403).json({ message: "Company account is suspended" });
-      }
-
-      return next(new AppError(403, "Company account is suspended"));
-    }
-
-    req.companyId = companyId;
-
-    return next();
+    company = await companyService.getCompanyById(companyId);
   } catch (err) {
+    return res.status(500).json({message: "Company security error"});
+  }
 
-    // 🔴 FIX
-    if (typeof next !== "function") {
-      return res.status(500).json({ message: "Company security error" });
-    }
+  if (!company) {
+    return res.status(404).json({message: "Company not found"});
+  }
 
-    return next(
-      err instanceof AppError
-        ? err
-        : new AppError(500, "Company security error")
-    );
+  // Checked on every request, so suspending a company ends its open sessions
+  // at once
+  if (company.status !== "ACTIVE") {
+    return res.status(403).json({message: "Company account is suspended"});
   }
+
+  return await next();
 }
 
-module.exports = { companyGuard };
+module.exports = {companyGuard};
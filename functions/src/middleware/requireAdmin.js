@@ -1,17 +1,38 @@
+const {verifyAdminToken} = require("../services/adminTokenService");
+const {setRequestActor} = require("../services/requestContext");
+
+/**
+ * Admits requests that carry a valid platform admin token
+ * @param {Object} req
+ * @param {Object} res
+ * @param {Function} next
+ * @return {*}
+ */
 function requireAdmin(req, res, next) {
-  const adminHeader = req.headers["x-admin"];
+  const authHeader = req.headers.authorization;
+
+  if (!authHeader || !authHeader.startsWith("Bearer ")) {
+    return res.status(401).json({
+      message: "Admin token required",
+    });
+  }
 
-  if (adminHeader !== "true") {
+  let admin;
+  try {
+    admin = verifyAdminToken(authHeader.split(" ")[1]);
+  } catch (err) {
     return res.status(403).json({
-      message: "Access denied: Admin only"
+      message: "Access denied: Admin only",
     });
   }
 
-  // Optional context
+  // Admin identity for audit stamps on the records admins touch
+  req.admin = admin;
   req.isAdmin = true;
   req.userRole = "ADMIN";
+  setRequestActor({email: admin.email, role: "ADMIN"});
 
   return next();
 }
 
-module.exports = { requireAdmin };
+module.exports = {requireAdmin};
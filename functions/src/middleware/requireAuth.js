@@ -1,35 +1,111 @@
 const jwt = require("jsonwebtoken");
+const {ADMIN_TOKEN_AUDIENCE} = require("../services/adminTokenService");
+const {getSession, sessionProblem} = require("../services/sessionService");
+const {getUserByEmail} = require("../services/userService");
+const {setRequestActor} = require("../services/requestContext");
+const {isApiKey, authenticateApiKey} = require("../services/apiKeyService");
 
-function requireAuth(req, res, next) {
+/**
+ * Integrations send `x-api-key: bik_...` (or `Authorization: ApiKey bik_...`)
+ * @param {Object} req
+ * @return {?string}
+ */
+function apiKeyFrom(req) {
+  const authHeader = req.headers.authorization || "";
+  if (authHeader.startsWith("ApiKey ")) return authHeader.slice(7).trim();
+  return req.headers["x-api-key"] || null;
+}
+
+/**
+ * Authenticates an integration by its API key and scopes the request to the
+ * key's company
+ * @param {Object} req
+ * @param {Object} res
+ * @param {Function} next
+ * @param {string} value
+ */
+async function requireApiKey(req, res, next, value) {
+  let key;
   try {
-    const authHeader = req.headers.authorization;
+    key = await authenticateApiKey(value);
+  } catch (err) {
+    return res.status(err.statusCode || 401).json({message: err.message});
+  }
 
-  
-    if (!authHeader || !authHeader.startsWith("Bearer ")) {
-      return res.status(401).json({
-        message: "Authorization token required"
-      });
-    }
+  req.user = {
+    email: `apikey:${key.id}`,
+    role: "API_KEY",
+    apiKeyId: key.id,
+    permissions: key.permissions,
+  };
 
-    const token = authHeader.split(" ")[1];
+  req.companyId = key.companyId;
+  setRequestActor({email: req.user.email, role: "API_KEY"});
 
-    
-    const decoded = jwt.verify(token, process.env.JWT_SECRET);
+  return await next();
+}
+
+/**
+ * Authenticates a request by API key or by session access token
+ * @param {Object} req
+ * @param {Object} res
+ * @param {Function} next
+ */
+async function requireAuth(req, res, next) {
+  const apiKey = apiKeyFrom(req);
+  if (isApiKey(apiKey)) return requireApiKey(req, res, next, apiKey);
+
+  const authHeader = req.headers.authorization;
 
+  if (!authHeader || !authHeader.startsWith("Bearer ")) {
+    return res.status(401).json({
+      message: "Authorization token required",
+    });
+  }
 
-    req.user = {
-      email: decoded.email,
-      role: decoded.role
-    };
+  let decoded;
+  try {
+    decoded = jwt.verify(authHeader.split(" ")[1], process.env.JWT_SECRET);
 
-    req.companyId = decoded.companyId;
+    // Admin tokens may share the secret but never act as a company user
+    if (decoded.aud === ADMIN_TOKEN_AUDIENCE) {
+      throw new Error("Admin token used on a company route");
+    }
 
-    return next();
+    // Tokens issued before server-side sessions cannot be revoked; make them
+    // log in again
+    if (!decoded.sid) throw new Error("Token has no session");
   } catch (err) {
     return res.status(401).json({
-      message: "Session expired or invalid token"
+      message: "Session expired or invalid token",
     });
   }
+
+  // The token is only as good as its session and user are right now
+  const [session, user] = await Promise.all([
+    getSession(decoded.companyId, decoded.sid),
+    getUserByEmail(decoded.email, decoded.companyId),
+  ]);
+
+  const problem =
+    session && session.email !== decoded.email ?
+      "Session does not belong to this user" :
+      sessionProblem(session, user);
+
+  if (problem) {
+    return res.status(401).json({message: problem});
+  }
+
+  req.user = {
+    email: user.email,
+    role: user.role,
+    sessionId: session.id,
+  };
+
+  req.companyId = decoded.companyId;
+  setRequestActor({email: user.email, role: user.role});
+
+  return await next();
 }
 
-module.exports = { requireAuth };
+module.exports = {requireAuth};
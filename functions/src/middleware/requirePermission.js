@@ -0,0 +1,34 @@
+const {hasPermission} = require("../services/permissionService");
+
+/**
+ * Route guard: runs the handler only when the caller's role (or API key)
+ * grants `action`
+ * @param {string} action
+ * @return {Function}
+ */
+function requirePermission(action) {
+  return async (req, res, next) => {
+    if (req.user?.apiKeyId) {
+      if (!req.user.permissions.includes(action)) {
+        return res.status(403).json({
+          message: `Access denied: API key lacks permission ${action}`,
+        });
+      }
+      return await next();
+    }
+
+    const role = req.user?.role;
+    const allowed = await hasPermission(req.companyId, role, action);
+
+    if (!allowed) {
+      return res.status(403).json({
+        message:
+          `Access denied: role ${role || "UNKNOWN"} lacks permission ${action}`,
+      });
+    }
+
+    return await next();
+  };
+}
+
+module.exports = {requirePermission};
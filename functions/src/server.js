@@ -1,7 +1,6 @@
 const functions = require("firebase-functions");
 const admin = require("firebase-admin");
 
-
 const {
   createProduct,
   getAllProducts,
@@ -25,7 +24,10 @@ if (!admin.apps.length) {
 
 const FRONTEND_URL = "https://bussiness-control-platform.web.app";
 
-
+/**
+ * Lets the hosted frontend call the API
+ * @param {Object} res
+ */
 function setCorsHeaders(res) {
   res.setHeader("Access-Control-Allow-Origin", FRONTEND_URL);
   res.setHeader("Access-Control-Allow-Methods", "GET,POST,PUT,DELETE,OPTIONS");
@@ -33,7 +35,10 @@ function setCorsHeaders(res) {
   res.setHeader("Access-Control-Allow-Credentials", "true");
 }
 
-
+/**
+ * Parses the request body as JSON unless it was parsed already
+ * @param {Object} req
+ */
 async function parseJSONBody(req) {
   if (req.body && typeof req.body === "object") return req.body;
 
@@ -49,52 +54,54 @@ async function parseJSONBody(req) {
     });
   });
 }
+/**
+ * Routes a request to the product and stock handlers
+ * @param {Object} req
+ * @param {Object} res
+ */
 async function apiHandler(req, res) {
   try {
     setCorsHeaders(res);
 
-   
     if (req.method === "OPTIONS") {
       return res.status(204).end();
     }
-const path = req.path.replace(/\/+$/, "") || "/";
+    const path = req.path.replace(/\/+$/, "") || "/";
     const method = req.method;
     console.log(`[API] ${method} ${path}`);
-if (path === "/products") {
+    if (path === "/products") {
       if (method === "GET") {
         return res.json(await getAllProducts());
       }
-if (method === "POST") {
+      if (method === "POST") {
         const data = await parseJSONBody(req);
- if (!data.sku || !data.name || data.costPrice === undefined) {
+        if (!data.sku || !data.name || data.costPrice === undefined) {
           return res.status(400).json({
-            message: "SKU, Name, and Cost Price are required to create a product.",
+            message:
+              "SKU, Name, and Cost Price are required to create a product.",
           });
         }
-const product = await createProduct(data);
+        const product = await createProduct(data);
         return res.status(201).json(product);
       }
     }
 
-const productMatch = path.match(/^\/products\/(.+)$/);
-if (productMatch) {
+    const productMatch = path.match(/^\/products\/(.+)$/);
+    if (productMatch) {
       const sku = decodeURIComponent(productMatch[1]);
-if (method === "GET") {
+      if (method === "GET") {
         return res.json(await getProductBySku(sku));
       }
-if (method === "PUT") {
-        return res.json(
-          await updateProduct(sku, await parseJSONBody(req))
-        );
+      if (method === "PUT") {
+        return res.json(await updateProduct(sku, await parseJSONBody(req)));
       }
-if (method === "DELETE") {
+      if (method === "DELETE") {
         return res.json(await deleteProduct(sku));
       }
     }
 
-   
     const stockMatch = path.match(
-      /^\/(stock-in|stock-out|stock-adjustment)\/(.+)$/
+        /^\/(stock-in|stock-out|stock-adjustment)\/(.+)$/,
     );
 
     if (stockMatch && method === "POST") {
@@ -105,20 +112,21 @@ if (method === "DELETE") {
       let result;
       if (type === "stock-in") result = await stockIn(sku, body);
       if (type === "stock-out") result = await stockOut(sku, body);
-      if (type === "stock-adjustment")
+      if (type === "stock-adjustment") {
         result = await stockAdjustment(sku, body);
+      }
 
       return res.json(result);
     }
-if (path === "/movements" && method === "GET") {
+    if (path === "/movements" && method === "GET") {
       return res.json(await getAllMovements());
     }
-return res.status(404).json({
+    return res.status(404).json({
       message: "Route not found",
       path,
       method,
     });
-} catch (err) {
+  } catch (err) {
     return handleError(err, res);
   }
 }
@@ -1,3 +1,17 @@
+const crypto = require("crypto");
+const {getBucket} = require("../config/firebase");
+const {AppError} = require("../appError");
+const {updateJsonWithRetry} = require("../storage/versionedJson");
+const totp = require("./totpService");
+const {safeEqual} = require("./passwordService");
+
+const sha256 = (text) => crypto.createHash("sha256").update(text).digest();
+
+/**
+ * Checks the platform admin credentials from the environment
+ * @param {string} email
+ * @param {string} password
+ */
 async function verifyAdmin(email, password) {
   if (!email || !password) {
     throw new Error("Email and password required");
@@ -11,10 +25,11 @@ async function verifyAdmin(email, password) {
     throw new Error("Admin system not configured");
   }
 
-  // Check credentials
+  // Check credentials; the passwords are compared as equal-length hashes in
+  // constant time
   if (
     email.toLowerCase() !== adminEmail.toLowerCase() ||
-    password !== adminPassword
+    !safeEqual(sha256(String(password)), sha256(adminPassword))
   ) {
     throw new Error("Invalid admin credentials");
   }
@@ -28,10 +43,69 @@ async function verifyAdmin(email, password) {
   return {
     email: adminEmail,
     role: "ADMIN",
-    status: adminStatus
+    status: adminStatus,
+  };
+}
+
+/**
+ * Admin two-factor: on when ADMIN_TOTP_SECRET (base32) is set. The last
+ * accepted time step is kept in security/admin-2fa/ so each code works only
+ * once.
+ * @return {Object}
+ */
+const isAdminTwoFactorEnabled = () => Boolean(process.env.ADMIN_TOTP_SECRET);
+
+/**
+ * Checks an admin TOTP code; each code is accepted only once
+ * @param {string} email
+ * @param {string} code
+ */
+async function verifyAdminCode(email, code) {
+  const file = getBucket().file(
+      `security/admin-2fa/${encodeURIComponent(email.toLowerCase())}.json`,
+  );
+
+  await updateJsonWithRetry(
+      file,
+      (state) => {
+        const step = totp.verifyCode(process.env.ADMIN_TOTP_SECRET, code, {
+          afterStep: state?.lastStep ?? -1,
+        });
+        if (step === null) {
+          throw new AppError(401, "Invalid authentication code");
+        }
+        return {
+          email: email.toLowerCase(),
+          lastStep: step,
+          lastUsedAt: new Date().toISOString(),
+        };
+      },
+      {onCorrupt: () => null},
+  );
+}
+
+/**
+ * A fresh secret for the operator to put into ADMIN_TOTP_SECRET; nothing is
+ * stored
+ * @param {string} email
+ * @return {Object}
+ */
+function newAdminTwoFactorSecret(email) {
+  const secret = totp.generateSecret();
+  return {
+    secret,
+    otpauthUri: totp.otpauthUri({
+      issuer: process.env.TOTP_ISSUER || "Business Inventory",
+      account: `${email} (platform admin)`,
+      secret,
+    }),
+    enabled: isAdminTwoFactorEnabled(),
   };
 }
 
 module.exports = {
-  verifyAdmin
-};
\ No newline at end of file
+  verifyAdmin,
+  isAdminTwoFactorEnabled,
+  verifyAdminCode,
+  newAdminTwoFactorSecret,
+};
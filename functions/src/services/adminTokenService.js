@@ -0,0 +1,82 @@
+const jwt = require("jsonwebtoken");
+
+/**
+ * Platform admin tokens.
+ * Signed with their own secret (ADMIN_JWT_SECRET, falling back to JWT_SECRET)
+ * and always carrying the admin audience, so a company user token can never
+ * pass as an admin token and an admin token is never accepted on company
+ * routes.
+ */
+
+const ADMIN_TOKEN_AUDIENCE = "platform-admin";
+const ADMIN_TOKEN_TTL = process.env.ADMIN_TOKEN_TTL || "30m";
+
+// Issued after the admin password when a second factor is configured
+const ADMIN_CHALLENGE_AUDIENCE = "platform-admin-2fa";
+const ADMIN_CHALLENGE_TTL = "5m";
+
+const getAdminSecret = () => {
+  const secret = process.env.ADMIN_JWT_SECRET || process.env.JWT_SECRET;
+  if (!secret) throw new Error("Admin system not configured");
+  return secret;
+};
+
+/**
+ * Signs an admin access token
+ * @param {Object} admin
+ * @return {string}
+ */
+function signAdminToken(admin) {
+  return jwt.sign({email: admin.email, role: "ADMIN"}, getAdminSecret(), {
+    audience: ADMIN_TOKEN_AUDIENCE,
+    subject: admin.email,
+    expiresIn: ADMIN_TOKEN_TTL,
+  });
+}
+
+/**
+ * Throws when the token is missing its audience, expired or forged
+ * @param {string} token
+ * @return {Object}
+ */
+function verifyAdminToken(token) {
+  const decoded = jwt.verify(token, getAdminSecret(), {
+    audience: ADMIN_TOKEN_AUDIENCE,
+  });
+
+  if (decoded.role !== "ADMIN") throw new Error("Not an admin token");
+  return {email: decoded.email, role: "ADMIN"};
+}
+
+/**
+ * Signs the short-lived token that links the password step to the 2FA step
+ * @param {Object} admin
+ * @return {string}
+ */
+function signAdminChallenge(admin) {
+  return jwt.sign({email: admin.email}, getAdminSecret(), {
+    audience: ADMIN_CHALLENGE_AUDIENCE,
+    expiresIn: ADMIN_CHALLENGE_TTL,
+  });
+}
+
+/**
+ * Checks a 2FA challenge token and returns the admin it was issued to
+ * @param {string} token
+ * @return {Object}
+ */
+function verifyAdminChallenge(token) {
+  const decoded = jwt.verify(token, getAdminSecret(), {
+    audience: ADMIN_CHALLENGE_AUDIENCE,
+  });
+  return {email: decoded.email};
+}
+
+module.exports = {
+  ADMIN_TOKEN_AUDIENCE,
+  ADMIN_TOKEN_TTL,
+  signAdminToken,
+  verifyAdminToken,
+  signAdminChallenge,
+  verifyAdminChallenge,
+};
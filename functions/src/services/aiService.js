@@ -1,4 +1,4 @@
-const { VertexAI } = require("@google-cloud/vertexai");
+const {VertexAI} = require("@google-cloud/vertexai");
 
 // Gemini MUST run in us-central1 for optimal performance and availability
 const vertexAI = new VertexAI({
@@ -6,11 +6,13 @@ const vertexAI = new VertexAI({
   location: "us-central1",
 });
 
-let model;
-
+/* eslint-disable max-len -- the prompt keeps one rule per line */
 /**
  * Initializes and caches the Gemini model with a rigid System Instruction.
- * Integrates backend formula enforcement, semantic intelligence, and ranking rules.
+ * Integrates backend formula enforcement, semantic intelligence, and ranking
+ * rules.
+ * @param {string=} companyName
+ * @return {Object}
  */
 function getModel(companyName = "the company") {
   return vertexAI.getGenerativeModel({
@@ -54,13 +56,11 @@ function getModel(companyName = "the company") {
             "30. AGGREGATE ONLY BY DEFAULT: Unless the user says 'list' or 'show all', prioritize a summarized bold answer. " +
             "31. RANKING ENFORCEMENT: If 'highest' or 'lowest' is used, you MUST sort the data accordingly before selecting rows. " +
             "32. CONCENTRATED ANALYSIS: Internally verify the logic (sorting column vs. requested value) before generating the Markdown table to ensure zero row-mismatches. " +
-
             // 🔒 HARD SAFETY RULES
             "33. OUTPUT SANITIZATION: NEVER output raw JSON objects, internal records, or full entity dumps. Only provide summarized, human-readable business answers. " +
             "34. DELETED ITEM WORDING LOCK: When an item is not present in activeProducts or activeCustomers, you MUST use the exact phrase 'No longer in current inventory'. " +
             "35. SELF-VERIFICATION (INTERNAL ONLY): Before responding, internally verify calculations, sorting logic, and deleted-item rules. " +
             "36. MINIMAL RESPONSE RULE: If the user asks for a single value, provide only that answer and mandatory compliance notes. " +
-
             // 🧠 FORMULA AND SEMANTIC EXTENSION
             "37. FORMULA ENFORCEMENT: Inventory Value = (stockOnHand * averageCost). Profit = (sellingPrice - costPrice) * quantity. Total Outstanding = Sum of outstandingAmount across active invoices. " +
             "38. REORDER VERIFICATION: You MUST manually verify: is (stockOnHand <= reorderLevel)? Only if true is it 'LOW STOCK'. Ignore 'low stock' messages if the numbers contradict them. " +
@@ -68,19 +68,28 @@ function getModel(companyName = "the company") {
             "40. CUSTOMER RANKING: For 'highest sales customer', sum invoice totals (excluding 'Cancelled') per customer and sort. " +
             "41. SCOPE LIMIT: If the user asks for 'urgent', 'immediate', or 'top' without a number, provide ONLY the Top 5 most critical items or customers. " +
             "42. SEMANTIC MAPPING: Map 'haas'->'has', 'porduct'->'product', 'recivable'->'receivable', 'rate'->'sellingPrice'. " +
-            "43. CONTINUITY: If the user confirms with 'yes' or 'ok', fulfill the suggestion made in the last turn."+
+            "43. CONTINUITY: If the user confirms with 'yes' or 'ok', fulfill the suggestion made in the last turn." +
             "51. FILTERING: If user asks for 'lesser than 100', manually check every number. If 344 appears, exclude it. " +
-            "52. ERROR TRANSPARENCY: If data is missing for a formula, state exactly what is missing. " 
-        }
-      ]
-    }
+            "52. ERROR TRANSPARENCY: If data is missing for a formula, state exactly what is missing. ",
+        },
+      ],
+    },
   });
 }
+/* eslint-enable max-len */
 
 /**
- * Analyzes the user question against the structured business data with enhanced ranking logic.
+ * Analyzes the user question against the structured business data with
+ * enhanced ranking logic.
+ * @param {string} question
+ * @param {Object=} jsonData
+ * @param {string=} companyName
  */
-const analyzeData = async (question, jsonData = {}, companyName = "the company") => {
+const analyzeData = async (
+    question,
+    jsonData = {},
+    companyName = "the company",
+) => {
   if (!question) {
     return "Please ask a question 🙂";
   }
@@ -90,24 +99,35 @@ const analyzeData = async (question, jsonData = {}, companyName = "the company")
 
   // Triggers for immediate acknowledgment handling
   const exitTriggers = [
-    "thanks", "thank you", "leave it",
-    "nothing else", "great", "nice", "perfect", "awesome", "good", "super", "wow"
+    "thanks",
+    "thank you",
+    "leave it",
+    "nothing else",
+    "great",
+    "nice",
+    "perfect",
+    "awesome",
+    "good",
+    "super",
+    "wow",
   ];
 
   const isAcknowledgment = exitTriggers.includes(cleanQ);
 
   // GIBBERISH FILTER
-  const isGibberish = cleanQ.length < 2 && !["hi", "no", "up", "ok"].includes(cleanQ);
+  const isGibberish =
+    cleanQ.length < 2 && !["hi", "no", "up", "ok"].includes(cleanQ);
 
-  const prompt = isAcknowledgment
-    ? `The user is acknowledging the previous answer (they said "${question}"). 
+  /* eslint-disable max-len -- prompt text */
+  const prompt = isAcknowledgment ?
+    `The user is acknowledging the previous answer (they said "${question}"). 
         DO NOT provide data, tables, or analysis. 
-        Just say: "You're welcome! I'm glad I could help. Let me know if you need any more analysis for ${companyName}."`
-    : isGibberish
-    ? `The user provided a very short or unclear input: "${question}". 
-        Politely ask them to clarify their business query.`
-    : hasBusinessData
-    ? `
+        Just say: "You're welcome! I'm glad I could help. Let me know if you need any more analysis for ${companyName}."` :
+    isGibberish ?
+      `The user provided a very short or unclear input: "${question}". 
+        Politely ask them to clarify their business query.` :
+      hasBusinessData ?
+        `
     ### SYSTEM PROTOCOL:
 1. **FORBIDDEN**: Do not output JSON, curly braces {}, or code blocks.
 2. **FORMAT**: Provide a brief summary sentence followed by a Markdown table.
@@ -142,14 +162,15 @@ ${JSON.stringify(jsonData, null, 2)}
 "${question}"
 
 Please provide your final verified analysis in Indian Rupee (₹) format:
-`
-    : `
+` :
+        `
 ### CONVERSATION:
 The user is having a normal chat. Respond naturally, politely, and helpfully as the representative for ${companyName}.
 
 QUESTION:
 "${question}"
 `;
+  /* eslint-enable max-len */
 
   try {
     const activeModel = getModel(companyName);
@@ -158,28 +179,29 @@ QUESTION:
       contents: [
         {
           role: "user",
-          parts: [{ text: prompt }]
-        }
+          parts: [{text: prompt}],
+        },
       ],
       generationConfig: {
-        temperature: 0.1, 
+        temperature: 0.1,
         topP: 0.8,
         maxOutputTokens: 2048,
-      }
+      },
     });
 
     const responseText =
       result.response?.candidates?.[0]?.content?.parts
-        ?.map(p => p.text)
-        ?.join("") ||
-      "I’m here to help 🙂 What would you like to know?";
+          ?.map((p) => p.text)
+          ?.join("") || "I’m here to help 🙂 What would you like to know?";
 
     return responseText;
-
   } catch (err) {
     console.error("Vertex Gemini Error:", err);
-    return "I’m having a small issue accessing the data right now, but I’m still here to help! Could you try asking that again?";
+    return (
+      "I’m having a small issue accessing the data right now, " +
+      "but I’m still here to help! Could you try asking that again?"
+    );
   }
 };
 
-module.exports = { analyzeData };
\ No newline at end of file
+module.exports = {analyzeData};
@@ -0,0 +1,252 @@
+const crypto = require("crypto");
+const {getBucket} = require("../config/firebase");
+const {AppError} = require("../appError");
+const {
+  readJsonVersioned,
+  saveJsonIfGeneration,
+  updateJsonWithRetry,
+} = require("../storage/versionedJson");
+const {ACTIONS, hasPermission} = require("./permissionService");
+
+/**
+ * Company API keys for integrations (storefronts, scanner apps).
+ *
+ * A key is `bik_<companyId base64url>.<keyId>.<secret>`; the company and key id
+ * locate the record at companies/{companyId}/api-keys/{keyId}.json, which holds
+ * only a SHA-256 of the secret. Keys act with exactly the permissions they were
+ * minted with (see permissionService.ACTIONS), never with a user's role.
+ */
+
+const KEY_PREFIX = "bik_";
+
+// Managing people, permissions or other keys always needs a signed-in user
+const FORBIDDEN_KEY_ACTIONS = [
+  "users:manage",
+  "permissions:manage",
+  "apikeys:manage",
+];
+
+// lastUsedAt is refreshed at most this often, so busy keys don't rewrite their
+// record per call
+const LAST_USED_RESOLUTION_MS = 5 * 60 * 1000;
+
+const sha256 = (text) => crypto.createHash("sha256").update(text).digest("hex");
+
+const getKeyFile = (companyId, keyId) =>
+  getBucket().file(`companies/${companyId}/api-keys/${keyId}.json`);
+
+/**
+ * Sortable, unique id for an API key
+ * @param {Date=} now
+ * @return {string}
+ */
+function newKeyId(now = new Date()) {
+  const stamp = now.toISOString().replace(/[-:.]/g, "");
+  return `KEY-${stamp}-${crypto.randomBytes(4).toString("hex")}`;
+}
+
+const isApiKey = (value) =>
+  typeof value === "string" && value.startsWith(KEY_PREFIX);
+
+/**
+ * Splits an API key into its parts, or null when it is not one
+ * @param {string} value
+ * @return {?Object}
+ */
+function decodeApiKey(value) {
+  if (!isApiKey(value)) return null;
+  const [company, keyId, secret] = value.slice(KEY_PREFIX.length).split(".");
+  if (!company || !keyId || !secret || !/^KEY-[\w-]+$/.test(keyId)) return null;
+  return {
+    companyId: Buffer.from(company, "base64url").toString(),
+    keyId,
+    secret,
+  };
+}
+
+/**
+ * The stored record without its hash
+ * @param {Object} record
+ * @return {Object}
+ */
+function toPublicKey(record) {
+  const rest = {...record};
+  delete rest.secretHash;
+  return {
+    ...rest,
+    active:
+      !record.revokedAt &&
+      !(record.expiresAt && new Date(record.expiresAt) <= new Date()),
+  };
+}
+
+/**
+ * Returns the problems with a requested permission list; empty when valid
+ * @param {Array} permissions
+ * @return {Array<string>}
+ */
+function validateKeyPermissions(permissions) {
+  if (!Array.isArray(permissions) || permissions.length === 0) {
+    return ["permissions must be a non-empty list of actions"];
+  }
+
+  const problems = [];
+  for (const action of permissions) {
+    if (!ACTIONS[action]) problems.push(`Unknown action "${action}"`);
+    else if (FORBIDDEN_KEY_ACTIONS.includes(action)) {
+      problems.push(`"${action}" cannot be granted to an API key`);
+    }
+  }
+  return problems;
+}
+
+/**
+ * A key can only carry actions the role minting it holds itself
+ * @param {string} companyId
+ * @param {string} role
+ * @param {Array} permissions
+ */
+async function permissionsBeyondRole(companyId, role, permissions) {
+  const beyond = [];
+  for (const action of new Set(permissions)) {
+    if (!(await hasPermission(companyId, role, action))) beyond.push(action);
+  }
+  return beyond;
+}
+
+/**
+ * Mints a key. The plain key is only ever returned here.
+ * @param {string} companyId
+ * @param {?string} createdBy
+ */
+async function createApiKey(
+    companyId,
+    {name, permissions, expiresAt = null},
+    createdBy,
+) {
+  const now = new Date();
+  const secret = crypto.randomBytes(32).toString("base64url");
+  const id = newKeyId(now);
+  const encodedCompany = Buffer.from(companyId).toString("base64url");
+  const key = `${KEY_PREFIX}${encodedCompany}.${id}.${secret}`;
+
+  const record = {
+    id,
+    companyId,
+    name,
+    permissions: [...new Set(permissions)],
+    secretHash: sha256(secret),
+    hint: `${KEY_PREFIX}...${secret.slice(-4)}`,
+    createdAt: now.toISOString(),
+    createdBy: createdBy || null,
+    expiresAt,
+    lastUsedAt: null,
+    revokedAt: null,
+    revokedBy: null,
+  };
+
+  await saveJsonIfGeneration(getKeyFile(companyId, id), record, 0);
+  return {key, apiKey: toPublicKey(record)};
+}
+
+/**
+ * API keys of the company without their secret hashes
+ * @param {string} companyId
+ */
+async function listApiKeys(companyId) {
+  const [files] = await getBucket().getFiles({
+    prefix: `companies/${companyId}/api-keys/`,
+  });
+  const keys = [];
+
+  for (const file of files) {
+    if (!file.name.endsWith(".json")) continue;
+    try {
+      const [contents] = await file.download();
+      keys.push(toPublicKey(JSON.parse(contents.toString())));
+    } catch (err) {
+      console.error(`API key record ${file.name} is unreadable:`, err.message);
+    }
+  }
+
+  return keys.sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt));
+}
+
+/**
+ * Marks a key revoked; revoking it again changes nothing
+ * @param {string} companyId
+ * @param {string} keyId
+ * @param {?string} revokedBy
+ */
+async function revokeApiKey(companyId, keyId, revokedBy) {
+  let before = null;
+  const revoked = await updateJsonWithRetry(
+      getKeyFile(companyId, keyId),
+      (record) => {
+        before = record;
+        if (!record) throw new AppError(404, "API key not found");
+        if (record.revokedAt) {
+          throw new AppError(400, "API key is already revoked");
+        }
+        return {
+          ...record,
+          revokedAt: new Date().toISOString(),
+          revokedBy: revokedBy || null,
+        };
+      },
+  );
+
+  return {before: toPublicKey(before), after: toPublicKey(revoked)};
+}
+
+/**
+ * Resolves a presented key to its record, or throws 401 with the reason.
+ * @param {string} value
+ */
+async function authenticateApiKey(value) {
+  const decoded = decodeApiKey(value);
+  if (!decoded) throw new AppError(401, "Invalid API key");
+
+  const {companyId, keyId, secret} = decoded;
+  const {data: record} = await readJsonVersioned(getKeyFile(companyId, keyId));
+
+  const expected = Buffer.from(record?.secretHash || "");
+  const actual = Buffer.from(sha256(secret));
+  if (
+    !record ||
+    expected.length !== actual.length ||
+    !crypto.timingSafeEqual(expected, actual)
+  ) {
+    throw new AppError(401, "Invalid API key");
+  }
+
+  if (record.revokedAt) throw new AppError(401, "API key has been revoked");
+  if (record.expiresAt && new Date(record.expiresAt) <= new Date()) {
+    throw new AppError(401, "API key has expired");
+  }
+
+  if (
+    !record.lastUsedAt ||
+    Date.now() - new Date(record.lastUsedAt) > LAST_USED_RESOLUTION_MS
+  ) {
+    await updateJsonWithRetry(getKeyFile(companyId, keyId), (latest) => ({
+      ...latest,
+      lastUsedAt: new Date().toISOString(),
+    })).catch((err) =>
+      console.error(`Failed to stamp API key ${keyId}:`, err.message),
+    );
+  }
+
+  return record;
+}
+
+module.exports = {
+  FORBIDDEN_KEY_ACTIONS,
+  isApiKey,
+  validateKeyPermissions,
+  permissionsBeyondRole,
+  createApiKey,
+  listApiKeys,
+  revokeApiKey,
+  authenticateApiKey,
+};
@@ -0,0 +1,153 @@
+const crypto = require("crypto");
+const {getRequestContext} = require("./requestContext");
+const {includesText, equalsText} = require("./listQuery");
+const {appendLogEntry, readLogPage, monthOfKey} = require("./monthlyLog");
+
+/**
+ * Append-only company audit trail.
+ *
+ * Each event is its own immutable object at
+ *   companies/{companyId}/audit/{YYYY-MM}/{eventId}.json
+ * created with a "must not exist" precondition, so events can be added
+ * concurrently and are never rewritten. Event ids start with their timestamp,
+ * so the trail is read a month folder at a time (see monthlyLog); events
+ * written before the month folders (audit/{eventId}.json) are still read.
+ *
+ * Events carry the request id and route of the API call that caused them
+ * (see requestContext), so the several writes of one call - an invoice and its
+ * stock-outs, say - can be read back together.
+ */
+
+// Fields that must never be copied into the trail
+const REDACTED_FIELDS = ["password", "secretHash", "twoFactor"];
+
+/**
+ * Sortable, unique id for an audit event
+ * @param {Date=} now
+ * @return {string}
+ */
+function newAuditId(now = new Date()) {
+  const stamp = now.toISOString().replace(/[-:.]/g, "");
+  return `AUD-${stamp}-${crypto.randomBytes(4).toString("hex")}`;
+}
+
+const getAuditPrefix = (companyId) => `companies/${companyId}/audit/`;
+
+/**
+ * Copy of a record with secrets replaced by a marker
+ * @param {Object} record
+ * @return {Object}
+ */
+function redact(record) {
+  if (!record || typeof record !== "object") return record ?? null;
+  const copy = {...record};
+  for (const field of REDACTED_FIELDS) {
+    if (field in copy) copy[field] = "[redacted]";
+  }
+  return copy;
+}
+
+const sameValue = (a, b) =>
+  JSON.stringify(a ?? null) === JSON.stringify(b ?? null);
+
+/**
+ * Top-level fields that differ: { field: { from, to } }
+ * @param {string} before
+ * @param {string} after
+ * @return {Object}
+ */
+function diffRecords(before, after) {
+  const changes = {};
+  const fields = new Set([
+    ...Object.keys(before || {}),
+    ...Object.keys(after || {}),
+  ]);
+
+  for (const field of fields) {
+    const from = before?.[field] ?? null;
+    const to = after?.[field] ?? null;
+    if (sameValue(from, to)) continue;
+
+    changes[field] = REDACTED_FIELDS.includes(field) ?
+      {
+        from: from === null ? null : "[redacted]",
+        to: to === null ? null : "[redacted]",
+      } :
+      {from, to};
+  }
+  return changes;
+}
+
+/**
+ * Records one event. Failures are logged rather than thrown: the change being
+ * audited has already been saved and must not be reported as failed.
+ * The actor defaults to whoever made the current request.
+ * @param {string} companyId
+ */
+async function recordAuditEvent(
+    companyId,
+    {actor, action, entity, entityId, before = null, after = null},
+) {
+  const context = getRequestContext();
+  const by = actor || context?.actor;
+
+  const event = {
+    id: newAuditId(),
+    companyId,
+    at: new Date().toISOString(),
+    requestId: context?.requestId || null,
+    route: context?.route || null,
+    actor: by ? {email: by.email || null, role: by.role || null} : null,
+    action,
+    entity,
+    entityId: entityId == null ? null : String(entityId),
+    before: redact(before),
+    after: redact(after),
+    changes: diffRecords(before, after),
+  };
+
+  try {
+    await appendLogEntry(
+        getAuditPrefix(companyId),
+        {key: event.id, at: event.at},
+        event,
+    );
+  } catch (err) {
+    console.error(
+        `Failed to record audit event ${action} for ${companyId}:`,
+        err.message,
+    );
+  }
+
+  return event;
+}
+
+/**
+ * One page of the trail, newest first by default (see monthlyLog). Sorted by
+ * time only; filters: actor (email), role, action, entity, entityId, requestId,
+ * route (substring) and from/to.
+ * @param {string} companyId
+ * @param {Object=} query
+ */
+async function listAuditEvents(companyId, query = {}) {
+  return readLogPage(getAuditPrefix(companyId), query, {
+    dateField: "at",
+    legacyMonthOf: (key) => (key.startsWith("AUD-") ? monthOfKey(key) : null),
+    filters: {
+      actor: (event, value) =>
+        (event.actor?.email || "").toLowerCase() === value.toLowerCase(),
+      role: (event, value) =>
+        (event.actor?.role || "").toLowerCase() === value.toLowerCase(),
+      action: equalsText("action"),
+      entity: equalsText("entity"),
+      entityId: equalsText("entityId"),
+      requestId: equalsText("requestId"),
+      route: includesText("route"),
+    },
+  });
+}
+
+module.exports = {
+  recordAuditEvent,
+  listAuditEvents,
+};
@@ -0,0 +1,504 @@
+const crypto = require("crypto");
+const zlib = require("zlib");
+const {promisify} = require("util");
+const {getBucket} = require("../config/firebase");
+const {AppError} = require("../appError");
+const {
+  readJsonVersioned,
+  saveJsonIfGeneration,
+  isPreconditionFailure,
+} = require("../storage/versionedJson");
+const companyService = require("./companyService");
+const {rebuildAllIndexes} = require("./indexService");
+
+/**
+ * Per-company backup archives.
+ *
+ * An archive is one gzipped JSON document holding the companies-master record
+ * and every object under companies/{companyId}/ (products, movements, invoices,
+ * customers, users, settings, counters). Indexes and the company movement log
+ * are derived data and are rebuilt after a restore instead of being copied.
+ * Sessions, password-reset tokens and API keys are never archived: a restored
+ * company starts signed out and with no keys.
+ * Each file carries a SHA-256 checksum and the manifest carries per-folder
+ * counts plus a checksum over all files, so a restore can prove it imported
+ * exactly what was exported.
+ *
+ * A restore first leaves a marker at companies/{companyId}/restore.json naming
+ * the archive, and removes it once every file is written and verified. A
+ * restore that failed partway can be retried with the same archive: the marker
+ * lets it overwrite what the earlier attempt wrote instead of being refused
+ * because the company is no longer empty.
+ */
+
+const ARCHIVE_FORMAT = "company-backup";
+const ARCHIVE_VERSION = 1;
+// Everything an archive may hold, relative to companies/{companyId}/. Indexes
+// and the movement log are derived and left out; anything else is refused on
+// restore.
+const ROOT_FILES = ["info.json", "settings.json"];
+const BACKUP_FOLDERS = [
+  "products",
+  "movements",
+  "invoices",
+  "customers",
+  "users",
+  "counters",
+  "locations",
+  "suppliers",
+  "purchase-orders",
+  "audit",
+  "restore-log",
+];
+// Sign-in state that older archives may still hold; skipped on restore
+const CREDENTIAL_FOLDERS = ["sessions", "password-resets", "api-keys"];
+
+const gzip = promisify(zlib.gzip);
+const gunzip = promisify(zlib.gunzip);
+
+const sha256 = (text) => crypto.createHash("sha256").update(text).digest("hex");
+
+const getCompanyPrefix = (companyId) => `companies/${companyId}/`;
+
+const getRestoreMarkerFile = (companyId) =>
+  getBucket().file(`${getCompanyPrefix(companyId)}restore.json`);
+
+const getBackupFile = (companyId, backupId) =>
+  getBucket().file(`backups/${companyId}/${backupId}.json.gz`);
+
+/**
+ * The path's segments if it is a relative .json path with no empty, "." or
+ * ".." segments and no backslashes, otherwise null
+ * @param {string} path
+ * @return {?Array<string>}
+ */
+function pathSegments(path) {
+  if (typeof path !== "string" || !path.endsWith(".json")) return null;
+  if (path.includes("\\") || path.includes("\0")) return null;
+
+  const segments = path.split("/");
+  return segments.some(
+      (segment) => segment === "" || segment === "." || segment === "..",
+  ) ?
+    null :
+    segments;
+}
+
+/**
+ * True for a path that names a file inside one of the known folders (or a known
+ * root file): no empty, "." or ".." segments, no absolute or backslash paths.
+ * @param {string} path
+ * @return {boolean}
+ */
+function isRestorablePath(path) {
+  const segments = pathSegments(path);
+  if (!segments) return false;
+
+  return segments.length === 1 ?
+    ROOT_FILES.includes(path) :
+    BACKUP_FOLDERS.includes(segments[0]);
+}
+
+/**
+ * True for a file of an older archive that holds sign-in state
+ * @param {string} path
+ * @return {boolean}
+ */
+function isCredentialPath(path) {
+  const segments = pathSegments(path);
+  return Boolean(
+      segments &&
+      segments.length > 1 &&
+      CREDENTIAL_FOLDERS.includes(segments[0]),
+  );
+}
+
+/**
+ * Number of archived files per top-level folder
+ * @param {Array<Object>} files
+ * @return {Object}
+ */
+function countByFolder(files) {
+  const counts = {};
+  for (const {path} of files) {
+    const folder = path.includes("/") ? path.split("/")[0] : "root";
+    counts[folder] = (counts[folder] || 0) + 1;
+  }
+  return counts;
+}
+
+/**
+ * Checksum over the company record and every file hash
+ * @param {Object} company
+ * @param {Array<Object>} files
+ * @return {string}
+ */
+function archiveChecksum(company, files) {
+  const lines = files
+      .map((f) => `${f.path}:${f.sha256}`)
+      .sort()
+      .join("\n");
+  return sha256(`${JSON.stringify(company)}\n${lines}`);
+}
+
+/**
+ * Archives every file of the company into one gzipped backup
+ * @param {string} companyId
+ * @param {Object} options
+ */
+async function createBackup(companyId, {createdBy = null} = {}) {
+  const company = await companyService.getCompanyById(companyId);
+  if (!company) throw new AppError(404, "Company not found");
+
+  const prefix = getCompanyPrefix(companyId);
+  const [objects] = await getBucket().getFiles({prefix});
+  const files = [];
+
+  for (const object of objects) {
+    const path = object.name.slice(prefix.length);
+    if (!isRestorablePath(path)) continue;
+
+    const [contents] = await object.download();
+    const content = contents.toString();
+    files.push({path, sha256: sha256(content), size: contents.length, content});
+  }
+
+  const backupId = `BKP-${new Date().toISOString().replace(/[-:.]/g, "")}`;
+
+  const archive = {
+    format: ARCHIVE_FORMAT,
+    version: ARCHIVE_VERSION,
+    backupId,
+    companyId,
+    createdAt: new Date().toISOString(),
+    createdBy,
+    company,
+    manifest: {
+      fileCount: files.length,
+      counts: countByFolder(files),
+      checksum: archiveChecksum(company, files),
+    },
+    files,
+  };
+
+  const file = getBackupFile(companyId, backupId);
+  await file.save(await gzip(JSON.stringify(archive)), {
+    contentType: "application/gzip",
+    resumable: false,
+  });
+
+  return {
+    message: "Backup created",
+    backupId,
+    companyId,
+    path: file.name,
+    createdAt: archive.createdAt,
+    manifest: archive.manifest,
+  };
+}
+
+/**
+ * A stored backup archive, or 404
+ * @param {string} companyId
+ * @param {string} backupId
+ */
+async function getBackup(companyId, backupId) {
+  const file = getBackupFile(companyId, backupId);
+  const [exists] = await file.exists();
+  if (!exists) throw new AppError(404, "Backup not found");
+
+  const [contents] = await file.download();
+  return JSON.parse((await gunzip(contents)).toString());
+}
+
+/**
+ * Backups of the company, newest first
+ * @param {string} companyId
+ */
+async function listBackups(companyId) {
+  const [files] = await getBucket().getFiles({prefix: `backups/${companyId}/`});
+
+  return files
+      .filter((f) => f.name.endsWith(".json.gz"))
+      .map((f) => ({
+        backupId: f.name
+            .split("/")
+            .pop()
+            .replace(/\.json\.gz$/, ""),
+        path: f.name,
+      }))
+      .sort((a, b) => b.backupId.localeCompare(a.backupId));
+}
+
+/**
+ * Returns a list of integrity problems; an empty list means the archive is
+ * intact.
+ * @param {Object} archive
+ * @return {Array<string>}
+ */
+function verifyArchive(archive) {
+  if (!archive || archive.format !== ARCHIVE_FORMAT) {
+    return ["Not a company backup archive"];
+  }
+  if (archive.version !== ARCHIVE_VERSION) {
+    return [`Unsupported archive version ${archive.version}`];
+  }
+
+  const problems = [];
+  const files = Array.isArray(archive.files) ? archive.files : [];
+
+  for (const file of files) {
+    // Checked before anything else: an archive names the paths it writes to
+    if (!isRestorablePath(file.path) && !isCredentialPath(file.path)) {
+      problems.push(`Path not allowed: ${JSON.stringify(file.path)}`);
+      continue;
+    }
+    if (
+      typeof file.content !== "string" ||
+      sha256(file.content) !== file.sha256
+    ) {
+      problems.push(`Checksum mismatch for ${file.path}`);
+    }
+  }
+
+  const {manifest = {}} = archive;
+  if (manifest.fileCount !== files.length) {
+    problems.push(
+        `Manifest lists ${manifest.fileCount} files, ` +
+          `archive holds ${files.length}`,
+    );
+  }
+
+  const counts = countByFolder(files);
+  for (const folder of new Set([
+    ...Object.keys(counts),
+    ...Object.keys(manifest.counts || {}),
+  ])) {
+    if ((counts[folder] || 0) !== ((manifest.counts || {})[folder] || 0)) {
+      problems.push(`Count mismatch for ${folder}`);
+    }
+  }
+
+  if (archiveChecksum(archive.company, files) !== manifest.checksum) {
+    problems.push("Archive checksum mismatch");
+  }
+
+  return problems;
+}
+
+/**
+ * Records carry their owning companyId; cloning must re-stamp them for the
+ * target
+ * @param {string} value
+ * @param {string} fromId
+ * @param {string} toId
+ * @return {Object}
+ */
+function restampCompanyId(value, fromId, toId) {
+  if (Array.isArray(value)) {
+    return value.map((v) => restampCompanyId(v, fromId, toId));
+  }
+  if (value && typeof value === "object") {
+    const result = {};
+    for (const [key, v] of Object.entries(value)) {
+      result[key] =
+        key === "companyId" && v === fromId ?
+          toId :
+          restampCompanyId(v, fromId, toId);
+    }
+    return result;
+  }
+  return value;
+}
+
+/**
+ * Fails with 409 unless the company holds no data yet
+ * @param {string} targetCompanyId
+ */
+async function assertTargetEmpty(targetCompanyId) {
+  const [existing] = await getBucket().getFiles({
+    prefix: getCompanyPrefix(targetCompanyId),
+  });
+  // info.json and the audit trail (append-only, unique names) are written for
+  // any new company
+  const prefix = getCompanyPrefix(targetCompanyId);
+  const dataFiles = existing.filter(
+      (f) =>
+        f.name !== `${prefix}info.json` &&
+        !f.name.startsWith(`${prefix}audit/`),
+  );
+
+  if (dataFiles.length > 0) {
+    throw new AppError(
+        409,
+        `Company ${targetCompanyId} already holds ${dataFiles.length} ` +
+          "file(s). Restore only into a new or empty company.",
+    );
+  }
+}
+
+/**
+ * Marks the company as being restored from the archive. Fails with 409 unless
+ * the company is empty or carries the marker of an earlier, incomplete restore
+ * of the same archive.
+ * @param {string} targetCompanyId
+ * @param {Object} archive
+ */
+async function claimRestore(targetCompanyId, archive) {
+  const file = getRestoreMarkerFile(targetCompanyId);
+  const marker = {
+    backupId: archive.backupId,
+    sourceCompanyId: archive.companyId,
+    checksum: archive.manifest.checksum,
+    startedAt: new Date().toISOString(),
+  };
+
+  const {data: existing} = await readJsonVersioned(file);
+  if (!existing) {
+    await assertTargetEmpty(targetCompanyId);
+    try {
+      await saveJsonIfGeneration(file, marker, 0);
+      return;
+    } catch (err) {
+      if (!isPreconditionFailure(err)) throw err;
+    }
+  }
+
+  const {data: current} = await readJsonVersioned(file);
+  // Gone again: the other restore finished, so the company is no longer empty
+  if (!current) return claimRestore(targetCompanyId, archive);
+
+  if (current.checksum !== marker.checksum) {
+    throw new AppError(
+        409,
+        `Company ${targetCompanyId} has an incomplete restore of backup ` +
+          `${current.backupId}. Retry the restore with that backup.`,
+    );
+  }
+}
+
+/**
+ * Imports an archive into a new or empty company, or finishes an incomplete
+ * restore of the same archive.
+ * The archive is verified before anything is written, and the written files are
+ * counted again afterwards.
+ * @param {string} targetCompanyId
+ */
+async function restoreBackup(
+    targetCompanyId,
+    {archive, sourceCompanyId, backupId, name} = {},
+    {restoredBy = null} = {},
+) {
+  if (!targetCompanyId) {
+    throw new AppError(400, "Target company ID is required");
+  }
+
+  if (!archive) {
+    if (!sourceCompanyId || !backupId) {
+      throw new AppError(
+          400,
+          "Provide an archive, or sourceCompanyId and backupId",
+      );
+    }
+    archive = await getBackup(sourceCompanyId, backupId);
+  }
+
+  const problems = verifyArchive(archive);
+  if (problems.length > 0) {
+    const err = new AppError(
+        422,
+        `Backup failed integrity check: ${problems.join("; ")}`,
+    );
+    err.problems = problems;
+    throw err;
+  }
+
+  const fromId = archive.companyId;
+  const targetPrefix = getCompanyPrefix(targetCompanyId);
+  await claimRestore(targetCompanyId, archive);
+
+  const targetCompany = await companyService.getCompanyById(targetCompanyId);
+  if (!targetCompany) {
+    await companyService.importCompany({
+      ...restampCompanyId(archive.company, fromId, targetCompanyId),
+      name: name || archive.company.name,
+      status: "ACTIVE",
+      createdAt: new Date().toISOString(),
+      createdBy: restoredBy,
+      restoredFrom: {companyId: fromId, backupId: archive.backupId},
+    });
+  }
+
+  const files = archive.files.filter((file) => isRestorablePath(file.path));
+
+  for (const file of files) {
+    let content = file.content;
+
+    if (fromId !== targetCompanyId && file.path.endsWith(".json")) {
+      content = JSON.stringify(
+          restampCompanyId(JSON.parse(content), fromId, targetCompanyId),
+          null,
+          2,
+      );
+    }
+
+    // Unconditional: info.json is written when the company is created, and a
+    // retried restore overwrites what the failed attempt wrote
+    await getBucket()
+        .file(`${targetPrefix}${file.path}`)
+        .save(content, {contentType: "application/json", resumable: false});
+  }
+
+  await getBucket()
+      .file(`${targetPrefix}restore-log/${archive.backupId}.json`)
+      .save(
+          JSON.stringify(
+              {
+                sourceCompanyId: fromId,
+                backupId: archive.backupId,
+                restoredAt: new Date().toISOString(),
+                restoredBy,
+                manifest: archive.manifest,
+              },
+              null,
+              2,
+          ),
+          {contentType: "application/json", resumable: false},
+      );
+
+  const [written] = await getBucket().getFiles({prefix: targetPrefix});
+  const writtenPaths = new Set(
+      written.map((f) => f.name.slice(targetPrefix.length)),
+  );
+  const missing = files.filter((f) => !writtenPaths.has(f.path));
+
+  if (missing.length > 0) {
+    throw new AppError(
+        500,
+        `Restore incomplete: ${missing.length} of ${files.length} ` +
+          "files missing",
+    );
+  }
+
+  const indexes = await rebuildAllIndexes(targetCompanyId);
+  await getRestoreMarkerFile(targetCompanyId).delete();
+
+  return {
+    message: "Backup restored",
+    targetCompanyId,
+    sourceCompanyId: fromId,
+    backupId: archive.backupId,
+    filesRestored: files.length,
+    counts: archive.manifest.counts,
+    indexes,
+    verified: true,
+  };
+}
+
+module.exports = {
+  createBackup,
+  getBackup,
+  listBackups,
+  verifyArchive,
+  restoreBackup,
+};
@@ -1,11 +1,18 @@
-
-const { getBucket } = require("../config/firebase");
+const {getBucket} = require("../config/firebase");
+const {
+  saveJsonIfGeneration,
+  isPreconditionFailure,
+} = require("../storage/versionedJson");
 
 const getCompanyFile = (companyId) => {
   const bucket = getBucket();
   return bucket.file(`companies-master/${companyId}.json`);
 };
 
+/**
+ * The company record, or null
+ * @param {string} companyId
+ */
 async function getCompanyById(companyId) {
   if (!companyId) return null;
   try {
@@ -18,14 +25,21 @@ async function getCompanyById(companyId) {
   }
 }
 
+/**
+ * Alias of getCompanyById
+ * @param {string} companyId
+ */
 async function getCompany(companyId) {
   return await getCompanyById(companyId);
 }
 
+/**
+ * Every company registered on the platform
+ */
 async function getAllCompanies() {
   // ✅ FIX: Get bucket instance here
   const bucket = getBucket();
-  const [files] = await bucket.getFiles({ prefix: "companies-master/" });
+  const [files] = await bucket.getFiles({prefix: "companies-master/"});
   const list = [];
 
   for (const file of files) {
@@ -37,11 +51,15 @@ async function getAllCompanies() {
       console.error(`Failed to read company file: ${file.name}`);
     }
   }
-  
+
   return list.sort((a, b) => a.name.localeCompare(b.name));
 }
 
-async function createCompany({ companyId, name }) {
+/**
+ * Creates a company record; the ID must be unused
+ * @param {Object} options
+ */
+async function createCompany({companyId, name, createdBy = null}) {
   if (!companyId || !name) throw new Error("Company ID and Name are required");
 
   const existing = await getCompanyById(companyId);
@@ -50,8 +68,9 @@ async function createCompany({ companyId, name }) {
   const company = {
     companyId,
     name,
-    status: "ACTIVE", 
+    status: "ACTIVE",
     createdAt: new Date().toISOString(),
+    createdBy,
   };
 
   // Re-uses the getCompanyFile helper which now uses getBucket()
@@ -59,30 +78,56 @@ async function createCompany({ companyId, name }) {
   return company;
 }
 
-async function updateCompanyStatus(companyId, status) {
+/**
+ * Writes a complete company record (e.g. from a backup); never overwrites one
+ * @param {Object} company
+ */
+async function importCompany(company) {
+  if (!company || !company.companyId) throw new Error("Company ID is required");
+
+  try {
+    await saveJsonIfGeneration(getCompanyFile(company.companyId), company, 0);
+  } catch (err) {
+    if (isPreconditionFailure(err)) {
+      throw new Error("A company with this ID already exists.");
+    }
+    throw err;
+  }
+  return company;
+}
+
+/**
+ * Activates or suspends a company
+ * @param {string} companyId
+ * @param {string} status
+ * @param {?string=} updatedBy
+ */
+async function updateCompanyStatus(companyId, status, updatedBy = null) {
   const company = await getCompanyById(companyId);
   if (!company) throw new Error("Company not found");
 
-  const newStatus = status.toUpperCase(); 
+  const newStatus = status.toUpperCase();
   if (!["ACTIVE", "SUSPENDED"].includes(newStatus)) {
     throw new Error("Invalid status. Must be ACTIVE or SUSPENDED.");
   }
 
   company.status = newStatus;
   company.updatedAt = new Date().toISOString();
+  company.statusChangedBy = updatedBy;
 
   await getCompanyFile(companyId).save(JSON.stringify(company));
-  
+
   return {
     message: `Company ${companyId} status updated to ${newStatus}`,
-    company
+    company,
   };
 }
 
 module.exports = {
-  getCompanyById, 
+  getCompanyById,
   getCompany,
   createCompany,
+  importCompany,
   updateCompanyStatus,
   getAllCompanies,
-};
\ No newline at end of file
+};
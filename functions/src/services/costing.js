@@ -0,0 +1,140 @@
+/**
+ * Inventory costing (no storage access).
+ *
+ * Every product keeps both a weighted `averageCost` and FIFO `costLayers`
+ * ([{ quantity, unitCost, receivedAt, reference }], oldest first, summing to
+ * stockOnHand), so a company can switch its costing method at any time. The
+ * company's method (settings section "inventory") decides which of the two
+ * prices issues and values the stock; it is stamped on the product as
+ * `costingMethod` so the stored inventoryValue follows it. Layers are kept per
+ * product, not per location.
+ */
+
+const COSTING_METHODS = ["WEIGHTED_AVERAGE", "FIFO"];
+const DEFAULT_COSTING_METHOD = "WEIGHTED_AVERAGE";
+
+const round2 = (value) => Number(value.toFixed(2));
+
+/**
+ * Stock from before layers existed is one opening layer at the average cost
+ * @param {Object} product
+ * @return {Array<Object>}
+ */
+function getCostLayers(product) {
+  if (product.costLayers) {
+    return product.costLayers.map((layer) => ({...layer}));
+  }
+  return product.stockOnHand ?
+    [
+      {
+        quantity: product.stockOnHand,
+        unitCost: product.averageCost || 0,
+        receivedAt: null,
+        reference: "opening",
+      },
+    ] :
+    [];
+}
+
+const layersValue = (layers) =>
+  layers.reduce((sum, l) => sum + l.quantity * l.unitCost, 0);
+
+/**
+ * Cost layers of the product with a new receipt layer appended
+ * @param {Object} product
+ * @param {Object} options
+ * @return {Array<Object>}
+ */
+function addCostLayer(product, {quantity, unitCost, reference = null}) {
+  return [
+    ...getCostLayers(product),
+    {
+      quantity,
+      unitCost: Number(unitCost) || 0,
+      receivedAt: new Date().toISOString(),
+      reference,
+    },
+  ];
+}
+
+/**
+ * Takes `quantity` off the oldest layers. Returns the remaining layers and what
+ * the units cost: { costLayers, consumed: [{ quantity, unitCost }], fifoCost }.
+ * @param {Object} product
+ * @param {number} quantity
+ * @return {Object}
+ */
+function consumeCostLayers(product, quantity) {
+  const layers = getCostLayers(product);
+  const consumed = [];
+  let remaining = quantity;
+
+  while (remaining > 0 && layers.length > 0) {
+    const layer = layers[0];
+    const take = Math.min(layer.quantity, remaining);
+
+    consumed.push({quantity: take, unitCost: layer.unitCost});
+    remaining -= take;
+    layer.quantity -= take;
+    if (layer.quantity === 0) layers.shift();
+  }
+
+  // Layers out of step with stock (hand-edited records) fall back to the
+  // average
+  if (remaining > 0) {
+    consumed.push({quantity: remaining, unitCost: product.averageCost || 0});
+  }
+
+  return {
+    costLayers: layers,
+    consumed,
+    fifoCost: round2(layersValue(consumed)),
+  };
+}
+
+/**
+ * Cost of issuing `quantity` under a method, plus the layers left behind.
+ * Returns { costLayers, costOfGoods, unitCost }.
+ * @param {Object} product
+ * @param {number} quantity
+ * @param {string} method
+ * @return {Object}
+ */
+function costIssue(product, quantity, method) {
+  const {costLayers, fifoCost} = consumeCostLayers(product, quantity);
+  const costOfGoods =
+    method === "FIFO" ?
+      fifoCost :
+      round2(quantity * (product.averageCost || 0));
+
+  return {costLayers, costOfGoods, unitCost: round2(costOfGoods / quantity)};
+}
+
+/**
+ * Value of the stock on hand under a method (the product's own by default)
+ * @param {Object} product
+ * @param {string=} method
+ * @return {number}
+ */
+function inventoryValueOf(product, method = product.costingMethod) {
+  if (method === "FIFO") return round2(layersValue(getCostLayers(product)));
+  return round2((product.stockOnHand || 0) * (product.averageCost || 0));
+}
+
+// Per-unit value of the stock on hand, for figures that only know quantities
+// (locations, batches)
+const unitValueOf = (product, method = product.costingMethod) =>
+  product.stockOnHand ?
+    inventoryValueOf(product, method) / product.stockOnHand :
+    product.averageCost || 0;
+
+module.exports = {
+  COSTING_METHODS,
+  DEFAULT_COSTING_METHOD,
+  getCostLayers,
+  addCostLayer,
+  consumeCostLayers,
+  costIssue,
+  inventoryValueOf,
+  unitValueOf,
+};
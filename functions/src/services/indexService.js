@@ -0,0 +1,292 @@
+const {isDeepStrictEqual} = require("util");
+const {getBucket} = require("../config/firebase");
+const {updateJsonWithRetry} = require("../storage/versionedJson");
+const {upgradeRecord} = require("./schemaMigrations");
+
+/**
+ * Materialized per-company list indexes.
+ *
+ * Each entity keeps one document at companies/{companyId}/indexes/{entity}.json
+ * holding every record keyed by its id, so list and dashboard calls read a
+ * single object instead of downloading one file per record. Writers update the
+ * index right after the record itself; a missing or stale index is rebuilt from
+ * the record files on first read, and can be rebuilt on demand at any time.
+ *
+ * Products are written by every stock change, so their index keeps only the
+ * fields the product list shows, sorts and filters on, and a write that leaves
+ * those unchanged is skipped. Cost layers, batches and per-location stock are
+ * read from the product files (readRecords).
+ *
+ * Stock movements are not indexed: one document rewritten by every stock change
+ * would grow without limit and serialize all of a company's sales. They are
+ * read from the month-sharded movement log instead (see movementJournal).
+ */
+
+// fromFile turns one stored object into the records it holds (default: itself);
+// fields, when given, is all an entry keeps of its record
+const INDEXES = {
+  products: {
+    folder: "products",
+    keyOf: (p) => p.sku,
+    fields: [
+      "sku",
+      "name",
+      "category",
+      "costPrice",
+      "sellingPrice",
+      "reorderLevel",
+      "taxPercent",
+      "stockOnHand",
+      "inventoryValue",
+      "deletedAt",
+      "createdAt",
+      "updatedAt",
+      "schemaVersion",
+    ],
+  },
+  invoices: {folder: "invoices", keyOf: (inv) => inv.invoiceNumber},
+  customers: {folder: "customers", keyOf: (c) => c.id},
+  suppliers: {folder: "suppliers", keyOf: (s) => s.id},
+  purchaseOrders: {folder: "purchase-orders", keyOf: (po) => po.poNumber},
+};
+
+const INDEX_RETRIES = 10;
+
+const getIndexFile = (companyId, entity) =>
+  getBucket().file(`companies/${companyId}/indexes/${entity}.json`);
+
+const emptyIndex = (entity) => ({entity, records: {}});
+
+// Thrown from an index mutation that changes nothing, to skip the write
+const UNCHANGED = Symbol("unchanged");
+
+/**
+ * The index definition for an entity, or an error for an unknown one
+ * @param {string} entity
+ * @return {Object}
+ */
+function getIndexSpec(entity) {
+  const spec = INDEXES[entity];
+  if (!spec) throw new Error(`Unknown index "${entity}"`);
+  return spec;
+}
+
+/**
+ * What the index keeps of a record
+ * @param {string} entity
+ * @param {Object} record
+ * @return {Object}
+ */
+function toEntry(entity, record) {
+  const {fields} = getIndexSpec(entity);
+  if (!fields) return record;
+
+  return Object.fromEntries(
+      fields
+          .filter((field) => record[field] !== undefined)
+          .map((field) => [field, record[field]]),
+  );
+}
+
+/**
+ * Reads every record of the entity from its own files
+ * @param {string} companyId
+ * @param {string} entity
+ */
+async function scanRecords(companyId, entity) {
+  const {folder, keyOf, fromFile = (parsed) => [parsed]} = getIndexSpec(entity);
+  const [files] = await getBucket().getFiles({
+    prefix: `companies/${companyId}/${folder}/`,
+  });
+
+  const records = {};
+
+  for (const file of files) {
+    if (!file.name.endsWith(".json")) continue;
+
+    try {
+      const [contents] = await file.download();
+      const parsed = JSON.parse(contents.toString());
+
+      for (const record of fromFile(parsed, file.name)) {
+        records[keyOf(record)] = upgradeRecord(entity, record);
+      }
+    } catch (err) {
+      console.error(`Index rebuild skipped ${file.name}:`, err.message);
+    }
+  }
+
+  return records;
+}
+
+/**
+ * Rebuilds one index from the record files. The scan runs inside a
+ * generation-checked write, so a record written while we were scanning
+ * forces a rescan instead of being lost.
+ * @param {string} companyId
+ * @param {string} entity
+ */
+async function buildIndex(companyId, entity) {
+  return updateJsonWithRetry(
+      getIndexFile(companyId, entity),
+      async () => ({
+        entity,
+        records: Object.fromEntries(
+            Object.entries(await scanRecords(companyId, entity)).map(
+                ([key, record]) => [key, toEntry(entity, record)],
+            ),
+        ),
+        rebuiltAt: new Date().toISOString(),
+        updatedAt: new Date().toISOString(),
+      }),
+      {retries: INDEX_RETRIES, onCorrupt: () => emptyIndex(entity)},
+  );
+}
+
+/**
+ * Rebuilds one index from the records' own files
+ * @param {string} companyId
+ * @param {string} entity
+ */
+async function rebuildIndex(companyId, entity) {
+  getIndexSpec(entity);
+  const index = await buildIndex(companyId, entity);
+
+  return {
+    entity,
+    count: Object.keys(index.records).length,
+    rebuiltAt: index.rebuiltAt,
+  };
+}
+
+/**
+ * Rebuilds every index of the company
+ * @param {string} companyId
+ */
+async function rebuildAllIndexes(companyId) {
+  const results = [];
+  for (const entity of Object.keys(INDEXES)) {
+    results.push(await rebuildIndex(companyId, entity));
+  }
+  return results;
+}
+
+/**
+ * Returns the indexed records as an array, building the index if needed.
+ * @param {string} companyId
+ * @param {string} entity
+ */
+async function readIndex(companyId, entity) {
+  getIndexSpec(entity);
+
+  let index = null;
+  try {
+    const [contents] = await getIndexFile(companyId, entity).download();
+    index = JSON.parse(contents.toString());
+  } catch (err) {
+    if (err.code !== 404) {
+      console.error(
+          `Index ${entity} for ${companyId} unreadable, rebuilding:`,
+          err.message,
+      );
+    }
+  }
+
+  if (!index || index.stale) {
+    index = await buildIndex(companyId, entity);
+  }
+
+  // Entries indexed before a schema change are upgraded on the way out
+  return Object.values(index.records).map((record) =>
+    toEntry(entity, upgradeRecord(entity, record)),
+  );
+}
+
+/**
+ * Every record of the entity in full, read from the record files. For the
+ * callers that need more than an index entry holds.
+ * @param {string} companyId
+ * @param {string} entity
+ */
+async function readRecords(companyId, entity) {
+  return Object.values(await scanRecords(companyId, entity));
+}
+
+/**
+ * Applies a change to an index; a change that returns false leaves the index
+ * as it is. If the index cannot be updated it is dropped, so the next read
+ * rebuilds it from the record files instead of serving stale data.
+ * @param {string} companyId
+ * @param {string} entity
+ * @param {Function} change
+ */
+async function mutateIndex(companyId, entity, change) {
+  const file = getIndexFile(companyId, entity);
+
+  try {
+    await updateJsonWithRetry(
+        file,
+        (current) => {
+          // No complete index yet: only mark it stale. Writing still bumps the
+          // generation, so a rebuild scanning right now rescans and sees this
+          // record.
+          if (!current || current.stale) {
+            return {entity, stale: true, updatedAt: new Date().toISOString()};
+          }
+          if (change(current) === false) throw UNCHANGED;
+          current.updatedAt = new Date().toISOString();
+          return current;
+        },
+        {retries: INDEX_RETRIES},
+    );
+  } catch (err) {
+    if (err === UNCHANGED) return;
+    console.error(
+        `Index ${entity} update failed for ${companyId}, dropping it:`,
+        err.message,
+    );
+    try {
+      await file.delete();
+    } catch (deleteErr) {
+      console.error(`Failed to drop index ${entity}:`, deleteErr.message);
+    }
+  }
+}
+
+/**
+ * Adds or replaces a record in the index, unless its entry is unchanged
+ * @param {string} companyId
+ * @param {string} entity
+ * @param {Object} record
+ */
+async function upsertIndexEntry(companyId, entity, record) {
+  const key = getIndexSpec(entity).keyOf(record);
+  const entry = toEntry(entity, record);
+
+  await mutateIndex(companyId, entity, (index) => {
+    if (isDeepStrictEqual(index.records[key], entry)) return false;
+    index.records[key] = entry;
+  });
+}
+
+/**
+ * Drops a record from the index
+ * @param {string} companyId
+ * @param {string} entity
+ * @param {string} key
+ */
+async function removeIndexEntry(companyId, entity, key) {
+  await mutateIndex(companyId, entity, (index) => {
+    delete index.records[key];
+  });
+}
+
+module.exports = {
+  INDEXES,
+  readIndex,
+  readRecords,
+  rebuildIndex,
+  rebuildAllIndexes,
+  upsertIndexEntry,
+  removeIndexEntry,
+};
@@ -0,0 +1,89 @@
+const {getBucket} = require("../config/firebase");
+const {updateJsonWithRetry} = require("../storage/versionedJson");
+const {getCompanySettings} = require("./settingsService");
+
+// GST financial years run April 1 – March 31 and are evaluated in IST
+const IST_OFFSET_MINUTES = 330;
+
+// Purchase orders have their own series, e.g. "PO/2026-27/00007"
+const PURCHASE_ORDER_PREFIX = "PO";
+const PURCHASE_ORDER_PADDING = 5;
+
+const getCounterFile = (companyId, series = "invoices") =>
+  getBucket().file(`companies/${companyId}/counters/${series}.json`);
+
+/**
+ * Financial year label for a date, e.g. 2027-02-10 -> "2026-27".
+ * @param {Date=} date
+ * @return {string}
+ */
+function getFinancialYear(date = new Date()) {
+  const ist = new Date(date.getTime() + IST_OFFSET_MINUTES * 60 * 1000);
+  const year = ist.getUTCFullYear();
+  const startYear = ist.getUTCMonth() >= 3 ? year : year - 1;
+  const endYear = String((startYear + 1) % 100).padStart(2, "0");
+
+  return `${startYear}-${endYear}`;
+}
+
+/**
+ * Allocates the next consecutive number of a series for the company. The
+ * counter is kept per financial year, so it restarts at 1 every April, and the
+ * increment is generation-checked so concurrent callers can never receive the
+ * same number.
+ * @param {string} companyId
+ * @param {string} series
+ * @param {Date=} date
+ */
+async function nextSerialNumber(
+    companyId,
+    series,
+    {prefix, padding},
+    date = new Date(),
+) {
+  const financialYear = getFinancialYear(date);
+
+  const counters = await updateJsonWithRetry(
+      getCounterFile(companyId, series),
+      (current) => ({
+        ...(current || {}),
+        [financialYear]: ((current || {})[financialYear] || 0) + 1,
+      }),
+      {retries: 10},
+  );
+
+  const serial = String(counters[financialYear]).padStart(padding, "0");
+
+  return `${prefix}/${financialYear}/${serial}`;
+}
+
+/**
+ * e.g. "INV/2026-27/00042", formatted by the company's invoiceNumbering
+ * settings
+ * @param {string} companyId
+ * @param {Date=} date
+ */
+async function nextInvoiceNumber(companyId, date = new Date()) {
+  const {invoiceNumbering} = await getCompanySettings(companyId);
+  return nextSerialNumber(companyId, "invoices", invoiceNumbering, date);
+}
+
+/**
+ * Takes the next purchase order number of the financial year
+ * @param {string} companyId
+ * @param {Date=} date
+ */
+async function nextPurchaseOrderNumber(companyId, date = new Date()) {
+  return nextSerialNumber(
+      companyId,
+      "purchase-orders",
+      {prefix: PURCHASE_ORDER_PREFIX, padding: PURCHASE_ORDER_PADDING},
+      date,
+  );
+}
+
+module.exports = {
+  getFinancialYear,
+  nextInvoiceNumber,
+  nextPurchaseOrderNumber,
+};
@@ -0,0 +1,202 @@
+const {AppError} = require("../appError");
+
+/**
+ * Shared filtering, sorting and cursor pagination for list endpoints.
+ *
+ * Query parameters (all optional):
+ *   limit   page size (default 50, max 200)
+ *   cursor  opaque value returned as nextCursor by the previous page
+ *   sort    field name from the endpoint's sortable list
+ *   order   asc | desc
+ *   from/to ISO dates applied to the endpoint's date field (inclusive)
+ *   ...     endpoint specific filters (status, customer, sku, category, ...)
+ *
+ * Cursors are keyset based (last sort value + record key), so pages stay
+ * consistent while new records are being added. Every list endpoint answers
+ * with a page, { items, total, limit, sort, order, nextCursor }, also when the
+ * query is empty.
+ */
+
+const DEFAULT_LIMIT = 50;
+const MAX_LIMIT = 200;
+
+const encodeCursor = (value, key) =>
+  Buffer.from(JSON.stringify({v: value, k: key})).toString("base64url");
+
+/**
+ * Reads a cursor back into the sort value and key it points after
+ * @param {string} cursor
+ * @return {Object}
+ */
+function decodeCursor(cursor) {
+  try {
+    const {v, k} = JSON.parse(Buffer.from(cursor, "base64url").toString());
+    return {value: v, key: k};
+  } catch {
+    throw new AppError(400, "Invalid pagination cursor");
+  }
+}
+
+/**
+ * Orders two sort values; missing values first, text case-insensitively
+ * @param {*} a
+ * @param {*} b
+ * @return {number}
+ */
+function compareValues(a, b) {
+  if (a == null && b == null) return 0;
+  if (a == null) return -1;
+  if (b == null) return 1;
+  if (typeof a === "number" && typeof b === "number") return a - b;
+
+  const left = String(a).toLowerCase();
+  const right = String(b).toLowerCase();
+  return left < right ? -1 : left > right ? 1 : 0;
+}
+
+/**
+ * Parses a from/to filter, or 400
+ * @param {string} value
+ * @param {string} name
+ * @return {Date}
+ */
+function parseDate(value, name) {
+  const date = new Date(value);
+  if (Number.isNaN(date.getTime())) {
+    throw new AppError(400, `Invalid ${name} date`);
+  }
+  return date;
+}
+
+/**
+ * Validates the paging part of a query: limit, sort, order and from/to.
+ * @param {Object=} query
+ * @return {Object}
+ */
+function readPaging(
+    query = {},
+    {sortable, defaultSort, defaultOrder = "desc"},
+) {
+  const limit = query.limit == null ? DEFAULT_LIMIT : Number(query.limit);
+  if (!Number.isInteger(limit) || limit < 1 || limit > MAX_LIMIT) {
+    throw new AppError(
+        400,
+        `limit must be a whole number between 1 and ${MAX_LIMIT}`,
+    );
+  }
+
+  const sort = query.sort || defaultSort;
+  if (!sortable.includes(sort)) {
+    throw new AppError(
+        400,
+        `Cannot sort by "${sort}". Use one of: ${sortable.join(", ")}`,
+    );
+  }
+
+  const order = (query.order || defaultOrder).toLowerCase();
+  if (!["asc", "desc"].includes(order)) {
+    throw new AppError(400, "order must be asc or desc");
+  }
+
+  return {
+    limit,
+    sort,
+    order,
+    from: query.from ? parseDate(query.from, "from") : null,
+    to: query.to ? parseDate(query.to, "to") : null,
+  };
+}
+
+/**
+ * @param {Object[]} records full record list
+ * @param {Object} query parsed query string
+ * @param {Object} spec endpoint description:
+ *   keyOf(record)       unique, stable record key (tie-breaker and cursor)
+ *   dateField           field used by from/to
+ *   sortable            allowed sort fields
+ *   defaultSort/Order   used when sort/order are omitted
+ *   filters             { param: (record, value) => boolean }
+ * @return {Object}
+ */
+function applyListQuery(records, query = {}, spec) {
+  const {keyOf, dateField, filters = {}} = spec;
+  const {limit, sort, order, from, to} = readPaging(query, spec);
+
+  let result = records.filter(
+      (record) =>
+        inDateRange(record[dateField], from, to) &&
+      matchesFilters(record, query, filters),
+  );
+
+  const direction = order === "asc" ? 1 : -1;
+  const compare = (a, b) =>
+    direction *
+    (compareValues(a.value, b.value) || compareValues(a.key, b.key));
+
+  result = result
+      .map((record) => ({
+        record,
+        value: record[sort] ?? null,
+        key: keyOf(record),
+      }))
+      .sort(compare);
+
+  const total = result.length;
+
+  if (query.cursor) {
+    const after = decodeCursor(query.cursor);
+    result = result.filter((entry) => compare(entry, after) > 0);
+  }
+
+  const page = result.slice(0, limit);
+  const last = page[page.length - 1];
+
+  return {
+    items: page.map((entry) => entry.record),
+    total,
+    limit,
+    sort,
+    order,
+    nextCursor:
+      result.length > limit ? encodeCursor(last.value, last.key) : null,
+  };
+}
+
+/**
+ * Whether a timestamp falls within the optional from/to range
+ * @param {string} value
+ * @param {?Date} from
+ * @param {?Date} to
+ * @return {boolean}
+ */
+function inDateRange(value, from, to) {
+  if (!from && !to) return true;
+  const date = new Date(value);
+  return !(from && date < from) && !(to && date > to);
+}
+
+const matchesFilters = (record, query, filters) =>
+  Object.entries(filters).every(([param, matches]) =>
+    query[param] == null || query[param] === "" ?
+      true :
+      matches(record, String(query[param])),
+  );
+
+const includesText = (field) => (record, value) =>
+  String(record[field] || "")
+      .toLowerCase()
+      .includes(value.toLowerCase());
+
+const equalsText = (field) => (record, value) =>
+  String(record[field] || "").toLowerCase() === value.toLowerCase();
+
+module.exports = {
+  applyListQuery,
+  readPaging,
+  inDateRange,
+  matchesFilters,
+  encodeCursor,
+  decodeCursor,
+  includesText,
+  equalsText,
+};
@@ -0,0 +1,238 @@
+const {getBucket} = require("../config/firebase");
+const {AppError} = require("../appError");
+const {
+  readJsonVersioned,
+  saveJsonIfGeneration,
+  updateJsonWithRetry,
+  isPreconditionFailure,
+} = require("../storage/versionedJson");
+const {DEFAULT_LOCATION, normalizeLocationCode} = require("./stockLocations");
+
+/**
+ * Named stock locations (godowns, retail counters) of a company, one file each
+ * at companies/{companyId}/locations/{code}.json. The default location always
+ * exists, even before it has a file, because older stock belongs to it.
+ */
+
+const LOCATION_TYPES = ["WAREHOUSE", "STORE", "OTHER"];
+const LOCATION_CODE_PATTERN = /^[A-Z0-9-]{1,20}$/;
+
+/**
+ * Normalized code, checked before it is ever used in an object path
+ * @param {string} code
+ * @return {string}
+ */
+function validLocationCode(code) {
+  const finalCode = normalizeLocationCode(code);
+  if (!LOCATION_CODE_PATTERN.test(finalCode)) {
+    throw new AppError(
+        400,
+        "Location code must be 1-20 letters, digits or hyphens",
+    );
+  }
+  return finalCode;
+}
+
+const getLocationFile = (companyId, code) =>
+  getBucket().file(`companies/${companyId}/locations/${code}.json`);
+
+const builtInDefault = (companyId) => ({
+  companyId,
+  code: DEFAULT_LOCATION,
+  name: "Main warehouse",
+  type: "WAREHOUSE",
+  status: "ACTIVE",
+  isDefault: true,
+  createdAt: null,
+});
+
+/**
+ * A location by code, or null; the default location always exists
+ * @param {string} companyId
+ * @param {string} code
+ */
+async function getLocation(companyId, code) {
+  const finalCode = validLocationCode(code);
+  const {data} = await readJsonVersioned(getLocationFile(companyId, finalCode));
+
+  if (data) return {...data, isDefault: finalCode === DEFAULT_LOCATION};
+  return finalCode === DEFAULT_LOCATION ? builtInDefault(companyId) : null;
+}
+
+/**
+ * Every location of the company, default first
+ * @param {string} companyId
+ */
+async function listLocations(companyId) {
+  const [files] = await getBucket().getFiles({
+    prefix: `companies/${companyId}/locations/`,
+  });
+  const locations = {};
+
+  for (const file of files) {
+    if (!file.name.endsWith(".json")) continue;
+    try {
+      const [contents] = await file.download();
+      const location = JSON.parse(contents.toString());
+      locations[location.code] = {
+        ...location,
+        isDefault: location.code === DEFAULT_LOCATION,
+      };
+    } catch (err) {
+      console.error(`Location ${file.name} is unreadable:`, err.message);
+    }
+  }
+
+  if (!locations[DEFAULT_LOCATION]) {
+    locations[DEFAULT_LOCATION] = builtInDefault(companyId);
+  }
+
+  return Object.values(locations).sort(
+      (a, b) =>
+        Number(b.isDefault) - Number(a.isDefault) ||
+        a.code.localeCompare(b.code),
+  );
+}
+
+/**
+ * Resolves a location named in a stock operation; unknown and inactive
+ * locations cannot receive or issue stock.
+ * @param {string} companyId
+ * @param {string} code
+ */
+async function assertActiveLocation(companyId, code) {
+  const location = await getLocation(companyId, code);
+  const finalCode = normalizeLocationCode(code);
+
+  if (!location) throw new AppError(400, `Unknown location "${finalCode}"`);
+  if (location.status !== "ACTIVE") {
+    throw new AppError(400, `Location ${finalCode} is inactive`);
+  }
+  return location.code;
+}
+
+/**
+ * Checks the editable location fields; `partial` allows leaving any out
+ * @param {Object} fields
+ * @param {Object=} options
+ */
+function validateLocationFields({name, type}, {partial = false} = {}) {
+  if (!partial || name !== undefined) {
+    if (!name || !String(name).trim()) {
+      throw new AppError(400, "Location name is required");
+    }
+  }
+  if (type !== undefined && !LOCATION_TYPES.includes(type)) {
+    throw new AppError(
+        400,
+        `type must be one of: ${LOCATION_TYPES.join(", ")}`,
+    );
+  }
+}
+
+/**
+ * Creates a location; codes are unique within the company
+ * @param {string} companyId
+ * @param {Object} options
+ * @param {?string} createdBy
+ */
+async function createLocation(
+    companyId,
+    {code, name, type = "STORE"},
+    createdBy,
+) {
+  if (!code) {
+    throw new AppError(
+        400,
+        "Location code must be 1-20 letters, digits or hyphens",
+    );
+  }
+  validateLocationFields({name, type});
+
+  const location = {
+    companyId,
+    code: validLocationCode(code),
+    name: String(name).trim(),
+    type,
+    status: "ACTIVE",
+    createdAt: new Date().toISOString(),
+    createdBy: createdBy || null,
+  };
+
+  if (location.code === DEFAULT_LOCATION) {
+    throw new AppError(
+        409,
+        `${DEFAULT_LOCATION} is the built-in default location`,
+    );
+  }
+
+  try {
+    await saveJsonIfGeneration(
+        getLocationFile(companyId, location.code),
+        location,
+        0,
+    );
+  } catch (err) {
+    if (!isPreconditionFailure(err)) throw err;
+    throw new AppError(409, `Location ${location.code} already exists`);
+  }
+
+  return location;
+}
+
+/**
+ * Renames, retypes or (de)activates a location; returns { before, after }
+ * @param {string} companyId
+ * @param {string} code
+ * @param {Object} options
+ * @param {?string} updatedBy
+ */
+async function updateLocation(
+    companyId,
+    code,
+    {name, type, status},
+    updatedBy,
+) {
+  validateLocationFields({name, type}, {partial: true});
+  if (status !== undefined && !["ACTIVE", "INACTIVE"].includes(status)) {
+    throw new AppError(400, "status must be ACTIVE or INACTIVE");
+  }
+
+  const finalCode = validLocationCode(code);
+  if (finalCode === DEFAULT_LOCATION && status === "INACTIVE") {
+    throw new AppError(400, "The default location cannot be deactivated");
+  }
+
+  let before = null;
+  const after = await updateJsonWithRetry(
+      getLocationFile(companyId, finalCode),
+      (current) => {
+        before =
+          current ||
+          (finalCode === DEFAULT_LOCATION ? builtInDefault(companyId) : null);
+        if (!before) throw new AppError(404, `Location ${finalCode} not found`);
+
+        const stored = {...before};
+        delete stored.isDefault;
+        return {
+          ...stored,
+          ...(name !== undefined && {name: String(name).trim()}),
+          ...(type !== undefined && {type}),
+          ...(status !== undefined && {status}),
+          updatedAt: new Date().toISOString(),
+          updatedBy: updatedBy || null,
+        };
+      },
+  );
+
+  return {before, after};
+}
+
+module.exports = {
+  LOCATION_TYPES,
+  getLocation,
+  listLocations,
+  assertActiveLocation,
+  createLocation,
+  updateLocation,
+};
@@ -0,0 +1,244 @@
+const crypto = require("crypto");
+const {getBucket} = require("../config/firebase");
+const {AppError} = require("../appError");
+const {
+  readJsonVersioned,
+  updateJsonWithRetry,
+} = require("../storage/versionedJson");
+
+/**
+ * Login attempt counters (brute-force protection).
+ *
+ * Failed logins are counted per account (company user or admin) and per client
+ * IP. After a few free attempts every further failure pushes the next allowed
+ * attempt out exponentially, and too many failures lock the subject for a
+ * while.
+ * Counters live outside the company folders (security/login-attempts/...) so
+ * they are never part of company backups. A successful login clears the account
+ * counter; the IP counter only decays, so one valid account cannot be used to
+ * reset an IP that is guessing other accounts. Password reset requests are
+ * counted per IP with the same policy, under their own subject.
+ */
+
+const POLICIES = {
+  account: {freeAttempts: 3, lockAfter: 10},
+  admin: {freeAttempts: 3, lockAfter: 10},
+  ip: {freeAttempts: 10, lockAfter: 30},
+  // Password reset requests per client IP, counted separately from logins
+  reset: {freeAttempts: 10, lockAfter: 30},
+};
+
+const WINDOW_MS = 15 * 60 * 1000;
+const LOCK_MS = (Number(process.env.LOGIN_LOCK_MINUTES) || 15) * 60 * 1000;
+const MAX_DELAY_MS = 60 * 1000;
+
+const ROOT = "security/login-attempts";
+
+const encode = (value) => encodeURIComponent(String(value).toLowerCase());
+
+const accountSubject = (companyId, email) => ({
+  kind: "account",
+  companyId,
+  email: String(email).toLowerCase(),
+});
+const adminSubject = (email) => ({
+  kind: "admin",
+  email: String(email).toLowerCase(),
+});
+const ipSubject = (ip) => ({kind: "ip", ip: ip || "unknown"});
+const resetSubject = (ip) => ({kind: "reset", ip: ip || "unknown"});
+
+/**
+ * Storage path of a subject's attempt record
+ * @param {Object} subject
+ * @return {string}
+ */
+function subjectPath(subject) {
+  if (subject.kind === "account") {
+    const company = encode(subject.companyId);
+    return `${ROOT}/accounts/${company}/${encode(subject.email)}.json`;
+  }
+  if (subject.kind === "admin") {
+    return `${ROOT}/admins/${encode(subject.email)}.json`;
+  }
+
+  const ipKey = crypto
+      .createHash("sha256")
+      .update(subject.ip)
+      .digest("hex")
+      .slice(0, 32);
+  return `${ROOT}/${subject.kind === "reset" ? "resets" : "ips"}/${ipKey}.json`;
+}
+
+const getAttemptFile = (subject) => getBucket().file(subjectPath(subject));
+
+/**
+ * Milliseconds until the subject may try again (0 when allowed)
+ * @param {Object} record
+ * @param {Date=} now
+ * @return {number}
+ */
+function waitFor(record, now = Date.now()) {
+  if (!record) return 0;
+  const until = Math.max(
+    record.lockedUntil ? new Date(record.lockedUntil).getTime() : 0,
+    record.nextAttemptAt ? new Date(record.nextAttemptAt).getTime() : 0,
+  );
+  return Math.max(0, until - now);
+}
+
+/**
+ * Rejects the attempt with 429 while any subject is delayed or locked.
+ * The message is the same for existing and unknown accounts.
+ * @param {Array} subjects
+ */
+async function assertLoginAllowed(subjects) {
+  let wait = 0;
+  const what = subjects.every((s) => s.kind === "reset") ?
+    "password reset requests" :
+    "login attempts";
+
+  for (const subject of subjects) {
+    const {data} = await readJsonVersioned(getAttemptFile(subject));
+    wait = Math.max(wait, waitFor(data));
+  }
+
+  if (wait > 0) {
+    const seconds = Math.ceil(wait / 1000);
+    const unit = seconds === 1 ? "second" : "seconds";
+    const err = new AppError(
+        429,
+        `Too many ${what}. Try again in ${seconds} ${unit}.`,
+    );
+    err.retryAfter = seconds;
+    throw err;
+  }
+}
+
+/**
+ * Counts a failed attempt against every subject, delaying or locking them
+ * @param {Array<Object>} subjects
+ */
+async function recordLoginFailure(subjects) {
+  const now = new Date();
+
+  for (const subject of subjects) {
+    const {freeAttempts, lockAfter} = POLICIES[subject.kind];
+
+    await updateJsonWithRetry(
+        getAttemptFile(subject),
+        (current) => {
+          const stale =
+            current &&
+            !waitFor(current, now.getTime()) &&
+            now - new Date(current.lastFailureAt) > WINDOW_MS;
+          const record =
+            current && !stale ? {...current} : {...subject, failures: 0};
+
+          record.failures += 1;
+          record.firstFailureAt = record.firstFailureAt || now.toISOString();
+          record.lastFailureAt = now.toISOString();
+
+          if (record.failures >= lockAfter) {
+            record.lockedUntil =
+              new Date(now.getTime() + LOCK_MS).toISOString();
+            record.lockCount = (record.lockCount || 0) + 1;
+            record.failures = 0;
+            record.nextAttemptAt = null;
+          } else if (record.failures > freeAttempts) {
+            const delay = Math.min(
+                1000 * 2 ** (record.failures - freeAttempts - 1),
+                MAX_DELAY_MS,
+            );
+            record.nextAttemptAt =
+              new Date(now.getTime() + delay).toISOString();
+          }
+
+          return record;
+        },
+        {onCorrupt: () => null},
+    );
+  }
+}
+
+/**
+ * Forgets a subject's failures; false when there were none
+ * @param {Object} subject
+ */
+async function clearAttempts(subject) {
+  try {
+    await getAttemptFile(subject).delete();
+    return true;
+  } catch (err) {
+    if (err.code === 404) return false;
+    throw err;
+  }
+}
+
+const recordLoginSuccess = (subject) => clearAttempts(subject);
+
+/**
+ * Attempt records under a prefix that still delay or lock
+ * @param {string} prefix
+ */
+async function listAttempts(prefix) {
+  const [files] = await getBucket().getFiles({prefix: `${ROOT}/${prefix}`});
+  const now = Date.now();
+  const records = [];
+
+  for (const file of files) {
+    if (!file.name.endsWith(".json")) continue;
+    try {
+      const [contents] = await file.download();
+      const record = JSON.parse(contents.toString());
+      const wait = waitFor(record, now);
+
+      // Old failures that no longer slow anyone down are not worth showing
+      if (!wait && now - new Date(record.lastFailureAt) > WINDOW_MS) continue;
+
+      records.push({
+        ...record,
+        locked:
+          Boolean(record.lockedUntil) && new Date(record.lockedUntil) > now,
+        retryAfterSeconds: Math.ceil(wait / 1000),
+      });
+    } catch (err) {
+      console.error(
+          `Unreadable login attempt record ${file.name}:`,
+          err.message,
+      );
+    }
+  }
+
+  return records.sort(
+      (a, b) => new Date(b.lastFailureAt) - new Date(a.lastFailureAt),
+  );
+}
+
+const listCompanyLocks = (companyId) =>
+  listAttempts(`accounts/${encode(companyId)}/`);
+
+/**
+ * Locked and delayed admins, IPs, reset requesters and accounts
+ */
+async function listPlatformLocks() {
+  return {
+    admins: await listAttempts("admins/"),
+    ips: await listAttempts("ips/"),
+    resets: await listAttempts("resets/"),
+    accounts: await listAttempts("accounts/"),
+  };
+}
+
+module.exports = {
+  accountSubject,
+  adminSubject,
+  ipSubject,
+  resetSubject,
+  assertLoginAllowed,
+  recordLoginFailure,
+  recordLoginSuccess,
+  clearAttempts,
+  listCompanyLocks,
+  listPlatformLocks,
+};
@@ -0,0 +1,108 @@
+const {getBucket} = require("../config/firebase");
+const {updateJsonWithRetry} = require("../storage/versionedJson");
+const {getAllCompanies} = require("./companyService");
+const {INDEXES, rebuildIndex} = require("./indexService");
+const {
+  MIGRATIONS,
+  currentVersion,
+  needsUpgrade,
+  upgradeRecord,
+} = require("./schemaMigrations");
+const {recordAuditEvent} = require("./auditService");
+
+/**
+ * Upgrades every stored record of one company and reports each file that was
+ * upgraded or failed. With dryRun nothing is written.
+ * @param {string} companyId
+ */
+async function migrateCompany(companyId, {dryRun = false} = {}) {
+  const report = {
+    companyId,
+    dryRun,
+    scanned: 0,
+    current: 0,
+    upgraded: [],
+    failed: [],
+  };
+
+  for (const entity of Object.keys(MIGRATIONS)) {
+    const [files] = await getBucket().getFiles({
+      prefix: `companies/${companyId}/${entity}/`,
+    });
+    let upgradedInEntity = 0;
+
+    for (const file of files) {
+      if (!file.name.endsWith(".json")) continue;
+      report.scanned++;
+
+      try {
+        const [contents] = await file.download();
+        const record = JSON.parse(contents.toString());
+
+        if (!needsUpgrade(entity, record)) {
+          report.current++;
+          continue;
+        }
+
+        const fromVersion = record.schemaVersion || 1;
+        if (!dryRun) {
+          await updateJsonWithRetry(file, (latest) =>
+            upgradeRecord(entity, latest),
+          );
+        }
+
+        upgradedInEntity++;
+        report.upgraded.push({
+          path: file.name,
+          entity,
+          fromVersion,
+          toVersion: currentVersion(entity),
+        });
+      } catch (err) {
+        report.failed.push({path: file.name, entity, error: err.message});
+      }
+    }
+
+    // Keep the stored list index in step with the upgraded files
+    if (!dryRun && upgradedInEntity > 0 && INDEXES[entity]) {
+      await rebuildIndex(companyId, entity);
+    }
+  }
+
+  if (!dryRun && report.upgraded.length > 0) {
+    await recordAuditEvent(companyId, {
+      action: "company.migrate",
+      entity: "company",
+      entityId: companyId,
+      after: {upgraded: report.upgraded.length, failed: report.failed.length},
+    });
+  }
+
+  return report;
+}
+
+/**
+ * Migrates every company in turn and reports per company
+ * @param {Object} options
+ */
+async function migrateAllCompanies({dryRun = false} = {}) {
+  const companies = await getAllCompanies();
+  const reports = [];
+
+  for (const company of companies) {
+    reports.push(await migrateCompany(company.companyId, {dryRun}));
+  }
+
+  return {
+    dryRun,
+    companies: reports.length,
+    upgraded: reports.reduce((sum, r) => sum + r.upgraded.length, 0),
+    failed: reports.reduce((sum, r) => sum + r.failed.length, 0),
+    reports,
+  };
+}
+
+module.exports = {
+  migrateCompany,
+  migrateAllCompanies,
+};
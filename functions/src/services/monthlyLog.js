@@ -0,0 +1,207 @@
+const {getBucket} = require("../config/firebase");
+const {saveJsonIfGeneration} = require("../storage/versionedJson");
+const {
+  readPaging,
+  inDateRange,
+  matchesFilters,
+  encodeCursor,
+  decodeCursor,
+} = require("./listQuery");
+
+/**
+ * Month-sharded, append-only object logs.
+ *
+ * Entries are immutable objects at {prefix}{YYYY-MM}/{key}.json whose key
+ * starts with a compact timestamp, so object names sort chronologically.
+ * Readers list one month folder at a time, in the requested order, and stop
+ * downloading as soon as a page is full; a request never costs more than the
+ * months it touches.
+ */
+
+const MONTH_PATTERN = /^\d{4}-\d{2}$/;
+
+const compactStamp = (date) =>
+  new Date(date).toISOString().replace(/[-:.]/g, "");
+
+const monthOf = (date) => new Date(date).toISOString().slice(0, 7);
+
+/**
+ * Month of the first compact timestamp in a key: "AUD-20261019T1015...-ab12" ->
+ * "2026-10"
+ * @param {string} key
+ * @return {?string}
+ */
+function monthOfKey(key) {
+  const match = /(\d{4})(\d{2})\d{2}T/.exec(key);
+  return match ? `${match[1]}-${match[2]}` : null;
+}
+
+const keyOfName = (name) =>
+  name
+      .split("/")
+      .pop()
+      .replace(/\.json$/, "");
+
+/**
+ * Stores an entry once under its month folder
+ * @param {string} prefix
+ * @param {Object} options
+ * @param {Object} entry
+ */
+async function appendLogEntry(prefix, {key, at}, entry) {
+  const file = getBucket().file(`${prefix}${monthOf(at)}/${key}.json`);
+  await saveJsonIfGeneration(file, entry, 0);
+  return entry;
+}
+
+/**
+ * Month folders plus any objects stored directly under the prefix
+ * @param {string} prefix
+ */
+async function listLogRoot(prefix) {
+  const months = new Set();
+  const files = [];
+  let query = {prefix, delimiter: "/", autoPaginate: false};
+
+  while (query) {
+    const [page, nextQuery, response] = await getBucket().getFiles(query);
+    files.push(...page);
+    for (const sub of response?.prefixes || []) {
+      const month = sub.slice(prefix.length, -1);
+      if (MONTH_PATTERN.test(month)) months.add(month);
+    }
+    query = nextQuery || null;
+  }
+
+  return {months: [...months], files};
+}
+
+/**
+ * Reads one page of a log.
+ *
+ * spec:
+ *   dateField       record field used by from/to
+ *   filters         { param: (record, value) => boolean } as in listQuery
+ *   legacyMonthOf   maps a name stored directly under the prefix to its month,
+ *                   or null to ignore it (logs that predate the month folders)
+ *
+ * Returns { items, limit, sort, order, nextCursor }. There is no total:
+ * counting would mean reading the whole log.
+ * @param {string} prefix
+ * @param {Object=} query
+ * @param {Object} spec
+ */
+async function readLogPage(prefix, query = {}, spec) {
+  const {dateField, filters = {}, legacyMonthOf = () => null} = spec;
+  const paging = readPaging(query, {
+    ...spec,
+    sortable: [dateField],
+    defaultSort: dateField,
+  });
+  const {limit, order, from, to} = paging;
+  const after = query.cursor ? decodeCursor(query.cursor).key : null;
+  const descending = order === "desc";
+
+  const root = await listLogRoot(prefix);
+  const legacy = {};
+  for (const file of root.files) {
+    const month = file.name.endsWith(".json") ?
+      legacyMonthOf(keyOfName(file.name)) :
+      null;
+    if (!month) continue;
+    (legacy[month] = legacy[month] || []).push(file);
+  }
+
+  const months = [...new Set([...root.months, ...Object.keys(legacy)])]
+      .filter(
+          (month) =>
+            (!from || month >= monthOf(from)) && (!to || month <= monthOf(to)),
+      )
+      .sort();
+  if (descending) months.reverse();
+
+  const items = [];
+  let lastKey = null;
+  let hasMore = false;
+
+  for (const month of months) {
+    if (
+      after &&
+      (descending ? month > monthOfKey(after) : month < monthOfKey(after))
+    ) {
+      continue;
+    }
+
+    const [files] = await getBucket().getFiles({prefix: `${prefix}${month}/`});
+    const entries = [...files, ...(legacy[month] || [])]
+        .filter((file) => file.name.endsWith(".json"))
+        .map((file) => ({file, key: keyOfName(file.name)}))
+        .filter(({key}) => !after || (descending ? key < after : key > after))
+        .sort((a, b) => (a.key < b.key ? -1 : a.key > b.key ? 1 : 0));
+    if (descending) entries.reverse();
+
+    for (const {file, key} of entries) {
+      let record;
+      try {
+        const [contents] = await file.download();
+        record = JSON.parse(contents.toString());
+      } catch (err) {
+        console.error(`Log entry ${file.name} is unreadable:`, err.message);
+        continue;
+      }
+
+      if (!inDateRange(record[dateField], from, to)) continue;
+      if (!matchesFilters(record, query, filters)) continue;
+
+      if (items.length === limit) {
+        hasMore = true;
+        break;
+      }
+      items.push(record);
+      lastKey = key;
+    }
+    if (hasMore) break;
+  }
+
+  return {
+    items,
+    limit,
+    sort: paging.sort,
+    order,
+    nextCursor: hasMore ? encodeCursor(null, lastKey) : null,
+  };
+}
+
+/**
+ * Every entry dated from `from` on, oldest first. Meant for bounded windows
+ * (a lookback of some days), not for whole histories.
+ * @param {string} prefix
+ * @param {Date|string} from
+ */
+async function readLogSince(prefix, from, {dateField}) {
+  const {months} = await listLogRoot(prefix);
+  const entries = [];
+
+  for (const month of months.filter((m) => m >= monthOf(from)).sort()) {
+    const [files] = await getBucket().getFiles({prefix: `${prefix}${month}/`});
+    for (const file of files) {
+      if (!file.name.endsWith(".json")) continue;
+      try {
+        const [contents] = await file.download();
+        const record = JSON.parse(contents.toString());
+        if (new Date(record[dateField]) >= from) entries.push(record);
+      } catch (err) {
+        console.error(`Log entry ${file.name} is unreadable:`, err.message);
+      }
+    }
+  }
+  return entries;
+}
+
+module.exports = {
+  compactStamp,
+  monthOfKey,
+  appendLogEntry,
+  readLogPage,
+  readLogSince,
+};
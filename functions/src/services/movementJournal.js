@@ -0,0 +1,291 @@
+const crypto = require("crypto");
+const {getBucket} = require("../config/firebase");
+const {
+  saveJsonIfGeneration,
+  isPreconditionFailure,
+} = require("../storage/versionedJson");
+const {
+  compactStamp,
+  appendLogEntry,
+  readLogPage,
+  readLogSince,
+} = require("./monthlyLog");
+
+/**
+ * Append-only stock movement journal.
+ *
+ * Every movement is its own immutable object:
+ *   companies/{companyId}/movements/{sku}/{movementId}.json
+ * Objects are created with a "must not exist" precondition and never rewritten,
+ * so recording a sale costs one small write and a damaged object can only ever
+ * affect that single entry, never the SKU's whole audit trail.
+ *
+ * Older data lives in one array per SKU (movements/{sku}.json). Those files are
+ * still read, but never written again.
+ *
+ * Company-wide reads go through a second, month-sharded copy ordered by
+ * movement date (see monthlyLog):
+ *   companies/{companyId}/movement-log/{YYYY-MM}/{dateStamp}-{movementId}.json
+ * Movements recorded before that log existed are copied in once, on first read.
+ * A movement whose log write fails is queued under movement-log/repairs/ and
+ * copied in by the next read.
+ */
+
+/**
+ * Time-ordered and unique: object names sort chronologically within a SKU
+ * @param {Date=} now
+ * @return {string}
+ */
+function newMovementId(now = new Date()) {
+  const stamp = now.toISOString().replace(/[-:.]/g, "");
+  return `MOV-${stamp}-${crypto.randomBytes(4).toString("hex")}`;
+}
+
+const getJournalPrefix = (companyId, sku) =>
+  `companies/${companyId}/movements/${sku}/`;
+
+const getLegacyFile = (companyId, sku) =>
+  getBucket().file(`companies/${companyId}/movements/${sku}.json`);
+
+/**
+ * Gives entries from a legacy per-SKU array stable ids derived from their
+ * position.
+ * @param {Array} entries
+ * @param {string} fileName
+ * @return {Array<Object>}
+ */
+function fromLegacyMovementFile(entries, fileName) {
+  const sku = fileName
+      .split("/")
+      .pop()
+      .replace(/\.json$/, "");
+  return entries.map((entry, position) => ({
+    ...entry,
+    id: entry.id || `LEGACY-${sku}-${String(position).padStart(6, "0")}`,
+  }));
+}
+
+const getLogPrefix = (companyId) => `companies/${companyId}/movement-log/`;
+
+const getBackfillMarker = (companyId) =>
+  getBucket().file(`${getLogPrefix(companyId)}backfill.json`);
+
+const getRepairPrefix = (companyId) => `${getLogPrefix(companyId)}repairs/`;
+
+const logKeyOf = (movement) => `${compactStamp(movement.date)}-${movement.id}`;
+
+/**
+ * Adds a movement to the monthly log; an existing entry is kept
+ * @param {string} companyId
+ * @param {Object} movement
+ */
+async function logMovement(companyId, movement) {
+  try {
+    await appendLogEntry(
+        getLogPrefix(companyId),
+        {key: logKeyOf(movement), at: movement.date},
+        movement,
+    );
+  } catch (err) {
+    if (!isPreconditionFailure(err)) throw err;
+  }
+}
+
+/**
+ * Remembers a movement the log is missing, for the next read to copy in. If
+ * even that fails the backfill marker is dropped, so the next read copies the
+ * whole journal again.
+ * @param {string} companyId
+ * @param {Object} movement
+ */
+async function queueLogRepair(companyId, movement) {
+  try {
+    await saveJsonIfGeneration(
+        getBucket().file(`${getRepairPrefix(companyId)}${movement.id}.json`),
+        movement,
+        0,
+    );
+  } catch (err) {
+    console.error(`Could not queue ${movement.id} for repair:`, err.message);
+    await getBackfillMarker(companyId)
+        .delete()
+        .catch(() => {});
+  }
+}
+
+/**
+ * Copies the queued movements into the log
+ * @param {string} companyId
+ */
+async function applyLogRepairs(companyId) {
+  const [files] = await getBucket().getFiles({
+    prefix: getRepairPrefix(companyId),
+  });
+
+  for (const file of files) {
+    try {
+      const [contents] = await file.download();
+      await logMovement(companyId, JSON.parse(contents.toString()));
+      await file.delete();
+    } catch (err) {
+      console.error(`Movement log repair ${file.name} failed:`, err.message);
+    }
+  }
+}
+
+/**
+ * Stores a movement in the SKU's journal and in the monthly log
+ * @param {string} companyId
+ * @param {Object} entry
+ */
+async function appendMovement(companyId, entry) {
+  const movement = {id: newMovementId(), ...entry};
+  const file = getBucket().file(
+      `${getJournalPrefix(companyId, movement.sku)}${movement.id}.json`,
+  );
+
+  await saveJsonIfGeneration(file, movement, 0);
+
+  // The journal entry is the record; the stock change behind it is already
+  // committed, so a failed log write is repaired later rather than reported
+  try {
+    await logMovement(companyId, movement);
+  } catch (err) {
+    console.error(`Movement ${movement.id} not logged:`, err.message);
+    await queueLogRepair(companyId, movement);
+  }
+  return movement;
+}
+
+/**
+ * Makes the company log complete: copies the journal in once, then any
+ * movements queued for repair.
+ * @param {string} companyId
+ */
+async function ensureMovementLog(companyId) {
+  const [done] = await getBackfillMarker(companyId).exists();
+  if (!done) await backfillMovementLog(companyId);
+
+  await applyLogRepairs(companyId);
+}
+
+/**
+ * Copies every journal and legacy movement into the company log.
+ * Entries already logged are left alone, so an interrupted or concurrent
+ * backfill is harmless; the marker is only written when the copy is complete.
+ * @param {string} companyId
+ */
+async function backfillMovementLog(companyId) {
+  const marker = getBackfillMarker(companyId);
+  const [files] = await getBucket().getFiles({
+    prefix: `companies/${companyId}/movements/`,
+  });
+  let copied = 0;
+
+  for (const file of files) {
+    if (!file.name.endsWith(".json")) continue;
+
+    try {
+      const [contents] = await file.download();
+      const parsed = JSON.parse(contents.toString());
+      const movements = Array.isArray(parsed) ?
+        fromLegacyMovementFile(parsed, file.name) :
+        [parsed];
+
+      for (const movement of movements) {
+        await logMovement(companyId, movement);
+        copied++;
+      }
+    } catch (err) {
+      console.error(`Movement log backfill skipped ${file.name}:`, err.message);
+    }
+  }
+
+  try {
+    await saveJsonIfGeneration(
+        marker,
+        {backfilledAt: new Date().toISOString(), copied},
+        0,
+    );
+  } catch (err) {
+    if (!isPreconditionFailure(err)) throw err;
+  }
+
+  // The single company-wide movements index this log replaces
+  await getBucket()
+      .file(`companies/${companyId}/indexes/movements.json`)
+      .delete()
+      .catch(() => {});
+}
+
+/**
+ * One page of the company's movements (see monthlyLog for the query)
+ * @param {string} companyId
+ * @param {Object} query
+ * @param {Object} filters
+ */
+async function readMovementPage(companyId, query, filters) {
+  await ensureMovementLog(companyId);
+  return readLogPage(getLogPrefix(companyId), query, {
+    dateField: "date",
+    filters,
+  });
+}
+
+/**
+ * Movements dated on or after since, across all SKUs
+ * @param {string} companyId
+ * @param {Date} since
+ */
+async function readMovementsSince(companyId, since) {
+  await ensureMovementLog(companyId);
+  return readLogSince(getLogPrefix(companyId), since, {dateField: "date"});
+}
+
+/**
+ * Full history of one SKU: legacy array entries followed by journal objects.
+ * Unreadable objects are reported and skipped, never replaced.
+ * @param {string} companyId
+ * @param {string} sku
+ */
+async function readSkuMovements(companyId, sku) {
+  const movements = [];
+
+  try {
+    const [contents] = await getLegacyFile(companyId, sku).download();
+    const legacy = JSON.parse(contents.toString());
+    movements.push(...fromLegacyMovementFile(legacy, `${sku}.json`));
+  } catch (err) {
+    if (err.code !== 404) {
+      console.error(
+          `Legacy movement file for ${sku} is unreadable:`,
+          err.message,
+      );
+    }
+  }
+
+  const [files] = await getBucket().getFiles({
+    prefix: getJournalPrefix(companyId, sku),
+  });
+
+  for (const file of files) {
+    if (!file.name.endsWith(".json")) continue;
+    try {
+      const [contents] = await file.download();
+      movements.push(JSON.parse(contents.toString()));
+    } catch (err) {
+      console.error(`Movement ${file.name} is unreadable:`, err.message);
+    }
+  }
+
+  return movements;
+}
+
+module.exports = {
+  newMovementId,
+  appendMovement,
+  readSkuMovements,
+  readMovementPage,
+  readMovementsSince,
+  fromLegacyMovementFile,
+};
@@ -0,0 +1,124 @@
+const crypto = require("crypto");
+const {getBucket, isLocalBackend} = require("../config/firebase");
+const {AppError} = require("../appError");
+const {saveJsonIfGeneration} = require("../storage/versionedJson");
+
+/**
+ * Outgoing notifications (password reset links, ...).
+ *
+ * Messages go through the channel named by NOTIFICATION_CHANNEL. The built-in
+ * "outbox" channel only stores each message at
+ * notifications/outbox/{messageId}.json, which is what local runs and tests
+ * read; it is the default only with the local storage backend. Anywhere else
+ * the channel must be named explicitly, so reset tokens never land in the
+ * bucket by accident. A real mail/SMS provider plugs in with
+ * registerChannel(name, { send }).
+ */
+
+const OUTBOX_PREFIX = "notifications/outbox/";
+
+/**
+ * Sortable, unique id for a notification
+ * @param {Date=} now
+ * @return {string}
+ */
+function newMessageId(now = new Date()) {
+  const stamp = now.toISOString().replace(/[-:.]/g, "");
+  return `NTF-${stamp}-${crypto.randomBytes(4).toString("hex")}`;
+}
+
+const outboxChannel = {
+  async send(message) {
+    await saveJsonIfGeneration(
+        getBucket().file(`${OUTBOX_PREFIX}${message.id}.json`),
+        message,
+        0,
+    );
+  },
+};
+
+// Logs that a message went out, never its body: messages can carry one-time
+// tokens
+const consoleChannel = {
+  async send(message) {
+    console.log(
+        `[notification] ${message.id} to ${message.to}: ${message.subject}` +
+        (message.template ? ` (${message.template})` : ""),
+    );
+  },
+};
+
+const channels = {
+  outbox: outboxChannel,
+  console: consoleChannel,
+};
+
+/**
+ * Makes a delivery channel available under a name
+ * @param {string} name
+ * @param {Object} channel
+ */
+function registerChannel(name, channel) {
+  if (!channel || typeof channel.send !== "function") {
+    throw new Error(
+        `Notification channel "${name}" must have a send(message) function`,
+    );
+  }
+  channels[name] = channel;
+}
+
+/**
+ * The channel named by NOTIFICATION_CHANNEL; local runs default to the outbox
+ * @return {Object}
+ */
+function activeChannel() {
+  const name =
+    process.env.NOTIFICATION_CHANNEL || (isLocalBackend() ? "outbox" : null);
+  if (!name) {
+    throw new AppError(
+        503,
+        "Notifications are not configured. Set NOTIFICATION_CHANNEL.",
+    );
+  }
+  const channel = channels[name];
+  if (!channel) throw new Error(`Unknown notification channel "${name}"`);
+  return {name, channel};
+}
+
+// Throws unless a message could be sent right now
+const assertNotificationsConfigured = () => {
+  activeChannel();
+};
+
+/**
+ * Sends one message: { to, subject, text, template?, data? }.
+ * Returns the message as handed to the channel.
+ */
+async function sendNotification({
+  to,
+  subject,
+  text,
+  template = null,
+  data = {},
+}) {
+  const {name, channel} = activeChannel();
+  const message = {
+    id: newMessageId(),
+    channel: name,
+    to,
+    subject,
+    text,
+    template,
+    data,
+    createdAt: new Date().toISOString(),
+  };
+
+  await channel.send(message);
+  return message;
+}
+
+module.exports = {
+  registerChannel,
+  assertNotificationsConfigured,
+  sendNotification,
+};
@@ -0,0 +1,131 @@
+const crypto = require("crypto");
+const {getBucket} = require("../config/firebase");
+const {AppError} = require("../appError");
+const {
+  readJsonVersioned,
+  updateJsonWithRetry,
+} = require("../storage/versionedJson");
+
+/**
+ * One-time password reset tokens.
+ *
+ * Each user has at most one outstanding reset at
+ * companies/{companyId}/password-resets/{email}.json; a new request replaces
+ * it, so only the most recent link works. The token is
+ * `<companyId base64url>.<email base64url>.<secret>` and only a SHA-256 of the
+ * secret is stored. Redeeming a token stamps usedAt inside a generation-checked
+ * update, so two concurrent confirms cannot both succeed.
+ */
+
+const RESET_TTL_MINUTES = Number(process.env.PASSWORD_RESET_TTL_MINUTES) || 30;
+
+// A second request within this window keeps the current token instead of
+// mailing again
+const RESEND_COOLDOWN_MS = 60 * 1000;
+
+const sha256 = (text) => crypto.createHash("sha256").update(text).digest("hex");
+const b64 = (text) => Buffer.from(text).toString("base64url");
+
+const getResetFile = (companyId, email) =>
+  getBucket().file(
+      `companies/${companyId}/password-resets/` +
+        `${encodeURIComponent(email.toLowerCase())}.json`,
+  );
+
+/**
+ * Splits a reset token into its parts, or null when it is malformed
+ * @param {string} token
+ * @return {?Object}
+ */
+function decodeResetToken(token) {
+  const [company, email, secret] = String(token || "").split(".");
+  if (!company || !email || !secret) return null;
+  return {
+    companyId: Buffer.from(company, "base64url").toString(),
+    email: Buffer.from(email, "base64url").toString(),
+    secret,
+  };
+}
+
+/**
+ * Issues a fresh token for a user, or returns null while the cooldown of the
+ * previous request is running.
+ * @param {string} companyId
+ * @param {string} email
+ */
+async function issueResetToken(companyId, email, {ip = null} = {}) {
+  const safeEmail = email.toLowerCase();
+  const file = getResetFile(companyId, safeEmail);
+  const {data: current} = await readJsonVersioned(file);
+
+  if (
+    current &&
+    !current.usedAt &&
+    Date.now() - new Date(current.createdAt).getTime() < RESEND_COOLDOWN_MS
+  ) {
+    return null;
+  }
+
+  const now = new Date();
+  const secret = crypto.randomBytes(32).toString("base64url");
+
+  const reset = await updateJsonWithRetry(file, () => ({
+    companyId,
+    email: safeEmail,
+    tokenHash: sha256(secret),
+    createdAt: now.toISOString(),
+    expiresAt: new Date(
+        now.getTime() + RESET_TTL_MINUTES * 60 * 1000,
+    ).toISOString(),
+    requestedFrom: ip,
+    usedAt: null,
+  }));
+
+  return {
+    token: [b64(companyId), b64(safeEmail), secret].join("."),
+    expiresAt: reset.expiresAt,
+  };
+}
+
+/**
+ * Marks the token used and returns { companyId, email }. Every failure gives
+ * the same message so tokens cannot be probed.
+ * @param {string} token
+ */
+async function redeemResetToken(token) {
+  const invalid = () =>
+    new AppError(400, "Reset link is invalid or has expired");
+
+  const decoded = decodeResetToken(token);
+  if (!decoded) throw invalid();
+
+  const {companyId, email, secret} = decoded;
+  const file = getResetFile(companyId, email);
+  const {data: existing} = await readJsonVersioned(file);
+  if (!existing) throw invalid();
+
+  await updateJsonWithRetry(file, (reset) => {
+    const expected = Buffer.from(reset?.tokenHash || "");
+    const actual = Buffer.from(sha256(secret));
+
+    if (
+      !reset ||
+      reset.usedAt ||
+      new Date(reset.expiresAt) <= new Date() ||
+      expected.length !== actual.length ||
+      !crypto.timingSafeEqual(expected, actual)
+    ) {
+      throw invalid();
+    }
+
+    return {...reset, usedAt: new Date().toISOString()};
+  });
+
+  return {companyId, email: email.toLowerCase()};
+}
+
+module.exports = {
+  RESET_TTL_MINUTES,
+  issueResetToken,
+  redeemResetToken,
+};
@@ -0,0 +1,107 @@
+const crypto = require("crypto");
+const {promisify} = require("util");
+
+/**
+ * Salted scrypt password hashes.
+ *
+ * Stored format: scrypt$N$r$p$<salt base64>$<hash base64>. The cost parameters
+ * travel with each hash, so they can be raised later and older hashes still
+ * verify (and report that they should be re-hashed).
+ */
+
+const scrypt = promisify(crypto.scrypt);
+
+const SCHEME = "scrypt";
+const COST = {N: 16384, r: 8, p: 1};
+const KEY_LENGTH = 64;
+const SALT_BYTES = 16;
+
+const isPasswordHash = (stored) =>
+  typeof stored === "string" && stored.startsWith(`${SCHEME}$`);
+
+/**
+ * Salted scrypt hash of the password, with its parameters
+ * @param {string} password
+ */
+async function hashPassword(password) {
+  if (!password) throw new Error("Password is required");
+
+  const salt = crypto.randomBytes(SALT_BYTES);
+  const hash = await scrypt(String(password), salt, KEY_LENGTH, COST);
+
+  return [
+    SCHEME,
+    COST.N,
+    COST.r,
+    COST.p,
+    salt.toString("base64"),
+    hash.toString("base64"),
+  ].join("$");
+}
+
+/**
+ * Constant-time comparison of two buffers
+ * @param {Buffer} a
+ * @param {Buffer} b
+ * @return {boolean}
+ */
+function safeEqual(a, b) {
+  return a.length === b.length && crypto.timingSafeEqual(a, b);
+}
+
+/**
+ * Checks a password against a stored value.
+ * Records created before hashing hold the password itself; those still verify
+ * but come back with needsRehash so the caller can replace them.
+ * @param {string} password
+ * @param {string} stored
+ */
+async function verifyPassword(password, stored) {
+  if (!password || !stored) return {valid: false, needsRehash: false};
+
+  if (!isPasswordHash(stored)) {
+    const valid = safeEqual(
+        Buffer.from(String(password)),
+        Buffer.from(String(stored)),
+    );
+    return {valid, needsRehash: valid};
+  }
+
+  const [, N, r, p, salt, expected] = stored.split("$");
+  const expectedHash = Buffer.from(expected, "base64");
+  const cost = {N: Number(N), r: Number(r), p: Number(p)};
+
+  const hash = await scrypt(
+      String(password),
+      Buffer.from(salt, "base64"),
+      expectedHash.length,
+      cost,
+  );
+
+  const valid = safeEqual(hash, expectedHash);
+  const outdated = cost.N !== COST.N || cost.r !== COST.r || cost.p !== COST.p;
+
+  return {valid, needsRehash: valid && outdated};
+}
+
+let dummyHash = null;
+
+/**
+ * Spends the same time as a real check against a throwaway hash, so a login for
+ * an unknown account cannot be told apart from a wrong password by latency.
+ * @param {string} password
+ */
+async function verifyDummyPassword(password) {
+  dummyHash =
+    dummyHash || (await hashPassword(crypto.randomBytes(16).toString("hex")));
+  await verifyPassword(password || "-", dummyHash);
+  return {valid: false, needsRehash: false};
+}
+
+module.exports = {
+  hashPassword,
+  verifyPassword,
+  verifyDummyPassword,
+  isPasswordHash,
+  safeEqual,
+};
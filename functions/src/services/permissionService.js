@@ -0,0 +1,209 @@
+const {
+  getCompanySettings,
+  updateCompanySettings,
+} = require("./settingsService");
+
+/**
+ * Role permission matrix for company staff.
+ *
+ * Routes declare the action they perform; a role may perform it when the action
+ * is in the role's list. Owners can replace the list of any role except OWNER
+ * in their company settings (section "permissions"); roles without an override
+ * use the defaults below. OWNER always holds every action, and the owner-only
+ * actions cannot be granted to anyone else, so nobody can lock the owner out or
+ * hand out the right to edit permissions.
+ */
+
+const ACTIONS = {
+  "product:view": "View products",
+  "product:write": "Create and edit products",
+  "product:delete": "Move products to the trash",
+  "customer:view": "View customers",
+  "customer:write": "Create and edit customers",
+  "customer:delete": "Move customers to the trash",
+  "invoice:view": "View invoices",
+  "invoice:create": "Create invoices",
+  "invoice:cancel": "Cancel invoices",
+  "invoice:payment": "Record invoice payments",
+  "stock:view": "View stock movements",
+  "stock:in": "Receive stock",
+  "stock:out": "Issue stock",
+  "stock:adjust": "Adjust stock",
+  "stock:transfer": "Transfer stock between locations",
+  "supplier:view": "View suppliers and payables",
+  "supplier:write": "Create and edit suppliers",
+  "purchase:view": "View purchase orders",
+  "purchase:create": "Create, send and close purchase orders",
+  "purchase:receive": "Receive goods against purchase orders",
+  "purchase:payment": "Record supplier payments",
+  "locations:manage": "Create and edit stock locations",
+  "reports:view": "View dashboards and reports",
+  "ai:query": "Ask the AI assistant",
+  "trash:view": "View the trash",
+  "trash:restore": "Restore records from the trash",
+  "trash:purge": "Purge records permanently",
+  "settings:view": "View company settings",
+  "settings:manage": "Change company settings",
+  "indexes:rebuild": "Rebuild list indexes",
+  "users:manage": "Manage company users",
+  "apikeys:manage": "Create and revoke API keys",
+  "audit:view": "View the audit log",
+  "permissions:manage": "Change role permissions",
+};
+
+const OWNER_ONLY_ACTIONS = ["permissions:manage"];
+
+const ALL_ACTIONS = Object.keys(ACTIONS);
+
+const DEFAULT_ROLE_PERMISSIONS = {
+  OWNER: ALL_ACTIONS,
+  MANAGER: ALL_ACTIONS.filter(
+      (action) =>
+        ![
+          "trash:purge",
+          "settings:manage",
+          "indexes:rebuild",
+          "users:manage",
+          "apikeys:manage",
+          "audit:view",
+          "permissions:manage",
+        ].includes(action),
+  ),
+  ACCOUNTANT: [
+    "product:view",
+    "customer:view",
+    "customer:write",
+    "invoice:view",
+    "invoice:create",
+    "invoice:cancel",
+    "invoice:payment",
+    "stock:view",
+    "supplier:view",
+    "supplier:write",
+    "purchase:view",
+    "purchase:payment",
+    "reports:view",
+    "ai:query",
+    "trash:view",
+    "settings:view",
+  ],
+  CASHIER: [
+    "product:view",
+    "customer:view",
+    "customer:write",
+    "invoice:view",
+    "invoice:create",
+    "invoice:payment",
+    "stock:view",
+  ],
+  VIEWER: [
+    "product:view",
+    "customer:view",
+    "invoice:view",
+    "stock:view",
+    "supplier:view",
+    "purchase:view",
+    "reports:view",
+  ],
+};
+
+const ROLES = Object.keys(DEFAULT_ROLE_PERMISSIONS);
+
+const isValidRole = (role) => ROLES.includes(role);
+
+/**
+ * Effective matrix for a company: stored overrides over the defaults.
+ * @param {string} companyId
+ */
+async function getRolePermissions(companyId) {
+  const {permissions = {}} = await getCompanySettings(companyId);
+  const matrix = {};
+
+  for (const role of ROLES) {
+    const override = role === "OWNER" ? null : permissions[role];
+    matrix[role] = Array.isArray(override) ?
+      override :
+      DEFAULT_ROLE_PERMISSIONS[role];
+  }
+  return matrix;
+}
+
+/**
+ * Whether the role may perform the action in this company
+ * @param {string} companyId
+ * @param {string} role
+ * @param {string} action
+ */
+async function hasPermission(companyId, role, action) {
+  if (!ACTIONS[action]) throw new Error(`Unknown permission "${action}"`);
+  if (!isValidRole(role)) return false;
+  if (role === "OWNER") return true;
+
+  const matrix = await getRolePermissions(companyId);
+  return matrix[role].includes(action);
+}
+
+/**
+ * Returns the problems with a { ROLE: [actions] | null } update; empty when
+ * valid
+ * @param {Object} roles
+ * @return {Array<string>}
+ */
+function validateOverrides(roles) {
+  const problems = [];
+
+  for (const [role, actions] of Object.entries(roles || {})) {
+    if (!isValidRole(role)) {
+      problems.push(`Unknown role "${role}"`);
+      continue;
+    }
+    if (role === "OWNER") {
+      problems.push("OWNER permissions cannot be changed");
+      continue;
+    }
+    if (actions === null) continue;
+    if (!Array.isArray(actions)) {
+      problems.push(`Permissions for ${role} must be a list of actions`);
+      continue;
+    }
+
+    for (const action of actions) {
+      if (!ACTIONS[action]) {
+        problems.push(`Unknown action "${action}" for ${role}`);
+      } else if (OWNER_ONLY_ACTIONS.includes(action)) {
+        problems.push(`"${action}" is reserved for the owner`);
+      }
+    }
+  }
+
+  return problems;
+}
+
+/**
+ * Replaces the action lists of the given roles; a null list restores the
+ * default
+ * @param {string} companyId
+ * @param {Object} roles
+ * @param {?string} updatedBy
+ */
+async function updateRolePermissions(companyId, roles, updatedBy) {
+  const overrides = {};
+  for (const [role, actions] of Object.entries(roles)) {
+    overrides[role] = actions === null ? null : [...new Set(actions)];
+  }
+
+  await updateCompanySettings(companyId, "permissions", overrides, updatedBy);
+  return getRolePermissions(companyId);
+}
+
+module.exports = {
+  ACTIONS,
+  ROLES,
+  OWNER_ONLY_ACTIONS,
+  DEFAULT_ROLE_PERMISSIONS,
+  isValidRole,
+  getRolePermissions,
+  hasPermission,
+  validateOverrides,
+  updateRolePermissions,
+};
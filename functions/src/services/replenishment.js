@@ -0,0 +1,89 @@
+/**
+ * Reorder arithmetic (no storage access).
+ *
+ * For each SKU:
+ *   dailyVelocity = units sold over the lookback window / lookbackDays
+ *   safetyStock   = velocity x safetyStockDays
+ *   reorderPoint  = velocity x leadTimeDays + safetyStock,
+ *                   never below reorderLevel
+ *   position      = stock on hand + units still due on open purchase orders
+ * When the position is at or below the reorder point, the suggestion tops it
+ * up to enough for the lead time plus coverDays, plus the safety stock (and
+ * always above reorderLevel). Quantities are whole units, rounded up.
+ */
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Reorder point and suggested quantity for one SKU
+ * @param {Object} options
+ * @return {Object}
+ */
+function suggestReorder({
+  stockOnHand = 0,
+  reorderLevel = 0,
+  incoming = 0,
+  soldUnits = 0,
+  lookbackDays,
+  leadTimeDays,
+  safetyStockDays,
+  coverDays,
+}) {
+  const dailyVelocity =
+    lookbackDays > 0 ? Math.max(soldUnits, 0) / lookbackDays : 0;
+  const safetyStock = Math.ceil(dailyVelocity * safetyStockDays);
+  const reorderPoint = Math.max(
+      Math.ceil(dailyVelocity * leadTimeDays) + safetyStock,
+      reorderLevel,
+  );
+  const position = stockOnHand + incoming;
+  const targetStock = Math.max(
+      Math.ceil(dailyVelocity * (leadTimeDays + coverDays)) + safetyStock,
+      reorderLevel + 1,
+  );
+
+  const tracked = dailyVelocity > 0 || reorderLevel > 0;
+  const suggestedQuantity =
+    tracked && position <= reorderPoint ?
+      Math.max(targetStock - position, 0) :
+      0;
+
+  return {
+    dailyVelocity: Number(dailyVelocity.toFixed(3)),
+    daysOfCover:
+      dailyVelocity > 0 ?
+        Number((stockOnHand / dailyVelocity).toFixed(1)) :
+        null,
+    leadTimeDays,
+    safetyStock,
+    reorderPoint,
+    position,
+    targetStock,
+    suggestedQuantity,
+  };
+}
+
+/**
+ * Average days from sending an order to its first delivery, or null without
+ * history
+ * @param {Array<Object>} orders
+ * @return {?number}
+ */
+function observedLeadTimeDays(orders) {
+  const samples = orders
+      .filter((o) => o.sentAt && o.receipts?.length)
+      .map((o) => {
+        const receivedAt = new Date(o.receipts[0].receivedAt);
+        return (receivedAt - new Date(o.sentAt)) / DAY_MS;
+      })
+      .filter((days) => days >= 0);
+
+  if (samples.length === 0) return null;
+  return Math.ceil(samples.reduce((sum, d) => sum + d, 0) / samples.length);
+}
+
+module.exports = {
+  DAY_MS,
+  suggestReorder,
+  observedLeadTimeDays,
+};
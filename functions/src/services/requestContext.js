@@ -0,0 +1,76 @@
+const crypto = require("crypto");
+const {AsyncLocalStorage} = require("async_hooks");
+
+/**
+ * Per-request details (request id, route, acting user) that deep code such as
+ * the audit trail needs without every controller passing `req` along.
+ * app.js opens the context; the auth middlewares fill in the actor.
+ */
+
+const storage = new AsyncLocalStorage();
+
+const newRequestId = (prefix = "REQ") => {
+  const suffix = crypto.randomBytes(4).toString("hex");
+  return `${prefix}-${Date.now().toString(36)}-${suffix}`;
+};
+
+/**
+ * Accept a caller-supplied id (proxies, clients retrying) when it looks sane
+ * @param {Object} req
+ * @return {string}
+ */
+function requestIdFrom(req) {
+  const supplied = req.headers["x-request-id"];
+  return typeof supplied === "string" && /^[\w.:-]{1,100}$/.test(supplied) ?
+    supplied :
+    newRequestId();
+}
+
+/**
+ * Runs fn with a context holding the request id, route and actor
+ * @param {Object} req
+ * @param {Function} fn
+ * @return {*}
+ */
+function runWithRequestContext(req, fn) {
+  const path = req.url.split("?")[0].replace(/\/+$/, "") || "/";
+  const context = {
+    requestId: requestIdFrom(req),
+    route: `${req.method} ${path}`,
+    actor: null,
+  };
+  return storage.run(context, () => fn(context));
+}
+
+/**
+ * Scheduled jobs get a context too, so what they write is attributed to the job
+ * @param {string} name
+ * @param {Function} fn
+ * @return {*}
+ */
+function runAsJob(name, fn) {
+  const context = {
+    requestId: newRequestId("JOB"),
+    route: `JOB ${name}`,
+    actor: {email: `system:${name}`, role: "SYSTEM"},
+  };
+  return storage.run(context, () => fn(context));
+}
+
+const getRequestContext = () => storage.getStore() || null;
+
+/**
+ * Records who is making the current request
+ * @param {Object} actor
+ */
+function setRequestActor(actor) {
+  const context = storage.getStore();
+  if (context) context.actor = actor;
+}
+
+module.exports = {
+  runWithRequestContext,
+  runAsJob,
+  getRequestContext,
+  setRequestActor,
+};
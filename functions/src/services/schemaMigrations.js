@@ -0,0 +1,230 @@
+const {getCostLayers} = require("./costing");
+
+/**
+ * Schema versions for stored records.
+ *
+ * Every record carries a schemaVersion; files written before versioning count
+ * as version 1. Each entity lists its migrations in order, and a migration's
+ * `up` turns a record of version - 1 into `version`. To roll out a new field
+ * (an HSN code, a line discount, ...) append a migration that backfills it and
+ * stamp the new version on create: old files are upgraded when read, and
+ * persisted in the new shape the next time they are written or when the batch
+ * runner visits them.
+ */
+
+const withDefaults = (record, defaults) => {
+  const result = {...record};
+  for (const [field, value] of Object.entries(defaults)) {
+    if (result[field] === undefined || result[field] === null) {
+      result[field] = value;
+    }
+  }
+  return result;
+};
+
+const MIGRATIONS = {
+  products: [
+    {
+      version: 2,
+      description: "Backfill category, reorder level, tax and costing fields",
+      up: (product) => {
+        const upgraded = withDefaults(product, {
+          category: "",
+          reorderLevel: 0,
+          taxPercent: 0,
+          stockOnHand: 0,
+          averageCost: Number(product.costPrice) || 0,
+        });
+        upgraded.inventoryValue = Number(
+            (upgraded.stockOnHand * upgraded.averageCost).toFixed(2),
+        );
+        return upgraded;
+      },
+    },
+    {
+      version: 3,
+      description: "Place existing stock at the default location",
+      up: (product) => ({
+        ...product,
+        stockByLocation:
+          product.stockByLocation ||
+          (product.stockOnHand ? {MAIN: product.stockOnHand} : {}),
+      }),
+    },
+    {
+      version: 4,
+      description:
+        "Start batch tracking with no batches (existing stock is untracked)",
+      up: (product) => withDefaults(product, {batches: []}),
+    },
+    {
+      version: 5,
+      description:
+        "Open FIFO cost layers with the current stock at its average cost",
+      up: (product) => ({
+        ...withDefaults(product, {costingMethod: "WEIGHTED_AVERAGE"}),
+        costLayers: getCostLayers(product),
+      }),
+    },
+  ],
+  invoices: [
+    {
+      version: 2,
+      description: "Backfill tax totals, line tax and payment fields",
+      up: (invoice) => {
+        const items = (invoice.items || []).map((item) =>
+          withDefaults(item, {
+            taxPercent: 0,
+            taxAmount: 0,
+            lineSubtotal: item.lineTotal ?? 0,
+          }),
+        );
+        return withDefaults(
+            {...invoice, items},
+            {
+              subtotal: invoice.totalAmount ?? 0,
+              totalTax: 0,
+              outstandingAmount:
+                invoice.status === "Paid" ? 0 : (invoice.totalAmount ?? 0),
+              dueDate: null,
+              paidOn: null,
+            },
+        );
+      },
+    },
+    {
+      version: 3,
+      description: "Record the fulfilling location on each line",
+      up: (invoice) => ({
+        ...invoice,
+        items: (invoice.items || []).map((item) =>
+          withDefaults(item, {location: "MAIN"}),
+        ),
+      }),
+    },
+    {
+      version: 4,
+      description: "Record the batches each line was fulfilled from",
+      up: (invoice) => ({
+        ...invoice,
+        items: (invoice.items || []).map((item) =>
+          withDefaults(item, {batches: []}),
+        ),
+      }),
+    },
+    {
+      version: 5,
+      description: "Record the cost of goods of each line",
+      up: (invoice) => ({
+        ...invoice,
+        items: (invoice.items || []).map((item) =>
+          withDefaults(item, {
+            costOfGoods: Number(
+                ((item.quantity || 0) * (item.costPrice || 0)).toFixed(2),
+            ),
+          }),
+        ),
+      }),
+    },
+  ],
+  customers: [
+    {
+      version: 2,
+      description: "Backfill contact, address and status fields",
+      up: (customer) =>
+        withDefaults(customer, {
+          email: "",
+          address: "",
+          district: "",
+          pincode: "",
+          gst: "",
+          status: "ENABLED",
+        }),
+    },
+  ],
+  users: [
+    {
+      version: 2,
+      description: "Normalise email and backfill status",
+      up: (user) => ({
+        ...withDefaults(user, {status: "ENABLED"}),
+        email: String(user.email || "").toLowerCase(),
+      }),
+    },
+  ],
+};
+
+const currentVersion = (entity) => {
+  const migrations = MIGRATIONS[entity] || [];
+  return migrations.length ? migrations[migrations.length - 1].version : 1;
+};
+
+/**
+ * New records are written in the current shape
+ * @param {string} entity
+ * @param {Object} record
+ * @return {Object}
+ */
+function stampSchemaVersion(entity, record) {
+  return {...record, schemaVersion: currentVersion(entity)};
+}
+
+/**
+ * Whether the record is behind the entity's current schema version
+ * @param {string} entity
+ * @param {Object} record
+ * @return {boolean}
+ */
+function needsUpgrade(entity, record) {
+  return (
+    Boolean(record) &&
+    MIGRATIONS[entity] !== undefined &&
+    (record.schemaVersion || 1) < currentVersion(entity)
+  );
+}
+
+/**
+ * Brings a record to the current version. Records that are already current, or
+ * entities without migrations, are returned as they are.
+ * @param {string} entity
+ * @param {Object} record
+ * @return {Object}
+ */
+function upgradeRecord(entity, record) {
+  if (!needsUpgrade(entity, record)) return record;
+
+  let upgraded = record;
+  for (const migration of MIGRATIONS[entity]) {
+    if ((upgraded.schemaVersion || 1) >= migration.version) continue;
+    upgraded = {...migration.up(upgraded), schemaVersion: migration.version};
+  }
+  return upgraded;
+}
+
+// Bound upgrader, for hooks such as updateJsonWithRetry's `upgrade` option
+const upgraderFor = (entity) => (record) => upgradeRecord(entity, record);
+
+/**
+ * Registered migrations per entity, for the admin overview
+ * @return {Array<Object>}
+ */
+function describeMigrations() {
+  return Object.entries(MIGRATIONS).map(([entity, migrations]) => ({
+    entity,
+    currentVersion: currentVersion(entity),
+    migrations: migrations.map(({version, description}) => ({
+      version,
+      description,
+    })),
+  }));
+}
+
+module.exports = {
+  MIGRATIONS,
+  currentVersion,
+  stampSchemaVersion,
+  needsUpgrade,
+  upgradeRecord,
+  upgraderFor,
+  describeMigrations,
+};
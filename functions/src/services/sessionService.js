@@ -0,0 +1,293 @@
+const crypto = require("crypto");
+const jwt = require("jsonwebtoken");
+const {getBucket} = require("../config/firebase");
+const {AppError} = require("../appError");
+const {
+  readJsonVersioned,
+  saveJsonIfGeneration,
+  updateJsonWithRetry,
+} = require("../storage/versionedJson");
+const {getUserByEmail, modifyUser} = require("./userService");
+
+/**
+ * Server-side login sessions.
+ *
+ * Login opens a session at companies/{companyId}/sessions/{sessionId}.json and
+ * returns a short-lived access token (JWT carrying the session id) plus a
+ * refresh token. Every refresh rotates the refresh token; presenting an
+ * already-used one means it was copied, so the whole session is revoked. Only a
+ * hash of the current refresh token is stored.
+ *
+ * requireAuth checks the session and the user record on every request, so
+ * logout, "revoke all", disabling a user or suspending the company take effect
+ * immediately rather than when the access token expires.
+ */
+
+const ACCESS_TOKEN_TTL = process.env.ACCESS_TOKEN_TTL || "15m";
+const REFRESH_IDLE_DAYS = Number(process.env.REFRESH_TOKEN_IDLE_DAYS) || 7;
+const SESSION_MAX_DAYS = Number(process.env.SESSION_MAX_DAYS) || 30;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const sha256 = (text) => crypto.createHash("sha256").update(text).digest("hex");
+
+const getSessionFile = (companyId, sessionId) =>
+  getBucket().file(`companies/${companyId}/sessions/${sessionId}.json`);
+
+/**
+ * Sortable, unique session id
+ * @param {Date=} now
+ * @return {string}
+ */
+function newSessionId(now = new Date()) {
+  const stamp = now.toISOString().replace(/[-:.]/g, "");
+  return `SES-${stamp}-${crypto.randomBytes(6).toString("hex")}`;
+}
+
+/**
+ * <companyId base64url>.<sessionId>.<secret>: enough to find the session
+ * without a lookup table
+ * @param {string} companyId
+ * @param {string} sessionId
+ * @param {string} secret
+ * @return {string}
+ */
+function encodeRefreshToken(companyId, sessionId, secret) {
+  return [Buffer.from(companyId).toString("base64url"), sessionId, secret].join(
+      ".",
+  );
+}
+
+/**
+ * Splits a refresh token into its parts, or null when it is malformed
+ * @param {string} token
+ * @return {?Object}
+ */
+function decodeRefreshToken(token) {
+  const [company, sessionId, secret] = String(token || "").split(".");
+  if (!company || !sessionId || !secret || !/^SES-[\w-]+$/.test(sessionId)) {
+    return null;
+  }
+  return {
+    companyId: Buffer.from(company, "base64url").toString(),
+    sessionId,
+    secret,
+  };
+}
+
+const newSecret = () => crypto.randomBytes(32).toString("base64url");
+
+/**
+ * Signs a short-lived access token bound to the session
+ * @param {Object} user
+ * @param {Object} session
+ * @return {string}
+ */
+function signAccessToken(user, session) {
+  return jwt.sign(
+      {
+        email: user.email,
+        companyId: session.companyId,
+        role: user.role,
+        sid: session.id,
+      },
+      process.env.JWT_SECRET,
+      {expiresIn: ACCESS_TOKEN_TTL},
+  );
+}
+
+/**
+ * Access and refresh tokens for a session
+ * @param {Object} user
+ * @param {Object} session
+ * @param {string} secret
+ * @return {Object}
+ */
+function issueTokens(user, session, secret) {
+  return {
+    token: signAccessToken(user, session),
+    expiresIn: ACCESS_TOKEN_TTL,
+    refreshToken: encodeRefreshToken(session.companyId, session.id, secret),
+    refreshExpiresAt: session.refreshExpiresAt,
+    sessionId: session.id,
+  };
+}
+
+/**
+ * Stores a new session and returns its tokens
+ * @param {Object} user
+ * @param {Object} options
+ */
+async function createSession(user, {ip = null, userAgent = null} = {}) {
+  const now = new Date();
+  const secret = newSecret();
+
+  const session = {
+    id: newSessionId(now),
+    companyId: user.companyId,
+    email: user.email,
+    createdAt: now.toISOString(),
+    lastRefreshedAt: null,
+    refreshExpiresAt: new Date(
+        now.getTime() + REFRESH_IDLE_DAYS * DAY_MS,
+    ).toISOString(),
+    expiresAt: new Date(
+        now.getTime() + SESSION_MAX_DAYS * DAY_MS,
+    ).toISOString(),
+    refreshTokenHash: sha256(secret),
+    ip,
+    userAgent,
+    revokedAt: null,
+    revokedReason: null,
+  };
+
+  await saveJsonIfGeneration(
+      getSessionFile(session.companyId, session.id),
+      session,
+      0,
+  );
+  return issueTokens(user, session, secret);
+}
+
+/**
+ * The stored session, or null
+ * @param {string} companyId
+ * @param {string} sessionId
+ */
+async function getSession(companyId, sessionId) {
+  if (!companyId || !sessionId) return null;
+  const {data} = await readJsonVersioned(getSessionFile(companyId, sessionId));
+  return data;
+}
+
+/**
+ * Why a session can no longer be used, or null when it is valid for this user.
+ * @param {Object} session
+ * @param {Object} user
+ * @param {Date=} now
+ * @return {?string}
+ */
+function sessionProblem(session, user, now = new Date()) {
+  if (!session) return "Session not found";
+  if (session.revokedAt) return "Session has been signed out";
+  if (new Date(session.expiresAt) <= now) {
+    return "Session expired, please log in again";
+  }
+  if (!user) return "User no longer exists";
+  if (user.status !== "ENABLED") return "Account disabled";
+  if (
+    user.sessionsRevokedAt &&
+    new Date(session.createdAt) < new Date(user.sessionsRevokedAt)
+  ) {
+    return "Session has been revoked";
+  }
+  return null;
+}
+
+/**
+ * Marks a session revoked; revoking it again changes nothing
+ * @param {string} companyId
+ * @param {string} sessionId
+ * @param {string} reason
+ */
+async function revokeSession(companyId, sessionId, reason) {
+  return updateJsonWithRetry(
+      getSessionFile(companyId, sessionId),
+      (session) => {
+        if (!session) throw new AppError(404, "Session not found");
+        if (session.revokedAt) return session;
+        return {
+          ...session,
+          revokedAt: new Date().toISOString(),
+          revokedReason: reason,
+        };
+      },
+  );
+}
+
+/**
+ * Exchanges a refresh token for a new access/refresh pair
+ * @param {string} refreshToken
+ */
+async function rotateRefreshToken(refreshToken) {
+  const decoded = decodeRefreshToken(refreshToken);
+  if (!decoded) throw new AppError(401, "Invalid refresh token");
+
+  const {companyId, sessionId, secret} = decoded;
+  const session = await getSession(companyId, sessionId);
+  const user = session ? await getUserByEmail(session.email, companyId) : null;
+
+  const problem = sessionProblem(session, user);
+  if (problem) throw new AppError(401, problem);
+
+  if (new Date(session.refreshExpiresAt) <= new Date()) {
+    throw new AppError(401, "Session expired, please log in again");
+  }
+
+  let reused = false;
+  const nextSecret = newSecret();
+
+  const rotated = await updateJsonWithRetry(
+      getSessionFile(companyId, sessionId),
+      (latest) => {
+        if (!latest || latest.revokedAt) {
+          throw new AppError(401, "Session has been signed out");
+        }
+
+        // An old token coming back means someone else holds a copy: end the
+        // session
+        if (latest.refreshTokenHash !== sha256(secret)) {
+          reused = true;
+          return {
+            ...latest,
+            revokedAt: new Date().toISOString(),
+            revokedReason: "Refresh token reuse detected",
+          };
+        }
+
+        const now = new Date();
+        return {
+          ...latest,
+          refreshTokenHash: sha256(nextSecret),
+          lastRefreshedAt: now.toISOString(),
+          refreshExpiresAt: new Date(
+              Math.min(
+                  now.getTime() + REFRESH_IDLE_DAYS * DAY_MS,
+                  new Date(latest.expiresAt).getTime(),
+              ),
+          ).toISOString(),
+        };
+      },
+  );
+
+  if (reused) {
+    throw new AppError(
+        401,
+        "Refresh token already used. The session has been signed out.",
+    );
+  }
+
+  return issueTokens(user, rotated, nextSecret);
+}
+
+/**
+ * Ends every session the user has open, on all devices. Sessions opened before
+ * the stamp are rejected, so no session file has to be touched.
+ * @param {string} companyId
+ * @param {string} email
+ */
+async function revokeAllSessions(companyId, email) {
+  const {after} = await modifyUser(companyId, email, () => ({
+    sessionsRevokedAt: new Date().toISOString(),
+  }));
+  return after.sessionsRevokedAt;
+}
+
+module.exports = {
+  ACCESS_TOKEN_TTL,
+  createSession,
+  getSession,
+  sessionProblem,
+  revokeSession,
+  revokeAllSessions,
+  rotateRefreshToken,
+};
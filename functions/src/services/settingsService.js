@@ -0,0 +1,103 @@
+const {getBucket} = require("../config/firebase");
+const {AppError} = require("../appError");
+const {updateJsonWithRetry} = require("../storage/versionedJson");
+const {recordAuditEvent} = require("./auditService");
+
+const DEFAULT_SETTINGS = {
+  invoiceNumbering: {
+    prefix: "INV",
+    padding: 5,
+  },
+  trash: {
+    // Archived products/customers can be purged permanently after this many
+    // days
+    retentionDays: 30,
+  },
+  security: {
+    // Roles that must complete TOTP two-factor authentication to log in
+    twoFactorRequiredRoles: [],
+  },
+  inventory: {
+    // WEIGHTED_AVERAGE or FIFO; see services/costing.js
+    costingMethod: "WEIGHTED_AVERAGE",
+  },
+  replenishment: {
+    // Sales velocity is measured over this many days of stock-out movements
+    lookbackDays: 30,
+    // Used for SKUs with no lead time of their own and no receipt history
+    defaultLeadTimeDays: 7,
+    safetyStockDays: 3,
+    // How many days of sales a reorder should cover beyond the lead time
+    coverDays: 14,
+    // Let the daily job turn suggestions into draft purchase orders
+    autoDraftOrders: false,
+  },
+};
+
+const getSettingsFile = (companyId) =>
+  getBucket().file(`companies/${companyId}/settings.json`);
+
+/**
+ * Returns the company's settings merged over the defaults, section by section,
+ * so companies created before a setting existed still get a usable value.
+ * Only a missing settings file means defaults: permissions, two-factor and
+ * costing must not silently fall back when the stored file cannot be read.
+ * @param {string} companyId
+ */
+async function getCompanySettings(companyId) {
+  let stored = {};
+  try {
+    const [buf] = await getSettingsFile(companyId).download();
+    stored = JSON.parse(buf.toString());
+  } catch (err) {
+    if (err.code !== 404) {
+      console.error(`Error reading settings for ${companyId}:`, err.message);
+      throw new AppError(500, "Failed to read company settings");
+    }
+  }
+
+  const settings = {...stored};
+  for (const [section, defaults] of Object.entries(DEFAULT_SETTINGS)) {
+    settings[section] = {...defaults, ...(stored[section] || {})};
+  }
+  return settings;
+}
+
+/**
+ * Replaces the values of one settings section and returns the result
+ * @param {string} companyId
+ * @param {string} section
+ * @param {Object} values
+ * @param {?string} updatedBy
+ */
+async function updateCompanySettings(companyId, section, values, updatedBy) {
+  let before = null;
+  const saved = await updateJsonWithRetry(
+      getSettingsFile(companyId),
+      (current) => {
+        before = (current || {})[section] || null;
+        return {
+          ...(current || {}),
+          [section]: {...(before || {}), ...values},
+          updatedAt: new Date().toISOString(),
+          updatedBy: updatedBy || null,
+        };
+      },
+  );
+
+  await recordAuditEvent(companyId, {
+    action: "settings.update",
+    entity: "settings",
+    entityId: section,
+    before,
+    after: saved[section],
+  });
+
+  return {...DEFAULT_SETTINGS[section], ...saved[section]};
+}
+
+module.exports = {
+  DEFAULT_SETTINGS,
+  getCompanySettings,
+  updateCompanySettings,
+};
@@ -0,0 +1,245 @@
+const {normalizeLocationCode, quantityAt} = require("./stockLocations");
+
+/**
+ * Batch (lot) arithmetic for products (no storage access).
+ *
+ * Batch-tracked stock lives on the product as
+ *   batches: [{ batchNumber, location, quantity, manufactureDate, expiryDate,
+ *               receivedAt }]
+ * alongside stockByLocation, which still holds the full quantity per location.
+ * Units received without a batch number are "untracked": the location quantity
+ * minus the batches held there. Issues are allocated first-expiring-first-out:
+ * dated batches by expiry, then undated batches, then untracked units. Dates
+ * are calendar days (YYYY-MM-DD) in India's time zone; a batch can be sold up
+ * to and including its expiry day.
+ */
+
+// Calendar days are India's (UTC+05:30), as for invoice numbering
+const IST_OFFSET_MINUTES = 330;
+
+const today = (now = new Date()) =>
+  new Date(now.getTime() + IST_OFFSET_MINUTES * 60 * 1000)
+      .toISOString()
+      .slice(0, 10);
+
+/**
+ * Accepts anything Date can parse; returns YYYY-MM-DD, null for empty,
+ * undefined for invalid
+ * @param {string} value
+ * @return {?string}
+ */
+function normalizeBatchDate(value) {
+  if (value === undefined || value === null || value === "") return null;
+  const date = new Date(value);
+  return Number.isNaN(date.getTime()) ?
+    undefined :
+    date.toISOString().slice(0, 10);
+}
+
+const normalizeBatchNumber = (value) =>
+  value === undefined || value === null ?
+    "" :
+    String(value).trim().toUpperCase();
+
+const isExpired = (batch, asOf = today()) =>
+  Boolean(batch.expiryDate) && batch.expiryDate < asOf;
+
+const daysUntil = (date, asOf = today()) =>
+  Math.round((new Date(date) - new Date(asOf)) / (24 * 60 * 60 * 1000));
+
+const batchesAt = (product, location) =>
+  (product.batches || []).filter(
+      (b) => b.location === normalizeLocationCode(location),
+  );
+
+/**
+ * Units at the location that belong to no batch
+ * @param {Object} product
+ * @param {string} location
+ * @return {number}
+ */
+function untrackedQuantityAt(product, location) {
+  const tracked = batchesAt(product, location).reduce(
+      (sum, b) => sum + b.quantity,
+      0,
+  );
+  return Math.max(quantityAt(product, location) - tracked, 0);
+}
+
+// Units at a location that may be sold today
+const sellableQuantityAt = (product, location, asOf = today()) =>
+  quantityAt(product, location) -
+  batchesAt(product, location)
+      .filter((b) => isExpired(b, asOf))
+      .reduce((sum, b) => sum + b.quantity, 0);
+
+const byExpiry = (a, b) => {
+  if (a.expiryDate && b.expiryDate) {
+    return a.expiryDate.localeCompare(b.expiryDate);
+  }
+  if (a.expiryDate || b.expiryDate) return a.expiryDate ? -1 : 1;
+  return String(a.receivedAt || "").localeCompare(String(b.receivedAt || ""));
+};
+
+/**
+ * Decides which batches an issue of `quantity` at `location` takes.
+ * Returns { batches: [{ batchNumber, quantity, expiryDate }], untracked }.
+ * With `batchNumber` only that batch is used. Expired batches are skipped (and
+ * an explicitly named expired batch is refused) unless `includeExpired` is set,
+ * which write-offs use. Throws through `makeError` when there is not enough.
+ * @param {Object} product
+ * @param {string} location
+ * @param {number} quantity
+ * @param {Function=} makeError
+ * @return {Object}
+ */
+function allocateBatches(
+    product,
+    location,
+    quantity,
+    {batchNumber = null, includeExpired = false, asOf = today()} = {},
+    makeError = (message) => new Error(message),
+) {
+  const code = normalizeLocationCode(location);
+  const held = batchesAt(product, code);
+
+  if (batchNumber) {
+    const wanted = normalizeBatchNumber(batchNumber);
+    const batch = held.find((b) => b.batchNumber === wanted);
+
+    if (!batch) throw makeError(`Batch ${wanted} is not held at ${code}`);
+    if (!includeExpired && isExpired(batch, asOf)) {
+      throw makeError(
+          `Batch ${wanted} expired on ${batch.expiryDate} and cannot be sold`,
+      );
+    }
+    if (batch.quantity < quantity) {
+      throw makeError(
+          `Only ${batch.quantity} units of batch ${wanted} ` +
+            `available at ${code}`,
+      );
+    }
+    return {
+      batches: [{batchNumber: wanted, quantity, expiryDate: batch.expiryDate}],
+      untracked: 0,
+    };
+  }
+
+  const usable = held
+      .filter((b) => includeExpired || !isExpired(b, asOf))
+      .sort(byExpiry);
+  const allocation = {batches: [], untracked: 0};
+  let remaining = quantity;
+
+  for (const batch of usable) {
+    if (remaining === 0) break;
+    const take = Math.min(batch.quantity, remaining);
+    allocation.batches.push({
+      batchNumber: batch.batchNumber,
+      quantity: take,
+      expiryDate: batch.expiryDate,
+    });
+    remaining -= take;
+  }
+
+  allocation.untracked = Math.min(
+      remaining,
+      untrackedQuantityAt(product, code),
+  );
+  remaining -= allocation.untracked;
+
+  if (remaining > 0) {
+    const expired = held
+        .filter((b) => isExpired(b, asOf))
+        .reduce((sum, b) => sum + b.quantity, 0);
+    const expiredNote =
+      !includeExpired && expired > 0 ? ` (${expired} more are expired)` : "";
+    throw makeError(
+        `Only ${quantity - remaining} units available at ${code}${expiredNote}`,
+    );
+  }
+
+  return allocation;
+}
+
+/**
+ * Returns the product's batches after removing an allocation at `location`.
+ * Emptied batches are dropped.
+ * @param {Object} product
+ * @param {string} location
+ * @param {Object} allocation
+ * @return {Array<Object>}
+ */
+function removeBatches(product, location, allocation) {
+  const code = normalizeLocationCode(location);
+  const taken = Object.fromEntries(
+      allocation.batches.map((b) => [b.batchNumber, b.quantity]),
+  );
+
+  return (product.batches || [])
+      .map((b) =>
+        b.location === code && taken[b.batchNumber] ?
+          {...b, quantity: b.quantity - taken[b.batchNumber]} :
+          b,
+      )
+      .filter((b) => b.quantity > 0);
+}
+
+/**
+ * Returns the product's batches after receiving `quantity` of a batch at
+ * `location`. An existing batch keeps its dates; new ones need them supplied.
+ * @param {Object} product
+ * @param {string} location
+ * @return {Array<Object>}
+ */
+function addBatch(
+    product,
+    location,
+    {batchNumber, quantity, manufactureDate = null, expiryDate = null},
+) {
+  const code = normalizeLocationCode(location);
+  const number = normalizeBatchNumber(batchNumber);
+  const batches = [...(product.batches || [])];
+  const index = batches.findIndex(
+      (b) => b.location === code && b.batchNumber === number,
+  );
+
+  if (index >= 0) {
+    batches[index] = {
+      ...batches[index],
+      quantity: batches[index].quantity + quantity,
+    };
+  } else {
+    batches.push({
+      batchNumber: number,
+      location: code,
+      quantity,
+      manufactureDate,
+      expiryDate,
+      receivedAt: new Date().toISOString(),
+    });
+  }
+  return batches;
+}
+
+// Dates a batch already has anywhere in the company; a batch number means one
+// production lot
+const findBatch = (product, batchNumber) =>
+  (product.batches || []).find(
+      (b) => b.batchNumber === normalizeBatchNumber(batchNumber),
+  ) || null;
+
+module.exports = {
+  today,
+  normalizeBatchDate,
+  normalizeBatchNumber,
+  isExpired,
+  daysUntil,
+  batchesAt,
+  untrackedQuantityAt,
+  sellableQuantityAt,
+  allocateBatches,
+  removeBatches,
+  addBatch,
+  findBatch,
+};
@@ -0,0 +1,73 @@
+/**
+ * Per-location stock arithmetic (no storage access).
+ *
+ * Products keep `stockByLocation` ({ MAIN: 40, COUNTER-1: 5 }) and
+ * `stockOnHand`, which is always the sum across locations, so totals, valuation
+ * and reports keep working unchanged. Stock recorded before locations existed
+ * belongs to the default location.
+ */
+
+const DEFAULT_LOCATION = "MAIN";
+
+const normalizeLocationCode = (code) =>
+  code == null || code === "" ?
+    DEFAULT_LOCATION :
+    String(code).trim().toUpperCase();
+
+/**
+ * Quantities per location; older products hold all their stock at the
+ * default location
+ * @param {Object} product
+ * @return {Object}
+ */
+function getStockByLocation(product) {
+  if (product.stockByLocation) return {...product.stockByLocation};
+  return product.stockOnHand ? {[DEFAULT_LOCATION]: product.stockOnHand} : {};
+}
+
+const quantityAt = (product, location) =>
+  getStockByLocation(product)[normalizeLocationCode(location)] || 0;
+
+/**
+ * Applies { LOCATION: delta } to a product's stock and returns the new
+ * { stockByLocation, stockOnHand }. Locations that reach zero are dropped.
+ * Throws when any location would go negative.
+ * @param {Object} product
+ * @param {Object} deltas
+ * @param {Function=} makeError
+ * @return {Object}
+ */
+function applyLocationDeltas(
+    product,
+    deltas,
+    makeError = (message) => new Error(message),
+) {
+  const stockByLocation = getStockByLocation(product);
+
+  for (const [location, delta] of Object.entries(deltas)) {
+    const code = normalizeLocationCode(location);
+    const next = (stockByLocation[code] || 0) + delta;
+
+    if (next < 0) {
+      throw makeError(
+          `Only ${stockByLocation[code] || 0} units available at ${code}`,
+      );
+    }
+    if (next === 0) delete stockByLocation[code];
+    else stockByLocation[code] = next;
+  }
+
+  const stockOnHand = Object.values(stockByLocation).reduce(
+      (sum, qty) => sum + qty,
+      0,
+  );
+  return {stockByLocation, stockOnHand};
+}
+
+module.exports = {
+  DEFAULT_LOCATION,
+  normalizeLocationCode,
+  getStockByLocation,
+  quantityAt,
+  applyLocationDeltas,
+};
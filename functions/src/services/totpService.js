@@ -0,0 +1,138 @@
+const crypto = require("crypto");
+
+/**
+ * Time-based one-time passwords (RFC 6238: HMAC-SHA1, 6 digits, 30 second
+ * steps), compatible with Google Authenticator, Authy, 1Password and the like.
+ * Secrets are exchanged as base32, the format authenticator apps expect.
+ */
+
+const STEP_SECONDS = 30;
+const DIGITS = 6;
+const SECRET_BYTES = 20;
+
+// Codes from one step either side are accepted to absorb clock drift
+const DRIFT_STEPS = 1;
+
+const BASE32 = "ABCDEFGHIJKLMNOPQRSTUVWXYZ234567";
+
+/**
+ * RFC 4648 base32 without padding
+ * @param {Buffer} buffer
+ * @return {string}
+ */
+function base32Encode(buffer) {
+  let bits = 0;
+  let value = 0;
+  let output = "";
+
+  for (const byte of buffer) {
+    value = (value << 8) | byte;
+    bits += 8;
+    while (bits >= 5) {
+      output += BASE32[(value >>> (bits - 5)) & 31];
+      bits -= 5;
+    }
+  }
+  if (bits > 0) output += BASE32[(value << (5 - bits)) & 31];
+  return output;
+}
+
+/**
+ * Decodes base32, ignoring case, spaces, hyphens and padding
+ * @param {string} text
+ * @return {Buffer}
+ */
+function base32Decode(text) {
+  const clean = String(text)
+      .toUpperCase()
+      .replace(/[\s=-]/g, "");
+  let bits = 0;
+  let value = 0;
+  const bytes = [];
+
+  for (const char of clean) {
+    const index = BASE32.indexOf(char);
+    if (index === -1) throw new Error("Invalid base32 secret");
+    value = (value << 5) | index;
+    bits += 5;
+    if (bits >= 8) {
+      bytes.push((value >>> (bits - 8)) & 255);
+      bits -= 8;
+    }
+  }
+  return Buffer.from(bytes);
+}
+
+const generateSecret = () => base32Encode(crypto.randomBytes(SECRET_BYTES));
+
+const currentStep = (now = Date.now()) => Math.floor(now / 1000 / STEP_SECONDS);
+
+/**
+ * The 6-digit code for a time step (RFC 6238)
+ * @param {string} secret
+ * @param {number} step
+ * @return {string}
+ */
+function codeForStep(secret, step) {
+  const counter = Buffer.alloc(8);
+  counter.writeUInt32BE(Math.floor(step / 2 ** 32), 0);
+  counter.writeUInt32BE(step % 2 ** 32, 4);
+
+  const hmac = crypto
+      .createHmac("sha1", base32Decode(secret))
+      .update(counter)
+      .digest();
+  const offset = hmac[hmac.length - 1] & 15;
+  const binary = hmac.readUInt32BE(offset) & 0x7fffffff;
+
+  return String(binary % 10 ** DIGITS).padStart(DIGITS, "0");
+}
+
+/**
+ * Returns the time step the code belongs to, or null when it does not match.
+ * Steps at or before `afterStep` are refused, so a code works only once.
+ * @param {string} secret
+ * @param {string} code
+ * @return {?number}
+ */
+function verifyCode(secret, code, {afterStep = -1, now = Date.now()} = {}) {
+  const candidate = String(code || "").replace(/\s/g, "");
+  if (!/^\d{6}$/.test(candidate)) return null;
+
+  const step = currentStep(now);
+  for (let drift = -DRIFT_STEPS; drift <= DRIFT_STEPS; drift++) {
+    const tryStep = step + drift;
+    if (tryStep <= afterStep) continue;
+
+    const expected = Buffer.from(codeForStep(secret, tryStep));
+    if (crypto.timingSafeEqual(expected, Buffer.from(candidate))) {
+      return tryStep;
+    }
+  }
+  return null;
+}
+
+/**
+ * otpauth:// URI for QR codes; apps show it as "issuer (account)"
+ * @param {Object} options
+ * @return {string}
+ */
+function otpauthUri({issuer, account, secret}) {
+  const label = encodeURIComponent(`${issuer}:${account}`);
+  const params = new URLSearchParams({
+    secret,
+    issuer,
+    algorithm: "SHA1",
+    digits: String(DIGITS),
+    period: String(STEP_SECONDS),
+  });
+  return `otpauth://totp/${label}?${params}`;
+}
+
+module.exports = {
+  generateSecret,
+  codeForStep,
+  currentStep,
+  verifyCode,
+  otpauthUri,
+};
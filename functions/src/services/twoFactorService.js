@@ -0,0 +1,268 @@
+const crypto = require("crypto");
+const jwt = require("jsonwebtoken");
+const {AppError} = require("../appError");
+const totp = require("./totpService");
+const {modifyUser} = require("./userService");
+const {getCompanySettings} = require("./settingsService");
+
+/**
+ * TOTP two-factor authentication for company users.
+ *
+ * State lives on the user record under `twoFactor`:
+ *   { enabled, secret, pendingSecret, enabledAt, lastStep,
+ *     backupCodes: [sha256] }
+ * Enrolment is two steps (enroll -> activate with a first code) so a secret is
+ * only switched on once the user's app demonstrably produces codes for it.
+ * Backup codes are single-use and stored hashed.
+ *
+ * Login with 2FA returns a short-lived challenge token instead of a session;
+ * the session is only opened once the second factor has been checked.
+ */
+
+const ISSUER = process.env.TOTP_ISSUER || "Business Inventory";
+const BACKUP_CODE_COUNT = 10;
+const CHALLENGE_TTL = "5m";
+const CHALLENGE_AUDIENCE = "login-2fa";
+
+const sha256 = (text) => crypto.createHash("sha256").update(text).digest("hex");
+
+const normalizeBackupCode = (code) =>
+  String(code || "")
+      .toLowerCase()
+      .replace(/[^a-z0-9]/g, "");
+
+/**
+ * Fresh single-use backup codes in plain text
+ * @return {Array<string>}
+ */
+function newBackupCodes() {
+  return Array.from({length: BACKUP_CODE_COUNT}, () => {
+    const raw = crypto.randomBytes(5).toString("hex");
+    return `${raw.slice(0, 5)}-${raw.slice(5)}`;
+  });
+}
+
+const isEnabled = (user) => Boolean(user?.twoFactor?.enabled);
+
+/**
+ * What callers may see about a user's 2FA; never the secret or code hashes
+ * @param {Object} user
+ * @return {Object}
+ */
+function describeTwoFactor(user) {
+  const state = user?.twoFactor || {};
+  return {
+    enabled: Boolean(state.enabled),
+    enabledAt: state.enabledAt || null,
+    pending: Boolean(state.pendingSecret),
+    backupCodesRemaining: state.enabled ? (state.backupCodes || []).length : 0,
+  };
+}
+
+/**
+ * Roles that must use 2FA in this company
+ * @param {string} companyId
+ */
+async function getRequiredRoles(companyId) {
+  const {security} = await getCompanySettings(companyId);
+  return security.twoFactorRequiredRoles || [];
+}
+
+/**
+ * Whether the company requires 2FA for the role
+ * @param {string} companyId
+ * @param {string} role
+ */
+async function isRequiredFor(companyId, role) {
+  return (await getRequiredRoles(companyId)).includes(role);
+}
+
+/**
+ * Starts (or restarts) enrolment and returns the secret for the authenticator
+ * app.
+ * @param {string} companyId
+ * @param {string} email
+ */
+async function startEnrollment(companyId, email) {
+  const secret = totp.generateSecret();
+
+  const {after} = await modifyUser(companyId, email, (user) => {
+    if (isEnabled(user)) {
+      throw new AppError(400, "Two-factor authentication is already enabled");
+    }
+    return {
+      twoFactor: {
+        ...(user.twoFactor || {}),
+        enabled: false,
+        pendingSecret: secret,
+      },
+    };
+  });
+
+  return {
+    secret,
+    otpauthUri: totp.otpauthUri({
+      issuer: ISSUER,
+      account: `${after.email} (${companyId})`,
+      secret,
+    }),
+  };
+}
+
+/**
+ * Confirms enrolment with a first code and returns the backup codes (shown
+ * once).
+ * @param {string} companyId
+ * @param {string} email
+ * @param {string} code
+ */
+async function activate(companyId, email, code) {
+  const backupCodes = newBackupCodes();
+
+  await modifyUser(companyId, email, (user) => {
+    const pendingSecret = user.twoFactor?.pendingSecret;
+    if (!pendingSecret) {
+      throw new AppError(400, "Start two-factor enrolment first");
+    }
+
+    const step = totp.verifyCode(pendingSecret, code);
+    if (step === null) throw new AppError(400, "Invalid authentication code");
+
+    return {
+      twoFactor: {
+        enabled: true,
+        secret: pendingSecret,
+        pendingSecret: null,
+        enabledAt: new Date().toISOString(),
+        lastStep: step,
+        backupCodes: backupCodes.map((c) => sha256(normalizeBackupCode(c))),
+      },
+    };
+  });
+
+  return backupCodes;
+}
+
+/**
+ * Checks a TOTP or backup code for a user with 2FA enabled and burns it.
+ * Returns "totp" or "backup-code"; a wrong code throws 401 without writing.
+ * @param {string} companyId
+ * @param {string} email
+ * @param {string} code
+ */
+async function consumeCode(companyId, email, code) {
+  let method = null;
+
+  await modifyUser(companyId, email, (user) => {
+    const state = user.twoFactor;
+    if (!state?.enabled) {
+      throw new AppError(400, "Two-factor authentication is not enabled");
+    }
+
+    const step = totp.verifyCode(state.secret, code, {
+      afterStep: state.lastStep ?? -1,
+    });
+    if (step !== null) {
+      method = "totp";
+      return {twoFactor: {...state, lastStep: step}};
+    }
+
+    const hash = sha256(normalizeBackupCode(code));
+    if ((state.backupCodes || []).includes(hash)) {
+      method = "backup-code";
+      return {
+        twoFactor: {
+          ...state,
+          backupCodes: state.backupCodes.filter((h) => h !== hash),
+        },
+      };
+    }
+
+    throw new AppError(401, "Invalid authentication code");
+  });
+
+  return method;
+}
+
+/**
+ * Replaces the backup codes, invalidating the old ones
+ * @param {string} companyId
+ * @param {string} email
+ */
+async function regenerateBackupCodes(companyId, email) {
+  const backupCodes = newBackupCodes();
+
+  await modifyUser(companyId, email, (user) => {
+    if (!isEnabled(user)) {
+      throw new AppError(400, "Two-factor authentication is not enabled");
+    }
+    return {
+      twoFactor: {
+        ...user.twoFactor,
+        backupCodes: backupCodes.map((c) => sha256(normalizeBackupCode(c))),
+      },
+    };
+  });
+
+  return backupCodes;
+}
+
+/**
+ * Switches 2FA off and forgets the secret
+ * @param {string} companyId
+ * @param {string} email
+ */
+async function disable(companyId, email) {
+  return modifyUser(companyId, email, () => ({twoFactor: {enabled: false}}));
+}
+
+/**
+ * Challenge handed out after a correct password: `setup` when the user still
+ * has to enrol because their role requires 2FA.
+ * @param {Object} user
+ * @param {string} purpose
+ * @return {string}
+ */
+function signChallenge(user, purpose) {
+  return jwt.sign(
+      {email: user.email, companyId: user.companyId, purpose},
+      process.env.JWT_SECRET,
+      {audience: CHALLENGE_AUDIENCE, expiresIn: CHALLENGE_TTL},
+  );
+}
+
+/**
+ * Checks a challenge token and that it was issued for this purpose
+ * @param {string} token
+ * @param {string} purpose
+ * @return {Object}
+ */
+function verifyChallenge(token, purpose) {
+  try {
+    const decoded = jwt.verify(token, process.env.JWT_SECRET, {
+      audience: CHALLENGE_AUDIENCE,
+    });
+    if (decoded.purpose !== purpose) throw new Error("Wrong challenge purpose");
+    return {email: decoded.email, companyId: decoded.companyId};
+  } catch (err) {
+    throw new AppError(
+        401,
+        "Two-factor challenge expired or invalid. Please log in again.",
+    );
+  }
+}
+
+module.exports = {
+  CHALLENGE_AUDIENCE,
+  isEnabled,
+  describeTwoFactor,
+  getRequiredRoles,
+  isRequiredFor,
+  startEnrollment,
+  activate,
+  consumeCode,
+  regenerateBackupCodes,
+  disable,
+  signChallenge,
+  verifyChallenge,
+};
@@ -1,10 +1,93 @@
-const { getBucket } = require("../config/firebase");
+const {getBucket} = require("../config/firebase");
+const {AppError} = require("../appError");
+const {
+  stampSchemaVersion,
+  upgradeRecord,
+  upgraderFor,
+} = require("./schemaMigrations");
+const {
+  saveJsonIfGeneration,
+  updateJsonWithRetry,
+  isPreconditionFailure,
+} = require("../storage/versionedJson");
 
 // Initialize bucket instance
 const bucket = getBucket();
 
 const VALID_STATUSES = ["ENABLED", "DISABLED"];
 
+const getUserFile = (companyId, email) =>
+  bucket.file(`companies/${companyId}/users/${email.toLowerCase()}.json`);
+
+/**
+ * Public shape of a user: the password hash never leaves storage
+ * @param {Object} user
+ * @return {Object}
+ */
+function toPublicUser(user) {
+  if (!user) return user;
+  const rest = {...user};
+  delete rest.password;
+  delete rest.twoFactor;
+  return {...rest, twoFactorEnabled: Boolean(user.twoFactor?.enabled)};
+}
+
+/**
+ * Stores a new user; fails with 409 when the email is taken
+ * @param {string} companyId
+ * @param {Object} user
+ */
+async function createUser(companyId, user) {
+  const record = stampSchemaVersion("users", {
+    ...user,
+    email: user.email.toLowerCase(),
+    companyId,
+  });
+
+  try {
+    await saveJsonIfGeneration(getUserFile(companyId, record.email), record, 0);
+  } catch (err) {
+    if (!isPreconditionFailure(err)) throw err;
+    throw new AppError(409, "User already exists in this company");
+  }
+  return record;
+}
+
+/**
+ * Generation-checked update of one user; `change(user)` returns the fields to
+ * set.
+ * Resolves to { before, after } so callers can audit the change.
+ * @param {string} companyId
+ * @param {string} email
+ * @param {Function} change
+ */
+async function modifyUser(companyId, email, change) {
+  let before = null;
+
+  const after = await updateJsonWithRetry(
+      getUserFile(companyId, email),
+      async (user) => {
+        if (!user) {
+          throw new AppError(404, `User ${email} not found in this company`);
+        }
+        before = user;
+        return {
+          ...user,
+          ...(await change(user)),
+          updatedAt: new Date().toISOString(),
+        };
+      },
+      {upgrade: upgraderFor("users")},
+  );
+
+  return {before, after};
+}
+
+/**
+ * The stored user, or null
+ * @param {string} email
+ * @param {string} companyId
+ */
 async function getUserByEmail(email, companyId) {
   if (!email || !companyId) return null;
 
@@ -15,10 +98,15 @@ async function getUserByEmail(email, companyId) {
   if (!exists) return null;
 
   const [buf] = await file.download();
-  return JSON.parse(buf.toString());
+  return upgradeRecord("users", JSON.parse(buf.toString()));
 }
 
-
+/**
+ * Sets a user's status
+ * @param {string} email
+ * @param {string} status
+ * @param {string} companyId
+ */
 async function updateUserStatus(email, status, companyId) {
   if (!email || !companyId) {
     throw new Error("Email and Company ID are required");
@@ -29,33 +117,23 @@ async function updateUserStatus(email, status, companyId) {
   }
 
   const safeEmail = email.toLowerCase();
-  
-
-  const user = await getUserByEmail(safeEmail, companyId);
-
-  if (!user) {
-    throw new Error(`User ${safeEmail} not found in company ${companyId}`);
-  }
-  
-  user.status = status;
-  user.updatedAt = new Date().toISOString();
-
-  const filePath = `companies/${companyId}/users/${safeEmail}.json`;
-  await bucket
-    .file(filePath)
-    .save(JSON.stringify(user, null, 2), {
-      contentType: "application/json"
-    });
+  const {after: user} = await modifyUser(companyId, safeEmail, () => ({
+    status,
+  }));
 
   return {
     email: safeEmail,
     companyId: companyId,
     status: user.status,
-    updatedAt: user.updatedAt
+    updatedAt: user.updatedAt,
   };
 }
 
 module.exports = {
+  getUserFile,
   getUserByEmail,
+  createUser,
+  modifyUser,
+  toPublicUser,
   updateUserStatus,
-};
\ No newline at end of file
+};
@@ -0,0 +1,22 @@
+const admin = require("firebase-admin");
+
+const DEFAULT_BUCKET = "bussiness-control-platform.firebasestorage.app";
+
+/**
+ * Returns the Firebase Storage bucket used in production.
+ * The admin app is initialized lazily so the local backend never needs
+ * credentials.
+ * @return {Object}
+ */
+function createCloudBucket() {
+  if (!admin.apps.length) {
+    admin.initializeApp({
+      // Ensure this matches your Firebase project settings exactly
+      storageBucket: process.env.STORAGE_BUCKET || DEFAULT_BUCKET,
+    });
+  }
+
+  return admin.storage().bucket();
+}
+
+module.exports = {createCloudBucket};
@@ -0,0 +1,278 @@
+const fs = require("fs");
+const path = require("path");
+
+/**
+ * Filesystem implementation of the subset of the Cloud Storage Bucket/File API
+ * the controllers rely on: file(), getFiles({ prefix }), exists(), download(),
+ * save(), delete() and getMetadata(). Object names map to paths under rootDir.
+ *
+ * Generations are derived from the file's nanosecond mtime, and
+ * ifGenerationMatch preconditions are honoured. Writes to one object are
+ * serialized in-process, so a single local server behaves like Cloud Storage
+ * under concurrent requests (multiple processes sharing a folder do not).
+ */
+
+const TEMP_SUFFIX = ".tmp";
+
+const notFound = (name) => {
+  const err = new Error(`No such object: ${name}`);
+  err.code = 404;
+  return err;
+};
+
+const preconditionFailed = (name) => {
+  const err = new Error(`Precondition failed for object: ${name}`);
+  err.code = 412;
+  return err;
+};
+
+/**
+ * Generation of the file at localPath, "0" when it does not exist
+ * @param {string} localPath
+ */
+async function currentGeneration(localPath) {
+  try {
+    const stat = await fs.promises.stat(localPath, {bigint: true});
+    return stat.mtimeNs.toString();
+  } catch (err) {
+    if (err.code === "ENOENT") return "0";
+    throw err;
+  }
+}
+
+/**
+ * A stored object, addressed by its name under the bucket root
+ */
+class LocalFile {
+  /**
+   * Binds an object name to its path under the bucket
+   * @param {LocalBucket} bucket
+   * @param {string} name
+   */
+  constructor(bucket, name) {
+    this.bucket = bucket;
+    this.name = name;
+    this.localPath = bucket.resolve(name);
+  }
+
+  /**
+   * Resolves to [true] when the object exists
+   */
+  async exists() {
+    try {
+      const stat = await fs.promises.stat(this.localPath);
+      return [stat.isFile()];
+    } catch (err) {
+      if (err.code === "ENOENT") return [false];
+      throw err;
+    }
+  }
+
+  /**
+   * Resolves to [contents] as a Buffer; missing objects fail with code 404
+   */
+  async download() {
+    try {
+      return [await fs.promises.readFile(this.localPath)];
+    } catch (err) {
+      if (err.code === "ENOENT") throw notFound(this.name);
+      throw err;
+    }
+  }
+
+  /**
+   * Writes the object atomically, honouring ifGenerationMatch
+   * @param {string|Buffer} data
+   * @param {Object=} options
+   */
+  async save(data, options = {}) {
+    const ifGenerationMatch =
+      options.preconditionOpts?.ifGenerationMatch ?? options.ifGenerationMatch;
+
+    return this.bucket.withLock(this.localPath, async () => {
+      const previousGeneration = await currentGeneration(this.localPath);
+      if (
+        ifGenerationMatch != null &&
+        previousGeneration !== String(ifGenerationMatch)
+      ) {
+        throw preconditionFailed(this.name);
+      }
+
+      await fs.promises.mkdir(path.dirname(this.localPath), {recursive: true});
+
+      // Write to a sibling temp file first so readers never see half a JSON
+      // document
+      const tempPath =
+        `${this.localPath}.${process.pid}.${Date.now()}${TEMP_SUFFIX}`;
+      await fs.promises.writeFile(tempPath, data);
+      await fs.promises.rename(tempPath, this.localPath);
+
+      // Coarse filesystem clocks could repeat a generation; force it forward
+      if ((await currentGeneration(this.localPath)) === previousGeneration) {
+        const bumped = new Date(Date.now() + 1);
+        await fs.promises.utimes(this.localPath, bumped, bumped);
+      }
+    });
+  }
+
+  /**
+   * Deletes the object; missing objects fail with code 404
+   */
+  async delete() {
+    return this.bucket.withLock(this.localPath, async () => {
+      try {
+        await fs.promises.unlink(this.localPath);
+        return [{}];
+      } catch (err) {
+        if (err.code === "ENOENT") throw notFound(this.name);
+        throw err;
+      }
+    });
+  }
+
+  /**
+   * Resolves to [metadata] with the generation, size and update time
+   */
+  async getMetadata() {
+    try {
+      const stat = await fs.promises.stat(this.localPath, {bigint: true});
+      return [
+        {
+          name: this.name,
+          bucket: this.bucket.name,
+          generation: stat.mtimeNs.toString(),
+          size: stat.size.toString(),
+          updated: new Date(Number(stat.mtimeMs)).toISOString(),
+        },
+      ];
+    } catch (err) {
+      if (err.code === "ENOENT") throw notFound(this.name);
+      throw err;
+    }
+  }
+}
+
+/**
+ * A folder on disk standing in for a Cloud Storage bucket
+ */
+class LocalBucket {
+  /**
+   * Uses rootDir as the bucket root
+   * @param {string} rootDir
+   */
+  constructor(rootDir) {
+    this.rootDir = path.resolve(rootDir);
+    this.name = `local:${this.rootDir}`;
+    this.locks = new Map();
+  }
+
+  /**
+   * Runs task after every earlier task queued for the same key
+   * @param {string} key
+   * @param {Function} task
+   */
+  async withLock(key, task) {
+    const previous = this.locks.get(key) || Promise.resolve();
+    const run = previous.then(task, task);
+    const settled = run.catch(() => {});
+    this.locks.set(key, settled);
+
+    try {
+      return await run;
+    } finally {
+      if (this.locks.get(key) === settled) this.locks.delete(key);
+    }
+  }
+
+  /**
+   * Maps an object name to its path, refusing names outside the root
+   * @param {string} name
+   * @return {string}
+   */
+  resolve(name) {
+    const resolved = path.resolve(this.rootDir, name);
+    if (!resolved.startsWith(this.rootDir + path.sep)) {
+      throw new Error(`Invalid object name: ${name}`);
+    }
+    return resolved;
+  }
+
+  /**
+   * Returns a handle for the named object
+   * @param {string} name
+   * @return {LocalFile}
+   */
+  file(name) {
+    return new LocalFile(this, name);
+  }
+
+  /**
+   * Like Cloud Storage, a delimiter returns only the objects directly under the
+   * prefix, plus the sub-prefixes as apiResponse.prefixes ([files, null,
+   * apiResponse]).
+   */
+  async getFiles({prefix = "", delimiter = null} = {}) {
+    // Only walk the deepest directory the prefix names, not the whole root
+    const prefixDir = prefix.includes("/") ?
+      prefix.slice(0, prefix.lastIndexOf("/")) :
+      "";
+    const startDir = path.join(this.rootDir, prefixDir);
+    const names = [];
+    const prefixes = new Set();
+
+    const relativeName = (fullPath) =>
+      path.relative(this.rootDir, fullPath).split(path.sep).join("/");
+
+    // A directory is worth entering only if names under it can still match the
+    // prefix
+    const canMatch = (dirName) =>
+      `${dirName}/`.startsWith(prefix) || prefix.startsWith(`${dirName}/`);
+
+    const walk = async (dir) => {
+      let entries;
+      try {
+        entries = await fs.promises.readdir(dir, {withFileTypes: true});
+      } catch (err) {
+        if (err.code === "ENOENT") return;
+        throw err;
+      }
+
+      for (const entry of entries) {
+        const fullPath = path.join(dir, entry.name);
+        const name = relativeName(fullPath);
+
+        if (entry.isDirectory()) {
+          if (!canMatch(name)) continue;
+          if (delimiter && name.length >= prefix.length) {
+            prefixes.add(`${name}${delimiter}`);
+            continue;
+          }
+          await walk(fullPath);
+        } else if (
+          !entry.name.endsWith(TEMP_SUFFIX) &&
+          name.startsWith(prefix)
+        ) {
+          names.push(name);
+        }
+      }
+    };
+
+    await walk(startDir);
+
+    const files = names.sort().map((name) => this.file(name));
+    if (!delimiter) return [files];
+    return [files, null, {prefixes: [...prefixes].sort()}];
+  }
+}
+
+/**
+ * Creates rootDir if needed and returns a bucket rooted there
+ * @param {string} rootDir
+ * @return {LocalBucket}
+ */
+function createLocalBucket(rootDir) {
+  fs.mkdirSync(rootDir, {recursive: true});
+  return new LocalBucket(rootDir);
+}
+
+module.exports = {createLocalBucket, LocalBucket};
@@ -0,0 +1,125 @@
+const {AppError} = require("../appError");
+
+/**
+ * Generation-checked JSON reads and writes (optimistic locking).
+ * Every object carries a storage generation; a write only succeeds when the
+ * generation is still the one we read, otherwise the read-modify-write is
+ * retried.
+ */
+
+const PRECONDITION_FAILED = 412;
+const DEFAULT_RETRIES = 5;
+const BASE_BACKOFF_MS = 25;
+
+const isPreconditionFailure = (err) =>
+  err && (err.code === PRECONDITION_FAILED || err.code === "412");
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+/**
+ * Reads a JSON object together with its generation.
+ * A missing object resolves to { data: null, generation: 0 }, which is also the
+ * precondition Cloud Storage uses for "create only if absent".
+ * @param {Object} file
+ */
+async function readJsonVersioned(file) {
+  let metadata;
+  try {
+    [metadata] = await file.getMetadata();
+  } catch (err) {
+    if (err.code === 404) return {data: null, generation: 0};
+    throw err;
+  }
+
+  const [contents] = await file.download();
+  return {
+    data: JSON.parse(contents.toString()),
+    generation: metadata.generation,
+  };
+}
+
+/**
+ * Saves JSON only if the stored generation still matches.
+ * Pass generation 0 to create the object only when it does not exist yet.
+ * Rejects with the storage 412 error when another writer got there first.
+ * @param {Object} file
+ * @param {Object} data
+ * @param {number} generation
+ */
+async function saveJsonIfGeneration(file, data, generation) {
+  await file.save(JSON.stringify(data, null, 2), {
+    contentType: "application/json",
+    resumable: false,
+    preconditionOpts: {ifGenerationMatch: generation},
+  });
+  return data;
+}
+
+/**
+ * Read-modify-write loop with automatic retry on generation conflicts.
+ * `mutate(current)` receives the parsed record (null when missing) and returns
+ * the record to store; it is re-run against fresh data after every conflict, so
+ * business checks (e.g. available stock) are always evaluated on the latest
+ * copy.
+ * Throwing inside `mutate` aborts without writing.
+ * `upgrade(current)`, when given, brings an existing record to the current
+ * schema before `mutate` sees it, so the write also persists the upgraded
+ * shape.
+ * @param {Object} file
+ * @param {Function} mutate
+ */
+async function updateJsonWithRetry(
+    file,
+    mutate,
+    {retries = DEFAULT_RETRIES, onCorrupt = null, upgrade = null} = {},
+) {
+  for (let attempt = 0; attempt <= retries; attempt++) {
+    let current;
+    let generation;
+
+    try {
+      ({data: current, generation} = await readJsonVersioned(file));
+    } catch (err) {
+      if (!(err instanceof SyntaxError)) throw err;
+      if (!onCorrupt) {
+        throw new AppError(500, `Stored record ${file.name} is corrupted`);
+      }
+      const [metadata] = await file.getMetadata();
+      generation = metadata.generation;
+      current = await onCorrupt(err);
+    }
+
+    if (upgrade && current) current = upgrade(current);
+
+    const next = await mutate(current);
+
+    try {
+      return await saveJsonIfGeneration(file, next, generation);
+    } catch (err) {
+      if (!isPreconditionFailure(err)) throw err;
+
+      console.warn(
+          `Write conflict on ${file.name} ` +
+            `(attempt ${attempt + 1}/${retries + 1})`,
+      );
+      if (attempt < retries) {
+        await sleep(
+            BASE_BACKOFF_MS * 2 ** attempt + Math.random() * BASE_BACKOFF_MS,
+        );
+      }
+    }
+  }
+
+  throw new AppError(
+      409,
+      "This record was updated by another request at the same time. " +
+        "Please try again.",
+  );
+}
+
+module.exports = {
+  readJsonVersioned,
+  saveJsonIfGeneration,
+  updateJsonWithRetry,
+  isPreconditionFailure,
+};
@@ -0,0 +1,53 @@
+const {removeStorage, createTestCompany} = require("./helpers");
+const {describe, it, before, after} = require("node:test");
+const assert = require("node:assert/strict");
+const adminAuth = require("../src/services/adminAuthService");
+const adminController = require("../src/controllers/adminController");
+
+process.env.ADMIN_EMAIL = "admin@platform.test";
+process.env.ADMIN_PASSWORD = "correct horse";
+
+let companyId;
+
+before(async () => {
+  companyId = await createTestCompany();
+});
+
+after(removeStorage);
+
+describe("verifyAdmin", () => {
+  it("accepts only the configured password", async () => {
+    const admin = await adminAuth.verifyAdmin(
+        "Admin@Platform.test",
+        "correct horse",
+    );
+    assert.equal(admin.role, "ADMIN");
+
+    for (const password of ["correct hors", "correct horse!", "x"]) {
+      await assert.rejects(
+          adminAuth.verifyAdmin("admin@platform.test", password),
+          /Invalid admin credentials/,
+      );
+    }
+  });
+});
+
+describe("createOwnerUser", () => {
+  it("creates the owner once", async () => {
+    const req = {
+      body: {companyId, email: "Owner@Acme.test", password: "secret-pass"},
+      admin: {email: "admin@platform.test"},
+    };
+
+    const results = await Promise.allSettled([
+      adminController.createOwnerUser(req),
+      adminController.createOwnerUser(req),
+    ]);
+
+    assert.equal(results.filter((r) => r.status === "fulfilled").length, 1);
+    assert.equal(
+        results.find((r) => r.status === "rejected").reason.statusCode,
+        409,
+    );
+  });
+});
@@ -0,0 +1,68 @@
+const {removeStorage, createTestCompany, createTestUser} = require("./helpers");
+const {describe, it, before, after} = require("node:test");
+const assert = require("node:assert/strict");
+const apiKeyService = require("../src/services/apiKeyService");
+const apiKeyController = require("../src/controllers/apiKeyController");
+const {requirePermission} = require("../src/middleware/requirePermission");
+
+let companyId;
+let owner;
+
+before(async () => {
+  companyId = await createTestCompany();
+  owner = await createTestUser(companyId);
+});
+
+after(removeStorage);
+
+describe("API keys", () => {
+  it("cannot carry permissions the creator's role lacks", async () => {
+    await assert.rejects(
+        apiKeyController.createApiKey(
+            companyId,
+            {name: "Too much", permissions: ["product:view", "stock:adjust"]},
+            {email: "cashier@acme.test", role: "CASHIER"},
+        ),
+        {statusCode: 403, message: /stock:adjust/},
+    );
+  });
+
+  it("only opens the routes in its permission list", async () => {
+    const {key} = await apiKeyController.createApiKey(
+        companyId,
+        {name: "Catalog sync", permissions: ["product:view"]},
+        {email: owner.email, role: owner.role},
+    );
+    const record = await apiKeyService.authenticateApiKey(key);
+    const req = {
+      companyId,
+      user: {apiKeyId: record.id, permissions: record.permissions},
+    };
+
+    const run = async (action) => {
+      let status = 200;
+      let reached = false;
+      const res = {status: (code) => ((status = code), {json: () => {}})};
+      await requirePermission(action)(req, res, async () => {
+        reached = true;
+      });
+      return {status, reached};
+    };
+
+    assert.deepEqual(await run("product:view"), {status: 200, reached: true});
+    assert.deepEqual(await run("stock:out"), {status: 403, reached: false});
+  });
+
+  it("stops working once revoked", async () => {
+    const {key, apiKey} = await apiKeyController.createApiKey(
+        companyId,
+        {name: "Short lived", permissions: ["product:view"]},
+        {email: owner.email, role: owner.role},
+    );
+
+    await apiKeyController.revokeApiKey(companyId, apiKey.id, owner);
+    await assert.rejects(apiKeyService.authenticateApiKey(key), {
+      statusCode: 401,
+    });
+  });
+});
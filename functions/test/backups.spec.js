@@ -0,0 +1,82 @@
+const {removeStorage, createTestCompany, createStockedProduct} =
+  require("./helpers");
+const {describe, it, before, after} = require("node:test");
+const assert = require("node:assert/strict");
+const {getBucket} = require("../src/config/firebase");
+const backupService = require("../src/services/backupService");
+
+let companyId;
+
+const pathsUnder = async (prefix) => {
+  const [files] = await getBucket().getFiles({prefix});
+  return files.map((f) => f.name.slice(prefix.length));
+};
+
+before(async () => {
+  companyId = await createTestCompany();
+  await createStockedProduct(companyId, "BKP-A", 3);
+  for (const path of [
+    "sessions/S1.json",
+    "password-resets/owner@acme.test.json",
+    "api-keys/K1.json",
+  ]) {
+    await getBucket().file(`companies/${companyId}/${path}`).save("{}");
+  }
+});
+
+after(removeStorage);
+
+describe("backups", () => {
+  it("leaves sessions, reset tokens and API keys out", async () => {
+    const {backupId} = await backupService.createBackup(companyId);
+
+    const archive = await backupService.getBackup(companyId, backupId);
+    const folders = new Set(archive.files.map((f) => f.path.split("/")[0]));
+    assert.ok(folders.has("products"));
+    for (const folder of ["sessions", "password-resets", "api-keys"]) {
+      assert.ok(!folders.has(folder), folder);
+    }
+
+    await backupService.restoreBackup("acme-copy", {archive});
+    const restored = await pathsUnder("companies/acme-copy/");
+    assert.ok(restored.includes("products/BKP-A.json"));
+    assert.ok(!restored.some((path) => path.startsWith("sessions/")));
+  });
+
+  it("lets a failed restore be retried with the same archive", async () => {
+    const {backupId} = await backupService.createBackup(companyId);
+    const archive = await backupService.getBackup(companyId, backupId);
+    const target = "acme-retry";
+
+    // What a restore that failed after its first files leaves behind
+    const marker = getBucket().file(`companies/${target}/restore.json`);
+    await marker.save(
+        JSON.stringify({backupId, checksum: archive.manifest.checksum}),
+    );
+    await getBucket().file(`companies/${target}/settings.json`).save("{}");
+
+    // Only the archive named in the marker may finish it
+    await createStockedProduct(companyId, "BKP-B", 1);
+    const later = await backupService.createBackup(companyId);
+    await assert.rejects(
+        backupService.restoreBackup(target, {
+          sourceCompanyId: companyId,
+          backupId: later.backupId,
+        }),
+        {statusCode: 409},
+    );
+
+    const result = await backupService.restoreBackup(target, {archive});
+    assert.equal(result.verified, true);
+    assert.deepEqual(await marker.exists(), [false]);
+    assert.ok(
+        (await pathsUnder(`companies/${target}/`)).includes(
+            "products/BKP-A.json",
+        ),
+    );
+
+    await assert.rejects(backupService.restoreBackup(target, {archive}), {
+      statusCode: 409,
+    });
+  });
+});
@@ -0,0 +1,40 @@
+const {removeStorage, createTestCompany} = require("./helpers");
+const {describe, it, before, after} = require("node:test");
+const assert = require("node:assert/strict");
+const customerController = require("../src/controllers/customerController");
+
+let companyId;
+
+before(async () => {
+  companyId = await createTestCompany();
+});
+
+after(removeStorage);
+
+describe("updateCustomer", () => {
+  it("never brings back a customer deleted at the same time", async () => {
+    const {customer} = await customerController.createCustomer(companyId, {
+      name: "Racing Customer",
+      phone: "9876543210",
+    });
+
+    await Promise.allSettled([
+      customerController.updateCustomer(companyId, customer.id, {
+        address: "New address",
+      }),
+      customerController.deleteCustomer(companyId, customer.id),
+    ]);
+
+    const deleted = await customerController.getDeletedCustomers(companyId);
+    assert.deepEqual(
+        deleted.map((c) => c.id),
+        [customer.id],
+    );
+    await assert.rejects(
+        customerController.updateCustomer(companyId, customer.id, {
+          address: "Too late",
+        }),
+        {statusCode: 404},
+    );
+  });
+});
@@ -0,0 +1,99 @@
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+
+/**
+ * Shared setup for the specs. Every spec file runs in its own process with its
+ * own local storage folder, so this has to be required before anything in src/.
+ */
+
+const storageDir = fs.mkdtempSync(path.join(os.tmpdir(), "inventory-test-"));
+
+process.env.STORAGE_BACKEND = "local";
+process.env.LOCAL_STORAGE_DIR = storageDir;
+process.env.JWT_SECRET = process.env.JWT_SECRET || "test-secret";
+
+// Write conflicts are expected in the concurrency specs; keep the output
+// readable
+console.warn = () => {};
+
+const removeStorage = () =>
+  fs.rmSync(storageDir, {recursive: true, force: true});
+
+/**
+ * Creates an active company for the spec
+ * @param {string=} companyId
+ */
+async function createTestCompany(companyId = "acme") {
+  const companyService = require("../src/services/companyService");
+  await companyService.createCompany({companyId, name: `${companyId} Ltd`});
+  return companyId;
+}
+
+/**
+ * Stores an enabled user directly, without the login flow
+ * @param {string} companyId
+ * @param {Object} options
+ */
+async function createTestUser(
+    companyId,
+    {email = "owner@acme.test", role = "OWNER"} = {},
+) {
+  const userService = require("../src/services/userService");
+  return userService.createUser(companyId, {
+    email,
+    role,
+    status: "ENABLED",
+    password: "not-a-hash",
+    createdAt: new Date().toISOString(),
+  });
+}
+
+/**
+ * Creates a product and takes `quantity` units into the default location
+ * @param {string} companyId
+ * @param {string} sku
+ * @param {number} quantity
+ * @param {Object} options
+ */
+async function createStockedProduct(
+    companyId,
+    sku,
+    quantity,
+    {costPrice = 10, sellingPrice = 20} = {},
+) {
+  const productController = require("../src/controllers/productController");
+  const inventoryController = require("../src/controllers/inventoryController");
+
+  await productController.createProduct(companyId, {
+    sku,
+    name: `Product ${sku}`,
+    costPrice,
+    sellingPrice,
+  });
+  if (quantity > 0) {
+    await inventoryController.stockIn(companyId, sku, {
+      quantity,
+      costPerUnit: costPrice,
+    });
+  }
+}
+
+/**
+ * Current stock on hand of a product
+ * @param {string} companyId
+ * @param {string} sku
+ */
+async function stockOf(companyId, sku) {
+  const productController = require("../src/controllers/productController");
+  return (await productController.getProductBySku(companyId, sku)).stockOnHand;
+}
+
+module.exports = {
+  storageDir,
+  removeStorage,
+  createTestCompany,
+  createTestUser,
+  createStockedProduct,
+  stockOf,
+};
@@ -0,0 +1,64 @@
+const {
+  removeStorage,
+  createTestCompany,
+  createStockedProduct,
+  stockOf,
+} = require("./helpers");
+const {describe, it, before, after} = require("node:test");
+const assert = require("node:assert/strict");
+const invoiceNumberService = require("../src/services/invoiceNumberService");
+const invoiceController = require("../src/controllers/invoiceController");
+
+let companyId;
+
+before(async () => {
+  companyId = await createTestCompany();
+});
+
+after(removeStorage);
+
+describe("invoice numbering", () => {
+  it("labels the financial year in India's time zone", () => {
+    const {getFinancialYear} = invoiceNumberService;
+
+    assert.equal(getFinancialYear(new Date("2027-02-10T00:00:00Z")), "2026-27");
+    // 31 March 19:00 UTC is already 1 April in India
+    assert.equal(getFinancialYear(new Date("2027-03-31T19:00:00Z")), "2027-28");
+  });
+
+  it("hands out every number exactly once", async () => {
+    const date = new Date("2026-06-01T00:00:00Z");
+
+    const numbers = await Promise.all(
+        Array.from({length: 5}, () =>
+          invoiceNumberService.nextInvoiceNumber(companyId, date),
+        ),
+    );
+
+    assert.deepEqual(
+        numbers.sort(),
+        [1, 2, 3, 4, 5].map((n) => `INV/2026-27/${String(n).padStart(5, "0")}`),
+    );
+  });
+
+  it("rejects a bad line before taking a number", async () => {
+    await createStockedProduct(companyId, "NUM-A", 5);
+    const countBefore = (await invoiceController.getAllInvoices(companyId))
+        .length;
+
+    await assert.rejects(
+        invoiceController.createInvoice(companyId, {
+          customer: {name: "Walk-in"},
+          items: [
+            {sku: "NUM-A", quantity: 1},
+            {sku: "NUM-A", quantity: 0.5},
+          ],
+        }),
+        {statusCode: 400},
+    );
+
+    const invoices = await invoiceController.getAllInvoices(companyId);
+    assert.equal(invoices.length, countBefore);
+    assert.equal(await stockOf(companyId, "NUM-A"), 5);
+  });
+});
@@ -0,0 +1,129 @@
+const {
+  removeStorage,
+  createTestCompany,
+  createStockedProduct,
+  stockOf,
+} = require("./helpers");
+const {describe, it, before, after} = require("node:test");
+const assert = require("node:assert/strict");
+const invoiceController = require("../src/controllers/invoiceController");
+
+const customer = {name: "Walk-in"};
+let companyId;
+
+const invoicesByNumber = async () =>
+  Object.fromEntries(
+      (await invoiceController.getAllInvoices(companyId)).map((inv) => [
+        inv.invoiceNumber,
+        inv,
+      ]),
+  );
+
+before(async () => {
+  companyId = await createTestCompany();
+});
+
+after(removeStorage);
+
+describe("createInvoice", () => {
+  it("takes the stock and records the invoice", async () => {
+    await createStockedProduct(companyId, "INV-A", 10);
+
+    const invoice = await invoiceController.createInvoice(companyId, {
+      customer,
+      items: [{sku: "INV-A", quantity: 4}],
+    });
+
+    assert.equal(invoice.status, "Unpaid");
+    assert.equal(invoice.totalAmount, 80);
+    assert.equal(await stockOf(companyId, "INV-A"), 6);
+  });
+
+  it("puts back every line and voids the number if a line fails", async () => {
+    await createStockedProduct(companyId, "INV-B", 10);
+
+    // Each line fits on its own, together they do not: the second stock-out
+    // fails
+    const attempt = invoiceController.createInvoice(companyId, {
+      customer,
+      items: [
+        {sku: "INV-B", quantity: 6},
+        {sku: "INV-B", quantity: 6},
+      ],
+    });
+
+    await assert.rejects(attempt, /All stock changes were reversed/);
+    assert.equal(await stockOf(companyId, "INV-B"), 10);
+
+    const voided = Object.values(await invoicesByNumber()).filter(
+        (inv) => inv.status === "Void",
+    );
+    assert.equal(voided.length, 1);
+  });
+
+  it("never sells the same units twice", async () => {
+    await createStockedProduct(companyId, "INV-C", 10);
+
+    const results = await Promise.allSettled(
+        [1, 2].map(() =>
+          invoiceController.createInvoice(companyId, {
+            customer,
+            items: [{sku: "INV-C", quantity: 6}],
+          }),
+        ),
+    );
+
+    assert.equal(results.filter((r) => r.status === "fulfilled").length, 1);
+    assert.equal(await stockOf(companyId, "INV-C"), 4);
+  });
+});
+
+describe("cancelInvoice", () => {
+  it("returns the stock once however often it is cancelled", async () => {
+    await createStockedProduct(companyId, "INV-D", 10);
+    const invoice = await invoiceController.createInvoice(companyId, {
+      customer,
+      items: [{sku: "INV-D", quantity: 3}],
+    });
+
+    const results = await Promise.allSettled(
+        [1, 2, 3].map(() =>
+          invoiceController.cancelInvoice(companyId, invoice.invoiceNumber),
+        ),
+    );
+
+    assert.equal(results.filter((r) => r.status === "fulfilled").length, 1);
+    assert.equal(await stockOf(companyId, "INV-D"), 10);
+
+    const cancelled = (await invoicesByNumber())[invoice.invoiceNumber];
+    assert.equal(cancelled.status, "Cancelled");
+  });
+});
+
+describe("recordPayment", () => {
+  it("never accepts more than the outstanding amount", async () => {
+    await createStockedProduct(companyId, "INV-E", 10);
+    const invoice = await invoiceController.createInvoice(companyId, {
+      customer,
+      items: [{sku: "INV-E", quantity: 1}],
+    });
+
+    const results = await Promise.allSettled(
+        [1, 2].map(() =>
+          invoiceController.recordPayment(companyId, invoice.invoiceNumber, {
+            amountReceived: 15,
+          }),
+        ),
+    );
+
+    assert.equal(results.filter((r) => r.status === "fulfilled").length, 1);
+    assert.equal(
+        results.find((r) => r.status === "rejected").reason.statusCode,
+        400,
+    );
+    assert.equal(
+        (await invoicesByNumber())[invoice.invoiceNumber].outstandingAmount,
+        5,
+    );
+  });
+});
@@ -0,0 +1,44 @@
+const {removeStorage, createTestCompany, createStockedProduct} =
+  require("./helpers");
+const {describe, it, before, after} = require("node:test");
+const assert = require("node:assert/strict");
+const productController = require("../src/controllers/productController");
+
+let companyId;
+
+before(async () => {
+  companyId = await createTestCompany();
+  for (const sku of ["LST-A", "LST-B", "LST-C"]) {
+    await createStockedProduct(companyId, sku, 1);
+  }
+});
+
+after(removeStorage);
+
+describe("list endpoints", () => {
+  it("answer with a page even without a query", async () => {
+    const page = await productController.listProducts(companyId);
+
+    assert.equal(page.total, 3);
+    assert.equal(page.items.length, 3);
+    assert.equal(page.nextCursor, null);
+  });
+
+  it("walk every record through nextCursor", async () => {
+    const skus = [];
+    let cursor = null;
+
+    do {
+      const page = await productController.listProducts(companyId, {
+        limit: "2",
+        sort: "sku",
+        order: "asc",
+        ...(cursor && {cursor}),
+      });
+      skus.push(...page.items.map((p) => p.sku));
+      cursor = page.nextCursor;
+    } while (cursor);
+
+    assert.deepEqual(skus, ["LST-A", "LST-B", "LST-C"]);
+  });
+});
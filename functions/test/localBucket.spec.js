@@ -0,0 +1,72 @@
+const {storageDir, removeStorage} = require("./helpers");
+const {describe, it, after} = require("node:test");
+const assert = require("node:assert/strict");
+const {createLocalBucket} = require("../src/storage/localBucket");
+
+const bucket = createLocalBucket(storageDir);
+
+after(removeStorage);
+
+describe("LocalBucket", () => {
+  it("reads back what it saved", async () => {
+    const file = bucket.file("spec/roundtrip.json");
+    await file.save(JSON.stringify({value: 1}));
+
+    const [exists] = await file.exists();
+    const [contents] = await file.download();
+    assert.ok(exists);
+    assert.deepEqual(JSON.parse(contents.toString()), {value: 1});
+  });
+
+  it("answers 404 for a missing object", async () => {
+    const file = bucket.file("spec/missing.json");
+
+    assert.deepEqual(await file.exists(), [false]);
+    await assert.rejects(file.download(), {code: 404});
+    await assert.rejects(file.delete(), {code: 404});
+  });
+
+  it("honours ifGenerationMatch", async () => {
+    const file = bucket.file("spec/generation.json");
+    await file.save("{}", {preconditionOpts: {ifGenerationMatch: 0}});
+    await assert.rejects(
+        file.save("{}", {preconditionOpts: {ifGenerationMatch: 0}}),
+        {code: 412},
+    );
+
+    const [{generation}] = await file.getMetadata();
+    await file.save("{\"next\":true}", {ifGenerationMatch: generation});
+
+    const [{generation: next}] = await file.getMetadata();
+    assert.notEqual(next, generation);
+    await assert.rejects(file.save("{}", {ifGenerationMatch: generation}), {
+      code: 412,
+    });
+  });
+
+  it("lists by prefix, or one level with a delimiter", async () => {
+    await bucket.file("list/a.json").save("{}");
+    await bucket.file("list/b/c.json").save("{}");
+    await bucket.file("listed.json").save("{}");
+
+    const [files] = await bucket.getFiles({prefix: "list/"});
+    assert.deepEqual(
+        files.map((f) => f.name),
+        ["list/a.json", "list/b/c.json"],
+    );
+
+    const [top, , {prefixes}] = await bucket.getFiles({
+      prefix: "list/",
+      delimiter: "/",
+    });
+    assert.deepEqual(
+        top.map((f) => f.name),
+        ["list/a.json"],
+    );
+    assert.deepEqual(prefixes, ["list/b/"]);
+  });
+
+  it("refuses names outside its root", () => {
+    assert.throws(() => bucket.file("../escape.json"), /Invalid object name/);
+  });
+});
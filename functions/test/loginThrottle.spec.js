@@ -0,0 +1,67 @@
+const {removeStorage, createTestCompany} = require("./helpers");
+const {describe, it, before, after} = require("node:test");
+const assert = require("node:assert/strict");
+const loginThrottle = require("../src/services/loginThrottleService");
+
+let companyId;
+
+before(async () => {
+  companyId = await createTestCompany();
+});
+
+after(removeStorage);
+
+// Policies: 3 free attempts per account, 10 per IP and per IP for resets;
+// IPs lock at 30
+describe("login throttle", () => {
+  it("delays an account after its free attempts", async () => {
+    const subjects = [
+      loginThrottle.accountSubject(companyId, "slow@acme.test"),
+    ];
+
+    for (let i = 0; i < 3; i++) {
+      await loginThrottle.recordLoginFailure(subjects);
+    }
+    await loginThrottle.assertLoginAllowed(subjects);
+
+    await loginThrottle.recordLoginFailure(subjects);
+    await assert.rejects(loginThrottle.assertLoginAllowed(subjects), (err) => {
+      assert.equal(err.statusCode, 429);
+      assert.ok(err.retryAfter >= 1);
+      return true;
+    });
+
+    await loginThrottle.recordLoginSuccess(subjects[0]);
+    await loginThrottle.assertLoginAllowed(subjects);
+  });
+
+  it("locks an IP that keeps failing", async () => {
+    const subjects = [loginThrottle.ipSubject("203.0.113.7")];
+
+    for (let i = 0; i < 30; i++) {
+      await loginThrottle.recordLoginFailure(subjects);
+    }
+
+    const locks = await loginThrottle.listPlatformLocks();
+    assert.ok(
+        locks.ips.some((lock) => lock.ip === "203.0.113.7" && lock.locked),
+    );
+    await assert.rejects(loginThrottle.assertLoginAllowed(subjects), {
+      statusCode: 429,
+    });
+  });
+
+  it("counts password reset requests apart from logins", async () => {
+    const resets = [loginThrottle.resetSubject("198.51.100.4")];
+
+    for (let i = 0; i < 11; i++) await loginThrottle.recordLoginFailure(resets);
+
+    await assert.rejects(loginThrottle.assertLoginAllowed(resets), {
+      statusCode: 429,
+      message: /password reset requests/,
+    });
+    await loginThrottle.assertLoginAllowed([
+      loginThrottle.ipSubject("198.51.100.4"),
+    ]);
+  });
+});
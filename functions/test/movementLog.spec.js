@@ -0,0 +1,38 @@
+const {removeStorage, createTestCompany, createStockedProduct} =
+  require("./helpers");
+const {describe, it, before, after} = require("node:test");
+const assert = require("node:assert/strict");
+const {getBucket} = require("../src/config/firebase");
+const inventoryController = require("../src/controllers/inventoryController");
+const {readMovementPage} = require("../src/services/movementJournal");
+
+let companyId;
+
+before(async () => {
+  companyId = await createTestCompany();
+  await createStockedProduct(companyId, "LOG-A", 10);
+  await readMovementPage(companyId, {});
+});
+
+after(removeStorage);
+
+describe("movement log", () => {
+  it("catches up with a movement whose log write failed", async () => {
+    // An object where the month folder belongs makes the log write fail
+    const blocker = getBucket().file(
+        `companies/${companyId}/movement-log/2026-01`,
+    );
+    await blocker.save("");
+
+    await inventoryController.stockOut(companyId, "LOG-A", {
+      quantity: 2,
+      date: "2026-01-15T10:00:00Z",
+    });
+    await blocker.delete();
+
+    const {items} = await readMovementPage(companyId, {limit: 50});
+    const outs = items.filter((m) => m.type === "Stock Out");
+    assert.equal(outs.length, 1);
+    assert.equal(outs[0].sku, "LOG-A");
+  });
+});
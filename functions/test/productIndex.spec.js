@@ -0,0 +1,50 @@
+const {removeStorage, createTestCompany, createStockedProduct} =
+  require("./helpers");
+const {describe, it, before, after} = require("node:test");
+const assert = require("node:assert/strict");
+const {getBucket} = require("../src/config/firebase");
+const indexService = require("../src/services/indexService");
+const productController = require("../src/controllers/productController");
+
+let companyId;
+
+const indexGeneration = async () => {
+  const file = getBucket().file(`companies/${companyId}/indexes/products.json`);
+  const [{generation}] = await file.getMetadata();
+  return generation;
+};
+
+before(async () => {
+  companyId = await createTestCompany();
+});
+
+after(removeStorage);
+
+describe("product index", () => {
+  it("keeps the list fields only", async () => {
+    await createStockedProduct(companyId, "IDX-A", 5);
+
+    const [entry] = (await indexService.readIndex(companyId, "products"))
+        .filter((p) => p.sku === "IDX-A");
+    assert.equal(entry.stockOnHand, 5);
+    assert.equal(entry.costLayers, undefined);
+    assert.equal(entry.batches, undefined);
+
+    const [full] = await productController.getAllProducts(companyId, {
+      fullRecords: true,
+    });
+    assert.equal(full.costLayers.length, 1);
+  });
+
+  it("skips the write when the entry is unchanged", async () => {
+    const product = await productController.getProductBySku(companyId, "IDX-A");
+    const generation = await indexGeneration();
+
+    await indexService.upsertIndexEntry(companyId, "products", {
+      ...product,
+      batches: [{batchNumber: "B1", quantity: 5}],
+    });
+
+    assert.equal(await indexGeneration(), generation);
+  });
+});
@@ -0,0 +1,132 @@
+const {
+  removeStorage,
+  createTestCompany,
+  createStockedProduct,
+  stockOf,
+} = require("./helpers");
+const {describe, it, before, after} = require("node:test");
+const assert = require("node:assert/strict");
+const purchaseOrderController =
+  require("../src/controllers/purchaseOrderController");
+const supplierController = require("../src/controllers/supplierController");
+const productController = require("../src/controllers/productController");
+
+const requester = {email: "buyer@acme.test", role: "OWNER"};
+let companyId;
+let supplierId;
+
+/**
+ * Creates a purchase order for the spec supplier and sends it
+ * @param {Array} lines
+ */
+async function sentOrder(lines) {
+  const order = await purchaseOrderController.createPurchaseOrder(
+      companyId,
+      {supplierId, lines},
+      requester,
+  );
+  return purchaseOrderController.sendPurchaseOrder(companyId, order.poNumber);
+}
+
+before(async () => {
+  companyId = await createTestCompany();
+  const {supplier} = await supplierController.createSupplier(
+      companyId,
+      {name: "Supplier"},
+      requester,
+  );
+  supplierId = supplier.id;
+});
+
+after(removeStorage);
+
+describe("receiveGoods", () => {
+  it("takes the goods into stock and makes them payable", async () => {
+    await createStockedProduct(companyId, "PO-A", 0);
+    const order = await sentOrder([{sku: "PO-A", quantity: 10, unitCost: 2}]);
+
+    const {purchaseOrder} = await purchaseOrderController.receiveGoods(
+        companyId,
+        order.poNumber,
+        {lines: [{sku: "PO-A", quantity: 4}]},
+        requester,
+    );
+
+    assert.equal(await stockOf(companyId, "PO-A"), 4);
+    assert.equal(purchaseOrder.status, "Partially Received");
+    assert.equal(purchaseOrder.payableAmount, 8);
+    assert.ok(purchaseOrder.receipts.every((r) => !r.unposted));
+  });
+
+  it("never receives more than was ordered", async () => {
+    await createStockedProduct(companyId, "PO-B", 0);
+    const order = await sentOrder([{sku: "PO-B", quantity: 5, unitCost: 1}]);
+
+    const results = await Promise.allSettled(
+        [1, 2].map(() =>
+          purchaseOrderController.receiveGoods(
+              companyId,
+              order.poNumber,
+              {lines: [{sku: "PO-B", quantity: 5}]},
+              requester,
+          ),
+        ),
+    );
+
+    assert.equal(results.filter((r) => r.status === "fulfilled").length, 1);
+    assert.equal(await stockOf(companyId, "PO-B"), 5);
+
+    const stored = await purchaseOrderController.getPurchaseOrder(
+        companyId,
+        order.poNumber,
+    );
+    assert.equal(stored.lines[0].receivedQuantity, 5);
+    assert.equal(stored.receipts.length, 1);
+  });
+
+  it("releases the lines that did not reach stock", async () => {
+    await createStockedProduct(companyId, "PO-C", 0);
+    await createStockedProduct(companyId, "PO-D", 0);
+    const order = await sentOrder([
+      {sku: "PO-C", quantity: 5, unitCost: 4},
+      {sku: "PO-D", quantity: 3, unitCost: 1},
+    ]);
+
+    // A trashed product refuses stock-in, so the second line fails after the
+    // first posted
+    await productController.deleteProduct(companyId, "PO-D", requester);
+
+    await assert.rejects(
+        purchaseOrderController.receiveGoods(
+            companyId,
+            order.poNumber,
+            {
+              lines: [
+                {sku: "PO-C", quantity: 5},
+                {sku: "PO-D", quantity: 3},
+              ],
+            },
+            requester,
+        ),
+        /PO-C were received; the rest is still pending/,
+    );
+
+    const stored = await purchaseOrderController.getPurchaseOrder(
+        companyId,
+        order.poNumber,
+    );
+    const received = Object.fromEntries(
+        stored.lines.map((l) => [l.sku, l.receivedQuantity]),
+    );
+
+    assert.deepEqual(received, {"PO-C": 5, "PO-D": 0});
+    assert.equal(stored.receipts.length, 1);
+    assert.deepEqual(
+        stored.receipts[0].lines.map((l) => l.sku),
+        ["PO-C"],
+    );
+    assert.ok(!stored.receipts[0].unposted);
+    assert.equal(stored.payableAmount, 20);
+    assert.equal(await stockOf(companyId, "PO-C"), 5);
+  });
+});
@@ -0,0 +1,52 @@
+const {removeStorage, createTestCompany} = require("./helpers");
+const {describe, it, before, after} = require("node:test");
+const assert = require("node:assert/strict");
+const productController = require("../src/controllers/productController");
+const inventoryController = require("../src/controllers/inventoryController");
+const invoiceController = require("../src/controllers/invoiceController");
+const replenishmentController =
+  require("../src/controllers/replenishmentController");
+
+let companyId;
+
+before(async () => {
+  companyId = await createTestCompany();
+  await productController.createProduct(companyId, {
+    sku: "REP-A",
+    name: "Product REP-A",
+    costPrice: 10,
+    sellingPrice: 20,
+    reorderLevel: 100,
+  });
+  await inventoryController.stockIn(companyId, "REP-A", {
+    quantity: 20,
+    costPerUnit: 10,
+  });
+});
+
+after(removeStorage);
+
+describe("getSuggestions", () => {
+  it("counts only reversed stock-ins against sales", async () => {
+    await inventoryController.stockOut(companyId, "REP-A", {quantity: 5});
+
+    const invoice = await invoiceController.createInvoice(companyId, {
+      customer: {name: "Walk-in"},
+      items: [{sku: "REP-A", quantity: 3}],
+    });
+    await invoiceController.cancelInvoice(companyId, invoice.invoiceNumber);
+
+    // A manual receipt whose note merely mentions a rollback
+    await inventoryController.stockIn(companyId, "REP-A", {
+      quantity: 2,
+      costPerUnit: 10,
+      note: "Rollback: recount",
+    });
+
+    const {unassigned} = await replenishmentController.getSuggestions(
+        companyId,
+    );
+    const line = unassigned.find((l) => l.sku === "REP-A");
+    assert.equal(line.soldUnits, 5);
+  });
+});
@@ -0,0 +1,56 @@
+const {removeStorage, createTestCompany, createTestUser} = require("./helpers");
+const {describe, it, before, after} = require("node:test");
+const assert = require("node:assert/strict");
+const sessionService = require("../src/services/sessionService");
+
+let companyId;
+let owner;
+
+before(async () => {
+  companyId = await createTestCompany();
+  owner = await createTestUser(companyId);
+});
+
+after(removeStorage);
+
+describe("refresh tokens", () => {
+  it("rotates on every refresh", async () => {
+    const first = await sessionService.createSession(owner);
+    const second = await sessionService.rotateRefreshToken(first.refreshToken);
+
+    assert.equal(second.sessionId, first.sessionId);
+    assert.notEqual(second.refreshToken, first.refreshToken);
+    await sessionService.rotateRefreshToken(second.refreshToken);
+  });
+
+  it("signs the session out when a used token comes back", async () => {
+    const first = await sessionService.createSession(owner);
+    const second = await sessionService.rotateRefreshToken(first.refreshToken);
+
+    await assert.rejects(
+        sessionService.rotateRefreshToken(first.refreshToken),
+        {
+          statusCode: 401,
+          message: /already used/,
+        },
+    );
+    await assert.rejects(
+        sessionService.rotateRefreshToken(second.refreshToken),
+        {statusCode: 401},
+    );
+
+    const session = await sessionService.getSession(companyId, first.sessionId);
+    assert.equal(session.revokedReason, "Refresh token reuse detected");
+  });
+
+  it("lets only one of two concurrent refreshes through", async () => {
+    const {refreshToken} = await sessionService.createSession(owner);
+
+    const results = await Promise.allSettled([
+      sessionService.rotateRefreshToken(refreshToken),
+      sessionService.rotateRefreshToken(refreshToken),
+    ]);
+
+    assert.ok(results.some((r) => r.status === "rejected"));
+  });
+});
@@ -0,0 +1,24 @@
+const {removeStorage} = require("./helpers");
+const {describe, it, after} = require("node:test");
+const assert = require("node:assert/strict");
+const {getBucket} = require("../src/config/firebase");
+const settingsService = require("../src/services/settingsService");
+
+after(removeStorage);
+
+describe("getCompanySettings", () => {
+  it("falls back to the defaults when nothing is stored", async () => {
+    const settings = await settingsService.getCompanySettings("fresh");
+
+    assert.equal(settings.inventory.costingMethod, "WEIGHTED_AVERAGE");
+    assert.equal(settings.trash.retentionDays, 30);
+  });
+
+  it("fails instead of using defaults for an unreadable file", async () => {
+    await getBucket().file("companies/broken/settings.json").save("{not json");
+
+    await assert.rejects(settingsService.getCompanySettings("broken"), {
+      statusCode: 500,
+    });
+  });
+});
@@ -0,0 +1,25 @@
+require("./helpers");
+const {describe, it} = require("node:test");
+const assert = require("node:assert/strict");
+const {today, isExpired} = require("../src/services/stockBatches");
+
+describe("batch dates", () => {
+  it("count days in India's time zone", () => {
+    assert.equal(today(new Date("2026-05-10T12:00:00Z")), "2026-05-10");
+    // 18:30 UTC is already midnight in India
+    assert.equal(today(new Date("2026-05-10T18:30:00Z")), "2026-05-11");
+  });
+
+  it("expire the day after the expiry date, Indian time", () => {
+    const batch = {expiryDate: "2026-05-10"};
+
+    assert.equal(
+        isExpired(batch, today(new Date("2026-05-10T18:00:00Z"))),
+        false,
+    );
+    assert.equal(
+        isExpired(batch, today(new Date("2026-05-10T19:00:00Z"))),
+        true,
+    );
+  });
+});
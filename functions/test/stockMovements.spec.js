@@ -0,0 +1,52 @@
+const {
+  removeStorage,
+  createTestCompany,
+  createStockedProduct,
+  stockOf,
+} = require("./helpers");
+const {describe, it, before, after} = require("node:test");
+const assert = require("node:assert/strict");
+const inventoryController = require("../src/controllers/inventoryController");
+
+let companyId;
+
+before(async () => {
+  companyId = await createTestCompany();
+  await createStockedProduct(companyId, "MOV-A", 10);
+});
+
+after(removeStorage);
+
+describe("stock movement input", () => {
+  it("rejects a bad date before touching stock", async () => {
+    const {stockIn, stockOut, stockAdjustment} = inventoryController;
+    const date = "not a date";
+
+    await assert.rejects(
+        stockIn(companyId, "MOV-A", {quantity: 1, costPerUnit: 1, date}),
+        {statusCode: 400},
+    );
+    await assert.rejects(stockOut(companyId, "MOV-A", {quantity: 1, date}), {
+      statusCode: 400,
+    });
+    await assert.rejects(
+        stockAdjustment(companyId, "MOV-A", {quantity: -1, date}),
+        {statusCode: 400},
+    );
+
+    assert.equal(await stockOf(companyId, "MOV-A"), 10);
+  });
+
+  it("requires a real cost and quantity", async () => {
+    await assert.rejects(
+        inventoryController.stockIn(companyId, "MOV-A", {quantity: 1}),
+        {statusCode: 400},
+    );
+    await assert.rejects(
+        inventoryController.stockAdjustment(companyId, "MOV-A", {}),
+        {statusCode: 400},
+    );
+
+    assert.equal(await stockOf(companyId, "MOV-A"), 10);
+  });
+});
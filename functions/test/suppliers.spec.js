@@ -0,0 +1,32 @@
+const {removeStorage, createTestCompany} = require("./helpers");
+const {describe, it, before, after} = require("node:test");
+const assert = require("node:assert/strict");
+const supplierController = require("../src/controllers/supplierController");
+
+const requester = {email: "buyer@acme.test", role: "OWNER"};
+let companyId;
+
+before(async () => {
+  companyId = await createTestCompany();
+});
+
+after(removeStorage);
+
+describe("createSupplier", () => {
+  it("gives suppliers created together their own ids", async () => {
+    const created = await Promise.all(
+        [1, 2, 3].map((n) =>
+          supplierController.createSupplier(
+              companyId,
+              {name: `Supplier ${n}`},
+              requester,
+          ),
+        ),
+    );
+
+    const ids = created.map(({supplier}) => supplier.id);
+    assert.equal(new Set(ids).size, 3);
+    const stored = await supplierController.getAllSuppliers(companyId);
+    assert.equal(stored.length, 3);
+  });
+});
@@ -0,0 +1,110 @@
+const {removeStorage} = require("./helpers");
+const {describe, it, after} = require("node:test");
+const assert = require("node:assert/strict");
+const {getBucket} = require("../src/config/firebase");
+const {
+  readJsonVersioned,
+  saveJsonIfGeneration,
+  updateJsonWithRetry,
+  isPreconditionFailure,
+} = require("../src/storage/versionedJson");
+
+after(removeStorage);
+
+describe("versionedJson", () => {
+  it("creates only once with generation 0", async () => {
+    const file = getBucket().file("spec/create-once.json");
+
+    const results = await Promise.allSettled([
+      saveJsonIfGeneration(file, {writer: 1}, 0),
+      saveJsonIfGeneration(file, {writer: 2}, 0),
+    ]);
+
+    assert.equal(results.filter((r) => r.status === "fulfilled").length, 1);
+    const rejected = results.find((r) => r.status === "rejected");
+    assert.ok(isPreconditionFailure(rejected.reason));
+  });
+
+  it("rejects a write against a stale generation", async () => {
+    const file = getBucket().file("spec/stale.json");
+    await saveJsonIfGeneration(file, {value: 1}, 0);
+    const {generation} = await readJsonVersioned(file);
+
+    await saveJsonIfGeneration(file, {value: 2}, generation);
+    await assert.rejects(
+        saveJsonIfGeneration(file, {value: 3}, generation),
+        isPreconditionFailure,
+    );
+    assert.deepEqual((await readJsonVersioned(file)).data, {value: 2});
+  });
+
+  it("retries conflicting updates so none is lost", async () => {
+    const file = getBucket().file("spec/counter.json");
+    await saveJsonIfGeneration(file, {count: 0}, 0);
+
+    await Promise.all(
+        Array.from({length: 5}, () =>
+          updateJsonWithRetry(file, (current) => ({count: current.count + 1}), {
+            retries: 10,
+          }),
+        ),
+    );
+
+    assert.equal((await readJsonVersioned(file)).data.count, 5);
+  });
+
+  it("re-runs mutate against the latest copy after a conflict", async () => {
+    const file = getBucket().file("spec/rerun.json");
+    await saveJsonIfGeneration(file, {value: "first"}, 0);
+
+    const seen = [];
+    let interfered = false;
+    await updateJsonWithRetry(file, async (current) => {
+      seen.push(current.value);
+      if (!interfered) {
+        interfered = true;
+        const {generation} = await readJsonVersioned(file);
+        await saveJsonIfGeneration(file, {value: "second"}, generation);
+      }
+      return {value: `${current.value}+mine`};
+    });
+
+    assert.deepEqual(seen, ["first", "second"]);
+    assert.equal((await readJsonVersioned(file)).data.value, "second+mine");
+  });
+
+  it("gives up with 409 once the retries are used", async () => {
+    const file = getBucket().file("spec/hot.json");
+    await saveJsonIfGeneration(file, {value: 0}, 0);
+
+    const hot = updateJsonWithRetry(
+        file,
+        async (current) => {
+          const {generation} = await readJsonVersioned(file);
+          await saveJsonIfGeneration(
+              file,
+              {value: current.value + 100},
+              generation,
+          );
+          return {value: -1};
+        },
+        {retries: 1},
+    );
+
+    await assert.rejects(hot, {statusCode: 409});
+    assert.notEqual((await readJsonVersioned(file)).data.value, -1);
+  });
+
+  it("does not write when mutate throws", async () => {
+    const file = getBucket().file("spec/refused.json");
+    await saveJsonIfGeneration(file, {value: 1}, 0);
+
+    await assert.rejects(
+        updateJsonWithRetry(file, () => {
+          throw new Error("refused");
+        }),
+        /refused/,
+    );
+    assert.deepEqual((await readJsonVersioned(file)).data, {value: 1});
+  });
+});